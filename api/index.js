@@ -14,6 +14,13 @@ import dashboardRoutes from '../server/src/routes/dashboard.js';
 import conceptsRoutes from '../server/src/routes/concepts.js';
 import resumesRoutes from '../server/src/routes/resumes.js';
 import practiceRoutes from '../server/src/routes/practice.js';
+import settingsRoutes from '../server/src/routes/settings.js';
+import storiesRoutes from '../server/src/routes/stories.js';
+import designRoutes from '../server/src/routes/design.js';
+import flashcardsRoutes from '../server/src/routes/flashcards.js';
+import quizzesRoutes from '../server/src/routes/quizzes.js';
+import searchRoutes from '../server/src/routes/search.js';
+import jobDescriptionsRoutes from '../server/src/routes/jobDescriptions.js';
 import { authenticateToken } from '../server/src/middleware/auth.js';
 // OpenAI is imported in AI routes, not needed here
 
@@ -73,6 +80,7 @@ app.get('/api/test', (req, res) => {
       hasDatabaseUrl: !!process.env.DATABASE_URL,
       hasJwtSecret: !!process.env.JWT_SECRET,
       hasOpenAiKey: !!process.env.OPENAI_API_KEY,
+      llmProvider: process.env.LLM_PROVIDER || 'openai',
       nodeEnv: process.env.NODE_ENV,
       vercel: !!process.env.VERCEL,
       vercelUrl: process.env.VERCEL_URL,
@@ -137,6 +145,13 @@ try {
   app.use('/api/concepts', authenticateToken, conceptsRoutes);
   app.use('/api/resumes', authenticateToken, resumesRoutes);
   app.use('/api/practice', authenticateToken, practiceRoutes);
+  app.use('/api/settings', authenticateToken, settingsRoutes);
+  app.use('/api/stories', authenticateToken, storiesRoutes);
+  app.use('/api/design', authenticateToken, designRoutes);
+  app.use('/api/flashcards', authenticateToken, flashcardsRoutes);
+  app.use('/api/quizzes', authenticateToken, quizzesRoutes);
+  app.use('/api/search', authenticateToken, searchRoutes);
+  app.use('/api/job-descriptions', authenticateToken, jobDescriptionsRoutes);
   routesMounted = true;
   console.log('✅ All routes mounted successfully');
 } catch (error) {
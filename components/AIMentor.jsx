@@ -1,6 +1,7 @@
 import { useState, useRef, useEffect } from 'react';
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
-import { Send, Bot, User, Cpu } from 'lucide-react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { Send, Bot, User, Cpu, Square, Plus, Edit2, Trash2, Archive, ArchiveRestore, GitBranch, Check, X, FolderOpen, Brain } from 'lucide-react';
 import { aiAPI } from '../src/lib/api';
 
 // Component to show current model info
@@ -23,40 +24,358 @@ function ModelInfo() {
   );
 }
 
+const CITATION_LINKS = {
+  project: { label: 'Project', to: '/projects' },
+  skill: { label: 'Skill', to: '/skills' },
+  concept: { label: 'Concept', to: '/explainer' },
+  resume: { label: 'Resume', to: '/resume' },
+};
+
+// Workspace records a mentor reply was grounded in
+function Citations({ citations }) {
+  if (!citations || citations.length === 0) return null;
+
+  return (
+    <div className="mt-3 pt-3 border-t border-[#2A2A2A]">
+      <p className="text-xs text-[#888888] mb-2">Based on your workspace:</p>
+      <ul className="flex flex-wrap gap-2" aria-label="Sources used">
+        {citations.map((citation) => {
+          const link = CITATION_LINKS[citation.type] || { label: citation.type, to: '/home' };
+          return (
+            <li key={`${citation.type}-${citation.id}`}>
+              <Link
+                to={link.to}
+                className="inline-block text-xs text-[#E0E0E0] bg-[#1E1E1E] border border-[#2A2A2A] rounded px-2 py-1 hover:border-[#0070F3] focus:outline-none focus:ring-2 focus:ring-[#0070F3]"
+              >
+                <span className="text-[#888888]">{link.label}:</span> {citation.label}
+              </Link>
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+}
+
+// View and edit the running summary the mentor keeps of older messages
+function MemoryPanel({ conversationId, onClose }) {
+  const [draft, setDraft] = useState(null);
+  const queryClient = useQueryClient();
+
+  const { data: memory, isLoading } = useQuery({
+    queryKey: ['ai-memory', conversationId],
+    queryFn: () => aiAPI.getConversationMemory(conversationId),
+  });
+
+  const saveMutation = useMutation({
+    mutationFn: (summary) => aiAPI.updateConversationMemory(conversationId, summary),
+    onSuccess: (updated) => {
+      queryClient.setQueryData(['ai-memory', conversationId], updated);
+      setDraft(null);
+    },
+  });
+
+  const summary = draft ?? memory?.summary ?? '';
+
+  return (
+    <section className="bg-[#252525] border-b border-[#2A2A2A] px-6 py-4" aria-label="Mentor memory">
+      <div className="max-w-4xl mx-auto">
+        <div className="flex items-center justify-between mb-2">
+          <h2 className="text-sm font-semibold text-[#E0E0E0]">What the mentor remembers</h2>
+          <button onClick={onClose} className="p-1 text-[#888888] hover:text-[#E0E0E0]" aria-label="Close memory panel">
+            <X className="w-4 h-4" aria-hidden="true" />
+          </button>
+        </div>
+        <p className="text-xs text-[#888888] mb-3">
+          Recent messages are sent to the mentor as-is. Older ones are condensed into this summary, which you can correct or clear.
+        </p>
+        {isLoading ? (
+          <p className="text-sm text-[#888888]">Loading...</p>
+        ) : (
+          <>
+            <label htmlFor="memory-summary" className="sr-only">Conversation summary</label>
+            <textarea
+              id="memory-summary"
+              value={summary}
+              onChange={(e) => setDraft(e.target.value)}
+              rows={5}
+              placeholder="Nothing summarized yet - the conversation still fits in the mentor's context."
+              className="w-full bg-[#1E1E1E] text-[#E0E0E0] text-sm border border-[#2A2A2A] rounded-lg px-3 py-2 focus:outline-none focus:ring-2 focus:ring-[#0070F3] placeholder-[#666666]"
+            />
+            <div className="flex items-center justify-between mt-2">
+              <span className="text-xs text-[#666666]">
+                {memory?.updatedAt ? `Updated ${new Date(memory.updatedAt).toLocaleString()}` : ''}
+              </span>
+              <div className="flex gap-2">
+                <button
+                  onClick={() => saveMutation.mutate('')}
+                  disabled={saveMutation.isPending || !memory?.summary}
+                  className="btn btn-secondary text-sm"
+                >
+                  Clear
+                </button>
+                <button
+                  onClick={() => saveMutation.mutate(summary)}
+                  disabled={saveMutation.isPending || draft === null}
+                  className="btn btn-primary text-sm"
+                >
+                  Save
+                </button>
+              </div>
+            </div>
+            {saveMutation.isError && (
+              <p className="text-red-400 text-sm mt-2" role="alert">
+                {saveMutation.error?.response?.data?.error || 'Failed to save memory'}
+              </p>
+            )}
+          </>
+        )}
+      </div>
+    </section>
+  );
+}
+
+// Conversation list with create, rename, archive and delete
+function ConversationSidebar({ activeConversationId, onSelect, onNew }) {
+  const [showArchived, setShowArchived] = useState(false);
+  const [editingId, setEditingId] = useState(null);
+  const [editTitle, setEditTitle] = useState('');
+  const queryClient = useQueryClient();
+
+  const { data: conversations = [], isLoading } = useQuery({
+    queryKey: ['ai-conversations', showArchived],
+    queryFn: () => aiAPI.getConversations(showArchived),
+  });
+
+  const updateMutation = useMutation({
+    mutationFn: ({ id, data }) => aiAPI.updateConversation(id, data),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['ai-conversations'] });
+      setEditingId(null);
+    },
+  });
+
+  const deleteMutation = useMutation({
+    mutationFn: (id) => aiAPI.deleteConversation(id),
+    onSuccess: (_, id) => {
+      queryClient.invalidateQueries({ queryKey: ['ai-conversations'] });
+      if (id === activeConversationId) {
+        onNew();
+      }
+    },
+  });
+
+  const startRename = (conversation) => {
+    setEditingId(conversation.id);
+    setEditTitle(conversation.title);
+  };
+
+  const saveRename = () => {
+    if (!editTitle.trim()) return;
+    updateMutation.mutate({ id: editingId, data: { title: editTitle.trim() } });
+  };
+
+  const handleDelete = (id) => {
+    if (window.confirm('Are you sure you want to delete this conversation?')) {
+      deleteMutation.mutate(id);
+    }
+  };
+
+  return (
+    <aside className="w-64 flex-shrink-0 bg-[#252525] border-r border-[#2A2A2A] flex flex-col" aria-label="Mentor conversations">
+      <div className="p-4 border-b border-[#2A2A2A]">
+        <button
+          onClick={onNew}
+          className="btn btn-primary w-full flex items-center justify-center gap-2 focus:outline-none focus:ring-2 focus:ring-[#0070F3]"
+        >
+          <Plus className="w-4 h-4" aria-hidden="true" />
+          New conversation
+        </button>
+      </div>
+
+      <nav className="flex-1 overflow-y-auto p-2 space-y-1">
+        {isLoading ? (
+          <p className="text-sm text-[#888888] p-2">Loading...</p>
+        ) : conversations.length === 0 ? (
+          <p className="text-sm text-[#888888] p-2">No conversations yet</p>
+        ) : (
+          conversations.map((conversation) => (
+            <div
+              key={conversation.id}
+              className={`group rounded-lg p-2 ${
+                conversation.id === activeConversationId
+                  ? 'bg-[#1E1E1E] border border-[#0070F3]'
+                  : 'border border-transparent hover:bg-[#1E1E1E]'
+              }`}
+            >
+              {editingId === conversation.id ? (
+                <div className="flex items-center gap-1">
+                  <label htmlFor={`conversation-title-${conversation.id}`} className="sr-only">Conversation title</label>
+                  <input
+                    id={`conversation-title-${conversation.id}`}
+                    value={editTitle}
+                    onChange={(e) => setEditTitle(e.target.value)}
+                    onKeyDown={(e) => {
+                      if (e.key === 'Enter') saveRename();
+                      if (e.key === 'Escape') setEditingId(null);
+                    }}
+                    autoFocus
+                    className="flex-1 min-w-0 bg-[#1E1E1E] text-[#E0E0E0] text-sm border border-[#2A2A2A] rounded px-2 py-1 focus:outline-none focus:border-[#0070F3]"
+                  />
+                  <button onClick={saveRename} className="p-1 text-[#888888] hover:text-[#E0E0E0]" aria-label="Save title">
+                    <Check className="w-4 h-4" aria-hidden="true" />
+                  </button>
+                  <button onClick={() => setEditingId(null)} className="p-1 text-[#888888] hover:text-[#E0E0E0]" aria-label="Cancel rename">
+                    <X className="w-4 h-4" aria-hidden="true" />
+                  </button>
+                </div>
+              ) : (
+                <>
+                  <button
+                    onClick={() => onSelect(conversation.id)}
+                    className="w-full text-left focus:outline-none focus:ring-2 focus:ring-[#0070F3] rounded"
+                    aria-current={conversation.id === activeConversationId ? 'true' : undefined}
+                  >
+                    <p className={`text-sm truncate ${conversation.archived ? 'text-[#888888] italic' : 'text-[#E0E0E0]'}`}>
+                      {conversation.title}
+                    </p>
+                    <p className="text-xs text-[#666666]">
+                      {conversation.messageCount} messages · {new Date(conversation.updatedAt).toLocaleDateString()}
+                    </p>
+                  </button>
+                  <div className="flex gap-1 mt-1 opacity-0 group-hover:opacity-100 focus-within:opacity-100 transition-opacity">
+                    <button onClick={() => startRename(conversation)} className="p-1 text-[#888888] hover:text-[#E0E0E0]" aria-label={`Rename ${conversation.title}`}>
+                      <Edit2 className="w-3.5 h-3.5" aria-hidden="true" />
+                    </button>
+                    <button
+                      onClick={() => updateMutation.mutate({ id: conversation.id, data: { archived: !conversation.archived } })}
+                      className="p-1 text-[#888888] hover:text-[#E0E0E0]"
+                      aria-label={`${conversation.archived ? 'Unarchive' : 'Archive'} ${conversation.title}`}
+                    >
+                      {conversation.archived
+                        ? <ArchiveRestore className="w-3.5 h-3.5" aria-hidden="true" />
+                        : <Archive className="w-3.5 h-3.5" aria-hidden="true" />}
+                    </button>
+                    <button onClick={() => handleDelete(conversation.id)} className="p-1 text-[#888888] hover:text-red-400" aria-label={`Delete ${conversation.title}`}>
+                      <Trash2 className="w-3.5 h-3.5" aria-hidden="true" />
+                    </button>
+                  </div>
+                </>
+              )}
+            </div>
+          ))
+        )}
+      </nav>
+
+      <div className="p-4 border-t border-[#2A2A2A]">
+        <label className="flex items-center gap-2 text-xs text-[#888888] cursor-pointer">
+          <input
+            type="checkbox"
+            checked={showArchived}
+            onChange={(e) => setShowArchived(e.target.checked)}
+            className="accent-[#0070F3]"
+          />
+          Show archived
+        </label>
+      </div>
+    </aside>
+  );
+}
+
 export function AIMentor() {
   const [input, setInput] = useState('');
   const [isTyping, setIsTyping] = useState(false);
+  const [pendingMessage, setPendingMessage] = useState(null);
+  const [streamingReply, setStreamingReply] = useState('');
+  // null means a new conversation that is created on the first message
+  const [activeConversationId, setActiveConversationId] = useState(null);
+  // Opt-in: ground replies in the user's projects, skills, concepts and resume
+  const [useWorkspace, setUseWorkspace] = useState(() => localStorage.getItem('mentorUseWorkspace') === 'true');
+  const [showMemory, setShowMemory] = useState(false);
   const messagesEndRef = useRef(null);
+  const abortControllerRef = useRef(null);
+  const streamConversationIdRef = useRef(null);
   const queryClient = useQueryClient();
+  const [searchParams, setSearchParams] = useSearchParams();
+
+  // Open the conversation linked as ?conversation=ID (search results)
+  const linkedConversationId = parseInt(searchParams.get('conversation'));
+  useEffect(() => {
+    if (!linkedConversationId) return;
+    setActiveConversationId(linkedConversationId);
+    setSearchParams({}, { replace: true });
+  }, [linkedConversationId, setSearchParams]);
 
-  // Fetch messages
-  const { data, isLoading } = useQuery({
-    queryKey: ['ai-messages'],
-    queryFn: () => aiAPI.getMessages(50),
+  // Fetch messages for the active conversation
+  const { data, isLoading: isLoadingMessages } = useQuery({
+    queryKey: ['ai-messages', activeConversationId],
+    queryFn: () => aiAPI.getMessages(activeConversationId, 50),
+    enabled: !!activeConversationId,
   });
 
-  const messages = data || [];
+  const isLoading = !!activeConversationId && isLoadingMessages;
+  const messages = activeConversationId ? data || [] : [];
 
-  // Send message mutation
+  // Send message mutation - the reply is streamed into streamingReply as it is generated
   const sendMessageMutation = useMutation({
-    mutationFn: (message) => aiAPI.sendMessage(message),
-    onSuccess: () => {
-      queryClient.invalidateQueries({ queryKey: ['ai-messages'] });
-      setIsTyping(false);
+    mutationFn: async (message) => {
+      const controller = new AbortController();
+      abortControllerRef.current = controller;
+
+      // Create the conversation up front so a stopped stream still has somewhere to live.
+      // It becomes active once the reply settles, to avoid refetching mid-stream.
+      let conversationId = activeConversationId;
+      if (!conversationId) {
+        const conversation = await aiAPI.createConversation();
+        conversationId = conversation.id;
+      }
+      streamConversationIdRef.current = conversationId;
+
+      return aiAPI
+        .streamMessage(message, {
+          conversationId,
+          useWorkspace,
+          onToken: (token) => setStreamingReply((prev) => prev + token),
+          signal: controller.signal,
+        })
+        .catch((error) => {
+          // Stopped by the user - not an error, the partial reply was saved
+          if (error.name === 'AbortError') return null;
+          throw error;
+        });
     },
     onError: (error) => {
-      setIsTyping(false);
       console.error('Failed to send message:', error);
     },
+    onSettled: async () => {
+      if (streamConversationIdRef.current) {
+        setActiveConversationId(streamConversationIdRef.current);
+      }
+      // Refetch before clearing the streamed text so the reply doesn't flicker
+      await Promise.all([
+        queryClient.invalidateQueries({ queryKey: ['ai-messages'] }),
+        queryClient.invalidateQueries({ queryKey: ['ai-conversations'] }),
+        queryClient.invalidateQueries({ queryKey: ['ai-memory'] }),
+      ]);
+      streamConversationIdRef.current = null;
+      abortControllerRef.current = null;
+      setPendingMessage(null);
+      setStreamingReply('');
+      setIsTyping(false);
+    },
   });
 
+  useEffect(() => {
+    localStorage.setItem('mentorUseWorkspace', useWorkspace.toString());
+  }, [useWorkspace]);
+
   const scrollToBottom = () => {
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
   };
 
   useEffect(() => {
     scrollToBottom();
-  }, [messages]);
+  }, [messages, streamingReply]);
 
   // Initialize with welcome message if no messages
   useEffect(() => {
@@ -70,6 +389,7 @@ export function AIMentor() {
 
     const userMessage = input.trim();
     setInput('');
+    setPendingMessage(userMessage);
     setIsTyping(true);
 
     try {
@@ -81,6 +401,25 @@ export function AIMentor() {
     }
   };
 
+  const handleStop = () => {
+    abortControllerRef.current?.abort();
+  };
+
+  const handleSelectConversation = (conversationId) => {
+    if (isTyping) return;
+    setActiveConversationId(conversationId);
+    setShowMemory(false);
+  };
+
+  // Branch the conversation at a message into a new thread
+  const forkMutation = useMutation({
+    mutationFn: (messageId) => aiAPI.forkConversation(activeConversationId, messageId),
+    onSuccess: (conversation) => {
+      queryClient.invalidateQueries({ queryKey: ['ai-conversations'] });
+      setActiveConversationId(conversation.id);
+    },
+  });
+
   const suggestedQuestions = [
     "How do I explain my project in an interview?",
     "What's the difference between async/await and callbacks?",
@@ -99,151 +438,232 @@ export function AIMentor() {
   ] : messages;
 
   return (
-    <div className="flex flex-col h-screen bg-[#1E1E1E]">
-      {/* Header */}
-      <header className="bg-[#252525] border-b border-[#2A2A2A] p-6" role="banner">
-        <div className="max-w-4xl mx-auto">
-          <div className="flex items-center justify-between">
-            <div>
-              <h1 className="text-2xl font-semibold text-[#E0E0E0] mb-2">AI Mentor</h1>
-              <p className="text-[#888888]">Your safe space to ask anything. No question is too basic.</p>
+    <div className="flex h-screen bg-[#1E1E1E]">
+      <ConversationSidebar
+        activeConversationId={activeConversationId}
+        onSelect={handleSelectConversation}
+        onNew={() => handleSelectConversation(null)}
+      />
+
+      <div className="flex flex-col flex-1 min-w-0">
+        {/* Header */}
+        <header className="bg-[#252525] border-b border-[#2A2A2A] p-6" role="banner">
+          <div className="max-w-4xl mx-auto">
+            <div className="flex items-center justify-between">
+              <div>
+                <h1 className="text-2xl font-semibold text-[#E0E0E0] mb-2">AI Mentor</h1>
+                <p className="text-[#888888]">Your safe space to ask anything. No question is too basic.</p>
+              </div>
+              <div className="flex items-center gap-3">
+                {activeConversationId && (
+                  <button
+                    onClick={() => setShowMemory((prev) => !prev)}
+                    className="flex items-center gap-2 text-xs text-[#888888] bg-[#1E1E1E] px-3 py-1.5 rounded-lg border border-[#2A2A2A] hover:border-[#0070F3] focus:outline-none focus:ring-2 focus:ring-[#0070F3]"
+                    aria-expanded={showMemory}
+                  >
+                    <Brain className="w-3 h-3" aria-hidden="true" />
+                    Memory
+                  </button>
+                )}
+                <ModelInfo />
+              </div>
             </div>
-            <ModelInfo />
           </div>
-        </div>
-      </header>
-
-      {/* Messages */}
-      <div className="flex-1 overflow-y-auto p-6" role="log" aria-label="Conversation with AI mentor">
-        <div className="max-w-4xl mx-auto space-y-6">
-          {isLoading ? (
-            <div className="flex justify-center items-center h-64">
-              <div className="text-[#888888]" role="status" aria-live="polite" aria-label="Loading messages">Loading messages...</div>
-            </div>
-          ) : (
-            <>
-              {displayMessages.map((message) => (
-                <div
-                  key={message.id}
-                  className={`flex gap-4 ${message.role === 'user' ? 'justify-end' : 'justify-start'}`}
-                >
-                  {message.role === 'mentor' && (
-                    <div className="w-10 h-10 rounded-lg bg-[#0070F3] flex items-center justify-center flex-shrink-0" aria-label="AI Mentor">
-                      <Bot className="w-6 h-6 text-white" aria-hidden="true" />
-                    </div>
-                  )}
+        </header>
+
+        {showMemory && activeConversationId && (
+          <MemoryPanel conversationId={activeConversationId} onClose={() => setShowMemory(false)} />
+        )}
+
+        {/* Messages */}
+        <div className="flex-1 overflow-y-auto p-6" role="log" aria-label="Conversation with AI mentor">
+          <div className="max-w-4xl mx-auto space-y-6">
+            {isLoading ? (
+              <div className="flex justify-center items-center h-64">
+                <div className="text-[#888888]" role="status" aria-live="polite" aria-label="Loading messages">Loading messages...</div>
+              </div>
+            ) : (
+              <>
+                {displayMessages.map((message) => (
                   <div
-                    className={`max-w-2xl rounded-lg p-4 ${
-                      message.role === 'user'
-                        ? 'bg-[#0070F3] text-white'
-                        : 'bg-[#252525] text-[#E0E0E0] border border-[#2A2A2A]'
-                    }`}
+                    key={message.id}
+                    className={`flex gap-4 ${message.role === 'user' ? 'justify-end' : 'justify-start'}`}
                   >
-                    <p className="whitespace-pre-wrap">{message.content}</p>
-                    <span className="text-xs opacity-70 mt-2 block">
-                      {new Date(message.created_at).toLocaleTimeString([], {
-                        hour: '2-digit',
-                        minute: '2-digit',
-                      })}
-                    </span>
-                  </div>
-                  {message.role === 'user' && (
-                    <div className="w-10 h-10 rounded-lg bg-[#252525] border border-[#2A2A2A] flex items-center justify-center flex-shrink-0" aria-label="You">
-                      <User className="w-6 h-6 text-[#E0E0E0]" aria-hidden="true" />
+                    {message.role === 'mentor' && (
+                      <div className="w-10 h-10 rounded-lg bg-[#0070F3] flex items-center justify-center flex-shrink-0" aria-label="AI Mentor">
+                        <Bot className="w-6 h-6 text-white" aria-hidden="true" />
+                      </div>
+                    )}
+                    <div
+                      className={`max-w-2xl rounded-lg p-4 ${
+                        message.role === 'user'
+                          ? 'bg-[#0070F3] text-white'
+                          : 'bg-[#252525] text-[#E0E0E0] border border-[#2A2A2A]'
+                      }`}
+                    >
+                      <p className="whitespace-pre-wrap">{message.content}</p>
+                      {message.role === 'mentor' && <Citations citations={message.citations} />}
+                      <span className="text-xs opacity-70 mt-2 flex items-center gap-3">
+                        {new Date(message.created_at).toLocaleTimeString([], {
+                          hour: '2-digit',
+                          minute: '2-digit',
+                        })}
+                        {activeConversationId && message.id !== 'welcome' && !isTyping && (
+                          <button
+                            onClick={() => forkMutation.mutate(message.id)}
+                            disabled={forkMutation.isPending}
+                            className="flex items-center gap-1 hover:underline focus:outline-none focus:ring-2 focus:ring-[#0070F3] rounded"
+                            aria-label="Fork conversation from this message"
+                          >
+                            <GitBranch className="w-3 h-3" aria-hidden="true" />
+                            Fork from here
+                          </button>
+                        )}
+                      </span>
                     </div>
-                  )}
+                    {message.role === 'user' && (
+                      <div className="w-10 h-10 rounded-lg bg-[#252525] border border-[#2A2A2A] flex items-center justify-center flex-shrink-0" aria-label="You">
+                        <User className="w-6 h-6 text-[#E0E0E0]" aria-hidden="true" />
+                      </div>
+                    )}
+                  </div>
+                ))}
+              </>
+            )}
+
+            {pendingMessage && (
+              <div className="flex gap-4 justify-end">
+                <div className="max-w-2xl rounded-lg p-4 bg-[#0070F3] text-white">
+                  <p className="whitespace-pre-wrap">{pendingMessage}</p>
+                </div>
+                <div className="w-10 h-10 rounded-lg bg-[#252525] border border-[#2A2A2A] flex items-center justify-center flex-shrink-0" aria-label="You">
+                  <User className="w-6 h-6 text-[#E0E0E0]" aria-hidden="true" />
                 </div>
-              ))}
-            </>
-          )}
-
-          {isTyping && (
-            <div className="flex gap-4" role="status" aria-live="polite" aria-label="AI mentor is typing">
-              <div className="w-10 h-10 rounded-lg bg-[#0070F3] flex items-center justify-center flex-shrink-0" aria-label="AI Mentor">
-                <Bot className="w-6 h-6 text-white" aria-hidden="true" />
               </div>
-              <div className="bg-[#252525] rounded-lg p-4 border border-[#2A2A2A]">
-                <div className="flex gap-2">
-                  <div className="w-2 h-2 bg-[#888888] rounded-full animate-bounce"></div>
-                  <div className="w-2 h-2 bg-[#888888] rounded-full animate-bounce" style={{ animationDelay: '0.2s' }}></div>
-                  <div className="w-2 h-2 bg-[#888888] rounded-full animate-bounce" style={{ animationDelay: '0.4s' }}></div>
+            )}
+
+            {isTyping && streamingReply && (
+              <div className="flex gap-4 justify-start" aria-live="polite" aria-busy="true">
+                <div className="w-10 h-10 rounded-lg bg-[#0070F3] flex items-center justify-center flex-shrink-0" aria-label="AI Mentor">
+                  <Bot className="w-6 h-6 text-white" aria-hidden="true" />
+                </div>
+                <div className="max-w-2xl rounded-lg p-4 bg-[#252525] text-[#E0E0E0] border border-[#2A2A2A]">
+                  <p className="whitespace-pre-wrap">
+                    {streamingReply}
+                    <span className="inline-block w-2 h-4 ml-0.5 align-middle bg-[#888888] animate-pulse" aria-hidden="true"></span>
+                  </p>
                 </div>
               </div>
-            </div>
-          )}
-          <div ref={messagesEndRef} />
+            )}
+
+            {isTyping && !streamingReply && (
+              <div className="flex gap-4" role="status" aria-live="polite" aria-label="AI mentor is typing">
+                <div className="w-10 h-10 rounded-lg bg-[#0070F3] flex items-center justify-center flex-shrink-0" aria-label="AI Mentor">
+                  <Bot className="w-6 h-6 text-white" aria-hidden="true" />
+                </div>
+                <div className="bg-[#252525] rounded-lg p-4 border border-[#2A2A2A]">
+                  <div className="flex gap-2">
+                    <div className="w-2 h-2 bg-[#888888] rounded-full animate-bounce"></div>
+                    <div className="w-2 h-2 bg-[#888888] rounded-full animate-bounce" style={{ animationDelay: '0.2s' }}></div>
+                    <div className="w-2 h-2 bg-[#888888] rounded-full animate-bounce" style={{ animationDelay: '0.4s' }}></div>
+                  </div>
+                </div>
+              </div>
+            )}
+            <div ref={messagesEndRef} />
+          </div>
         </div>
-      </div>
 
-      {/* Suggested Questions */}
-      {displayMessages.length === 1 && !isLoading && (
-        <div className="px-6 pb-4">
+        {/* Suggested Questions */}
+        {displayMessages.length === 1 && !isLoading && !pendingMessage && (
+          <div className="px-6 pb-4">
+            <div className="max-w-4xl mx-auto">
+              <p className="text-sm text-[#888888] mb-3">Suggested questions:</p>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+                {suggestedQuestions.map((question, index) => (
+                  <button
+                    key={index}
+                    onClick={() => setInput(question)}
+                    className="text-left text-sm text-[#E0E0E0] bg-[#252525] border border-[#2A2A2A] rounded-lg p-3 hover:border-[#0070F3] transition-colors focus:outline-none focus:ring-2 focus:ring-[#0070F3] focus:ring-offset-2 focus:ring-offset-[#1E1E1E]"
+                    aria-label={`Use suggested question: ${question}`}
+                  >
+                    {question}
+                  </button>
+                ))}
+              </div>
+            </div>
+          </div>
+        )}
+
+        {/* Input Area */}
+        <div className="bg-[#252525] border-t border-[#2A2A2A] p-6" role="form" aria-label="Send message to AI mentor">
           <div className="max-w-4xl mx-auto">
-            <p className="text-sm text-[#888888] mb-3">Suggested questions:</p>
-            <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
-              {suggestedQuestions.map((question, index) => (
+            <label className="flex items-center gap-2 text-sm text-[#888888] mb-3 cursor-pointer w-fit">
+              <input
+                type="checkbox"
+                checked={useWorkspace}
+                onChange={(e) => setUseWorkspace(e.target.checked)}
+                className="accent-[#0070F3]"
+              />
+              <FolderOpen className="w-4 h-4" aria-hidden="true" />
+              Use my workspace (projects, skills, concepts and resume)
+            </label>
+            <div className="flex gap-3">
+              <label htmlFor="message-input" className="sr-only">Message input</label>
+              <input
+                type="text"
+                id="message-input"
+                value={input}
+                onChange={(e) => setInput(e.target.value)}
+                onKeyPress={(e) => e.key === 'Enter' && handleSend()}
+                placeholder="Ask anything... concepts, code, career advice"
+                disabled={isTyping}
+                className="flex-1 bg-[#1E1E1E] text-[#E0E0E0] border border-[#2A2A2A] rounded-lg px-4 py-3 focus:outline-none focus:ring-2 focus:ring-[#0070F3] focus:border-[#0070F3] placeholder-[#666666] disabled:opacity-50"
+                aria-label="Type your message to the AI mentor"
+                aria-disabled={isTyping}
+              />
+              {isTyping ? (
                 <button
-                  key={index}
-                  onClick={() => setInput(question)}
-                  className="text-left text-sm text-[#E0E0E0] bg-[#252525] border border-[#2A2A2A] rounded-lg p-3 hover:border-[#0070F3] transition-colors focus:outline-none focus:ring-2 focus:ring-[#0070F3] focus:ring-offset-2 focus:ring-offset-[#1E1E1E]"
-                  aria-label={`Use suggested question: ${question}`}
+                  onClick={handleStop}
+                  className="btn btn-secondary btn-lg focus:outline-none focus:ring-2 focus:ring-[#0070F3] focus:ring-offset-2 focus:ring-offset-[#252525]"
+                  aria-label="Stop generating"
                 >
-                  {question}
+                  <Square className="w-5 h-5" aria-hidden="true" />
+                </button>
+              ) : (
+                <button
+                  onClick={handleSend}
+                  disabled={!input.trim()}
+                  className="btn btn-primary btn-lg focus:outline-none focus:ring-2 focus:ring-[#0070F3] focus:ring-offset-2 focus:ring-offset-[#252525]"
+                  aria-label="Send message"
+                  aria-disabled={!input.trim()}
+                >
+                  <Send className="w-5 h-5" aria-hidden="true" />
                 </button>
-              ))}
-            </div>
-          </div>
-        </div>
-      )}
-
-      {/* Input Area */}
-      <div className="bg-[#252525] border-t border-[#2A2A2A] p-6" role="form" aria-label="Send message to AI mentor">
-        <div className="max-w-4xl mx-auto">
-          <div className="flex gap-3">
-            <label htmlFor="message-input" className="sr-only">Message input</label>
-            <input
-              type="text"
-              id="message-input"
-              value={input}
-              onChange={(e) => setInput(e.target.value)}
-              onKeyPress={(e) => e.key === 'Enter' && handleSend()}
-              placeholder="Ask anything... concepts, code, career advice"
-              disabled={isTyping}
-              className="flex-1 bg-[#1E1E1E] text-[#E0E0E0] border border-[#2A2A2A] rounded-lg px-4 py-3 focus:outline-none focus:ring-2 focus:ring-[#0070F3] focus:border-[#0070F3] placeholder-[#666666] disabled:opacity-50"
-              aria-label="Type your message to the AI mentor"
-              aria-disabled={isTyping}
-            />
-            <button
-              onClick={handleSend}
-              disabled={!input.trim() || isTyping}
-              className="btn btn-primary btn-lg focus:outline-none focus:ring-2 focus:ring-[#0070F3] focus:ring-offset-2 focus:ring-offset-[#252525]"
-              aria-label="Send message"
-              aria-disabled={!input.trim() || isTyping}
-            >
-              <Send className="w-5 h-5" aria-hidden="true" />
-            </button>
-          </div>
-          {sendMessageMutation.isError && (
-            <div className="mt-2" role="alert" aria-live="assertive">
-              <p className="text-red-400 text-sm">
-                {sendMessageMutation.error?.response?.data?.error || 
-                 sendMessageMutation.error?.message || 
-                 'Failed to send message. Please try again.'}
-              </p>
-              {sendMessageMutation.error?.response?.status === 503 && (
-                <p className="text-yellow-400 text-xs mt-1">
-                  Tip: Make sure OPENAI_API_KEY is set in your server's .env file
-                </p>
-              )}
-              {(sendMessageMutation.error?.code === 'ECONNREFUSED' || 
-                sendMessageMutation.error?.message?.includes('Network Error') ||
-                sendMessageMutation.error?.message?.includes('Network error')) && (
-                <p className="text-yellow-400 text-xs mt-1">
-                  Tip: Make sure the server is running on port 5000
-                </p>
               )}
             </div>
-          )}
+            {sendMessageMutation.isError && (
+              <div className="mt-2" role="alert" aria-live="assertive">
+                <p className="text-red-400 text-sm">
+                  {sendMessageMutation.error?.response?.data?.error || 
+                   sendMessageMutation.error?.message || 
+                   'Failed to send message. Please try again.'}
+                </p>
+                {sendMessageMutation.error?.response?.status === 503 && (
+                  <p className="text-yellow-400 text-xs mt-1">
+                    Tip: Make sure OPENAI_API_KEY is set in your server's .env file, or set LLM_PROVIDER=fake to work offline
+                  </p>
+                )}
+                {(sendMessageMutation.error?.code === 'ECONNREFUSED' || 
+                  sendMessageMutation.error?.message?.includes('Network Error') ||
+                  sendMessageMutation.error?.message?.includes('Network error')) && (
+                  <p className="text-yellow-400 text-xs mt-1">
+                    Tip: Make sure the server is running on port 5000
+                  </p>
+                )}
+              </div>
+            )}
+          </div>
         </div>
       </div>
     </div>
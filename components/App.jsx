@@ -8,10 +8,14 @@ import { Dashboard } from './Dashboard';
 import { AIMentor } from './AIMentor';
 import { ProjectBuilder } from './ProjectBuilder';
 import { ConceptExplainer } from './ConceptExplainer';
+import { FlashcardReview } from './FlashcardReview';
 import { PracticeMode } from './PracticeMode';
+import { SystemDesign } from './SystemDesign';
+import { CodingPractice } from './CodingPractice';
 import { ResumePrep } from './ResumePrep';
 import { SkillTracker } from './SkillTracker';
 import { Settings } from './Settings';
+import { CommandPalette } from './CommandPalette';
 
 // These components must be used inside AuthProvider
 function PrivateRoute({ children }) {
@@ -32,6 +36,7 @@ function AppRoutesContent() {
     return saved !== null ? saved === 'true' : true;
   });
   const { isAuthenticated, isLoading } = useAuth();
+  const [searchOpen, setSearchOpen] = useState(false);
 
   // Apply dark class to root HTML element and persist to localStorage
   useEffect(() => {
@@ -63,7 +68,8 @@ function AppRoutesContent() {
         Skip to main content
       </a>
       <div className="flex min-h-screen bg-background text-foreground">
-        {isAuthenticated && <Sidebar darkMode={darkMode} />}
+        {isAuthenticated && <Sidebar darkMode={darkMode} onOpenSearch={() => setSearchOpen(true)} />}
+        {isAuthenticated && <CommandPalette open={searchOpen} onOpenChange={setSearchOpen} />}
         <main id="main-content" className={`${isAuthenticated ? 'flex-1' : 'w-full'} overflow-y-auto bg-background`}>
           <Routes>
             <Route
@@ -114,6 +120,14 @@ function AppRoutesContent() {
                 </PrivateRoute>
               }
             />
+            <Route
+              path="/explainer/review"
+              element={
+                <PrivateRoute>
+                  <FlashcardReview />
+                </PrivateRoute>
+              }
+            />
             <Route
               path="/practice"
               element={
@@ -122,6 +136,22 @@ function AppRoutesContent() {
                 </PrivateRoute>
               }
             />
+            <Route
+              path="/practice/coding"
+              element={
+                <PrivateRoute>
+                  <CodingPractice />
+                </PrivateRoute>
+              }
+            />
+            <Route
+              path="/design"
+              element={
+                <PrivateRoute>
+                  <SystemDesign />
+                </PrivateRoute>
+              }
+            />
             <Route
               path="/resume"
               element={
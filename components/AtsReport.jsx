@@ -0,0 +1,100 @@
+import { useQuery, useMutation } from '@tanstack/react-query';
+import { ScanLine, AlertCircle, AlertTriangle, Info, CheckCircle, Loader2 } from 'lucide-react';
+import { resumesAPI } from '../src/lib/api';
+
+const SEVERITY_STYLES = {
+  error: { icon: AlertCircle, color: 'text-[#D9534F]' },
+  warning: { icon: AlertTriangle, color: 'text-[#FFC107]' },
+  info: { icon: Info, color: 'text-[#888888]' },
+};
+
+const lineLabel = (finding) => {
+  if (!finding.line) return 'Whole resume';
+  if (finding.endLine && finding.endLine !== finding.line) return `Lines ${finding.line}-${finding.endLine}`;
+  return `Line ${finding.line}`;
+};
+
+// Rule-based ATS-compatibility findings for the saved resume, re-run on each new version.
+// Needs no API key. Unsaved edits in the editor can be checked on demand.
+export function AtsReport({ resume, resumeContent }) {
+  const { data: savedReport, isLoading } = useQuery({
+    queryKey: ['resume-ats', resume.id, resume.version],
+    queryFn: () => resumesAPI.atsCheck(resume.id),
+  });
+
+  const draftMutation = useMutation({
+    mutationFn: () => resumesAPI.atsCheck(resume.id, resumeContent),
+    onError: (error) => {
+      alert(error.response?.data?.error || 'Failed to check resume');
+    },
+  });
+
+  const hasUnsavedChanges = resumeContent !== (resume.content || '');
+  // A draft check only applies while the editor still differs from the saved version
+  const report = hasUnsavedChanges && draftMutation.data ? draftMutation.data : savedReport;
+
+  return (
+    <div className="bg-[#252525] rounded-lg p-6 border border-[#2A2A2A]">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-xl font-semibold text-[#E0E0E0] flex items-center gap-2">
+          <ScanLine className="w-5 h-5 text-[#0070F3]" />
+          ATS Check
+        </h2>
+        {hasUnsavedChanges && (
+          <button
+            onClick={() => draftMutation.mutate()}
+            disabled={draftMutation.isPending}
+            className="btn btn-secondary btn-sm"
+          >
+            {draftMutation.isPending && <Loader2 className="w-4 h-4 animate-spin" />}
+            Check Unsaved Changes
+          </button>
+        )}
+      </div>
+
+      {isLoading || !report ? (
+        <div className="text-center py-8">
+          <Loader2 className="w-6 h-6 text-[#888888] animate-spin mx-auto" />
+        </div>
+      ) : (
+        <>
+          <p className="text-sm text-[#888888] mb-4">
+            <span className="text-[#D9534F]">{report.summary.errors} errors</span>
+            {' · '}
+            <span className="text-[#FFC107]">{report.summary.warnings} warnings</span>
+            {' · '}
+            {report.summary.info} suggestions
+            {report === savedReport ? ` in version ${resume.version}` : ' in your unsaved changes'}
+          </p>
+
+          {report.findings.length === 0 ? (
+            <p className="text-sm text-[#28A745] flex items-center gap-2">
+              <CheckCircle className="w-4 h-4" />
+              No ATS problems found.
+            </p>
+          ) : (
+            <ul className="space-y-2 max-h-[400px] overflow-y-auto">
+              {report.findings.map((finding, index) => {
+                const { icon: Icon, color } = SEVERITY_STYLES[finding.severity];
+                return (
+                  <li key={index} className="bg-[#1E1E1E] rounded-lg p-3 border border-[#2A2A2A] flex gap-3">
+                    <Icon className={`w-4 h-4 mt-0.5 flex-shrink-0 ${color}`} aria-label={finding.severity} />
+                    <div className="min-w-0">
+                      <p className="text-xs text-[#888888]">{lineLabel(finding)}</p>
+                      <p className="text-sm text-[#E0E0E0]">{finding.message}</p>
+                      {finding.excerpt && (
+                        <p className="text-xs text-[#B0B0B0] font-mono mt-1 truncate" title={finding.excerpt}>
+                          {finding.excerpt}
+                        </p>
+                      )}
+                    </div>
+                  </li>
+                );
+              })}
+            </ul>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
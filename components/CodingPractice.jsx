@@ -0,0 +1,398 @@
+import { useState, useEffect } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { Link } from 'react-router-dom';
+import { ArrowLeft, Play, Send, RotateCcw, CheckCircle, XCircle, Clock, Code, EyeOff } from 'lucide-react';
+import { practiceAPI } from '../src/lib/api';
+import { runTests, TEST_TIME_LIMIT_MS } from '../src/lib/codeRunner';
+
+const DRAFT_KEY_PREFIX = 'codingDraft:';
+
+const difficultyColors = {
+  easy: 'text-[#28A745]',
+  medium: 'text-[#FFC107]',
+  hard: 'text-[#D9534F]',
+};
+
+const formatCall = (functionName, input) =>
+  `${functionName}(${input.map((arg) => JSON.stringify(arg)).join(', ')})`;
+
+// Statements mark identifiers with backticks
+function Statement({ text }) {
+  return (
+    <p className="text-[#E0E0E0] leading-relaxed">
+      {text.split(/(`[^`]+`)/).map((part, index) => (part.startsWith('`')
+        ? <code key={index} className="bg-[#1E1E1E] px-1 rounded text-[#0070F3]">{part.slice(1, -1)}</code>
+        : part))}
+    </p>
+  );
+}
+
+function TestResultRow({ test, result, index, functionName }) {
+  const name = test.hidden ? `Hidden test ${index + 1}` : `Test ${index + 1}`;
+  return (
+    <div
+      className={`p-3 rounded-lg border ${
+        result.passed
+          ? 'bg-[#28A745] bg-opacity-10 border-[#28A745] border-opacity-30'
+          : 'bg-[#D9534F] bg-opacity-10 border-[#D9534F] border-opacity-30'
+      }`}
+    >
+      <div className="flex items-center justify-between">
+        <p className={`text-sm font-medium flex items-center gap-2 ${result.passed ? 'text-[#28A745]' : 'text-[#D9534F]'}`}>
+          {result.passed ? <CheckCircle className="w-4 h-4" /> : <XCircle className="w-4 h-4" />}
+          {name}
+          {test.hidden && <EyeOff className="w-3 h-3 text-[#888888]" aria-label="Input hidden" />}
+        </p>
+        <span className="text-xs text-[#888888]">{result.durationMs} ms</span>
+      </div>
+      {!test.hidden && (
+        <div className="mt-2 text-xs font-mono space-y-1">
+          <p className="text-[#888888]">{formatCall(functionName, test.input)}</p>
+          <p className="text-[#888888]">Expected: <span className="text-[#E0E0E0]">{JSON.stringify(test.expected)}</span></p>
+          {!result.passed && !result.error && (
+            <p className="text-[#888888]">Got: <span className="text-[#E0E0E0]">{result.actual}</span></p>
+          )}
+        </div>
+      )}
+      {result.error && <p className="mt-2 text-xs font-mono text-[#D9534F]">{result.error}</p>}
+      {!test.hidden && result.logs?.length > 0 && (
+        <pre className="mt-2 text-xs text-[#888888] bg-[#1E1E1E] rounded p-2 overflow-x-auto">{result.logs.join('\n')}</pre>
+      )}
+    </div>
+  );
+}
+
+export function CodingPractice() {
+  const queryClient = useQueryClient();
+  const [selectedProblemId, setSelectedProblemId] = useState(null);
+  const [code, setCode] = useState('');
+  const [run, setRun] = useState(null);
+  const [isRunning, setIsRunning] = useState(false);
+  const [review, setReview] = useState(null);
+
+  const { data: problems = [], isLoading } = useQuery({
+    queryKey: ['coding-problems'],
+    queryFn: practiceAPI.getCodingProblems,
+  });
+
+  const { data: problem } = useQuery({
+    queryKey: ['coding-problem', selectedProblemId],
+    queryFn: () => practiceAPI.getCodingProblem(selectedProblemId),
+    enabled: !!selectedProblemId,
+  });
+
+  const { data: attempts = [] } = useQuery({
+    queryKey: ['coding-attempts', selectedProblemId],
+    queryFn: () => practiceAPI.getCodingAttempts(selectedProblemId),
+    enabled: !!selectedProblemId,
+  });
+
+  // Restore the saved draft, or the starter code, when a problem opens
+  useEffect(() => {
+    if (problem) {
+      setCode(localStorage.getItem(DRAFT_KEY_PREFIX + problem.id) ?? problem.starterCode);
+      setRun(null);
+      setReview(null);
+    }
+  }, [problem]);
+
+  const submitMutation = useMutation({
+    mutationFn: ({ problemId, code, results }) => practiceAPI.submitCodingAttempt(problemId, { code, results }),
+    onSuccess: ({ attempt }) => {
+      setReview(attempt.review);
+      queryClient.invalidateQueries({ queryKey: ['coding-problems'] });
+      queryClient.invalidateQueries({ queryKey: ['coding-attempts', attempt.problemId] });
+    },
+    onError: (error) => {
+      alert(error.response?.data?.error || 'Failed to submit your solution. Please try again.');
+    },
+  });
+
+  const updateCode = (value) => {
+    setCode(value);
+    localStorage.setItem(DRAFT_KEY_PREFIX + problem.id, value);
+  };
+
+  // Tab indents instead of leaving the editor
+  const handleEditorKeyDown = (event) => {
+    if (event.key !== 'Tab') return;
+    event.preventDefault();
+    const { selectionStart, selectionEnd } = event.target;
+    const next = `${code.slice(0, selectionStart)}  ${code.slice(selectionEnd)}`;
+    updateCode(next);
+    requestAnimationFrame(() => {
+      event.target.selectionStart = event.target.selectionEnd = selectionStart + 2;
+    });
+  };
+
+  const resetCode = () => {
+    if (window.confirm('Replace your code with the starter code?')) {
+      localStorage.removeItem(DRAFT_KEY_PREFIX + problem.id);
+      setCode(problem.starterCode);
+    }
+  };
+
+  // Run tests locally; visible tests only unless submitting
+  const executeTests = async ({ includeHidden }) => {
+    const tests = includeHidden ? problem.tests : problem.tests.filter((test) => !test.hidden);
+    setIsRunning(true);
+    setReview(null);
+    try {
+      const outcome = await runTests({ code, functionName: problem.functionName, tests });
+      setRun({ tests, ...outcome });
+      return outcome;
+    } finally {
+      setIsRunning(false);
+    }
+  };
+
+  const submitSolution = async () => {
+    const { compileError, results } = await executeTests({ includeHidden: true });
+    // Code that doesn't load fails every test
+    const reported = results.map((result) => (compileError || !result
+      ? { passed: false, timedOut: false, error: compileError || 'Not run' }
+      : { passed: result.passed, timedOut: result.timedOut, error: result.error, actual: result.actual, durationMs: result.durationMs }));
+    submitMutation.mutate({ problemId: problem.id, code, results: reported });
+  };
+
+  const loadAttempt = (attempt) => {
+    updateCode(attempt.code);
+    setRun(null);
+    setReview(attempt.review);
+  };
+
+  const passedCount = run?.results.filter((result) => result?.passed).length ?? 0;
+  const isBusy = isRunning || submitMutation.isPending;
+
+  return (
+    <div className="p-8 bg-[#1E1E1E] min-h-screen">
+      <div className="max-w-7xl mx-auto">
+        {/* Header */}
+        <div className="mb-8">
+          <Link to="/practice" className="text-sm text-[#888888] hover:text-[#E0E0E0] flex items-center gap-1 mb-3">
+            <ArrowLeft className="w-4 h-4" />
+            Interview Practice
+          </Link>
+          <h1 className="text-3xl font-semibold text-[#E0E0E0] mb-2">Coding Exercises</h1>
+          <p className="text-[#888888]">
+            Solve problems in JavaScript. Your code runs in a sandbox in your browser ({TEST_TIME_LIMIT_MS / 1000}s per test), then gets reviewed for complexity and style.
+          </p>
+        </div>
+
+        <div className="grid grid-cols-1 lg:grid-cols-4 gap-6">
+          {/* Problem list */}
+          <div className="bg-[#252525] rounded-lg p-4 border border-[#2A2A2A] h-fit">
+            <h2 className="text-lg font-semibold text-[#E0E0E0] mb-3">Problems</h2>
+            {isLoading ? (
+              <p className="text-sm text-[#888888]">Loading problems...</p>
+            ) : (
+              <div className="space-y-2">
+                {problems.map((item) => (
+                  <button
+                    key={item.id}
+                    onClick={() => setSelectedProblemId(item.id)}
+                    className={`w-full text-left p-3 rounded-lg border transition-colors ${
+                      item.id === selectedProblemId ? 'border-[#0070F3] bg-[#1E1E1E]' : 'border-[#2A2A2A] hover:border-[#0070F3]'
+                    }`}
+                    aria-pressed={item.id === selectedProblemId}
+                  >
+                    <div className="flex items-center justify-between">
+                      <span className="text-sm text-[#E0E0E0] font-medium">{item.title}</span>
+                      {item.stats.solved > 0 && <CheckCircle className="w-4 h-4 text-[#28A745]" aria-label="Solved" />}
+                    </div>
+                    <div className="flex items-center justify-between text-xs mt-1">
+                      <span>
+                        <span className={`capitalize ${difficultyColors[item.difficulty]}`}>{item.difficulty}</span>
+                        <span className="text-[#888888]"> · {item.topic}</span>
+                      </span>
+                      {item.stats.attempts > 0 && (
+                        <span className="text-[#888888]">{item.stats.passRate}% of {item.stats.attempts}</span>
+                      )}
+                    </div>
+                  </button>
+                ))}
+              </div>
+            )}
+          </div>
+
+          {/* Workspace */}
+          <div className="lg:col-span-3 space-y-6">
+            {!problem ? (
+              <div className="bg-[#252525] rounded-lg p-8 border border-[#2A2A2A] text-center text-[#888888]">
+                Pick a problem to start coding.
+              </div>
+            ) : (
+              <>
+                <div className="bg-[#252525] rounded-lg p-6 border border-[#2A2A2A]">
+                  <div className="flex items-center justify-between mb-3">
+                    <h2 className="text-xl font-semibold text-[#E0E0E0]">{problem.title}</h2>
+                    <span className={`text-sm capitalize ${difficultyColors[problem.difficulty]}`}>{problem.difficulty}</span>
+                  </div>
+                  <Statement text={problem.statement} />
+                  <div className="mt-4 space-y-2">
+                    {problem.tests.filter((test) => !test.hidden).map((test, index) => (
+                      <div key={index} className="bg-[#1E1E1E] rounded p-3 text-xs font-mono text-[#888888]">
+                        {formatCall(problem.functionName, test.input)} → <span className="text-[#E0E0E0]">{JSON.stringify(test.expected)}</span>
+                      </div>
+                    ))}
+                    <p className="text-xs text-[#888888]">
+                      Plus {problem.tests.filter((test) => test.hidden).length} hidden tests, run when you submit.
+                    </p>
+                  </div>
+                </div>
+
+                {/* Editor */}
+                <div className="bg-[#252525] rounded-lg p-6 border border-[#2A2A2A]">
+                  <div className="flex items-center justify-between mb-3">
+                    <label htmlFor="coding-editor" className="text-sm font-semibold text-[#E0E0E0] flex items-center gap-2">
+                      <Code className="w-4 h-4 text-[#0070F3]" />
+                      solution.js
+                    </label>
+                    <button onClick={resetCode} className="text-xs text-[#888888] hover:text-[#E0E0E0] flex items-center gap-1">
+                      <RotateCcw className="w-3 h-3" />
+                      Reset
+                    </button>
+                  </div>
+                  <textarea
+                    id="coding-editor"
+                    value={code}
+                    onChange={(e) => updateCode(e.target.value)}
+                    onKeyDown={handleEditorKeyDown}
+                    spellCheck={false}
+                    rows={16}
+                    className="w-full bg-[#1E1E1E] border border-[#2A2A2A] rounded-lg p-3 font-mono text-sm text-[#E0E0E0] focus:outline-none focus:border-[#0070F3]"
+                  />
+                  <div className="flex justify-end gap-3 mt-3">
+                    <button
+                      onClick={() => executeTests({ includeHidden: false })}
+                      disabled={isBusy}
+                      className="btn btn-secondary flex items-center gap-2 disabled:opacity-50"
+                    >
+                      <Play className="w-4 h-4" />
+                      {isRunning && !submitMutation.isPending ? 'Running...' : 'Run Tests'}
+                    </button>
+                    <button
+                      onClick={submitSolution}
+                      disabled={isBusy}
+                      className="btn btn-primary flex items-center gap-2 disabled:opacity-50"
+                    >
+                      <Send className="w-4 h-4" />
+                      {submitMutation.isPending ? 'Reviewing...' : 'Submit'}
+                    </button>
+                  </div>
+                </div>
+
+                {/* Test results */}
+                {run && (
+                  <div className="bg-[#252525] rounded-lg p-6 border border-[#2A2A2A]">
+                    <div className="flex items-center justify-between mb-3">
+                      <h3 className="text-lg font-semibold text-[#E0E0E0]">Test Results</h3>
+                      {!run.compileError && (
+                        <span className={`text-sm font-semibold ${passedCount === run.tests.length ? 'text-[#28A745]' : 'text-[#FFC107]'}`}>
+                          {passedCount}/{run.tests.length} passed
+                        </span>
+                      )}
+                    </div>
+                    {run.compileError ? (
+                      <p className="text-sm font-mono text-[#D9534F]">{run.compileError}</p>
+                    ) : (
+                      <div className="space-y-2">
+                        {run.tests.map((test, index) => run.results[index] && (
+                          <TestResultRow
+                            key={index}
+                            test={test}
+                            result={run.results[index]}
+                            index={index}
+                            functionName={problem.functionName}
+                          />
+                        ))}
+                      </div>
+                    )}
+                  </div>
+                )}
+
+                {/* Review */}
+                {review && (
+                  <div className="bg-[#252525] rounded-lg p-6 border border-[#0070F3] border-opacity-30 space-y-4">
+                    <div className="flex items-center justify-between">
+                      <h3 className="text-lg font-semibold text-[#E0E0E0]">Code Review</h3>
+                      <span className="text-2xl font-bold text-[#0070F3]">{review.score}%</span>
+                    </div>
+                    <div className="grid grid-cols-2 gap-4">
+                      <div className="bg-[#1E1E1E] rounded-lg p-3">
+                        <p className="text-xs text-[#888888]">Time</p>
+                        <p className="text-lg font-mono text-[#E0E0E0]">{review.timeComplexity || '—'}</p>
+                      </div>
+                      <div className="bg-[#1E1E1E] rounded-lg p-3">
+                        <p className="text-xs text-[#888888]">Space</p>
+                        <p className="text-lg font-mono text-[#E0E0E0]">{review.spaceComplexity || '—'}</p>
+                      </div>
+                    </div>
+                    {review.complexityFeedback && (
+                      <div>
+                        <p className="text-xs font-semibold text-[#888888] mb-1">Complexity</p>
+                        <p className="text-sm text-[#E0E0E0]">{review.complexityFeedback}</p>
+                      </div>
+                    )}
+                    {review.styleFeedback && (
+                      <div>
+                        <p className="text-xs font-semibold text-[#888888] mb-1">Style</p>
+                        <p className="text-sm text-[#E0E0E0]">{review.styleFeedback}</p>
+                      </div>
+                    )}
+                    {review.feedback && <p className="text-sm text-[#E0E0E0]">{review.feedback}</p>}
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                      {review.strengths.length > 0 && (
+                        <div>
+                          <p className="text-xs font-semibold text-[#28A745] mb-1">Strengths</p>
+                          <ul className="text-sm text-[#E0E0E0] space-y-1">
+                            {review.strengths.map((strength, idx) => <li key={idx}>• {strength}</li>)}
+                          </ul>
+                        </div>
+                      )}
+                      {review.improvements.length > 0 && (
+                        <div>
+                          <p className="text-xs font-semibold text-[#FFC107] mb-1">Improvements</p>
+                          <ul className="text-sm text-[#E0E0E0] space-y-1">
+                            {review.improvements.map((improvement, idx) => <li key={idx}>• {improvement}</li>)}
+                          </ul>
+                        </div>
+                      )}
+                    </div>
+                  </div>
+                )}
+
+                {/* Past attempts */}
+                {attempts.length > 0 && (
+                  <div className="bg-[#252525] rounded-lg p-6 border border-[#2A2A2A]">
+                    <h3 className="text-lg font-semibold text-[#E0E0E0] mb-3">Your Attempts</h3>
+                    <div className="space-y-2">
+                      {attempts.map((attempt) => (
+                        <button
+                          key={attempt.id}
+                          onClick={() => loadAttempt(attempt)}
+                          className="w-full flex items-center justify-between bg-[#1E1E1E] rounded-lg p-3 border border-[#2A2A2A] hover:border-[#0070F3] text-left"
+                        >
+                          <span className="text-xs text-[#888888] flex items-center gap-1">
+                            <Clock className="w-3 h-3" />
+                            {new Date(attempt.createdAt).toLocaleString()}
+                          </span>
+                          <span className="flex items-center gap-4 text-sm">
+                            <span className={attempt.allPassed ? 'text-[#28A745]' : 'text-[#D9534F]'}>
+                              {attempt.passed}/{attempt.total} tests
+                            </span>
+                            {attempt.review && <span className="text-[#0070F3]">{attempt.review.score}%</span>}
+                          </span>
+                        </button>
+                      ))}
+                    </div>
+                  </div>
+                )}
+              </>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
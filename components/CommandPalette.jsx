@@ -0,0 +1,230 @@
+import { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useQuery, keepPreviousData } from '@tanstack/react-query';
+import {
+  BookOpen,
+  MessageSquare,
+  Folder,
+  CheckSquare,
+  LayoutDashboard,
+  Mic,
+  Network,
+  FileText,
+  BarChart3,
+  Settings,
+  Layers,
+  Sparkles,
+  Search,
+} from 'lucide-react';
+import { Dialog, DialogContent, DialogTitle, DialogDescription } from './ui/dialog';
+import { Command, CommandInput, CommandList, CommandGroup, CommandItem } from './ui/command';
+import { searchAPI } from '../src/lib/api';
+
+const MIN_QUERY_LENGTH = 2;
+
+// Semantic queries cost an embedding call, so wait a little longer before sending them
+const DEBOUNCE_MS = { text: 200, semantic: 500 };
+
+const PAGES = [
+  { path: '/home', icon: LayoutDashboard, label: 'Dashboard' },
+  { path: '/mentor', icon: MessageSquare, label: 'AI Mentor' },
+  { path: '/projects', icon: Folder, label: 'Projects' },
+  { path: '/explainer', icon: BookOpen, label: 'Learn' },
+  { path: '/explainer/review', icon: Layers, label: 'Review flashcards' },
+  { path: '/practice', icon: Mic, label: 'Practice' },
+  { path: '/design', icon: Network, label: 'System Design' },
+  { path: '/resume', icon: FileText, label: 'Resume' },
+  { path: '/skills', icon: BarChart3, label: 'Skills' },
+  { path: '/settings', icon: Settings, label: 'Settings' },
+];
+
+const RESULT_GROUPS = [
+  { type: 'concept', heading: 'Concepts', icon: BookOpen },
+  { type: 'message', heading: 'Mentor chats', icon: MessageSquare },
+  { type: 'project', heading: 'Projects', icon: Folder },
+  { type: 'milestone', heading: 'Milestones', icon: CheckSquare },
+];
+
+// Where each result opens; the pages read these query params to select the item
+const resultPath = (result) => {
+  switch (result.type) {
+    case 'concept':
+      return `/explainer?concept=${result.id}`;
+    case 'message':
+      return `/mentor?conversation=${result.parentId}`;
+    case 'project':
+      return `/projects?project=${result.id}`;
+    default:
+      return `/projects?project=${result.parentId}`;
+  }
+};
+
+const resultSubtitle = (result) => {
+  if (result.type === 'message') return result.context === 'mentor' ? 'Mentor reply' : 'You asked';
+  if (result.type === 'milestone') return `Milestone in ${result.context}`;
+  return result.context;
+};
+
+function Snippet({ segments }) {
+  return (
+    <p className="text-xs text-[#888888] line-clamp-2">
+      {segments.map((segment, i) => (segment.highlight
+        ? <mark key={i} className="bg-transparent text-[#0070F3] font-medium">{segment.text}</mark>
+        : <span key={i}>{segment.text}</span>))}
+    </p>
+  );
+}
+
+const useDebounced = (value, delay) => {
+  const [debounced, setDebounced] = useState(value);
+  useEffect(() => {
+    const timer = setTimeout(() => setDebounced(value), delay);
+    return () => clearTimeout(timer);
+  }, [value, delay]);
+  return debounced;
+};
+
+// Global search and navigation, opened with Ctrl/Cmd+K from anywhere in the app
+export function CommandPalette({ open, onOpenChange }) {
+  const navigate = useNavigate();
+  const [query, setQuery] = useState('');
+  const [mode, setMode] = useState('text');
+  const debouncedQuery = useDebounced(query.trim(), DEBOUNCE_MS[mode]);
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if ((e.metaKey || e.ctrlKey) && e.key.toLowerCase() === 'k') {
+        e.preventDefault();
+        onOpenChange(!open);
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [open, onOpenChange]);
+
+  const searching = debouncedQuery.length >= MIN_QUERY_LENGTH;
+  const { data: results = [], isFetching, error } = useQuery({
+    queryKey: ['search', mode, debouncedQuery],
+    queryFn: () => searchAPI.search(debouncedQuery, { mode }),
+    enabled: open && searching,
+    staleTime: 30 * 1000,
+    // Keep showing the last results while the next keystroke's search runs
+    placeholderData: keepPreviousData,
+  });
+
+  const pages = PAGES.filter((page) => page.label.toLowerCase().includes(query.trim().toLowerCase()));
+  const visibleResults = searching && !error ? results : [];
+
+  const go = (path) => {
+    onOpenChange(false);
+    setQuery('');
+    navigate(path);
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="bg-[#252525] border-[#2A2A2A] text-[#E0E0E0] p-0 gap-0 overflow-hidden sm:max-w-2xl top-[15%] translate-y-0">
+        <DialogTitle className="sr-only">Search</DialogTitle>
+        <DialogDescription className="sr-only">
+          Search your concepts, mentor chats and projects, or jump to a page
+        </DialogDescription>
+        <Command shouldFilter={false} className="bg-[#252525] text-[#E0E0E0]">
+          <CommandInput
+            value={query}
+            onValueChange={setQuery}
+            placeholder={mode === 'semantic' ? 'Describe what you are looking for...' : 'Search concepts, chats and projects...'}
+            className="text-[#E0E0E0] placeholder:text-[#666666] outline-none"
+          />
+          <CommandList className="max-h-[420px] border-t border-[#2A2A2A]">
+            {searching && !isFetching && !error && visibleResults.length === 0 && pages.length === 0 && (
+              <p className="py-6 text-center text-sm text-[#888888]">
+                No matches.
+                {mode === 'text' && ' Try semantic search to match by meaning.'}
+              </p>
+            )}
+            {error && (
+              <p className="py-6 px-4 text-center text-sm text-[#D9534F]">
+                {error.response?.data?.error || 'Search failed'}
+              </p>
+            )}
+
+            {RESULT_GROUPS.map(({ type, heading, icon: Icon }) => {
+              const items = visibleResults.filter((result) => result.type === type);
+              if (items.length === 0) return null;
+              return (
+                <CommandGroup
+                  key={type}
+                  heading={heading}
+                  className="p-1 [&_[cmdk-group-heading]]:px-2 [&_[cmdk-group-heading]]:py-1.5 [&_[cmdk-group-heading]]:text-xs [&_[cmdk-group-heading]]:text-[#888888]"
+                >
+                  {items.map((result) => (
+                    <CommandItem
+                      key={`${result.type}-${result.id}`}
+                      value={`${result.type}-${result.id}`}
+                      onSelect={() => go(resultPath(result))}
+                      className="items-start gap-3 px-3 py-2 rounded-lg cursor-pointer data-[selected=true]:bg-[#2A2A2A]"
+                    >
+                      <Icon className="w-4 h-4 mt-0.5 text-[#888888] flex-shrink-0" />
+                      <div className="min-w-0">
+                        <p className="text-sm text-[#E0E0E0] truncate">
+                          {result.title}
+                          {result.context && (
+                            <span className="text-xs text-[#666666] ml-2">{resultSubtitle(result)}</span>
+                          )}
+                        </p>
+                        {result.snippet.length > 0 && <Snippet segments={result.snippet} />}
+                      </div>
+                    </CommandItem>
+                  ))}
+                </CommandGroup>
+              );
+            })}
+
+            {pages.length > 0 && (
+              <CommandGroup
+                heading="Go to"
+                className="p-1 [&_[cmdk-group-heading]]:px-2 [&_[cmdk-group-heading]]:py-1.5 [&_[cmdk-group-heading]]:text-xs [&_[cmdk-group-heading]]:text-[#888888]"
+              >
+                {pages.map((page) => (
+                  <CommandItem
+                    key={page.path}
+                    value={`page-${page.path}`}
+                    onSelect={() => go(page.path)}
+                    className="gap-3 px-3 py-2 rounded-lg cursor-pointer text-[#B0B0B0] data-[selected=true]:bg-[#2A2A2A]"
+                  >
+                    <page.icon className="w-4 h-4 text-[#888888]" />
+                    {page.label}
+                  </CommandItem>
+                ))}
+              </CommandGroup>
+            )}
+          </CommandList>
+        </Command>
+
+        <div className="flex items-center justify-between px-4 py-2 border-t border-[#2A2A2A] text-xs text-[#888888]">
+          <div className="flex items-center gap-1" role="group" aria-label="Search mode">
+            <button
+              onClick={() => setMode('text')}
+              aria-pressed={mode === 'text'}
+              className={`flex items-center gap-1 px-2 py-1 rounded ${mode === 'text' ? 'bg-[#2A2A2A] text-[#E0E0E0]' : 'hover:text-[#E0E0E0]'}`}
+            >
+              <Search className="w-3 h-3" />
+              Keywords
+            </button>
+            <button
+              onClick={() => setMode('semantic')}
+              aria-pressed={mode === 'semantic'}
+              className={`flex items-center gap-1 px-2 py-1 rounded ${mode === 'semantic' ? 'bg-[#2A2A2A] text-[#E0E0E0]' : 'hover:text-[#E0E0E0]'}`}
+            >
+              <Sparkles className="w-3 h-3" />
+              Meaning
+            </button>
+          </div>
+          <span>
+            {isFetching ? 'Searching...' : '↑↓ to move · Enter to open · Esc to close'}
+          </span>
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -1,8 +1,10 @@
 import { useState, useEffect } from 'react';
-import { Code, Database, Globe, Layers, Lock, Zap, BookOpen, Plus, Trash2, Sparkles, X } from 'lucide-react';
-import { useNavigate } from 'react-router-dom';
+import { Code, Database, Globe, Layers, Lock, Zap, BookOpen, Plus, Trash2, Sparkles, X, RefreshCw, Network } from 'lucide-react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
-import { conceptsAPI } from '../src/lib/api';
+import { conceptsAPI, flashcardsAPI } from '../src/lib/api';
+import { ConceptQuiz } from './ConceptQuiz';
+import { ConceptGraph } from './ConceptGraph';
 
 // Icon mapping for categories
 const categoryIcons = {
@@ -21,6 +23,7 @@ const getIconForCategory = (category) => {
 
 export function ConceptExplainer() {
   const navigate = useNavigate();
+  const [searchParams, setSearchParams] = useSearchParams();
   const queryClient = useQueryClient();
   const [copiedCode, setCopiedCode] = useState(false);
   const [searchQuery, setSearchQuery] = useState('');
@@ -28,6 +31,7 @@ export function ConceptExplainer() {
   const [generateTopic, setGenerateTopic] = useState('');
   const [generateCategory, setGenerateCategory] = useState('');
   const [isGenerating, setIsGenerating] = useState(false);
+  const [showGraph, setShowGraph] = useState(false);
 
   // Fetch concepts
   const { data: conceptsData, isLoading, error } = useQuery({
@@ -45,11 +49,37 @@ export function ConceptExplainer() {
     }
   }, [concepts, selectedConcept]);
 
+  // Open the concept linked as ?concept=ID (search results), then drop the param so it
+  // does not pin the selection
+  const linkedConceptId = parseInt(searchParams.get('concept'));
+  useEffect(() => {
+    const linked = concepts.find((c) => c.id === linkedConceptId);
+    if (!linked) return;
+    setSelectedConcept(linked);
+    setShowGraph(false);
+    setSearchParams({}, { replace: true });
+  }, [linkedConceptId, concepts, setSearchParams]);
+
+  // Knowledge graph built from every concept's related concepts
+  const { data: graph = { nodes: [], edges: [] } } = useQuery({
+    queryKey: ['concept-graph'],
+    queryFn: () => conceptsAPI.getGraph(),
+  });
+
+  // Opening a concept marks it as explored, which changes the graph's suggestions
+  useEffect(() => {
+    if (!selectedConcept) return;
+    conceptsAPI.markViewed(selectedConcept.id)
+      .then(() => queryClient.invalidateQueries({ queryKey: ['concept-graph'] }))
+      .catch(() => {});
+  }, [selectedConcept?.id, queryClient]);
+
   // Delete mutation
   const deleteMutation = useMutation({
     mutationFn: (id) => conceptsAPI.delete(id),
     onSuccess: () => {
       queryClient.invalidateQueries(['concepts']);
+      queryClient.invalidateQueries({ queryKey: ['concept-graph'] });
       // If deleted concept was selected, select first available
       if (selectedConcept && concepts.length > 1) {
         const remaining = concepts.filter(c => c.id !== selectedConcept.id);
@@ -65,17 +95,74 @@ export function ConceptExplainer() {
     mutationFn: ({ topic, category }) => conceptsAPI.generate(topic, category),
     onSuccess: (newConcept) => {
       queryClient.invalidateQueries(['concepts']);
+      queryClient.invalidateQueries({ queryKey: ['concept-graph'] });
       setSelectedConcept(newConcept);
+      setShowGraph(false);
       setShowGenerateDialog(false);
       setGenerateTopic('');
       setGenerateCategory('');
       setIsGenerating(false);
     },
-    onError: () => {
+    onError: (error) => {
       setIsGenerating(false);
+      if (!showGenerateDialog) {
+        alert(error.response?.data?.error || 'Failed to generate concept');
+      }
+    },
+  });
+
+  const graphNode = graph.nodes.find((node) => node.conceptId === selectedConcept?.id);
+  const generatingTitle = generateMutation.isPending ? generateMutation.variables?.topic : null;
+
+  const openConcept = (conceptId) => {
+    const concept = concepts.find((c) => c.id === conceptId);
+    if (concept) {
+      setSelectedConcept(concept);
+      setShowGraph(false);
+    }
+  };
+
+  // Related concepts that don't exist yet can be generated in one click
+  const generateRelated = (title, category) => {
+    if (generateMutation.isPending) return;
+    if (!window.confirm(`Generate a concept for "${title}"?`)) return;
+    setIsGenerating(true);
+    generateMutation.mutate({ topic: title, category });
+  };
+
+  // Flashcards for the selected concept, and how many cards are due across all concepts
+  const { data: conceptCards = [] } = useQuery({
+    queryKey: ['flashcards', selectedConcept?.id],
+    queryFn: () => flashcardsAPI.getAll(selectedConcept.id),
+    enabled: !!selectedConcept,
+  });
+
+  const { data: dueData } = useQuery({
+    queryKey: ['flashcards-due', 'count'],
+    queryFn: () => flashcardsAPI.getDue(1),
+  });
+  const dueCount = dueData?.dueCount || 0;
+
+  const flashcardsMutation = useMutation({
+    mutationFn: ({ conceptId, replace }) => flashcardsAPI.generate(conceptId, { replace }),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['flashcards'] });
+      queryClient.invalidateQueries({ queryKey: ['flashcards-due'] });
+      queryClient.invalidateQueries({ queryKey: ['dashboard-stats'] });
+    },
+    onError: (error) => {
+      alert(error.response?.data?.error || 'Failed to generate flashcards');
     },
   });
 
+  const handleMakeFlashcards = () => {
+    const replace = conceptCards.length > 0;
+    if (replace && !window.confirm('Regenerating replaces these cards and resets their review history. Continue?')) {
+      return;
+    }
+    flashcardsMutation.mutate({ conceptId: selectedConcept.id, replace });
+  };
+
   const filteredConcepts = concepts.filter(
     (concept) =>
       concept.title.toLowerCase().includes(searchQuery.toLowerCase()) ||
@@ -153,6 +240,25 @@ export function ConceptExplainer() {
               <Plus className="w-5 h-5" />
             </button>
           </div>
+          <button
+            onClick={() => setShowGraph(!showGraph)}
+            className={`w-full flex items-center gap-2 mb-2 text-sm ${showGraph ? 'text-[#0070F3]' : 'text-[#888888] hover:text-[#E0E0E0]'}`}
+          >
+            <Network className="w-4 h-4" />
+            Knowledge graph
+          </button>
+          <Link
+            to="/explainer/review"
+            className="flex items-center justify-between mb-3 text-sm text-[#888888] hover:text-[#E0E0E0]"
+          >
+            <span className="flex items-center gap-2">
+              <Layers className="w-4 h-4" />
+              Flashcard review
+            </span>
+            <span className={`px-2 py-0.5 rounded text-xs ${dueCount > 0 ? 'bg-[#FFC107] text-[#171717]' : 'bg-[#2A2A2A]'}`}>
+              {dueCount} due
+            </span>
+          </Link>
           <input
             type="text"
             placeholder="Search concepts..."
@@ -188,7 +294,10 @@ export function ConceptExplainer() {
                   }`}
                 >
                   <button
-                    onClick={() => setSelectedConcept(concept)}
+                    onClick={() => {
+                      setSelectedConcept(concept);
+                      setShowGraph(false);
+                    }}
                     className="w-full text-left p-4 pr-10"
                   >
                     <div className="flex items-center gap-3 mb-2">
@@ -219,7 +328,23 @@ export function ConceptExplainer() {
 
       {/* Main Content - Concept Details */}
       <div className="flex-1 overflow-y-auto">
-        {selectedConcept ? (
+        {showGraph ? (
+          <div className="p-8">
+            <div className="mb-6">
+              <h1 className="text-3xl font-semibold text-[#E0E0E0] mb-2">Knowledge Graph</h1>
+              <p className="text-[#888888]">
+                How your concepts connect. Click a concept to open it, or a dashed one to generate it.
+              </p>
+            </div>
+            <ConceptGraph
+              graph={graph}
+              selectedConceptId={selectedConcept?.id}
+              onOpenConcept={openConcept}
+              onGenerateMissing={(node) => generateRelated(node.title, node.category)}
+              generatingTitle={generatingTitle}
+            />
+          </div>
+        ) : selectedConcept ? (
           <div className="max-w-4xl mx-auto p-8">
             {/* Header */}
             <div className="mb-8">
@@ -234,6 +359,23 @@ export function ConceptExplainer() {
                   <h1 className="text-3xl font-semibold text-[#E0E0E0]">{selectedConcept.title}</h1>
                   <p className="text-[#888888]">{selectedConcept.category}</p>
                 </div>
+                <div className="flex items-center gap-3">
+                  {conceptCards.length > 0 && (
+                    <span className="text-sm text-[#888888]">
+                      {conceptCards.length} card{conceptCards.length === 1 ? '' : 's'}
+                    </span>
+                  )}
+                  <button
+                    onClick={handleMakeFlashcards}
+                    disabled={flashcardsMutation.isPending}
+                    className="btn btn-secondary btn-sm"
+                  >
+                    {conceptCards.length > 0 ? <RefreshCw className="w-4 h-4" /> : <Layers className="w-4 h-4" />}
+                    {flashcardsMutation.isPending
+                      ? 'Generating...'
+                      : conceptCards.length > 0 ? 'Regenerate flashcards' : 'Make flashcards'}
+                  </button>
+                </div>
               </div>
               <p className="text-lg text-[#B0B0B0]">{selectedConcept.description}</p>
             </div>
@@ -336,25 +478,50 @@ export function ConceptExplainer() {
                   Related Concepts
                 </h2>
                 <div className="flex flex-wrap gap-3">
-                  {selectedConcept.relatedConcepts.map((related, index) => (
-                    <button
-                      key={index}
-                      onClick={() => {
-                        setSearchQuery(related);
-                        const found = concepts.find(c => 
-                          c.title.toLowerCase().includes(related.toLowerCase())
-                        );
-                        if (found) setSelectedConcept(found);
-                      }}
-                      className="px-4 py-2 bg-[#1E1E1E] text-[#E0E0E0] rounded-lg border border-[#2A2A2A] hover:border-[#0070F3] transition-colors text-sm"
-                    >
-                      {related}
-                    </button>
-                  ))}
+                  {selectedConcept.relatedConcepts.map((related, index) => {
+                    // The graph resolves each name to a concept, or to a missing node that can be generated
+                    const nodeId = graphNode?.related.find((r) => r.name === related)?.nodeId;
+                    const target = graph.nodes.find((node) => node.id === nodeId);
+                    if (target?.missing) {
+                      return (
+                        <button
+                          key={index}
+                          onClick={() => generateRelated(related, selectedConcept.category)}
+                          disabled={generateMutation.isPending}
+                          className="px-4 py-2 bg-[#1E1E1E] text-[#888888] rounded-lg border border-dashed border-[#444444] hover:border-[#0070F3] hover:text-[#E0E0E0] transition-colors text-sm flex items-center gap-1 disabled:opacity-50"
+                          title="Not generated yet: click to generate"
+                        >
+                          <Plus className="w-4 h-4" />
+                          {generatingTitle === related ? 'Generating...' : related}
+                        </button>
+                      );
+                    }
+                    return (
+                      <button
+                        key={index}
+                        onClick={() => {
+                          if (target) {
+                            openConcept(target.conceptId);
+                          } else {
+                            setSearchQuery(related);
+                          }
+                        }}
+                        className="px-4 py-2 bg-[#1E1E1E] text-[#E0E0E0] rounded-lg border border-[#2A2A2A] hover:border-[#0070F3] transition-colors text-sm"
+                      >
+                        {related}
+                        {target && target.title !== related && (
+                          <span className="text-[#888888]"> → {target.title}</span>
+                        )}
+                      </button>
+                    );
+                  })}
                 </div>
               </div>
             )}
 
+            {/* Quiz */}
+            <ConceptQuiz key={selectedConcept.id} concept={selectedConcept} />
+
             {/* Ask Mentor */}
             <div className="mt-8 bg-[#252525] rounded-lg p-6 border border-[#FFC107] border-opacity-30">
               <p className="text-[#E0E0E0] mb-3">Still confused about this concept?</p>
@@ -0,0 +1,181 @@
+import { useMemo, useState } from 'react';
+import { Network, Plus, Compass } from 'lucide-react';
+import { layoutGraph } from '../src/lib/graphLayout';
+
+const WIDTH = 800;
+const HEIGHT = 560;
+const NODE_RADIUS = 14;
+
+const nodeStyle = (node, isSelected) => {
+  if (node.missing) return { fill: '#1E1E1E', stroke: '#666666', dash: '4 3' };
+  if (isSelected) return { fill: '#0070F3', stroke: '#E0E0E0' };
+  if (node.explored) return { fill: '#0070F3', stroke: '#0070F3' };
+  return { fill: '#2A2A2A', stroke: '#888888' };
+};
+
+const truncateLabel = (title) => (title.length > 22 ? `${title.slice(0, 21)}…` : title);
+
+function Legend() {
+  const items = [
+    { label: 'Read', circle: <circle cx="8" cy="8" r="6" fill="#0070F3" /> },
+    { label: 'Not read yet', circle: <circle cx="8" cy="8" r="6" fill="#2A2A2A" stroke="#888888" /> },
+    { label: 'Suggested next', circle: <circle cx="8" cy="8" r="6" fill="#2A2A2A" stroke="#FFC107" strokeWidth="2" /> },
+    { label: 'Not generated', circle: <circle cx="8" cy="8" r="6" fill="#1E1E1E" stroke="#666666" strokeDasharray="3 2" /> },
+  ];
+  return (
+    <div className="flex flex-wrap gap-4 text-xs text-[#888888]">
+      {items.map((item) => (
+        <span key={item.label} className="flex items-center gap-1">
+          <svg width="16" height="16" aria-hidden="true">{item.circle}</svg>
+          {item.label}
+        </span>
+      ))}
+    </div>
+  );
+}
+
+// Interactive knowledge graph: click a concept to open it, click a missing one to generate it
+export function ConceptGraph({ graph, selectedConceptId, onOpenConcept, onGenerateMissing, generatingTitle }) {
+  const [hoveredId, setHoveredId] = useState(null);
+  const { nodes, edges } = graph;
+
+  const positions = useMemo(
+    () => layoutGraph(nodes, edges, { width: WIDTH, height: HEIGHT }),
+    [nodes, edges]
+  );
+
+  // Hovering a node highlights it and its neighbours
+  const highlighted = useMemo(() => {
+    if (!hoveredId) return null;
+    const ids = new Set([hoveredId]);
+    edges.forEach(({ source, target }) => {
+      if (source === hoveredId) ids.add(target);
+      if (target === hoveredId) ids.add(source);
+    });
+    return ids;
+  }, [hoveredId, edges]);
+
+  const suggestions = nodes.filter((node) => node.suggested);
+
+  const handleClick = (node) => {
+    if (node.missing) {
+      onGenerateMissing(node);
+    } else {
+      onOpenConcept(node.conceptId);
+    }
+  };
+
+  if (nodes.length === 0) {
+    return (
+      <div className="text-center py-16">
+        <Network className="w-12 h-12 text-[#666666] mx-auto mb-4" />
+        <p className="text-[#888888]">Generate a few concepts to see how they connect.</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="grid grid-cols-1 xl:grid-cols-4 gap-6">
+      <div className="xl:col-span-3 bg-[#252525] rounded-lg border border-[#2A2A2A] p-4">
+        <svg
+          viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+          className="w-full h-auto bg-[#1E1E1E] rounded-lg"
+          role="img"
+          aria-label="Concept knowledge graph"
+        >
+          {edges.map(({ source, target }) => {
+            const a = positions.get(source);
+            const b = positions.get(target);
+            const active = !highlighted || (highlighted.has(source) && highlighted.has(target));
+            return (
+              <line
+                key={`${source}|${target}`}
+                x1={a.x}
+                y1={a.y}
+                x2={b.x}
+                y2={b.y}
+                stroke={active ? '#444444' : '#2A2A2A'}
+                strokeWidth={active && highlighted ? 2 : 1}
+              />
+            );
+          })}
+          {nodes.map((node) => {
+            const { x, y } = positions.get(node.id);
+            const style = nodeStyle(node, node.conceptId === selectedConceptId);
+            const dimmed = highlighted && !highlighted.has(node.id);
+            return (
+              <g
+                key={node.id}
+                transform={`translate(${x}, ${y})`}
+                className="cursor-pointer"
+                opacity={dimmed ? 0.3 : 1}
+                onClick={() => handleClick(node)}
+                onMouseEnter={() => setHoveredId(node.id)}
+                onMouseLeave={() => setHoveredId(null)}
+              >
+                <title>
+                  {node.missing ? `${node.title} (click to generate)` : `${node.title} · ${node.category}`}
+                </title>
+                {node.suggested && (
+                  <circle r={NODE_RADIUS + 5} fill="none" stroke="#FFC107" strokeWidth="2" opacity="0.8" />
+                )}
+                <circle
+                  r={NODE_RADIUS}
+                  fill={style.fill}
+                  stroke={style.stroke}
+                  strokeWidth="2"
+                  strokeDasharray={style.dash}
+                />
+                {node.missing && (
+                  <text textAnchor="middle" dy="5" fontSize="16" fill="#888888">+</text>
+                )}
+                <text
+                  textAnchor="middle"
+                  y={NODE_RADIUS + 16}
+                  fontSize="12"
+                  fill={node.missing ? '#888888' : '#E0E0E0'}
+                >
+                  {generatingTitle === node.title ? 'Generating...' : truncateLabel(node.title)}
+                </text>
+              </g>
+            );
+          })}
+        </svg>
+        <div className="mt-3">
+          <Legend />
+        </div>
+      </div>
+
+      <div className="bg-[#252525] rounded-lg border border-[#2A2A2A] p-4 h-fit">
+        <h2 className="text-lg font-semibold text-[#E0E0E0] mb-3 flex items-center gap-2">
+          <Compass className="w-5 h-5 text-[#FFC107]" />
+          Suggested next reads
+        </h2>
+        {suggestions.length === 0 ? (
+          <p className="text-sm text-[#888888]">
+            Open a concept to get suggestions for what to read next.
+          </p>
+        ) : (
+          <div className="space-y-2">
+            {suggestions.map((node) => (
+              <button
+                key={node.id}
+                onClick={() => handleClick(node)}
+                disabled={node.missing && !!generatingTitle}
+                className="w-full text-left p-3 rounded-lg bg-[#1E1E1E] border border-[#2A2A2A] hover:border-[#FFC107] transition-colors disabled:opacity-50"
+              >
+                <span className="text-sm text-[#E0E0E0] flex items-center gap-2">
+                  {node.missing && <Plus className="w-4 h-4 text-[#888888]" />}
+                  {node.title}
+                </span>
+                <span className="text-xs text-[#888888]">
+                  {node.missing ? 'Not generated yet' : node.category}
+                </span>
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,229 @@
+import { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { ClipboardCheck, CheckCircle, XCircle, RefreshCw, Sparkles } from 'lucide-react';
+import { quizzesAPI } from '../src/lib/api';
+
+const scoreColor = (score) => {
+  if (score >= 70) return 'text-[#28A745]';
+  if (score >= 40) return 'text-[#FFC107]';
+  return 'text-[#D9534F]';
+};
+
+function SkillChange({ skill, retake }) {
+  if (retake) {
+    return (
+      <p className="text-sm text-[#888888]">
+        Retakes don't change your skill level. Generate a new quiz to be scored again.
+      </p>
+    );
+  }
+  if (!skill) {
+    return (
+      <p className="text-sm text-[#888888]">
+        No skill in your Skill Tracker matches this concept. Add one named after the concept or its category to track it.
+      </p>
+    );
+  }
+  const change = skill.level - skill.previousLevel;
+  return (
+    <p className="text-sm text-[#888888]">
+      <span className="text-[#E0E0E0]">{skill.name}</span>: {skill.previousLevel}% → {skill.level}%
+      {change !== 0 && (
+        <span className={change > 0 ? 'text-[#28A745]' : 'text-[#D9534F]'}> ({change > 0 ? '+' : ''}{change})</span>
+      )}
+    </p>
+  );
+}
+
+function QuestionResult({ result, index }) {
+  return (
+    <div className="bg-[#1E1E1E] rounded-lg p-4 border border-[#2A2A2A]">
+      <div className="flex items-start gap-2 mb-2">
+        {result.correct
+          ? <CheckCircle className="w-5 h-5 text-[#28A745] flex-shrink-0" />
+          : <XCircle className="w-5 h-5 text-[#D9534F] flex-shrink-0" />}
+        <p className="text-[#E0E0E0]">{index + 1}. {result.prompt}</p>
+      </div>
+      {result.type === 'mcq' ? (
+        <div className="ml-7 text-sm space-y-1">
+          {result.choiceIndex !== null && !result.correct && (
+            <p className="text-[#D9534F]">Your answer: {result.choices[result.choiceIndex]}</p>
+          )}
+          <p className="text-[#28A745]">Correct answer: {result.choices[result.correctIndex]}</p>
+          {result.explanation && <p className="text-[#888888]">{result.explanation}</p>}
+        </div>
+      ) : (
+        <div className="ml-7 text-sm space-y-1">
+          <p className="text-[#B0B0B0]">Your answer: {result.answer || <span className="text-[#888888]">(blank)</span>}</p>
+          <p className="text-[#888888]">
+            <span className={scoreColor(result.score)}>{result.score}/100</span> · {result.feedback}
+          </p>
+          <p className="text-[#888888]">Reference: {result.referenceAnswer}</p>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export function ConceptQuiz({ concept }) {
+  const queryClient = useQueryClient();
+  const [activeQuizId, setActiveQuizId] = useState(null);
+  const [answers, setAnswers] = useState({});
+  const [attempt, setAttempt] = useState(null);
+
+  const { data: quizzes = [], isLoading } = useQuery({
+    queryKey: ['quizzes', concept.id],
+    queryFn: () => quizzesAPI.getAll(concept.id),
+  });
+
+  // Default to the newest quiz
+  const quiz = quizzes.find((q) => q.id === activeQuizId) || quizzes[0];
+
+  const resetAnswers = () => {
+    setAnswers({});
+    setAttempt(null);
+  };
+
+  const generateMutation = useMutation({
+    mutationFn: () => quizzesAPI.generate(concept.id),
+    onSuccess: (newQuiz) => {
+      queryClient.invalidateQueries({ queryKey: ['quizzes', concept.id] });
+      setActiveQuizId(newQuiz.id);
+      resetAnswers();
+    },
+    onError: (error) => {
+      alert(error.response?.data?.error || 'Failed to generate quiz');
+    },
+  });
+
+  const submitMutation = useMutation({
+    mutationFn: () => quizzesAPI.submit(
+      quiz.id,
+      quiz.questions.map((question) => ({ questionId: question.id, ...answers[question.id] }))
+    ),
+    onSuccess: (result) => {
+      setAttempt(result);
+      queryClient.invalidateQueries({ queryKey: ['quizzes', concept.id] });
+      queryClient.invalidateQueries({ queryKey: ['skills'] });
+      queryClient.invalidateQueries({ queryKey: ['dashboard-stats'] });
+      queryClient.invalidateQueries({ queryKey: ['dashboard-skill-gaps'] });
+    },
+    onError: (error) => {
+      alert(error.response?.data?.error || 'Failed to grade quiz');
+    },
+  });
+
+  const setAnswer = (questionId, answer) => {
+    setAnswers((current) => ({ ...current, [questionId]: answer }));
+  };
+
+  const allChoicesMade = quiz?.questions
+    .filter((question) => question.type === 'mcq')
+    .every((question) => answers[question.id]?.choiceIndex !== undefined);
+
+  return (
+    <div className="mt-8 bg-[#252525] rounded-lg p-6 border border-[#2A2A2A]">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-xl font-semibold text-[#E0E0E0] flex items-center gap-2">
+          <ClipboardCheck className="w-5 h-5 text-[#0070F3]" />
+          Check Your Understanding
+        </h2>
+        {quiz && (
+          <button
+            onClick={() => generateMutation.mutate()}
+            disabled={generateMutation.isPending}
+            className="btn btn-secondary btn-sm"
+          >
+            <RefreshCw className="w-4 h-4" />
+            {generateMutation.isPending ? 'Generating...' : 'New quiz'}
+          </button>
+        )}
+      </div>
+
+      {isLoading ? (
+        <p className="text-[#888888] text-sm">Loading quiz...</p>
+      ) : !quiz ? (
+        <div>
+          <p className="text-[#888888] text-sm mb-4">
+            Take a short quiz on this concept. Your score moves the matching skill in your Skill Tracker.
+          </p>
+          <button
+            onClick={() => generateMutation.mutate()}
+            disabled={generateMutation.isPending}
+            className="btn btn-primary btn-sm"
+          >
+            <Sparkles className="w-4 h-4" />
+            {generateMutation.isPending ? 'Generating...' : 'Generate quiz'}
+          </button>
+        </div>
+      ) : attempt ? (
+        <div className="space-y-4">
+          <div className="flex items-center justify-between">
+            <div>
+              <p className="text-sm text-[#888888]">Score</p>
+              <p className={`text-3xl font-semibold ${scoreColor(attempt.score)}`}>{attempt.score}%</p>
+            </div>
+            <button onClick={resetAnswers} className="btn btn-secondary btn-sm">
+              Retake quiz
+            </button>
+          </div>
+          <SkillChange skill={attempt.skill} retake={attempt.retake} />
+          {attempt.results.map((result, index) => (
+            <QuestionResult key={result.questionId} result={result} index={index} />
+          ))}
+        </div>
+      ) : (
+        <div className="space-y-6">
+          {quiz.attemptCount > 0 && (
+            <p className="text-sm text-[#888888]">
+              Best score {quiz.bestScore}% over {quiz.attemptCount} attempt{quiz.attemptCount === 1 ? '' : 's'}
+            </p>
+          )}
+          {quiz.questions.map((question, index) => (
+            <div key={question.id}>
+              <p className="text-[#E0E0E0] mb-3">{index + 1}. {question.prompt}</p>
+              {question.type === 'mcq' ? (
+                <div className="space-y-2">
+                  {question.choices.map((choice, choiceIndex) => (
+                    <label
+                      key={choiceIndex}
+                      className={`flex items-start gap-3 p-3 rounded-lg border cursor-pointer transition-colors ${
+                        answers[question.id]?.choiceIndex === choiceIndex
+                          ? 'border-[#0070F3] bg-[#1E1E1E]'
+                          : 'border-[#2A2A2A] bg-[#1E1E1E] hover:border-[#444444]'
+                      }`}
+                    >
+                      <input
+                        type="radio"
+                        name={`${quiz.id}-${question.id}`}
+                        checked={answers[question.id]?.choiceIndex === choiceIndex}
+                        onChange={() => setAnswer(question.id, { choiceIndex })}
+                        className="mt-1"
+                      />
+                      <span className="text-sm text-[#B0B0B0]">{choice}</span>
+                    </label>
+                  ))}
+                </div>
+              ) : (
+                <textarea
+                  value={answers[question.id]?.text || ''}
+                  onChange={(e) => setAnswer(question.id, { text: e.target.value })}
+                  placeholder="Answer in a few sentences..."
+                  rows={3}
+                  className="w-full bg-[#1E1E1E] text-[#E0E0E0] border border-[#2A2A2A] rounded-lg px-3 py-2 text-sm focus:outline-none focus:border-[#0070F3] placeholder-[#666666]"
+                />
+              )}
+            </div>
+          ))}
+          <button
+            onClick={() => submitMutation.mutate()}
+            disabled={!allChoicesMade || submitMutation.isPending}
+            className="btn btn-primary btn-md"
+          >
+            {submitMutation.isPending ? 'Grading...' : 'Submit answers'}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,5 +1,5 @@
 import { useQuery } from '@tanstack/react-query';
-import { TrendingUp, Clock, CheckCircle, AlertCircle, Folder, MessageSquare, Mic } from 'lucide-react';
+import { TrendingUp, Clock, CheckCircle, AlertCircle, Folder, MessageSquare, Mic, Layers, ArrowRight } from 'lucide-react';
 import { Link } from 'react-router-dom';
 import { dashboardAPI } from '../src/lib/api';
 
@@ -75,6 +75,25 @@ export function Dashboard() {
           </div>
         </div>
 
+        {/* Flashcards due today */}
+        {stats?.flashcardsDue > 0 && (
+          <Link
+            to="/explainer/review"
+            className="mb-8 flex items-center justify-between bg-[#252525] rounded-lg px-6 py-4 border border-[#2A2A2A] hover:border-[#0070F3] transition-colors focus:outline-none focus:ring-2 focus:ring-[#0070F3] focus:ring-offset-2 focus:ring-offset-[#1E1E1E]"
+          >
+            <div className="flex items-center gap-3">
+              <Layers className="w-5 h-5 text-[#FFC107]" aria-hidden="true" />
+              <span className="text-[#E0E0E0]">
+                {stats.flashcardsDue} flashcard{stats.flashcardsDue === 1 ? '' : 's'} due for review
+              </span>
+            </div>
+            <span className="flex items-center gap-1 text-sm text-[#0070F3]">
+              Review now
+              <ArrowRight className="w-4 h-4" aria-hidden="true" />
+            </span>
+          </Link>
+        )}
+
         {/* Main Content Grid */}
         <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
           {/* Recent Projects */}
@@ -0,0 +1,190 @@
+import { useState, useEffect } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { Link } from 'react-router-dom';
+import { ArrowLeft, Layers, CheckCircle } from 'lucide-react';
+import { flashcardsAPI } from '../src/lib/api';
+
+const GRADE_BUTTONS = [
+  { grade: 'again', label: 'Again', key: '1', className: 'border-[#D9534F] text-[#D9534F]' },
+  { grade: 'hard', label: 'Hard', key: '2', className: 'border-[#FFC107] text-[#FFC107]' },
+  { grade: 'good', label: 'Good', key: '3', className: 'border-[#28A745] text-[#28A745]' },
+  { grade: 'easy', label: 'Easy', key: '4', className: 'border-[#0070F3] text-[#0070F3]' },
+];
+
+const formatInterval = (days) => {
+  if (days < 1) return `${Math.max(1, Math.round(days * 24 * 60))}m`;
+  if (days < 30) return `${Math.round(days)}d`;
+  if (days < 365) return `${Math.round(days / 30)}mo`;
+  return `${(days / 365).toFixed(1)}y`;
+};
+
+// Cloze fronts mark hidden text as {{answer}}: blank it out, or highlight it once revealed
+function CardText({ text, revealed }) {
+  return (
+    <p className="text-xl text-[#E0E0E0] leading-relaxed whitespace-pre-wrap">
+      {text.split(/(\{\{[^}]+\}\})/).map((part, index) => {
+        if (!part.startsWith('{{')) return part;
+        return revealed
+          ? <span key={index} className="text-[#0070F3] font-semibold">{part.slice(2, -2)}</span>
+          : <span key={index} className="text-[#888888]">[...]</span>;
+      })}
+    </p>
+  );
+}
+
+export function FlashcardReview() {
+  const queryClient = useQueryClient();
+  // The session works through a local copy of the queue so cards graded "again" can come back
+  const [queue, setQueue] = useState(null);
+  const [revealed, setRevealed] = useState(false);
+  const [gradeCounts, setGradeCounts] = useState({ again: 0, hard: 0, good: 0, easy: 0 });
+
+  const { data: dueData, isLoading, refetch, isFetching } = useQuery({
+    queryKey: ['flashcards-due', 'queue'],
+    queryFn: () => flashcardsAPI.getDue(),
+    // Each visit starts from a fresh queue, not the one a previous session cached
+    gcTime: 0,
+    refetchOnWindowFocus: false,
+  });
+
+  useEffect(() => {
+    if (dueData && queue === null) setQueue(dueData.cards);
+  }, [dueData, queue]);
+
+  const reviewMutation = useMutation({
+    mutationFn: ({ id, grade }) => flashcardsAPI.review(id, grade),
+    onSuccess: (card, { grade }) => {
+      setGradeCounts((counts) => ({ ...counts, [grade]: counts[grade] + 1 }));
+      setQueue((current) => {
+        const rest = current.slice(1);
+        return grade === 'again' ? [...rest, card] : rest;
+      });
+      setRevealed(false);
+      queryClient.invalidateQueries({ queryKey: ['flashcards-due', 'count'] });
+      queryClient.invalidateQueries({ queryKey: ['dashboard-stats'] });
+    },
+    onError: (error) => {
+      alert(error.response?.data?.error || 'Failed to save review');
+    },
+  });
+
+  const card = queue?.[0];
+
+  const gradeCard = (grade) => {
+    if (!card || !revealed || reviewMutation.isPending) return;
+    reviewMutation.mutate({ id: card.id, grade });
+  };
+
+  // Space or Enter shows the answer, 1-4 grade it
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (!card || event.target.closest('input, textarea')) return;
+      if (!revealed && (event.key === ' ' || event.key === 'Enter')) {
+        event.preventDefault();
+        setRevealed(true);
+        return;
+      }
+      const button = GRADE_BUTTONS.find((option) => option.key === event.key);
+      if (button) gradeCard(button.grade);
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  });
+
+  const startNewSession = async () => {
+    const { data } = await refetch();
+    setQueue(data?.cards || []);
+    setGradeCounts({ again: 0, hard: 0, good: 0, easy: 0 });
+    setRevealed(false);
+  };
+
+  const reviewed = Object.values(gradeCounts).reduce((sum, count) => sum + count, 0);
+
+  return (
+    <div className="p-8 bg-[#1E1E1E] min-h-screen">
+      <div className="max-w-3xl mx-auto">
+        {/* Header */}
+        <div className="mb-8">
+          <Link to="/explainer" className="text-sm text-[#888888] hover:text-[#E0E0E0] flex items-center gap-1 mb-3">
+            <ArrowLeft className="w-4 h-4" />
+            Concept Explainer
+          </Link>
+          <h1 className="text-3xl font-semibold text-[#E0E0E0] mb-2">Flashcard Review</h1>
+          <p className="text-[#888888]">
+            Recall the answer before you reveal it, then grade yourself honestly. Cards you know well come back less often.
+          </p>
+        </div>
+
+        {isLoading || queue === null ? (
+          <div className="text-[#888888]">Loading cards...</div>
+        ) : card ? (
+          <>
+            <div className="flex items-center justify-between text-sm text-[#888888] mb-3">
+              <span>{card.conceptTitle}</span>
+              <span>{queue.length} left · {reviewed} reviewed</span>
+            </div>
+
+            <div className="bg-[#252525] rounded-lg p-8 border border-[#2A2A2A] min-h-[240px] flex flex-col">
+              <CardText text={card.front} revealed={revealed && card.type === 'cloze'} />
+              {revealed && card.type === 'basic' && (
+                <div className="mt-6 pt-6 border-t border-[#2A2A2A]">
+                  <p className="text-lg text-[#B0B0B0] whitespace-pre-wrap">{card.back}</p>
+                </div>
+              )}
+            </div>
+
+            <div className="mt-6">
+              {revealed ? (
+                <div className="grid grid-cols-4 gap-3">
+                  {GRADE_BUTTONS.map((option) => (
+                    <button
+                      key={option.grade}
+                      onClick={() => gradeCard(option.grade)}
+                      disabled={reviewMutation.isPending}
+                      className={`rounded-lg border bg-[#252525] py-3 hover:bg-[#2A2A2A] transition-colors disabled:opacity-50 ${option.className}`}
+                    >
+                      <span className="block font-medium">{option.label}</span>
+                      <span className="block text-xs text-[#888888]">
+                        {formatInterval(card.nextIntervals[option.grade])} · {option.key}
+                      </span>
+                    </button>
+                  ))}
+                </div>
+              ) : (
+                <button onClick={() => setRevealed(true)} className="btn btn-primary w-full">
+                  Show answer (space)
+                </button>
+              )}
+            </div>
+          </>
+        ) : (
+          <div className="bg-[#252525] rounded-lg p-8 border border-[#2A2A2A] text-center">
+            {reviewed > 0 ? (
+              <>
+                <CheckCircle className="w-12 h-12 text-[#28A745] mx-auto mb-4" />
+                <h2 className="text-xl font-semibold text-[#E0E0E0] mb-2">Session complete</h2>
+                <p className="text-[#888888] mb-6">
+                  {reviewed} review{reviewed === 1 ? '' : 's'}: {GRADE_BUTTONS.map((option) => `${gradeCounts[option.grade]} ${option.label.toLowerCase()}`).join(', ')}
+                </p>
+              </>
+            ) : (
+              <>
+                <Layers className="w-12 h-12 text-[#666666] mx-auto mb-4" />
+                <h2 className="text-xl font-semibold text-[#E0E0E0] mb-2">Nothing due right now</h2>
+                <p className="text-[#888888] mb-6">Make flashcards from a concept, or come back when cards are due.</p>
+              </>
+            )}
+            <div className="flex justify-center gap-3">
+              <button onClick={startNewSession} disabled={isFetching} className="btn btn-secondary btn-sm">
+                {isFetching ? 'Checking...' : 'Check for due cards'}
+              </button>
+              <Link to="/explainer" className="btn btn-primary btn-sm">
+                Back to concepts
+              </Link>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
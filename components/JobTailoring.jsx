@@ -0,0 +1,347 @@
+import { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { Briefcase, Save, Trash2, Target, Sparkles, Loader2, CheckCircle, ThumbsUp, ThumbsDown } from 'lucide-react';
+import { jobDescriptionsAPI } from '../src/lib/api';
+
+const scoreColor = (score) => {
+  if (score >= 75) return '#28A745';
+  if (score >= 50) return '#FFC107';
+  return '#D9534F';
+};
+
+function TermChip({ term, tone }) {
+  const toneClasses = {
+    matched: 'bg-[#28A745] bg-opacity-20 text-[#28A745]',
+    backed: 'bg-[#FFC107] bg-opacity-20 text-[#FFC107]',
+    missing: 'bg-[#2A2A2A] text-[#888888]',
+  };
+  const title = term.evidence?.length > 0
+    ? `You can back this up: ${term.evidence.map((item) => item.label).join(', ')}`
+    : `${term.category} · mentioned ${term.mentions}x${term.weight > 1 ? ' · required' : ' · nice to have'}`;
+
+  return (
+    <span className={`text-xs px-2 py-1 rounded ${toneClasses[tone]}`} title={title}>
+      {term.term}
+      {term.weight > 1 && tone !== 'matched' && <span aria-label="required"> *</span>}
+    </span>
+  );
+}
+
+// Keyword coverage of the resume against a pasted or saved job description, with AI edits
+// tailored to the posting that go through the editor's usual approve-and-apply flow
+export function JobTailoring({ resume, resumeContent, onApplyEdits, isApplying }) {
+  const queryClient = useQueryClient();
+  const [selectedId, setSelectedId] = useState(null);
+  const [title, setTitle] = useState('');
+  const [company, setCompany] = useState('');
+  const [content, setContent] = useState('');
+  const [decisions, setDecisions] = useState({});
+
+  const { data: jobDescriptions = [] } = useQuery({
+    queryKey: ['job-descriptions'],
+    queryFn: jobDescriptionsAPI.getAll,
+  });
+
+  const selectJobDescription = (id) => {
+    const jobDescription = jobDescriptions.find((jd) => jd.id === id);
+    setSelectedId(jobDescription?.id ?? null);
+    setTitle(jobDescription?.title || '');
+    setCompany(jobDescription?.company || '');
+    setContent(jobDescription?.content || '');
+    matchMutation.reset();
+    tailorMutation.reset();
+  };
+
+  const saveMutation = useMutation({
+    mutationFn: (data) => (selectedId
+      ? jobDescriptionsAPI.update(selectedId, data)
+      : jobDescriptionsAPI.create(data)),
+    onSuccess: (saved) => {
+      queryClient.invalidateQueries({ queryKey: ['job-descriptions'] });
+      setSelectedId(saved.id);
+    },
+    onError: (error) => {
+      alert(error.response?.data?.error || 'Failed to save job description');
+    },
+  });
+
+  const deleteMutation = useMutation({
+    mutationFn: jobDescriptionsAPI.delete,
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['job-descriptions'] });
+      selectJobDescription(null);
+    },
+    onError: (error) => {
+      alert(error.response?.data?.error || 'Failed to delete job description');
+    },
+  });
+
+  // The posting as typed is always sent, so unsaved changes are analyzed too
+  const analyzeBody = () => ({
+    jobDescription: content,
+    resumeId: resume.id,
+    resumeContent,
+  });
+
+  const matchMutation = useMutation({
+    mutationFn: () => jobDescriptionsAPI.match(analyzeBody()),
+  });
+
+  const tailorMutation = useMutation({
+    mutationFn: () => jobDescriptionsAPI.tailor(analyzeBody()),
+    onSuccess: () => setDecisions({}),
+  });
+
+  const analysis = tailorMutation.data?.analysis || matchMutation.data;
+  const edits = tailorMutation.data?.edits || [];
+  const approvedEdits = edits.filter((edit) => decisions[edit.id] === 'approved');
+  const error = matchMutation.error || tailorMutation.error;
+
+  const handleSave = () => {
+    if (!title.trim() || !content.trim()) {
+      alert('Give the job description a title and paste its text before saving.');
+      return;
+    }
+    saveMutation.mutate({ title, company: company || undefined, content });
+  };
+
+  const handleDelete = () => {
+    if (selectedId && window.confirm('Delete this saved job description?')) {
+      deleteMutation.mutate(selectedId);
+    }
+  };
+
+  const handleApply = () => {
+    onApplyEdits(approvedEdits);
+    setDecisions({});
+    // The coverage shown was for the text before these edits
+    matchMutation.reset();
+    tailorMutation.reset();
+  };
+
+  const inputClassName = 'bg-[#1E1E1E] text-[#E0E0E0] border border-[#2A2A2A] rounded-lg px-3 py-2 text-sm focus:outline-none focus:border-[#0070F3]';
+  const backedUp = analysis?.missing.filter((term) => term.evidence.length > 0) || [];
+  const unsupported = analysis?.missing.filter((term) => term.evidence.length === 0) || [];
+
+  return (
+    <div className="bg-[#252525] rounded-lg p-6 border border-[#2A2A2A]">
+      <h2 className="text-xl font-semibold text-[#E0E0E0] flex items-center gap-2 mb-4">
+        <Briefcase className="w-5 h-5 text-[#0070F3]" />
+        Tailor to a Job
+      </h2>
+
+      <div className="space-y-3">
+        <div className="flex flex-wrap gap-2">
+          <select
+            value={selectedId ?? ''}
+            onChange={(e) => selectJobDescription(e.target.value ? parseInt(e.target.value) : null)}
+            className={inputClassName}
+            aria-label="Saved job description"
+          >
+            <option value="">New job description</option>
+            {jobDescriptions.map((jd) => (
+              <option key={jd.id} value={jd.id}>
+                {jd.title}{jd.company ? ` · ${jd.company}` : ''}
+              </option>
+            ))}
+          </select>
+          <input
+            value={title}
+            onChange={(e) => setTitle(e.target.value)}
+            placeholder="Role title"
+            className={`${inputClassName} flex-1 min-w-[160px]`}
+          />
+          <input
+            value={company}
+            onChange={(e) => setCompany(e.target.value)}
+            placeholder="Company (optional)"
+            className={`${inputClassName} flex-1 min-w-[160px]`}
+          />
+        </div>
+
+        <textarea
+          value={content}
+          onChange={(e) => setContent(e.target.value)}
+          placeholder="Paste the job description here..."
+          rows={8}
+          className={`${inputClassName} w-full font-mono`}
+        />
+
+        <div className="flex flex-wrap gap-2">
+          <button
+            onClick={() => matchMutation.mutate()}
+            disabled={!content.trim() || matchMutation.isPending}
+            className="btn btn-secondary btn-sm"
+          >
+            {matchMutation.isPending ? <Loader2 className="w-4 h-4 animate-spin" /> : <Target className="w-4 h-4" />}
+            Check Match
+          </button>
+          <button
+            onClick={() => tailorMutation.mutate()}
+            disabled={!content.trim() || tailorMutation.isPending}
+            className="btn btn-secondary btn-sm"
+          >
+            {tailorMutation.isPending ? <Loader2 className="w-4 h-4 animate-spin" /> : <Sparkles className="w-4 h-4" />}
+            Tailor with AI
+          </button>
+          <button
+            onClick={handleSave}
+            disabled={saveMutation.isPending}
+            className="btn btn-secondary btn-sm"
+          >
+            <Save className="w-4 h-4" />
+            {selectedId ? 'Update' : 'Save'}
+          </button>
+          {selectedId && (
+            <button
+              onClick={handleDelete}
+              disabled={deleteMutation.isPending}
+              className="btn btn-secondary btn-sm"
+            >
+              <Trash2 className="w-4 h-4" />
+              Delete
+            </button>
+          )}
+        </div>
+
+        {error && (
+          <div className="bg-red-900 bg-opacity-30 border border-red-500 rounded-lg p-3">
+            <p className="text-red-400 text-sm">
+              {error.response?.data?.error || error.message || 'Failed to analyze job description'}
+            </p>
+          </div>
+        )}
+
+        {analysis && (
+          <div className="bg-[#1E1E1E] rounded-lg p-4 border border-[#2A2A2A] space-y-3">
+            {analysis.score === null ? (
+              <p className="text-sm text-[#888888]">
+                No known skills or technologies found in this posting.
+              </p>
+            ) : (
+              <div>
+                <div className="flex items-center justify-between mb-1">
+                  <span className="text-sm text-[#E0E0E0]">Keyword coverage</span>
+                  <span className="text-sm font-semibold" style={{ color: scoreColor(analysis.score) }}>
+                    {analysis.score}%
+                  </span>
+                </div>
+                <div className="w-full bg-[#2A2A2A] rounded-full h-2">
+                  <div
+                    className="h-2 rounded-full transition-all"
+                    style={{ width: `${analysis.score}%`, backgroundColor: scoreColor(analysis.score) }}
+                  />
+                </div>
+              </div>
+            )}
+
+            {analysis.matched.length > 0 && (
+              <div>
+                <p className="text-xs text-[#888888] mb-2">In your resume</p>
+                <div className="flex flex-wrap gap-2">
+                  {analysis.matched.map((term) => <TermChip key={term.term} term={term} tone="matched" />)}
+                </div>
+              </div>
+            )}
+            {backedUp.length > 0 && (
+              <div>
+                <p className="text-xs text-[#888888] mb-2">Missing, but your skills or projects back them up</p>
+                <div className="flex flex-wrap gap-2">
+                  {backedUp.map((term) => <TermChip key={term.term} term={term} tone="backed" />)}
+                </div>
+              </div>
+            )}
+            {unsupported.length > 0 && (
+              <div>
+                <p className="text-xs text-[#888888] mb-2">Missing</p>
+                <div className="flex flex-wrap gap-2">
+                  {unsupported.map((term) => <TermChip key={term.term} term={term} tone="missing" />)}
+                </div>
+              </div>
+            )}
+            {tailorMutation.data?.suggestedTerms.length > 0 && (
+              <p className="text-xs text-[#888888]">
+                Also in the posting:{' '}
+                {tailorMutation.data.suggestedTerms
+                  .map((item) => `${item.term}${item.inResume ? ' ✓' : ''}`)
+                  .join(', ')}
+              </p>
+            )}
+            <p className="text-xs text-[#666666]">* required by the posting</p>
+          </div>
+        )}
+
+        {tailorMutation.data && (
+          <div className="space-y-3">
+            <div className="bg-[#1E1E1E] rounded-lg p-4 border border-[#0070F3] border-opacity-30">
+              <p className="text-sm text-[#E0E0E0]">{tailorMutation.data.summary}</p>
+            </div>
+
+            {edits.length > 0 && (
+              <>
+                <div className="flex items-center justify-between">
+                  <p className="text-sm text-[#888888]">
+                    {approvedEdits.length} of {edits.length} edits approved
+                  </p>
+                  {approvedEdits.length > 0 && (
+                    <button
+                      onClick={handleApply}
+                      disabled={isApplying}
+                      className="bg-[#28A745] text-white px-4 py-2 rounded-lg hover:bg-[#218838] transition-colors flex items-center gap-2 disabled:opacity-50"
+                    >
+                      {isApplying ? <Loader2 className="w-4 h-4 animate-spin" /> : <CheckCircle className="w-4 h-4" />}
+                      Apply Approved Edits
+                    </button>
+                  )}
+                </div>
+
+                {edits.map((edit) => {
+                  const decision = decisions[edit.id];
+                  return (
+                    <div
+                      key={edit.id}
+                      className={`bg-[#1E1E1E] rounded-lg p-4 border ${
+                        decision === 'approved'
+                          ? 'border-[#28A745]'
+                          : decision === 'disapproved'
+                            ? 'border-[#D9534F] opacity-60'
+                            : 'border-[#2A2A2A]'
+                      }`}
+                    >
+                      <div className="flex items-start justify-between gap-4 mb-2">
+                        <div>
+                          <span className="text-xs font-semibold text-[#0070F3]">{edit.category}</span>
+                          <p className="text-xs text-[#888888] mt-1">{edit.reason}</p>
+                        </div>
+                        <div className="flex gap-2 flex-shrink-0">
+                          <button
+                            onClick={() => setDecisions((prev) => ({ ...prev, [edit.id]: decision === 'approved' ? undefined : 'approved' }))}
+                            aria-pressed={decision === 'approved'}
+                            className="p-2 bg-[#28A745] bg-opacity-20 hover:bg-opacity-30 rounded-lg transition-colors"
+                            title="Approve this edit"
+                          >
+                            <ThumbsUp className="w-4 h-4 text-[#28A745]" />
+                          </button>
+                          <button
+                            onClick={() => setDecisions((prev) => ({ ...prev, [edit.id]: decision === 'disapproved' ? undefined : 'disapproved' }))}
+                            aria-pressed={decision === 'disapproved'}
+                            className="p-2 bg-[#D9534F] bg-opacity-20 hover:bg-opacity-30 rounded-lg transition-colors"
+                            title="Disapprove this edit"
+                          >
+                            <ThumbsDown className="w-4 h-4 text-[#D9534F]" />
+                          </button>
+                        </div>
+                      </div>
+                      <p className="text-sm text-[#B0B0B0] line-through">{edit.originalText}</p>
+                      <p className="text-sm text-[#E0E0E0] mt-1">{edit.suggestedText}</p>
+                    </div>
+                  );
+                })}
+              </>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
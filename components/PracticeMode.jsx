@@ -1,9 +1,197 @@
 import { useState, useEffect, useRef } from 'react';
-import { useQuery, useMutation } from '@tanstack/react-query';
-import { Play, Square, Mic, MicOff, Clock, CheckCircle, AlertCircle, TrendingUp, Target, XCircle, AlertTriangle, Volume2, VolumeX, Loader2 } from 'lucide-react';
-import { projectsAPI, practiceAPI } from '../src/lib/api';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { Play, Square, Mic, MicOff, Clock, CheckCircle, AlertCircle, TrendingUp, Target, XCircle, AlertTriangle, Volume2, VolumeX, Loader2, Sparkles, RotateCcw, X, CornerDownRight, BookOpen, Save, Code, Trash2 } from 'lucide-react';
+import { Link } from 'react-router-dom';
+import { projectsAPI, practiceAPI, storiesAPI } from '../src/lib/api';
+
+const QUESTION_CATEGORIES = [
+  'Architecture',
+  'Problem Solving',
+  'Technical Decisions',
+  'Security',
+  'Performance & Scalability',
+  'Testing',
+  'Reflection',
+];
+
+// Competencies in the behavioral (STAR) question bank
+const BEHAVIORAL_COMPETENCIES = [
+  'Ownership',
+  'Conflict & Collaboration',
+  'Failure & Learning',
+  'Leadership & Influence',
+  'Ambiguity',
+  'Prioritization',
+  'Customer Focus',
+];
+
+const STAR_PARTS = [
+  { key: 'situation', label: 'Situation' },
+  { key: 'task', label: 'Task' },
+  { key: 'action', label: 'Action' },
+  { key: 'result', label: 'Result' },
+];
+
+const DIFFICULTY_OPTIONS = [
+  { value: 'mixed', label: 'Mixed' },
+  { value: 'easy', label: 'Easy' },
+  { value: 'medium', label: 'Medium' },
+  { value: 'hard', label: 'Hard' },
+];
+
+const difficultyColors = {
+  easy: 'text-[#28A745] bg-[#28A745]',
+  medium: 'text-[#FFC107] bg-[#FFC107]',
+  hard: 'text-[#D9534F] bg-[#D9534F]',
+};
+
+// Server transcription works in any browser with MediaRecorder; live captions need the Web Speech API
+const supportsServerTranscription = () =>
+  typeof window !== 'undefined' && typeof window.MediaRecorder !== 'undefined' && !!navigator.mediaDevices?.getUserMedia;
+
+const supportsBrowserTranscription = () =>
+  typeof window !== 'undefined' && !!(window.SpeechRecognition || window.webkitSpeechRecognition);
+
+const supportsMicTest = () =>
+  typeof window !== 'undefined' && !!navigator.mediaDevices?.getUserMedia && !!(window.AudioContext || window.webkitAudioContext);
+
+// Input level (0-1) above which the microphone test counts as hearing the user
+const MIC_TEST_SPEECH_LEVEL = 0.1;
+
+// Per-question budgets for timed mode, in seconds
+const TIME_LIMIT_OPTIONS = [
+  { value: 0, label: 'Untimed' },
+  { value: 60, label: '1 minute per question' },
+  { value: 120, label: '2 minutes per question' },
+  { value: 180, label: '3 minutes per question' },
+  { value: 300, label: '5 minutes per question' },
+];
+
+// Countdown turns amber, then red
+const TIME_WARNING_SECONDS = 30;
+const TIME_URGENT_SECONDS = 10;
+
+const formatClock = (seconds) => `${Math.floor(seconds / 60)}:${(seconds % 60).toString().padStart(2, '0')}`;
+
+// Mirrors server/src/practice/delivery.js
+const PACE_RANGE = { min: 110, max: 160 };
+
+const paceColors = {
+  good: 'text-[#28A745]',
+  slow: 'text-[#FFC107]',
+  fast: 'text-[#FFC107]',
+};
+
+const lengthLabels = {
+  short: 'Too short',
+  within: 'On target',
+  long: 'Too long',
+};
+
+// Speaking pace, fillers, pauses and length for one answer
+function DeliveryMetrics({ delivery }) {
+  const topFillers = Object.entries(delivery.fillers || {})
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, 3)
+    .map(([word, count]) => `"${word}" ×${count}`)
+    .join(', ');
+  const { min, max } = delivery.length.targetSeconds;
+
+  return (
+    <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+      <div>
+        <p className="text-xs text-[#888888] mb-1">Pace</p>
+        {delivery.wordsPerMinute !== null ? (
+          <p className={`text-sm font-medium ${paceColors[delivery.pace]}`}>
+            {delivery.wordsPerMinute} wpm <span className="text-xs capitalize">({delivery.pace})</span>
+          </p>
+        ) : (
+          <p className="text-sm text-[#888888]">Not timed</p>
+        )}
+      </div>
+      <div>
+        <p className="text-xs text-[#888888] mb-1">Filler words</p>
+        <p className={`text-sm font-medium ${delivery.fillersPer100Words > 3 ? 'text-[#FFC107]' : 'text-[#E0E0E0]'}`}>
+          {delivery.fillerCount} <span className="text-xs text-[#888888]">({delivery.fillersPer100Words}/100 words)</span>
+        </p>
+        {topFillers && <p className="text-xs text-[#888888] mt-1">{topFillers}</p>}
+      </div>
+      <div>
+        <p className="text-xs text-[#888888] mb-1">Long pauses</p>
+        {delivery.longPauses ? (
+          <p className={`text-sm font-medium ${delivery.longPauses.count > 2 ? 'text-[#FFC107]' : 'text-[#E0E0E0]'}`}>
+            {delivery.longPauses.count}
+            {delivery.longPauses.count > 0 && (
+              <span className="text-xs text-[#888888]"> (longest {delivery.longPauses.longestSeconds}s)</span>
+            )}
+          </p>
+        ) : (
+          <p className="text-sm text-[#888888]">Not timed</p>
+        )}
+      </div>
+      <div>
+        <p className="text-xs text-[#888888] mb-1">Length</p>
+        <p className={`text-sm font-medium ${delivery.length.status === 'within' ? 'text-[#28A745]' : 'text-[#FFC107]'}`}>
+          {lengthLabels[delivery.length.status]}
+        </p>
+        <p className="text-xs text-[#888888] mt-1">
+          {delivery.durationSeconds !== null ? `${Math.round(delivery.durationSeconds)}s` : `${delivery.words} words`} · target {min / 60}-{max / 60} min
+        </p>
+      </div>
+    </div>
+  );
+}
+
+// Time used on a timed answer and the interviewer's take on pacing
+function PacingNote({ question }) {
+  return (
+    <div className="mb-3 text-xs">
+      <p className={`flex items-center gap-2 ${question.timedOut ? 'text-[#D9534F]' : 'text-[#888888]'}`}>
+        <Clock className="w-3 h-3" />
+        {question.timedOut ? 'Ran out of time' : `Answered in ${formatClock(question.timeUsedSeconds)}`}
+      </p>
+      {question.pacingFeedback && <p className="text-[#E0E0E0] mt-1">{question.pacingFeedback}</p>}
+    </div>
+  );
+}
+
+// Separate Situation/Task/Action/Result scores for a behavioral answer
+function StarBreakdown({ star }) {
+  return (
+    <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+      {STAR_PARTS.map(({ key, label }) => (
+        <div key={key}>
+          <div className="flex items-center justify-between mb-1">
+            <span className="text-xs text-[#888888]">{label}</span>
+            <span className="text-xs text-[#E0E0E0]">{star[key]?.score ?? 0}%</span>
+          </div>
+          <div className="w-full bg-[#171717] rounded-full h-2">
+            <div
+              className={`h-2 rounded-full ${(star[key]?.score ?? 0) >= 50 ? 'bg-[#28A745]' : 'bg-[#D9534F]'}`}
+              style={{ width: `${star[key]?.score ?? 0}%` }}
+            ></div>
+          </div>
+          {star[key]?.feedback && <p className="text-xs text-[#888888] mt-1">{star[key].feedback}</p>}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+function TrendArrow({ current, previous, lowerIsBetter = false }) {
+  if (current === null || current === undefined || previous === null || previous === undefined || current === previous) {
+    return null;
+  }
+  const improved = lowerIsBetter ? current < previous : current > previous;
+  return (
+    <span className={`text-xs ml-1 ${improved ? 'text-[#28A745]' : 'text-[#D9534F]'}`}>
+      {current > previous ? '↑' : '↓'}
+    </span>
+  );
+}
 
 export function PracticeMode() {
+  const queryClient = useQueryClient();
   const [session, setSession] = useState(null);
   const [isRecording, setIsRecording] = useState(false);
   const [elapsedTime, setElapsedTime] = useState(0);
@@ -13,14 +201,35 @@ export function PracticeMode() {
   const [micPermission, setMicPermission] = useState(null); // null = not checked, 'granted', 'denied', 'prompt'
   const [showMicPrompt, setShowMicPrompt] = useState(false);
   const [isTestingMic, setIsTestingMic] = useState(false);
-  const [micTestTranscript, setMicTestTranscript] = useState('');
+  const [micLevel, setMicLevel] = useState(0);
+  const [micHeard, setMicHeard] = useState(false);
+  const [setupProject, setSetupProject] = useState(null);
+  const [questionOptions, setQuestionOptions] = useState({ track: 'technical', count: 5, difficulty: 'mixed', categories: [] });
+  const [cueStoryId, setCueStoryId] = useState('');
+  const [savedStoryAnswerIds, setSavedStoryAnswerIds] = useState([]);
+  const [adaptiveFollowUps, setAdaptiveFollowUps] = useState(true);
+  const [timeLimitSeconds, setTimeLimitSeconds] = useState(0);
+  const [timeLeft, setTimeLeft] = useState(null);
+  const [timeUp, setTimeUp] = useState(false);
+  const [timeUpNotice, setTimeUpNotice] = useState('');
+  const [voiceInput, setVoiceInput] = useState(() => {
+    const saved = typeof window !== 'undefined' ? localStorage.getItem('practiceVoiceInput') : null;
+    if (saved === 'browser' && supportsBrowserTranscription()) return 'browser';
+    return supportsServerTranscription() ? 'server' : 'browser';
+  });
+  const [isTranscribing, setIsTranscribing] = useState(false);
+  const [recordingId, setRecordingId] = useState(null);
   
   // Speech recognition and synthesis refs
   const recognitionRef = useRef(null);
   const synthRef = useRef(null);
-  const testRecognitionRef = useRef(null);
-  const testTranscriptRef = useRef(''); // Track test transcript across callbacks
-  const shouldKeepTestingRef = useRef(false); // Track if we should keep testing (avoids state timing issues)
+  const micTestRef = useRef(null); // { stream, context, frame } while the microphone test runs
+  const mediaRecorderRef = useRef(null);
+  const audioChunksRef = useRef([]);
+  const userResponseRef = useRef('');
+  const autoSubmittedRef = useRef(false);
+  // Browser speech recognition timing for the current answer, for delivery metrics
+  const answerTimingRef = useRef({ recordedMs: 0, segmentStart: null, speechTimestamps: [] });
   
   // Fetch projects from API
   const { data: projects = [], isLoading: projectsLoading } = useQuery({
@@ -34,17 +243,75 @@ export function PracticeMode() {
     queryFn: practiceAPI.getSessions,
   });
 
-  // Analyze response mutation
+  // Speaking pace, fillers and pauses per session
+  const { data: deliveryTrends = [] } = useQuery({
+    queryKey: ['practice-delivery-trends'],
+    queryFn: practiceAPI.getDeliveryTrends,
+  });
+
+  // STAR stories to rehearse during behavioral sessions
+  const { data: stories = [] } = useQuery({
+    queryKey: ['stories'],
+    queryFn: () => storiesAPI.getAll(),
+    enabled: session?.track === 'behavioral',
+  });
+
+  const saveStoryMutation = useMutation({
+    mutationFn: storiesAPI.create,
+    onSuccess: (story) => {
+      setSavedStoryAnswerIds((prev) => [...prev, story.sourceAnswerId]);
+      queryClient.invalidateQueries({ queryKey: ['stories'] });
+    },
+    onError: (error) => {
+      console.error('Save story error:', error);
+      alert(error.response?.data?.error || 'Failed to save story. Please try again.');
+    },
+  });
+
+  // Saved question sets for the project being set up
+  const { data: savedQuestionSets = [], isLoading: questionSetsLoading } = useQuery({
+    queryKey: ['practice-question-sets', setupProject?.id],
+    queryFn: () => practiceAPI.getQuestionSets(setupProject.id),
+    enabled: !!setupProject,
+  });
+
+  // Generate a tailored question set, then start practising it
+  const generateQuestionsMutation = useMutation({
+    mutationFn: practiceAPI.generateQuestionSet,
+    onSuccess: (questionSet) => {
+      queryClient.invalidateQueries({ queryKey: ['practice-question-sets'] });
+      startSession(questionSet.id);
+    },
+    onError: (error) => {
+      console.error('Question generation error:', error);
+      alert(error.response?.data?.error || 'Failed to generate questions. Please try again.');
+    },
+  });
+
+  // Analyze and record the answer to the current question
   const analyzeResponseMutation = useMutation({
-    mutationFn: practiceAPI.analyzeResponse,
-    onSuccess: (analysis) => {
+    mutationFn: ({ sessionId, questionId, userResponse, recordingId, timing, timeUsedSeconds, timedOut }) =>
+      practiceAPI.submitAnswer(sessionId, {
+        questionId,
+        userResponse,
+        recordingId,
+        timing,
+        timeUsedSeconds,
+        timedOut,
+        allowFollowUps: adaptiveFollowUps,
+      }),
+    onSuccess: ({ answer: analysis, followUps = [] }) => {
       setIsAnalyzing(false);
+      setRecordingId(null);
+      resetAnswerTiming();
+      queryClient.invalidateQueries({ queryKey: ['practice-delivery-trends'] });
       if (session) {
         const updatedQuestions = [...session.questions];
         updatedQuestions[session.currentQuestion] = {
           ...updatedQuestions[session.currentQuestion],
           answered: true,
-          userResponse: userResponse, // Store the transcript
+          attempts: (updatedQuestions[session.currentQuestion].attempts || 0) + 1,
+          userResponse: analysis.userResponse, // Store the transcript
           feedback: analysis.feedback || '',
           score: analysis.score || 0,
           clarity: analysis.clarity || 0,
@@ -55,8 +322,18 @@ export function PracticeMode() {
           improvements: analysis.improvements || [],
           acceptanceCriteria: analysis.acceptanceCriteria || [],
           canProceed: analysis.canProceed !== undefined ? analysis.canProceed : (analysis.score >= 60 && (analysis.acceptanceCriteria || []).filter(c => c.met).length >= 2),
+          delivery: analysis.delivery,
+          timeUsedSeconds: analysis.timeUsedSeconds,
+          timedOut: analysis.timedOut,
+          pacingFeedback: analysis.pacingFeedback,
+          star: analysis.star,
+          polishedStory: analysis.polishedStory,
+          answerId: analysis.id,
         };
         
+        // Weak answers get probed: follow-ups come up next
+        updatedQuestions.splice(session.currentQuestion + 1, 0, ...followUps.map((q) => ({ ...q, answered: false })));
+        
         setSession({
           ...session,
           questions: updatedQuestions,
@@ -88,249 +365,61 @@ export function PracticeMode() {
     }
   };
 
-  // Test microphone functionality
+  const stopMicTest = () => {
+    const test = micTestRef.current;
+    micTestRef.current = null;
+    if (!test) return;
+    cancelAnimationFrame(test.frame);
+    test.stream.getTracks().forEach((track) => track.stop());
+    test.context.close().catch(() => {});
+  };
+
+  // Test the microphone by showing its input level. Only needs getUserMedia and Web Audio,
+  // so it works whichever transcription mode is chosen.
   const testMicrophone = async () => {
     if (isTestingMic) {
-      // Stop testing
-      shouldKeepTestingRef.current = false;
-      if (testRecognitionRef.current) {
-        try {
-          testRecognitionRef.current.stop();
-        } catch (e) {
-          console.error('Error stopping test recognition:', e);
-        }
-      }
+      stopMicTest();
       setIsTestingMic(false);
-      setMicTestTranscript('');
-      testTranscriptRef.current = '';
-      return;
-    }
-
-    // Check for browser support
-    if (typeof window === 'undefined') {
-      alert('Browser not supported');
-      return;
-    }
-
-    const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
-    if (!SpeechRecognition) {
-      alert('Speech recognition is not supported in your browser. Please use Chrome, Edge, or Safari.');
       return;
     }
 
-    // Request microphone permission first if not already granted
-    if (micPermission !== 'granted') {
-      try {
-        const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
-        // Permission granted - stop the stream immediately (we just needed permission)
-        stream.getTracks().forEach(track => track.stop());
-        setMicPermission('granted');
-      } catch (error) {
-        console.error('Microphone permission error:', error);
-        if (error.name === 'NotAllowedError' || error.name === 'PermissionDeniedError') {
-          setMicPermission('denied');
-          alert('Microphone permission denied. Please enable microphone access in your browser settings.');
-          return;
-        } else if (error.name === 'NotFoundError' || error.name === 'DevicesNotFoundError') {
-          alert('No microphone found. Please connect a microphone device.');
-          return;
-        } else {
-          alert('Failed to access microphone. Please check your browser settings.');
-          return;
-        }
+    let stream;
+    try {
+      stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+      setMicPermission('granted');
+    } catch (error) {
+      console.error('Microphone permission error:', error);
+      if (error.name === 'NotAllowedError' || error.name === 'PermissionDeniedError') {
+        setMicPermission('denied');
+        alert('Microphone permission denied. Please enable microphone access in your browser settings.');
+      } else if (error.name === 'NotFoundError' || error.name === 'DevicesNotFoundError') {
+        alert('No microphone found. Please connect a microphone device.');
+      } else {
+        alert('Failed to access microphone. Please check your browser settings.');
       }
+      return;
     }
 
-    // Stop any ongoing recognition from the main session
-    if (recognitionRef.current && isRecording) {
-      try {
-        recognitionRef.current.stop();
-      } catch (e) {
-        // Ignore errors
-      }
-    }
+    const context = new (window.AudioContext || window.webkitAudioContext)();
+    const analyser = context.createAnalyser();
+    analyser.fftSize = 512;
+    context.createMediaStreamSource(stream).connect(analyser);
+    const samples = new Uint8Array(analyser.fftSize);
 
-    // Create new recognition instance for testing
-    testTranscriptRef.current = ''; // Reset transcript for new test
-    shouldKeepTestingRef.current = true; // Set flag to keep testing
-    
-    try {
-      testRecognitionRef.current = new SpeechRecognition();
-      testRecognitionRef.current.continuous = true;
-      testRecognitionRef.current.interimResults = true;
-      testRecognitionRef.current.lang = 'en-US';
-
-      testRecognitionRef.current.onresult = (event) => {
-        console.log('🎤 Test recognition onresult fired!', { 
-          resultIndex: event.resultIndex, 
-          resultsLength: event.results.length,
-          event: event
-        });
-        let interimTranscript = '';
-        let finalTranscript = '';
-        
-        for (let i = event.resultIndex; i < event.results.length; i++) {
-          const transcript = event.results[i][0].transcript;
-          const isFinal = event.results[i].isFinal;
-          const confidence = event.results[i][0].confidence;
-          console.log(`📝 Result ${i}:`, { transcript, isFinal, confidence });
-          
-          if (isFinal) {
-            finalTranscript += transcript + ' ';
-          } else {
-            interimTranscript += transcript;
-          }
-        }
-        
-        testTranscriptRef.current += finalTranscript;
-        const displayText = testTranscriptRef.current + (interimTranscript || '');
-        console.log('✅ Updating transcript:', { 
-          finalTranscript, 
-          interimTranscript, 
-          full: testTranscriptRef.current, 
-          displayText,
-          displayLength: displayText.length
-        });
-        setMicTestTranscript(displayText || '🎤 Listening... Speak clearly into your microphone.');
-      };
-
-      testRecognitionRef.current.onerror = (event) => {
-        console.error('Test recognition error:', event.error, event);
-        if (event.error === 'not-allowed') {
-          setMicPermission('denied');
-          alert('Microphone permission denied. Please enable microphone access in your browser settings.');
-          setIsTestingMic(false);
-          setMicTestTranscript('');
-          testTranscriptRef.current = '';
-        } else if (event.error === 'no-speech') {
-          // This is normal - recognition ends after a period of no speech
-          // The onend handler will restart it if we're still testing
-          console.log('No speech detected - recognition will restart automatically');
-          // Don't update the message or stop - let onend handle the restart
-        } else if (event.error === 'audio-capture') {
-          alert('No microphone found. Please connect a microphone device.');
-          setIsTestingMic(false);
-          setMicTestTranscript('');
-          testTranscriptRef.current = '';
-        } else if (event.error === 'aborted') {
-          // User stopped manually or recognition was stopped
-          shouldKeepTestingRef.current = false;
-          setIsTestingMic(false);
-        } else if (event.error === 'network') {
-          setMicTestTranscript('Network error. Please check your internet connection and try again.');
-          shouldKeepTestingRef.current = false;
-          setIsTestingMic(false);
-        } else {
-          console.error('Recognition error:', event.error);
-          setMicTestTranscript(`Error: ${event.error}. Please try again or check browser console for details.`);
-          shouldKeepTestingRef.current = false;
-          setIsTestingMic(false);
-        }
-      };
-
-      testRecognitionRef.current.onstart = () => {
-        console.log('✅ Test recognition started successfully - onstart callback fired');
-        setMicTestTranscript('🎤 Listening... Speak clearly into your microphone. Say something now!');
-      };
-
-      testRecognitionRef.current.onend = () => {
-        console.log('⚠️ Test recognition ended', { 
-          transcript: testTranscriptRef.current,
-          transcriptLength: testTranscriptRef.current.length,
-          shouldKeepTesting: shouldKeepTestingRef.current,
-          hasRecognition: !!testRecognitionRef.current
-        });
-        
-        // Use ref instead of state to avoid timing issues
-        // Always try to restart if we should keep testing
-        if (shouldKeepTestingRef.current && testRecognitionRef.current) {
-          console.log('🔄 Recognition ended but should keep testing - restarting in 100ms...');
-          setTimeout(() => {
-            // Double-check the ref before restarting
-            if (shouldKeepTestingRef.current && testRecognitionRef.current) {
-              try {
-                console.log('🔄 Attempting to restart recognition...');
-                testRecognitionRef.current.start();
-                console.log('✅ Successfully restarted recognition');
-              } catch (restartError) {
-                console.log('⚠️ Restart error:', restartError.message || restartError);
-                // If it says "already started", that's fine - it's working
-                if (restartError.message && !restartError.message.includes('already') && !restartError.message.includes('aborted')) {
-                  // Only show error if it's not the "already started" or "aborted" error
-                  console.error('❌ Failed to restart recognition:', restartError);
-                  // If restart fails, stop testing
-                  shouldKeepTestingRef.current = false;
-                  setIsTestingMic(false);
-                  setMicTestTranscript('❌ Recognition stopped. Please try testing again.');
-                } else {
-                  console.log('✅ Restart error is expected (already started or aborted)');
-                }
-              }
-            } else {
-              console.log('⏹️ Stopped restarting - shouldKeepTesting is false or recognition is null');
-            }
-          }, 100);
-        } else {
-          // User stopped testing or flag is false
-          console.log('⏹️ Not restarting - user stopped or flag is false');
-          setIsTestingMic(false);
-          if (testTranscriptRef.current === '' || testTranscriptRef.current.trim() === '') {
-            setMicTestTranscript('Test ended. No speech was detected. Make sure your microphone is working and try again.');
-          }
-        }
-      };
+    const measure = () => {
+      analyser.getByteTimeDomainData(samples);
+      // Peak distance from the 128 midpoint, as 0-1
+      const peak = samples.reduce((max, sample) => Math.max(max, Math.abs(sample - 128)), 0) / 128;
+      setMicLevel(peak);
+      if (peak >= MIC_TEST_SPEECH_LEVEL) setMicHeard(true);
+      micTestRef.current.frame = requestAnimationFrame(measure);
+    };
 
-      console.log('Starting test recognition...');
-      shouldKeepTestingRef.current = true; // Set flag before starting
-      setIsTestingMic(true);
-      setMicTestTranscript('Initializing... Please wait.');
-      
-      // Small delay to ensure everything is set up
-      setTimeout(() => {
-        try {
-          console.log('Calling recognition.start()...', {
-            hasRecognition: !!testRecognitionRef.current,
-            continuous: testRecognitionRef.current?.continuous,
-            lang: testRecognitionRef.current?.lang
-          });
-          
-          if (!testRecognitionRef.current) {
-            throw new Error('Recognition object is null');
-          }
-          
-          testRecognitionRef.current.start();
-          console.log('✅ Recognition start() called successfully - waiting for onstart callback...');
-          
-          // Fallback: Update message after a delay even if onstart doesn't fire
-          // This helps if onstart callback has issues
-          setTimeout(() => {
-            if (shouldKeepTestingRef.current && micTestTranscript === 'Initializing... Please wait.') {
-              console.log('⚠️ onstart callback may not have fired - updating message as fallback');
-              setMicTestTranscript('🎤 Listening... (If you see this, recognition may have started. Try speaking.)');
-            }
-          }, 1000);
-        } catch (startError) {
-          console.error('❌ Error starting test recognition:', startError);
-          shouldKeepTestingRef.current = false;
-          setIsTestingMic(false);
-          if (startError.message && startError.message.includes('already')) {
-            // Already started, that's fine
-            console.log('✅ Recognition already started - continuing');
-            setMicTestTranscript('🎤 Listening... Speak clearly into your microphone.');
-          } else {
-            const errorMsg = startError.message || startError.toString() || 'Unknown error';
-            console.error('❌ Start error details:', { error: startError, message: errorMsg, stack: startError.stack });
-            setMicTestTranscript(`❌ Error: ${errorMsg}. Please check permissions and try again.`);
-            alert(`Failed to start microphone test: ${errorMsg}\n\nCheck the browser console (F12) for more details.`);
-            testTranscriptRef.current = '';
-          }
-        }
-      }, 100);
-    } catch (createError) {
-      console.error('Error creating test recognition:', createError);
-      alert(`Failed to initialize microphone test: ${createError.message || 'Unknown error'}. Please refresh the page and try again.`);
-      setIsTestingMic(false);
-    }
+    micTestRef.current = { stream, context, frame: null };
+    setMicLevel(0);
+    setMicHeard(false);
+    setIsTestingMic(true);
+    measure();
   };
 
   // Request microphone permission explicitly
@@ -366,7 +455,7 @@ export function PracticeMode() {
       // Check microphone permission on mount
       checkMicPermission();
       
-      // Check for Web Speech API support
+      // Live browser captions, the fallback voice input when server transcription is not chosen
       const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
       const speechSynthesis = window.speechSynthesis;
       
@@ -389,6 +478,11 @@ export function PracticeMode() {
             }
           }
           
+          const timing = answerTimingRef.current;
+          if (timing.segmentStart) {
+            timing.speechTimestamps.push((timing.recordedMs + Date.now() - timing.segmentStart) / 1000);
+          }
+          
           setUserResponse(prev => prev + finalTranscript);
         };
         
@@ -437,12 +531,12 @@ export function PracticeMode() {
           // Ignore errors on cleanup
         }
       }
-      if (testRecognitionRef.current) {
-        try {
-          testRecognitionRef.current.stop();
-        } catch (e) {
-          // Ignore errors on cleanup
-        }
+      stopMicTest();
+      if (mediaRecorderRef.current && mediaRecorderRef.current.state !== 'inactive') {
+        // Release the microphone without uploading a half-finished answer
+        mediaRecorderRef.current.onstop = null;
+        mediaRecorderRef.current.stop();
+        mediaRecorderRef.current.stream.getTracks().forEach((track) => track.stop());
       }
       if (synthRef.current) {
         synthRef.current.cancel();
@@ -451,6 +545,30 @@ export function PracticeMode() {
   }, []);
   
 
+  // Time spent on live recognition, across every stop and restart of the current answer
+  useEffect(() => {
+    if (voiceInput !== 'browser') return;
+    const timing = answerTimingRef.current;
+    if (isRecording) {
+      timing.segmentStart = Date.now();
+    } else if (timing.segmentStart) {
+      timing.recordedMs += Date.now() - timing.segmentStart;
+      timing.segmentStart = null;
+    }
+  }, [isRecording, voiceInput]);
+
+  const resetAnswerTiming = () => {
+    answerTimingRef.current = { recordedMs: 0, segmentStart: null, speechTimestamps: [] };
+  };
+
+  // Timing sent with the answer; recordings are timed on the server instead
+  const readAnswerTiming = () => {
+    const timing = answerTimingRef.current;
+    const recordedMs = timing.recordedMs + (timing.segmentStart ? Date.now() - timing.segmentStart : 0);
+    if (voiceInput !== 'browser' || recordedMs === 0) return undefined;
+    return { durationSeconds: recordedMs / 1000, speechTimestamps: timing.speechTimestamps };
+  };
+
   // Timer effect
   useEffect(() => {
     if (session?.isActive) {
@@ -461,6 +579,61 @@ export function PracticeMode() {
     }
   }, [session?.isActive]);
 
+  useEffect(() => {
+    userResponseRef.current = userResponse;
+  }, [userResponse]);
+
+  const currentQuestionAnswered = !!session?.questions[session.currentQuestion]?.answered;
+  const isTimed = !!session?.isActive && !!session.timeLimitSeconds;
+
+  // Timed mode: every question (and every retry) starts with a full budget
+  useEffect(() => {
+    if (!isTimed || currentQuestionAnswered) return;
+    setTimeLeft(session.timeLimitSeconds);
+    setTimeUp(false);
+    setTimeUpNotice('');
+    autoSubmittedRef.current = false;
+  }, [isTimed, session?.id, session?.currentQuestion, currentQuestionAnswered]);
+
+  // The clock pauses while an answer is being transcribed or analyzed
+  useEffect(() => {
+    if (!isTimed || currentQuestionAnswered || timeUp || isTranscribing || isAnalyzing) return;
+    const interval = setInterval(() => {
+      setTimeLeft((prev) => {
+        if (prev <= 1) {
+          setTimeUp(true);
+          return 0;
+        }
+        return prev - 1;
+      });
+    }, 1000);
+    return () => clearInterval(interval);
+  }, [isTimed, currentQuestionAnswered, timeUp, isTranscribing, isAnalyzing]);
+
+  // Time's up: stop the microphone...
+  useEffect(() => {
+    if (!timeUp) return;
+    stopSpeaking();
+    if (isRecording) {
+      toggleRecording();
+    }
+  }, [timeUp]);
+
+  // ...then submit whatever was said once the transcript is in
+  useEffect(() => {
+    if (!timeUp || isRecording || isTranscribing || currentQuestionAnswered || autoSubmittedRef.current) return;
+    autoSubmittedRef.current = true;
+    // Live captions deliver their final words shortly after the mic stops
+    const timeout = setTimeout(() => {
+      if (userResponseRef.current.trim().length > 0) {
+        submitAnswer(userResponseRef.current, { timedOut: true });
+      } else {
+        setTimeUpNotice("Time's up and no answer was captured. Record your answer to submit it late.");
+      }
+    }, voiceInput === 'browser' ? 1000 : 0);
+    return () => clearTimeout(timeout);
+  }, [timeUp, isRecording, isTranscribing, currentQuestionAnswered]);
+
   // Speak question using text-to-speech
   const speakQuestion = (text) => {
     if (!synthRef.current) {
@@ -517,60 +690,114 @@ export function PracticeMode() {
     }
   };
 
-  const startSession = async (project) => {
+  // Each track has its own categories, so switching clears the selection
+  const changeTrack = (track) => {
+    setQuestionOptions((prev) => ({ ...prev, track, categories: [] }));
+  };
+
+  const saveStory = (question) => {
+    saveStoryMutation.mutate({
+      title: question.text.slice(0, 255),
+      projectId: session.projectId || null,
+      competency: question.category,
+      ...question.polishedStory,
+      sourceAnswerId: question.answerId,
+    });
+  };
+
+  const toggleQuestionCategory = (category) => {
+    setQuestionOptions((prev) => ({
+      ...prev,
+      categories: prev.categories.includes(category)
+        ? prev.categories.filter((c) => c !== category)
+        : [...prev.categories, category],
+    }));
+  };
+
+  const generateQuestions = () => {
+    if (!setupProject) return;
+    generateQuestionsMutation.mutate({ projectId: setupProject.id, ...questionOptions });
+  };
+
+  // Start (or replay) a session from a saved question set
+  const startSession = async (questionSetId, limit = timeLimitSeconds) => {
     // Check microphone permission when starting a session
     await checkMicPermission();
     
-    const questions = [
-      {
-        id: 1,
-        text: 'Walk me through the architecture of this project at a high level.',
-        category: 'Architecture',
-        answered: false,
-      },
-      {
-        id: 2,
-        text: 'What were the key technical challenges you faced, and how did you solve them?',
-        category: 'Problem Solving',
-        answered: false,
-      },
-      {
-        id: 3,
-        text: 'Why did you choose this tech stack over alternatives?',
-        category: 'Technical Decisions',
-        answered: false,
-      },
-      {
-        id: 4,
-        text: 'How did you handle authentication and authorization?',
-        category: 'Security',
-        answered: false,
-      },
-      {
-        id: 5,
-        text: 'What would you improve if you had more time?',
-        category: 'Reflection',
-        answered: false,
-      },
-    ];
+    let started;
+    try {
+      started = await practiceAPI.startSession(questionSetId, { timeLimitSeconds: limit || undefined });
+    } catch (error) {
+      console.error('Failed to start session:', error);
+      alert(error.response?.data?.error || 'Failed to start practice session. Please try again.');
+      return;
+    }
     
-    setSession({
-      id: Date.now(),
-      projectName: project.name,
-      projectId: project.id,
-      currentQuestion: 0,
-      isActive: true,
-      questions,
-    });
+    setSession({ ...started, currentQuestion: 0 });
+    setSetupProject(null);
     setElapsedTime(0);
     setUserResponse('');
+    resetAnswerTiming();
+    refetchSessions();
     
     // Speak the first question after a short delay
     setTimeout(() => {
-      speakQuestion(questions[0].text);
+      speakQuestion(started.questions[0].text);
     }, 500);
   };
 
+  // Reopen a past session: finished ones open in the review view, unfinished ones resume
+  const deleteSessionMutation = useMutation({
+    mutationFn: practiceAPI.deleteSession,
+    onSuccess: (_, sessionId) => {
+      if (session?.id === sessionId) setSession(null);
+      refetchSessions();
+    },
+    onError: (error) => {
+      console.error('Delete session error:', error);
+      alert(error.response?.data?.error || 'Failed to delete practice session.');
+    },
+  });
+
+  const handleDeleteSession = (sessionId) => {
+    if (window.confirm('Delete this practice session, its answers and recordings?')) {
+      deleteSessionMutation.mutate(sessionId);
+    }
+  };
+
+  const openPastSession = async (sessionId) => {
+    let saved;
+    try {
+      saved = await practiceAPI.getSession(sessionId);
+    } catch (error) {
+      console.error('Failed to load session:', error);
+      alert(error.response?.data?.error || 'Failed to load practice session.');
+      return;
+    }
+    
+    if (saved.isActive) {
+      const firstOpen = saved.questions.findIndex((q) => !q.answered || !q.canProceed);
+      setSession({ ...saved, currentQuestion: firstOpen === -1 ? saved.questions.length - 1 : firstOpen });
+      setElapsedTime(0);
+      setUserResponse('');
+      resetAnswerTiming();
+    } else {
+      setSession({ ...saved, currentQuestion: 0 });
+    }
+  };
+
+  // Mark the session finished on the server and switch to the review view
+  const finishSession = async () => {
+    try {
+      const finished = await practiceAPI.finishSession(session.id);
+      setSession({ ...finished, currentQuestion: session.currentQuestion, isActive: false });
+    } catch (error) {
+      console.error('Failed to finish session:', error);
+      setSession({ ...session, isActive: false });
+    }
+    refetchSessions(); // Refresh past sessions
+  };
+
   const nextQuestion = async () => {
     if (!session) return;
     
@@ -599,11 +826,7 @@ export function PracticeMode() {
         }, 500);
       } else {
         // End session
-        setSession({
-          ...session,
-          isActive: false,
-        });
-        refetchSessions(); // Refresh past sessions
+        await finishSession();
       }
       return;
     }
@@ -611,6 +834,8 @@ export function PracticeMode() {
     // Stop recording if still recording
     if (isRecording) {
       toggleRecording();
+      // A server recording is transcribed after it stops; analyze once the transcript is in
+      if (voiceInput === 'server') return;
     }
     
     // Stop any ongoing speech
@@ -618,28 +843,141 @@ export function PracticeMode() {
     
     // If we have a user response, analyze it first
     if (userResponse.trim().length > 0) {
-      setIsAnalyzing(true);
-      
-      try {
-        await analyzeResponseMutation.mutateAsync({
-          question: currentQ.text,
-          questionCategory: currentQ.category,
-          userResponse: userResponse.trim(),
-          projectName: session.projectName,
-        });
-        // Analysis complete, don't auto-advance - let user review feedback and criteria
-        // User must click "Next Question" again if criteria are met
-      } catch (error) {
-        console.error('Failed to analyze response:', error);
-        setIsAnalyzing(false);
-        return; // Don't proceed if analysis fails
-      }
+      await submitAnswer(userResponse, { timedOut: timeUp });
+      // Analysis complete, don't auto-advance - let user review feedback and criteria
+      // User must click "Next Question" again if criteria are met
     } else {
       alert('Please record your response before proceeding.');
     }
   };
 
+  const submitAnswer = async (response, { timedOut = false } = {}) => {
+    const currentQ = session.questions[session.currentQuestion];
+    setIsAnalyzing(true);
+    
+    try {
+      await analyzeResponseMutation.mutateAsync({
+        sessionId: session.id,
+        questionId: currentQ.id,
+        userResponse: response.trim(),
+        recordingId: recordingId || undefined,
+        timing: readAnswerTiming(),
+        timeUsedSeconds: isTimed ? session.timeLimitSeconds - timeLeft : undefined,
+        timedOut,
+      });
+    } catch (error) {
+      console.error('Failed to analyze response:', error);
+      setIsAnalyzing(false);
+    }
+  };
+
+  const playRecording = async (id) => {
+    try {
+      const audio = await practiceAPI.getRecordingAudio(id);
+      const url = URL.createObjectURL(audio);
+      const player = new Audio(url);
+      player.onended = () => URL.revokeObjectURL(url);
+      await player.play();
+    } catch (error) {
+      console.error('Recording playback error:', error);
+      alert('Failed to play this recording.');
+    }
+  };
+
+  const changeVoiceInput = (mode) => {
+    setVoiceInput(mode);
+    localStorage.setItem('practiceVoiceInput', mode);
+  };
+
+  // Drop a recording that was transcribed but never submitted, so its clip doesn't linger
+  const discardRecording = () => {
+    if (recordingId) {
+      practiceAPI.deleteRecording(recordingId).catch((error) => console.error('Delete recording error:', error));
+    }
+    setRecordingId(null);
+  };
+
+  // Upload a finished recording; its transcript becomes the answer to review and analyze
+  const transcribeRecording = async (audio, sessionId, questionId) => {
+    setIsTranscribing(true);
+    try {
+      const recording = await practiceAPI.uploadRecording(audio, { sessionId, questionId });
+      setUserResponse(recording.transcript || '');
+      setRecordingId(recording.id);
+      if (!recording.transcript) {
+        alert('No speech was detected in your recording. Please try again.');
+      }
+    } catch (error) {
+      console.error('Transcription error:', error);
+      alert(error.response?.data?.error || 'Failed to transcribe your recording. Please try again.');
+    } finally {
+      setIsTranscribing(false);
+    }
+  };
+
+  // Record with MediaRecorder and transcribe on the server (works in every modern browser)
+  const toggleServerRecording = async () => {
+    if (isRecording) {
+      mediaRecorderRef.current?.stop();
+      setIsRecording(false);
+      return;
+    }
+
+    if (!supportsServerTranscription()) {
+      alert('Audio recording is not supported in your browser.');
+      return;
+    }
+
+    let stream;
+    try {
+      stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+      setMicPermission('granted');
+    } catch (error) {
+      console.error('Microphone permission error:', error);
+      if (error.name === 'NotAllowedError' || error.name === 'PermissionDeniedError') {
+        setMicPermission('denied');
+        alert('Microphone permission denied. Please enable microphone access in your browser settings.');
+      } else if (error.name === 'NotFoundError' || error.name === 'DevicesNotFoundError') {
+        alert('No microphone found. Please connect a microphone device.');
+      } else {
+        alert('Failed to access microphone. Please check your browser settings.');
+      }
+      return;
+    }
+
+    stopSpeaking();
+    setUserResponse('');
+    discardRecording();
+    audioChunksRef.current = [];
+
+    const sessionId = session?.id;
+    const questionId = session?.questions[session.currentQuestion]?.id;
+    const recorder = new MediaRecorder(stream);
+    recorder.ondataavailable = (event) => {
+      if (event.data.size > 0) {
+        audioChunksRef.current.push(event.data);
+      }
+    };
+    recorder.onstop = () => {
+      stream.getTracks().forEach((track) => track.stop());
+      mediaRecorderRef.current = null;
+      const audio = new Blob(audioChunksRef.current, { type: recorder.mimeType || 'audio/webm' });
+      if (audio.size > 0) {
+        transcribeRecording(audio, sessionId, questionId);
+      }
+    };
+
+    mediaRecorderRef.current = recorder;
+    recorder.start();
+    setIsRecording(true);
+  };
+
   const toggleRecording = async () => {
+    if (voiceInput === 'server') {
+      return toggleServerRecording();
+    }
+
+    // Fallback: live browser captions through the Web Speech API
     if (!recognitionRef.current) {
       alert('Speech recognition is not supported in your browser. Please use Chrome, Edge, or Safari.');
       return;
@@ -691,6 +1029,10 @@ export function PracticeMode() {
   // Handle permission request from prompt
   const handleGrantPermission = async () => {
     const granted = await requestMicPermission();
+    if (granted && voiceInput === 'server') {
+      toggleServerRecording();
+      return;
+    }
     if (granted) {
       // Permission granted, start recording
       setUserResponse('');
@@ -717,10 +1059,14 @@ export function PracticeMode() {
           // Ignore errors
         }
       }
+      if (mediaRecorderRef.current && mediaRecorderRef.current.state !== 'inactive') {
+        mediaRecorderRef.current.onstop = null;
+        mediaRecorderRef.current.stop();
+        mediaRecorderRef.current.stream.getTracks().forEach((track) => track.stop());
+      }
       stopSpeaking();
       setIsRecording(false);
-      setSession({ ...session, isActive: false });
-      refetchSessions(); // Refresh past sessions
+      finishSession();
     }
   };
   
@@ -743,21 +1089,29 @@ export function PracticeMode() {
       <div className="max-w-5xl mx-auto">
         {/* Header */}
         <div className="mb-8">
-          <h1 className="text-3xl font-semibold text-[#E0E0E0] mb-2">Interview Practice</h1>
-          <p className="text-[#888888] mb-4">Practice explaining your projects like you're in a real interview</p>
+          <div className="flex items-start justify-between gap-4">
+            <div>
+              <h1 className="text-3xl font-semibold text-[#E0E0E0] mb-2">Interview Practice</h1>
+              <p className="text-[#888888] mb-4">Practice explaining your projects like you're in a real interview</p>
+            </div>
+            <Link to="/practice/coding" className="btn btn-secondary btn-sm flex items-center gap-2 flex-shrink-0">
+              <Code className="w-4 h-4" />
+              Coding Exercises
+            </Link>
+          </div>
           
           {/* Browser Compatibility Notice */}
-          {typeof window !== 'undefined' && !window.SpeechRecognition && !window.webkitSpeechRecognition && (
+          {typeof window !== 'undefined' && !supportsServerTranscription() && !supportsBrowserTranscription() && (
             <div className="bg-[#FFC107] bg-opacity-20 border border-[#FFC107] border-opacity-30 rounded-lg p-4 mb-4">
               <p className="text-sm text-[#FFC107] flex items-center gap-2">
                 <AlertCircle className="w-4 h-4" />
-                <strong>Voice features require Chrome, Edge, or Safari.</strong> Speech recognition is not supported in your current browser.
+                <strong>Voice answers are not supported in this browser.</strong> Your browser can neither record audio nor recognise speech.
               </p>
             </div>
           )}
 
           {/* Microphone Test Section */}
-          {typeof window !== 'undefined' && (window.SpeechRecognition || window.webkitSpeechRecognition) && (
+          {supportsMicTest() && (
             <div className="bg-[#252525] rounded-lg p-6 border border-[#2A2A2A] mb-6">
               <div className="flex items-center justify-between mb-4">
                 <div>
@@ -783,61 +1137,26 @@ export function PracticeMode() {
                 </button>
               </div>
 
-              {/* Browser Compatibility Check */}
-              {typeof window !== 'undefined' && !window.SpeechRecognition && !window.webkitSpeechRecognition && (
-                <div className="mb-4 bg-[#FFC107] bg-opacity-20 border border-[#FFC107] border-opacity-30 rounded-lg p-3">
-                  <p className="text-sm text-[#FFC107]">
-                    <strong>⚠️ Speech recognition not supported.</strong> Please use Chrome, Edge, or Safari for voice features.
-                  </p>
-                </div>
-              )}
-              
               {isTestingMic && (
                 <div className="bg-[#1E1E1E] rounded-lg p-4 border border-[#2A2A2A]">
-                  <div className="flex items-center gap-2 mb-2">
+                  <div className="flex items-center gap-2 mb-3">
                     <div className="w-2 h-2 bg-[#28A745] rounded-full animate-pulse"></div>
-                    <p className="text-xs text-[#888888]">Speak into your microphone. Your words will appear below:</p>
-                  </div>
-                  <div className="bg-[#171717] rounded p-3 min-h-[80px] border border-[#2A2A2A]">
-                    <p className="text-sm text-[#E0E0E0] whitespace-pre-wrap">
-                      {micTestTranscript || 'Initializing...'}
-                    </p>
-                    {micTestTranscript && micTestTranscript.includes('Listening') && (
-                      <div className="mt-2 flex items-center gap-2">
-                        <div className="flex gap-1">
-                          <div className="w-1 h-4 bg-[#0070F3] rounded animate-pulse" style={{ animationDelay: '0ms' }}></div>
-                          <div className="w-1 h-4 bg-[#0070F3] rounded animate-pulse" style={{ animationDelay: '150ms' }}></div>
-                          <div className="w-1 h-4 bg-[#0070F3] rounded animate-pulse" style={{ animationDelay: '300ms' }}></div>
-                        </div>
-                        <span className="text-xs text-[#888888]">Listening...</span>
-                      </div>
-                    )}
+                    <p className="text-xs text-[#888888]">Speak into your microphone. The bar follows your voice:</p>
                   </div>
-                  <div className="mt-3 p-2 bg-[#252525] rounded border border-[#2A2A2A]">
-                    <p className="text-xs text-[#888888] mb-1">
-                      <strong className="text-[#E0E0E0]">Status:</strong> {micTestTranscript.includes('Error') ? 'Error detected' : micTestTranscript.includes('No speech') ? 'Waiting for speech' : 'Active and listening'}
-                    </p>
-                    <p className="text-xs text-[#666666]">
-                      💡 If you don't see your words appearing, check:
-                      <br />• Microphone is connected and not muted
-                      <br />• Browser has microphone permission (check address bar)
-                      <br />• You're speaking clearly and loudly enough
-                      <br />• Check browser console (F12) for detailed logs
-                    </p>
+                  <div className="h-3 bg-[#171717] rounded-full border border-[#2A2A2A] overflow-hidden" role="meter" aria-label="Microphone level" aria-valuemin={0} aria-valuemax={100} aria-valuenow={Math.round(micLevel * 100)}>
+                    <div
+                      className={`h-full transition-[width] duration-75 ${micLevel >= MIC_TEST_SPEECH_LEVEL ? 'bg-[#28A745]' : 'bg-[#0070F3]'}`}
+                      style={{ width: `${Math.min(100, Math.round(micLevel * 100))}%` }}
+                    />
                   </div>
                 </div>
               )}
 
-              {micTestTranscript && !isTestingMic && 
-               micTestTranscript !== 'Speak now... Your words will appear here.' && 
-               micTestTranscript !== 'Listening... Speak now.' &&
-               !micTestTranscript.includes('Error:') &&
-               !micTestTranscript.includes('No speech detected') &&
-               !micTestTranscript.includes('Test ended') && (
+              {micHeard && (
                 <div className="mt-4 bg-[#28A745] bg-opacity-20 border border-[#28A745] border-opacity-30 rounded-lg p-3">
                   <p className="text-sm text-[#28A745] flex items-center gap-2">
                     <CheckCircle className="w-4 h-4" />
-                    <strong>Microphone is working!</strong> You can see your speech was transcribed above.
+                    <strong>Microphone is working!</strong> We can hear you.
                   </p>
                 </div>
               )}
@@ -869,15 +1188,14 @@ export function PracticeMode() {
               )}
 
               {/* Troubleshooting Tips */}
-              {!isTestingMic && micPermission !== 'denied' && (
+              {isTestingMic && !micHeard && micPermission !== 'denied' && (
                 <div className="mt-4 bg-[#1E1E1E] rounded-lg p-4 border border-[#2A2A2A]">
                   <p className="text-xs font-semibold text-[#E0E0E0] mb-2">💡 Troubleshooting Tips:</p>
                   <ul className="text-xs text-[#888888] space-y-1 ml-4 list-disc">
-                    <li>Make sure you're using Chrome, Edge, or Safari (Firefox doesn't support speech recognition)</li>
                     <li>Check that your microphone is connected and not muted</li>
+                    <li>Make sure the right input device is selected in your system settings</li>
                     <li>Ensure your browser has microphone permission (check the address bar)</li>
-                    <li>Speak clearly and wait a few seconds for transcription to appear</li>
-                    <li>If nothing appears, try speaking louder or closer to the microphone</li>
+                    <li>Try speaking louder or closer to the microphone</li>
                   </ul>
                 </div>
               )}
@@ -943,8 +1261,11 @@ export function PracticeMode() {
                   {projects.map((project) => (
                     <button
                       key={project.id}
-                      onClick={() => startSession(project)}
-                      className="text-left bg-[#252525] rounded-lg p-6 border border-[#2A2A2A] hover:border-[#0070F3] transition-colors group"
+                      onClick={() => setSetupProject(project)}
+                      aria-pressed={setupProject?.id === project.id}
+                      className={`text-left bg-[#252525] rounded-lg p-6 border transition-colors group ${
+                        setupProject?.id === project.id ? 'border-[#0070F3]' : 'border-[#2A2A2A] hover:border-[#0070F3]'
+                      }`}
                     >
                       <h3 className="text-lg font-semibold text-[#E0E0E0] mb-3">{project.name}</h3>
                       <div className="flex flex-wrap gap-2 mb-4">
@@ -967,6 +1288,249 @@ export function PracticeMode() {
               )}
             </div>
 
+            {/* Question Set Setup */}
+            {setupProject && (
+              <div className="bg-[#252525] rounded-lg p-6 border border-[#2A2A2A] mb-8" aria-label="Question set options">
+                <div className="flex items-center justify-between mb-6">
+                  <div>
+                    <h2 className="text-xl font-semibold text-[#E0E0E0]">Practice {setupProject.name}</h2>
+                    <p className="text-sm text-[#888888]">
+                      {questionOptions.track === 'behavioral'
+                        ? 'Behavioral questions are scored on Situation, Task, Action and Result. Draw on this project in your answers.'
+                        : "Questions are generated from this project's description, tech stack and milestones"}
+                    </p>
+                  </div>
+                  <button
+                    onClick={() => setSetupProject(null)}
+                    className="p-2 rounded-lg text-[#888888] hover:text-[#E0E0E0] hover:bg-[#1E1E1E] transition-colors"
+                    aria-label="Close question set options"
+                  >
+                    <X className="w-5 h-5" />
+                  </button>
+                </div>
+
+                <div className="flex gap-2 mb-6" role="group" aria-label="Interview track">
+                  {[
+                    { value: 'technical', label: 'Technical' },
+                    { value: 'behavioral', label: 'Behavioral (STAR)' },
+                  ].map((option) => (
+                    <button
+                      key={option.value}
+                      onClick={() => changeTrack(option.value)}
+                      aria-pressed={questionOptions.track === option.value}
+                      className={`text-sm px-4 py-2 rounded-lg border transition-colors ${
+                        questionOptions.track === option.value
+                          ? 'bg-[#0070F3] bg-opacity-20 border-[#0070F3] text-[#0070F3]'
+                          : 'bg-[#1E1E1E] border-[#2A2A2A] text-[#B0B0B0] hover:border-[#0070F3]'
+                      }`}
+                    >
+                      {option.label}
+                    </button>
+                  ))}
+                </div>
+
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-6">
+                  <div>
+                    <label htmlFor="question-count" className="block text-sm font-medium text-[#E0E0E0] mb-2">Number of questions</label>
+                    <select
+                      id="question-count"
+                      value={questionOptions.count}
+                      onChange={(e) => setQuestionOptions((prev) => ({ ...prev, count: parseInt(e.target.value) }))}
+                      className="w-full bg-[#1E1E1E] text-[#E0E0E0] border border-[#2A2A2A] rounded-lg px-4 py-2 focus:outline-none focus:border-[#0070F3]"
+                    >
+                      {[3, 5, 7, 10].map((count) => (
+                        <option key={count} value={count}>{count}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <div>
+                    <label htmlFor="question-difficulty" className="block text-sm font-medium text-[#E0E0E0] mb-2">Difficulty</label>
+                    <select
+                      id="question-difficulty"
+                      value={questionOptions.difficulty}
+                      onChange={(e) => setQuestionOptions((prev) => ({ ...prev, difficulty: e.target.value }))}
+                      className="w-full bg-[#1E1E1E] text-[#E0E0E0] border border-[#2A2A2A] rounded-lg px-4 py-2 focus:outline-none focus:border-[#0070F3]"
+                    >
+                      {DIFFICULTY_OPTIONS.map((option) => (
+                        <option key={option.value} value={option.value}>{option.label}</option>
+                      ))}
+                    </select>
+                  </div>
+                </div>
+
+                <div className="mb-6">
+                  <p className="text-sm font-medium text-[#E0E0E0] mb-2">Focus categories</p>
+                  <p className="text-xs text-[#888888] mb-3">Leave all unselected to cover every category</p>
+                  <div className="flex flex-wrap gap-2">
+                    {(questionOptions.track === 'behavioral' ? BEHAVIORAL_COMPETENCIES : QUESTION_CATEGORIES).map((category) => {
+                      const selected = questionOptions.categories.includes(category);
+                      return (
+                        <button
+                          key={category}
+                          onClick={() => toggleQuestionCategory(category)}
+                          aria-pressed={selected}
+                          className={`text-sm px-3 py-1 rounded-full border transition-colors ${
+                            selected
+                              ? 'bg-[#0070F3] bg-opacity-20 border-[#0070F3] text-[#0070F3]'
+                              : 'bg-[#1E1E1E] border-[#2A2A2A] text-[#B0B0B0] hover:border-[#0070F3]'
+                          }`}
+                        >
+                          {category}
+                        </button>
+                      );
+                    })}
+                  </div>
+                </div>
+
+                <div className="mb-6">
+                  <label htmlFor="voice-input" className="block text-sm font-medium text-[#E0E0E0] mb-2">Voice transcription</label>
+                  <select
+                    id="voice-input"
+                    value={voiceInput}
+                    onChange={(e) => changeVoiceInput(e.target.value)}
+                    className="w-full bg-[#1E1E1E] text-[#E0E0E0] border border-[#2A2A2A] rounded-lg px-4 py-2 focus:outline-none focus:border-[#0070F3]"
+                  >
+                    <option value="server" disabled={!supportsServerTranscription()}>Record and transcribe on the server (any browser)</option>
+                    <option value="browser" disabled={!supportsBrowserTranscription()}>Live browser captions (Chrome, Edge, Safari)</option>
+                  </select>
+                </div>
+
+                <div className="mb-6">
+                  <label htmlFor="time-limit" className="block text-sm font-medium text-[#E0E0E0] mb-2">Timed mode</label>
+                  <select
+                    id="time-limit"
+                    value={timeLimitSeconds}
+                    onChange={(e) => setTimeLimitSeconds(Number(e.target.value))}
+                    className="w-full bg-[#1E1E1E] text-[#E0E0E0] border border-[#2A2A2A] rounded-lg px-4 py-2 focus:outline-none focus:border-[#0070F3]"
+                  >
+                    {TIME_LIMIT_OPTIONS.map((option) => (
+                      <option key={option.value} value={option.value}>{option.label}</option>
+                    ))}
+                  </select>
+                  <p className="text-xs text-[#888888] mt-1">Like a real screen: when the clock runs out, recording stops and your answer is submitted as it stands.</p>
+                </div>
+
+                <label className="flex items-center gap-3 mb-6 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={adaptiveFollowUps}
+                    onChange={(e) => setAdaptiveFollowUps(e.target.checked)}
+                    aria-label="Ask follow-up questions on weak answers"
+                  />
+                  <span className="text-sm text-[#E0E0E0]">
+                    Adaptive follow-ups
+                    <span className="block text-xs text-[#888888]">When an answer is shallow or misses criteria, the interviewer probes it with up to two follow-up questions</span>
+                  </span>
+                </label>
+
+                <button
+                  onClick={generateQuestions}
+                  disabled={generateQuestionsMutation.isPending}
+                  className="btn btn-primary btn-md flex items-center gap-2 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  {generateQuestionsMutation.isPending ? (
+                    <>
+                      <Loader2 className="w-4 h-4 animate-spin" />
+                      Generating questions...
+                    </>
+                  ) : (
+                    <>
+                      <Sparkles className="w-4 h-4" />
+                      Generate Questions & Start
+                    </>
+                  )}
+                </button>
+
+                {/* Saved sets for replay */}
+                <div className="mt-6 pt-6 border-t border-[#2A2A2A]">
+                  <h3 className="text-sm font-semibold text-[#E0E0E0] mb-3">Saved question sets</h3>
+                  {questionSetsLoading ? (
+                    <Loader2 className="w-5 h-5 text-[#888888] animate-spin" />
+                  ) : savedQuestionSets.length === 0 ? (
+                    <p className="text-sm text-[#666666]">No saved sets for this project yet</p>
+                  ) : (
+                    <div className="space-y-2">
+                      {savedQuestionSets.map((questionSet) => (
+                        <div
+                          key={questionSet.id}
+                          className="flex items-center justify-between bg-[#1E1E1E] rounded-lg p-3 border border-[#2A2A2A]"
+                        >
+                          <div>
+                            <p className="text-sm text-[#E0E0E0]">
+                              {questionSet.track === 'behavioral' ? 'Behavioral · ' : ''}{questionSet.questionCount} questions · {DIFFICULTY_OPTIONS.find((o) => o.value === questionSet.difficulty)?.label || questionSet.difficulty}
+                            </p>
+                            <p className="text-xs text-[#888888]">
+                              {questionSet.categories.length > 0 ? questionSet.categories.join(', ') : 'All categories'} · {formatDate(questionSet.createdAt)}
+                            </p>
+                          </div>
+                          <button
+                            onClick={() => startSession(questionSet.id)}
+                            className="btn btn-secondary btn-sm flex items-center gap-2"
+                            aria-label={`Replay question set from ${formatDate(questionSet.createdAt)}`}
+                          >
+                            <RotateCcw className="w-4 h-4" />
+                            Replay
+                          </button>
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              </div>
+            )}
+
+            {/* Delivery Trends */}
+            {deliveryTrends.length > 0 && (
+              <div className="bg-[#252525] rounded-lg p-6 border border-[#2A2A2A] mb-6">
+                <div className="flex items-center justify-between mb-4">
+                  <h2 className="text-xl font-semibold text-[#E0E0E0]">Speaking Delivery</h2>
+                  <Mic className="w-5 h-5 text-[#0070F3]" />
+                </div>
+                <p className="text-sm text-[#888888] mb-4">
+                  Aim for {PACE_RANGE.min}-{PACE_RANGE.max} words per minute, few fillers and few long pauses.
+                </p>
+                <div className="overflow-x-auto">
+                  <table className="w-full text-sm">
+                    <thead>
+                      <tr className="text-left text-[#888888] border-b border-[#2A2A2A]">
+                        <th className="py-2 pr-4 font-medium">Session</th>
+                        <th className="py-2 pr-4 font-medium">Words/min</th>
+                        <th className="py-2 pr-4 font-medium">Fillers/100 words</th>
+                        <th className="py-2 pr-4 font-medium">Long pauses</th>
+                        <th className="py-2 font-medium">Within target length</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {deliveryTrends.map((trend, index) => {
+                        const previous = deliveryTrends[index - 1];
+                        return (
+                          <tr key={trend.sessionId} className="border-b border-[#2A2A2A] last:border-0 text-[#E0E0E0]">
+                            <td className="py-2 pr-4">
+                              <span>{trend.projectName || 'Practice Session'}</span>
+                              <span className="text-xs text-[#888888] ml-2">{trend.date}</span>
+                            </td>
+                            <td className="py-2 pr-4">{trend.wordsPerMinute ?? '—'}</td>
+                            <td className="py-2 pr-4">
+                              {trend.fillersPer100Words}
+                              <TrendArrow current={trend.fillersPer100Words} previous={previous?.fillersPer100Words} lowerIsBetter />
+                            </td>
+                            <td className="py-2 pr-4">
+                              {trend.longPauses ?? '—'}
+                              <TrendArrow current={trend.longPauses} previous={previous?.longPauses} lowerIsBetter />
+                            </td>
+                            <td className="py-2">
+                              {trend.withinTargetPercent}%
+                              <TrendArrow current={trend.withinTargetPercent} previous={previous?.withinTargetPercent} />
+                            </td>
+                          </tr>
+                        );
+                      })}
+                    </tbody>
+                  </table>
+                </div>
+              </div>
+            )}
+
             {/* Past Sessions */}
             <div className="bg-[#252525] rounded-lg p-6 border border-[#2A2A2A]">
               <div className="flex items-center justify-between mb-6">
@@ -981,24 +1545,51 @@ export function PracticeMode() {
                   </div>
                 ) : (
                   pastSessions.map((pastSession) => (
-                    <div
-                      key={pastSession.id}
-                      className="bg-[#1E1E1E] rounded-lg p-4 border border-[#2A2A2A]"
-                    >
-                      <div className="flex items-center justify-between mb-2">
-                        <h3 className="text-[#E0E0E0] font-medium">Practice Session</h3>
-                        <span className="text-sm text-[#888888]">{formatDate(pastSession.createdAt)}</span>
-                      </div>
-                      <div className="flex items-center gap-6 text-sm">
-                        <div className="flex items-center gap-2">
-                          <CheckCircle className="w-4 h-4 text-[#28A745]" />
-                          <span className="text-[#B0B0B0]">{pastSession.questionsAnswered || 1} questions</span>
+                    <div key={pastSession.id} className="relative group">
+                      <button
+                        onClick={() => openPastSession(pastSession.id)}
+                        disabled={pastSession.questionCount === 0}
+                        className="w-full text-left bg-[#1E1E1E] rounded-lg p-4 border border-[#2A2A2A] hover:border-[#0070F3] transition-colors disabled:hover:border-[#2A2A2A] disabled:cursor-default"
+                        aria-label={`${pastSession.status === 'active' ? 'Resume' : 'Review'} practice session from ${formatDate(pastSession.createdAt)}`}
+                      >
+                        <div className="flex items-center justify-between mb-2">
+                          <div className="flex items-center gap-2">
+                            <h3 className="text-[#E0E0E0] font-medium">{pastSession.projectName || 'Practice Session'}</h3>
+                            {pastSession.status === 'active' && (
+                              <span className="text-xs bg-[#FFC107] bg-opacity-20 text-[#FFC107] px-2 py-0.5 rounded">In progress</span>
+                            )}
+                            {pastSession.timeLimitSeconds && (
+                              <span className="text-xs bg-[#0070F3] bg-opacity-20 text-[#0070F3] px-2 py-0.5 rounded flex items-center gap-1">
+                                <Clock className="w-3 h-3" />
+                                {formatClock(pastSession.timeLimitSeconds)} per question
+                              </span>
+                            )}
+                          </div>
+                          <span className="text-sm text-[#888888]">{formatDate(pastSession.createdAt)}</span>
                         </div>
-                        <div className="flex items-center gap-2">
-                          <span className="text-[#B0B0B0]">Score:</span>
-                          <span className="text-[#28A745] font-semibold">{pastSession.score || 0}%</span>
+                        <div className="flex items-center gap-6 text-sm">
+                          <div className="flex items-center gap-2">
+                            <CheckCircle className="w-4 h-4 text-[#28A745]" />
+                            <span className="text-[#B0B0B0]">
+                              {pastSession.questionCount > 0
+                                ? `${pastSession.questionsAnswered} of ${pastSession.questionCount} questions`
+                                : `${pastSession.questionsAnswered || 1} questions`}
+                            </span>
+                          </div>
+                          <div className="flex items-center gap-2">
+                            <span className="text-[#B0B0B0]">Score:</span>
+                            <span className="text-[#28A745] font-semibold">{pastSession.score || 0}%</span>
+                          </div>
                         </div>
-                      </div>
+                      </button>
+                      <button
+                        onClick={() => handleDeleteSession(pastSession.id)}
+                        disabled={deleteSessionMutation.isPending}
+                        className="absolute bottom-4 right-4 p-1 text-[#888888] hover:text-[#D9534F] opacity-0 group-hover:opacity-100 focus:opacity-100 transition-opacity"
+                        aria-label={`Delete practice session from ${formatDate(pastSession.createdAt)}`}
+                      >
+                        <Trash2 className="w-4 h-4" aria-hidden="true" />
+                      </button>
                     </div>
                   ))
                 )}
@@ -1101,13 +1692,19 @@ export function PracticeMode() {
                   <h3 className="text-lg font-semibold text-[#E0E0E0] mb-4">Detailed Feedback</h3>
                   <div className="space-y-4 mb-6">
                     {session.questions.map((question, index) => (
-                      <div key={question.id} className="bg-[#1E1E1E] rounded-lg p-4 border border-[#2A2A2A]">
+                      <div key={question.id} className={`bg-[#1E1E1E] rounded-lg p-4 border border-[#2A2A2A] ${question.isFollowUp ? 'ml-6' : ''}`}>
                         <div className="flex items-start justify-between mb-3">
                           <div className="flex-1">
                             <div className="flex items-center gap-2 mb-2 flex-wrap">
                               <span className="text-xs bg-[#252525] text-[#B0B0B0] px-2 py-1 rounded">
                                 {question.category}
                               </span>
+                              {question.isFollowUp && (
+                                <span className="text-xs bg-[#FFC107] bg-opacity-20 text-[#FFC107] px-2 py-1 rounded flex items-center gap-1">
+                                  <CornerDownRight className="w-3 h-3" />
+                                  Follow-up
+                                </span>
+                              )}
                               {question.hireReadiness === 'hire-ready' && (
                                 <span className="text-xs bg-[#28A745] bg-opacity-20 text-[#28A745] px-2 py-1 rounded flex items-center gap-1">
                                   <CheckCircle className="w-3 h-3" />
@@ -1140,6 +1737,15 @@ export function PracticeMode() {
                                 <div className="flex items-center gap-2 mb-2">
                                   <Mic className="w-3 h-3 text-[#0070F3]" />
                                   <p className="text-xs font-semibold text-[#B0B0B0]">Your Transcript:</p>
+                                  {question.recordingId && (
+                                    <button
+                                      onClick={() => playRecording(question.recordingId)}
+                                      className="ml-auto text-xs text-[#0070F3] hover:underline flex items-center gap-1"
+                                    >
+                                      <Volume2 className="w-3 h-3" />
+                                      Play recording
+                                    </button>
+                                  )}
                                 </div>
                                 <p className="text-xs text-[#E0E0E0] whitespace-pre-wrap leading-relaxed">
                                   {question.userResponse}
@@ -1258,6 +1864,19 @@ export function PracticeMode() {
                                 </div>
                               )}
                             </div>
+                            {question.star && (
+                              <div className="mb-3">
+                                <StarBreakdown star={question.star} />
+                              </div>
+                            )}
+                            {question.delivery && (
+                              <div className="mb-3">
+                                <DeliveryMetrics delivery={question.delivery} />
+                              </div>
+                            )}
+                            {question.timeUsedSeconds !== null && question.timeUsedSeconds !== undefined && (
+                              <PacingNote question={question} />
+                            )}
                             
                             {/* Red Flags */}
                             {question.redFlags && question.redFlags.length > 0 && (
@@ -1287,14 +1906,14 @@ export function PracticeMode() {
                     >
                       Start New Session
                     </button>
-                    <button
-                      onClick={() => {
-                        setSession({ ...session, isActive: true, currentQuestion: 0 });
-                      }}
-                      className="btn btn-secondary btn-lg"
-                    >
-                      Practice Same Project Again
-                    </button>
+                    {session.questionSetId && (
+                      <button
+                        onClick={() => startSession(session.questionSetId, session.timeLimitSeconds)}
+                        className="btn btn-secondary btn-lg"
+                      >
+                        Replay These Questions
+                      </button>
+                    )}
                   </div>
                 </div>
               </div>
@@ -1313,9 +1932,25 @@ export function PracticeMode() {
                   </p>
                 </div>
                 <div className="flex items-center gap-4">
+                  {isTimed && timeLeft !== null && !currentQuestionAnswered && (
+                    <div
+                      className={`flex items-center gap-2 px-3 py-1 rounded-lg border font-mono text-lg ${
+                        timeLeft <= TIME_URGENT_SECONDS
+                          ? 'text-[#D9534F] border-[#D9534F] animate-pulse'
+                          : timeLeft <= TIME_WARNING_SECONDS
+                            ? 'text-[#FFC107] border-[#FFC107]'
+                            : 'text-[#E0E0E0] border-[#2A2A2A]'
+                      }`}
+                      role="timer"
+                      aria-label={`${timeLeft} seconds left for this question`}
+                    >
+                      <AlertCircle className="w-4 h-4" />
+                      {formatClock(timeLeft)}
+                    </div>
+                  )}
                   <div className="flex items-center gap-2 text-[#888888]">
                     <Clock className="w-5 h-5" />
-                    <span>{Math.floor(elapsedTime / 60)}:{(elapsedTime % 60).toString().padStart(2, '0')}</span>
+                    <span>{formatClock(elapsedTime)}</span>
                   </div>
                   <button
                     onClick={endSession}
@@ -1340,15 +1975,36 @@ export function PracticeMode() {
 
             {/* Current Question */}
             <div className="bg-[#252525] rounded-lg p-8 border border-[#2A2A2A]">
-              <div className="mb-6">
+              <div className="mb-6 flex items-center gap-2">
                 <span className="text-sm bg-[#0070F3] bg-opacity-20 text-[#0070F3] px-3 py-1 rounded-full">
                   {session.questions[session.currentQuestion].category}
                 </span>
+                {session.track === 'behavioral' && (
+                  <span className="text-sm bg-[#28A745] bg-opacity-20 text-[#28A745] px-3 py-1 rounded-full">
+                    Behavioral
+                  </span>
+                )}
+                {session.questions[session.currentQuestion].isFollowUp && (
+                  <span className="text-sm bg-[#FFC107] bg-opacity-20 text-[#FFC107] px-3 py-1 rounded-full flex items-center gap-1">
+                    <CornerDownRight className="w-3 h-3" />
+                    Follow-up
+                  </span>
+                )}
+                {session.questions[session.currentQuestion].difficulty && (
+                  <span className={`text-sm bg-opacity-20 px-3 py-1 rounded-full capitalize ${difficultyColors[session.questions[session.currentQuestion].difficulty] || 'text-[#888888] bg-[#888888]'}`}>
+                    {session.questions[session.currentQuestion].difficulty}
+                  </span>
+                )}
               </div>
               <div className="flex items-center justify-between mb-6">
-                <h3 className="text-2xl text-[#E0E0E0] flex-1">
-                  {session.questions[session.currentQuestion].text}
-                </h3>
+                <div className="flex-1">
+                  <h3 className="text-2xl text-[#E0E0E0]">
+                    {session.questions[session.currentQuestion].text}
+                  </h3>
+                  {session.questions[session.currentQuestion].targets && (
+                    <p className="text-sm text-[#888888] mt-2">Probing: {session.questions[session.currentQuestion].targets}</p>
+                  )}
+                </div>
                 <button
                   onClick={() => {
                     if (isSpeaking) {
@@ -1368,6 +2024,42 @@ export function PracticeMode() {
                 </button>
               </div>
 
+              {/* Saved story to rehearse (behavioral track) */}
+              {session.track === 'behavioral' && stories.length > 0 && !session.questions[session.currentQuestion].answered && (
+                <div className="mb-6 bg-[#1E1E1E] rounded-lg p-4 border border-[#2A2A2A]">
+                  <label htmlFor="cue-story" className="flex items-center gap-2 text-sm font-semibold text-[#E0E0E0] mb-2">
+                    <BookOpen className="w-4 h-4 text-[#0070F3]" />
+                    Rehearse a saved story
+                  </label>
+                  <select
+                    id="cue-story"
+                    value={cueStoryId}
+                    onChange={(e) => setCueStoryId(e.target.value)}
+                    className="w-full bg-[#252525] text-[#E0E0E0] border border-[#2A2A2A] rounded-lg px-4 py-2 focus:outline-none focus:border-[#0070F3]"
+                  >
+                    <option value="">No story notes</option>
+                    {stories.map((story) => (
+                      <option key={story.id} value={story.id}>
+                        {story.title}{story.projectName ? ` (${story.projectName})` : ''}
+                      </option>
+                    ))}
+                  </select>
+                  {(() => {
+                    const cueStory = stories.find((story) => String(story.id) === cueStoryId);
+                    return cueStory && (
+                      <dl className="mt-3 space-y-2 text-sm">
+                        {STAR_PARTS.map(({ key, label }) => (
+                          <div key={key}>
+                            <dt className="text-xs font-semibold text-[#888888]">{label}</dt>
+                            <dd className="text-[#E0E0E0]">{cueStory[key]}</dd>
+                          </div>
+                        ))}
+                      </dl>
+                    );
+                  })()}
+                </div>
+              )}
+
               {/* User Response Transcript */}
               {(userResponse || session.questions[session.currentQuestion].userResponse) && (
                 <div className="mb-6 bg-[#1E1E1E] rounded-lg p-4 border border-[#2A2A2A]">
@@ -1399,6 +2091,46 @@ export function PracticeMode() {
                     </div>
                   )}
 
+                  {/* STAR Coverage (behavioral track) */}
+                  {session.questions[session.currentQuestion].star && (
+                    <div className="bg-[#1E1E1E] rounded-lg p-4 border border-[#2A2A2A]">
+                      <p className="text-sm font-semibold text-[#E0E0E0] mb-3">STAR Coverage:</p>
+                      <StarBreakdown star={session.questions[session.currentQuestion].star} />
+                    </div>
+                  )}
+
+                  {/* Polished story, ready to save */}
+                  {session.questions[session.currentQuestion].polishedStory && (
+                    <div className="bg-[#1E1E1E] rounded-lg p-4 border border-[#28A745] border-opacity-30">
+                      <div className="flex items-center justify-between mb-3">
+                        <p className="text-sm font-semibold text-[#28A745]">Polished STAR Story:</p>
+                        {savedStoryAnswerIds.includes(session.questions[session.currentQuestion].answerId) ? (
+                          <span className="text-xs text-[#28A745] flex items-center gap-1">
+                            <CheckCircle className="w-3 h-3" />
+                            Saved to your stories
+                          </span>
+                        ) : (
+                          <button
+                            onClick={() => saveStory(session.questions[session.currentQuestion])}
+                            disabled={saveStoryMutation.isPending || !session.questions[session.currentQuestion].answerId}
+                            className="btn btn-secondary btn-sm flex items-center gap-2 disabled:opacity-50"
+                          >
+                            <Save className="w-4 h-4" />
+                            Save as STAR story
+                          </button>
+                        )}
+                      </div>
+                      <dl className="space-y-2 text-sm">
+                        {STAR_PARTS.map(({ key, label }) => (
+                          <div key={key}>
+                            <dt className="text-xs font-semibold text-[#888888]">{label}</dt>
+                            <dd className="text-[#E0E0E0]">{session.questions[session.currentQuestion].polishedStory[key]}</dd>
+                          </div>
+                        ))}
+                      </dl>
+                    </div>
+                  )}
+
                   {/* Acceptance Criteria */}
                   {session.questions[session.currentQuestion].acceptanceCriteria && 
                    session.questions[session.currentQuestion].acceptanceCriteria.length > 0 && (
@@ -1496,6 +2228,16 @@ export function PracticeMode() {
                           </div>
                         )}
                       </div>
+                      {session.questions[session.currentQuestion].delivery && (
+                        <div className="mt-4">
+                          <DeliveryMetrics delivery={session.questions[session.currentQuestion].delivery} />
+                        </div>
+                      )}
+                      {session.timeLimitSeconds && session.questions[session.currentQuestion].timeUsedSeconds !== undefined && (
+                        <div className="mt-4">
+                          <PacingNote question={session.questions[session.currentQuestion]} />
+                        </div>
+                      )}
                     </div>
                   )}
                 </div>
@@ -1571,7 +2313,7 @@ export function PracticeMode() {
               <div className="flex items-center justify-center gap-6 mb-8">
                 <button
                   onClick={toggleRecording}
-                  disabled={isSpeaking || isAnalyzing || micPermission === 'denied'}
+                  disabled={isSpeaking || isAnalyzing || isTranscribing || micPermission === 'denied'}
                   className={`w-20 h-20 rounded-full flex items-center justify-center transition-colors ${
                     isRecording
                       ? 'bg-[#D9534F] hover:bg-[#C9302C] animate-pulse'
@@ -1593,12 +2335,31 @@ export function PracticeMode() {
                 </button>
               </div>
 
+              {isTimed && !currentQuestionAnswered && (timeUpNotice || (timeLeft !== null && timeLeft <= TIME_WARNING_SECONDS && timeLeft > 0)) && (
+                <div
+                  className={`rounded-lg p-3 mb-4 border text-sm flex items-center gap-2 ${
+                    timeUpNotice || timeLeft <= TIME_URGENT_SECONDS
+                      ? 'bg-[#D9534F] bg-opacity-10 border-[#D9534F] border-opacity-30 text-[#D9534F]'
+                      : 'bg-[#FFC107] bg-opacity-10 border-[#FFC107] border-opacity-30 text-[#FFC107]'
+                  }`}
+                  role="alert"
+                >
+                  <AlertTriangle className="w-4 h-4 flex-shrink-0" />
+                  {timeUpNotice || `${timeLeft} seconds left. Start wrapping up your answer.`}
+                </div>
+              )}
+
               <p className="text-center text-[#888888] mb-6">
                 {isAnalyzing ? (
                   <span className="flex items-center justify-center gap-2">
                     <Loader2 className="w-4 h-4 animate-spin" />
                     Analyzing your response...
                   </span>
+                ) : isTranscribing ? (
+                  <span className="flex items-center justify-center gap-2">
+                    <Loader2 className="w-4 h-4 animate-spin" />
+                    Transcribing your answer...
+                  </span>
                 ) : isRecording ? (
                   'Recording your answer... (Click mic to stop)'
                 ) : isSpeaking ? (
@@ -1633,6 +2394,8 @@ export function PracticeMode() {
                   <button
                     onClick={() => {
                       // Allow re-recording
+                      setRecordingId(null);
+                      resetAnswerTiming();
                       const updatedQuestions = [...session.questions];
                       updatedQuestions[session.currentQuestion] = {
                         ...updatedQuestions[session.currentQuestion],
@@ -1,4 +1,5 @@
 import { useState, useEffect } from 'react';
+import { useSearchParams } from 'react-router-dom';
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
 import { Plus, CheckCircle, Circle, Clock, Code, Database, Globe, Edit2, Save, X, Sparkles, Target } from 'lucide-react';
 import { projectsAPI } from '../src/lib/api';
@@ -21,6 +22,15 @@ export function ProjectBuilder() {
     queryFn: projectsAPI.getAll,
   });
 
+  // Open the project linked as ?project=ID (search results)
+  const [searchParams, setSearchParams] = useSearchParams();
+  const linkedProjectId = parseInt(searchParams.get('project'));
+  useEffect(() => {
+    if (!linkedProjectId) return;
+    setSelectedProjectId(linkedProjectId);
+    setSearchParams({}, { replace: true });
+  }, [linkedProjectId, setSearchParams]);
+
   const createProjectMutation = useMutation({
     mutationFn: projectsAPI.create,
     onSuccess: () => {
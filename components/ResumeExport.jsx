@@ -0,0 +1,136 @@
+import { useState, useEffect } from 'react';
+import { useQuery, useMutation } from '@tanstack/react-query';
+import { FileDown, Loader2 } from 'lucide-react';
+import { resumesAPI } from '../src/lib/api';
+
+const PREVIEW_DEBOUNCE_MS = 600;
+
+const FORMATS = [
+  { id: 'pdf', label: 'Download PDF' },
+  { id: 'docx', label: 'Download DOCX' },
+];
+
+const useDebounced = (value, delay) => {
+  const [debounced, setDebounced] = useState(value);
+  useEffect(() => {
+    const timer = setTimeout(() => setDebounced(value), delay);
+    return () => clearTimeout(timer);
+  }, [value, delay]);
+  return debounced;
+};
+
+const fileNameFrom = (response, format) => {
+  const match = /filename="([^"]+)"/.exec(response.headers['content-disposition'] || '');
+  return match ? match[1] : `Resume.${format}`;
+};
+
+const saveBlob = (blob, fileName) => {
+  const url = window.URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = fileName;
+  document.body.appendChild(a);
+  a.click();
+  window.URL.revokeObjectURL(url);
+  document.body.removeChild(a);
+};
+
+// Template picker with a live HTML preview of the editor content. Downloads are rendered
+// on the server from the saved version.
+export function ResumeExport({ resume, resumeContent }) {
+  const [template, setTemplate] = useState('classic');
+  const debouncedContent = useDebounced(resumeContent, PREVIEW_DEBOUNCE_MS);
+  const hasUnsavedChanges = resumeContent !== (resume.content || '');
+
+  const { data: templates = [] } = useQuery({
+    queryKey: ['resume-templates'],
+    queryFn: resumesAPI.getTemplates,
+    staleTime: Infinity,
+  });
+
+  const { data: previewHtml, isFetching: isPreviewing, error: previewError } = useQuery({
+    queryKey: ['resume-preview', resume.id, template, debouncedContent],
+    queryFn: () => resumesAPI.preview(resume.id, template, debouncedContent),
+    placeholderData: (previous) => previous,
+  });
+
+  const downloadMutation = useMutation({
+    mutationFn: (format) => resumesAPI.download(resume.id, format, template),
+    onSuccess: (response, format) => {
+      saveBlob(new Blob([response.data]), fileNameFrom(response, format));
+    },
+    onError: (error) => {
+      console.error('Download error:', error);
+      alert('Failed to download resume');
+    },
+  });
+
+  return (
+    <div className="bg-[#252525] rounded-lg p-6 border border-[#2A2A2A]">
+      <div className="flex items-center justify-between mb-4 gap-4 flex-wrap">
+        <h2 className="text-xl font-semibold text-[#E0E0E0] flex items-center gap-2">
+          <FileDown className="w-5 h-5 text-[#0070F3]" />
+          Export
+        </h2>
+        <div className="flex gap-2">
+          {FORMATS.map((format) => (
+            <button
+              key={format.id}
+              onClick={() => downloadMutation.mutate(format.id)}
+              disabled={downloadMutation.isPending}
+              className="btn btn-secondary btn-sm"
+            >
+              {downloadMutation.isPending && downloadMutation.variables === format.id
+                ? <Loader2 className="w-4 h-4 animate-spin" />
+                : <FileDown className="w-4 h-4" />}
+              {format.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-2 mb-4" role="radiogroup" aria-label="Template">
+        {templates.map((option) => (
+          <button
+            key={option.id}
+            role="radio"
+            aria-checked={template === option.id}
+            onClick={() => setTemplate(option.id)}
+            className={`text-left rounded-lg p-3 border transition-colors ${
+              template === option.id
+                ? 'border-[#0070F3] bg-[#0070F3] bg-opacity-10'
+                : 'border-[#2A2A2A] bg-[#1E1E1E] hover:border-[#3A3A3A]'
+            }`}
+          >
+            <p className="text-sm font-semibold text-[#E0E0E0]">{option.name}</p>
+            <p className="text-xs text-[#888888] mt-1">{option.description}</p>
+          </button>
+        ))}
+      </div>
+
+      {hasUnsavedChanges && (
+        <p className="text-xs text-[#FFC107] mb-2">
+          The preview includes your unsaved changes. Save them to include them in downloads.
+        </p>
+      )}
+
+      <div className="relative rounded-lg border border-[#2A2A2A] overflow-hidden bg-[#E5E7EB]">
+        {isPreviewing && (
+          <Loader2 className="w-4 h-4 text-[#888888] animate-spin absolute top-3 right-3" />
+        )}
+        {previewError ? (
+          <p className="text-sm text-[#D9534F] p-4">
+            {previewError.response?.data?.error || 'Failed to preview resume'}
+          </p>
+        ) : previewHtml ? (
+          // Sandboxed without scripts; the preview is static HTML from the server
+          <iframe title="Resume preview" srcDoc={previewHtml} sandbox="" className="w-full h-[800px] bg-[#E5E7EB]" />
+        ) : (
+          <div className="text-center py-8">
+            <Loader2 className="w-6 h-6 text-[#888888] animate-spin mx-auto" />
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,240 @@
+import { useState, useEffect } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { History, RotateCcw, Loader2 } from 'lucide-react';
+import { resumesAPI } from '../src/lib/api';
+
+const SOURCE_LABELS = {
+  upload: 'Uploaded',
+  manual: 'Edited',
+  'ai-edit': 'AI edits applied',
+  restore: 'Restored',
+};
+
+const versionLabel = (version) => {
+  if (version.source === 'ai-edit') {
+    const count = version.appliedEdits.length;
+    return `${SOURCE_LABELS['ai-edit']} (${count} edit${count === 1 ? '' : 's'})`;
+  }
+  if (version.source === 'restore') return `Restored from v${version.restoredFromVersion}`;
+  return SOURCE_LABELS[version.source] || version.source;
+};
+
+// Line diffs show whole lines with +/- gutters, word diffs mark changes inline
+function DiffView({ diff }) {
+  if (diff.mode === 'word') {
+    return (
+      <pre className="bg-[#1E1E1E] rounded-lg p-4 border border-[#2A2A2A] text-sm text-[#B0B0B0] font-mono whitespace-pre-wrap max-h-[500px] overflow-y-auto">
+        {diff.changes.map((change, i) => {
+          if (change.type === 'insert') {
+            return <ins key={i} className="no-underline bg-[#28A745] bg-opacity-20 text-[#28A745]">{change.text}</ins>;
+          }
+          if (change.type === 'delete') {
+            return <del key={i} className="bg-[#D9534F] bg-opacity-20 text-[#D9534F]">{change.text}</del>;
+          }
+          return <span key={i}>{change.text}</span>;
+        })}
+      </pre>
+    );
+  }
+
+  const lines = diff.changes.flatMap((change) => change.text
+    .replace(/\n$/, '')
+    .split('\n')
+    .map((text) => ({ type: change.type, text })));
+
+  return (
+    <div className="bg-[#1E1E1E] rounded-lg border border-[#2A2A2A] text-sm font-mono max-h-[500px] overflow-y-auto py-2">
+      {lines.map((line, i) => (
+        <div
+          key={i}
+          className={`flex px-2 ${
+            line.type === 'insert'
+              ? 'bg-[#28A745] bg-opacity-10 text-[#28A745]'
+              : line.type === 'delete'
+                ? 'bg-[#D9534F] bg-opacity-10 text-[#D9534F]'
+                : 'text-[#888888]'
+          }`}
+        >
+          <span className="w-5 flex-shrink-0 select-none" aria-hidden="true">
+            {line.type === 'insert' ? '+' : line.type === 'delete' ? '-' : ' '}
+          </span>
+          <span className="whitespace-pre-wrap break-words min-w-0">{line.text || ' '}</span>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// Version history for the resume editor: every save, upload, applied AI edit and restore,
+// with a diff between any two versions and one-click rollback
+export function ResumeHistory({ resume, onRestored }) {
+  const queryClient = useQueryClient();
+  const [fromVersion, setFromVersion] = useState(null);
+  const [toVersion, setToVersion] = useState(null);
+  const [mode, setMode] = useState('line');
+
+  const { data: versions = [], isLoading } = useQuery({
+    queryKey: ['resume-versions', resume.id],
+    queryFn: () => resumesAPI.getVersions(resume.id),
+  });
+
+  // Compare the previous version with the current one until the user picks others
+  useEffect(() => {
+    setFromVersion(versions[1]?.version ?? null);
+    setToVersion(versions[0]?.version ?? null);
+  }, [versions]);
+
+  const canCompare = fromVersion && toVersion && fromVersion !== toVersion;
+  const { data: diff, isFetching: isDiffing } = useQuery({
+    queryKey: ['resume-diff', resume.id, fromVersion, toVersion, mode],
+    queryFn: () => resumesAPI.diff(resume.id, fromVersion, toVersion, mode),
+    enabled: !!canCompare,
+  });
+
+  const restoreMutation = useMutation({
+    mutationFn: (version) => resumesAPI.restoreVersion(resume.id, version),
+    onSuccess: (restored) => {
+      queryClient.invalidateQueries({ queryKey: ['resume'] });
+      queryClient.invalidateQueries({ queryKey: ['resume-versions', resume.id] });
+      onRestored(restored);
+    },
+    onError: (error) => {
+      alert(error.response?.data?.error || 'Failed to restore version');
+    },
+  });
+
+  const handleRestore = (version) => {
+    if (window.confirm(`Restore version ${version}? Your current resume stays in the history.`)) {
+      restoreMutation.mutate(version);
+    }
+  };
+
+  const selectClassName = 'bg-[#1E1E1E] text-[#E0E0E0] border border-[#2A2A2A] rounded-lg px-2 py-1 text-sm focus:outline-none focus:border-[#0070F3]';
+
+  return (
+    <div className="bg-[#252525] rounded-lg p-6 border border-[#2A2A2A]">
+      <h2 className="text-xl font-semibold text-[#E0E0E0] flex items-center gap-2 mb-4">
+        <History className="w-5 h-5 text-[#0070F3]" />
+        Version History
+      </h2>
+
+      {isLoading ? (
+        <div className="text-center py-8">
+          <Loader2 className="w-6 h-6 text-[#888888] animate-spin mx-auto" />
+        </div>
+      ) : (
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+          <div className="space-y-2 max-h-[560px] overflow-y-auto">
+            {versions.map((version, index) => (
+              <div
+                key={version.id}
+                className={`p-3 rounded-lg border bg-[#1E1E1E] ${
+                  version.version === fromVersion || version.version === toVersion ? 'border-[#0070F3]' : 'border-[#2A2A2A]'
+                }`}
+              >
+                <div className="flex items-center justify-between gap-2">
+                  <button
+                    onClick={() => setFromVersion(version.version)}
+                    className="text-left min-w-0"
+                    title="Compare this version"
+                  >
+                    <p className="text-sm text-[#E0E0E0]">
+                      v{version.version}
+                      {index === 0 && <span className="ml-2 text-xs text-[#28A745]">current</span>}
+                    </p>
+                    <p className="text-xs text-[#888888] truncate">
+                      {versionLabel(version)} · {new Date(version.createdAt).toLocaleString()}
+                    </p>
+                  </button>
+                  {index > 0 && (
+                    <button
+                      onClick={() => handleRestore(version.version)}
+                      disabled={restoreMutation.isPending}
+                      className="btn btn-secondary btn-sm flex-shrink-0"
+                    >
+                      <RotateCcw className="w-4 h-4" />
+                      Restore
+                    </button>
+                  )}
+                </div>
+                {version.source === 'ai-edit' && version.appliedEdits.length > 0 && (
+                  <ul className="mt-2 space-y-1 text-xs text-[#888888]">
+                    {version.appliedEdits.map((edit, i) => (
+                      <li key={i} className="truncate" title={`${edit.originalText} → ${edit.suggestedText}`}>
+                        {edit.category ? `${edit.category}: ` : ''}{edit.suggestedText}
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            ))}
+          </div>
+
+          <div className="lg:col-span-2 space-y-3">
+            {versions.length < 2 ? (
+              <p className="text-sm text-[#888888]">
+                Save a change to the resume to start comparing versions.
+              </p>
+            ) : (
+              <>
+                <div className="flex flex-wrap items-center gap-2 text-sm text-[#888888]">
+                  <span>Compare</span>
+                  <select
+                    value={fromVersion ?? ''}
+                    onChange={(e) => setFromVersion(parseInt(e.target.value))}
+                    className={selectClassName}
+                    aria-label="Older version"
+                  >
+                    {versions.map((version) => (
+                      <option key={version.id} value={version.version}>v{version.version}</option>
+                    ))}
+                  </select>
+                  <span>with</span>
+                  <select
+                    value={toVersion ?? ''}
+                    onChange={(e) => setToVersion(parseInt(e.target.value))}
+                    className={selectClassName}
+                    aria-label="Newer version"
+                  >
+                    {versions.map((version) => (
+                      <option key={version.id} value={version.version}>v{version.version}</option>
+                    ))}
+                  </select>
+                  <div className="ml-auto flex gap-1" role="group" aria-label="Diff granularity">
+                    {['line', 'word'].map((option) => (
+                      <button
+                        key={option}
+                        onClick={() => setMode(option)}
+                        aria-pressed={mode === option}
+                        className={`px-3 py-1 rounded-lg text-sm ${
+                          mode === option ? 'bg-[#0070F3] text-white' : 'bg-[#1E1E1E] text-[#888888] hover:text-[#E0E0E0]'
+                        }`}
+                      >
+                        {option === 'line' ? 'Lines' : 'Words'}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+
+                {!canCompare ? (
+                  <p className="text-sm text-[#888888]">Pick two different versions to compare.</p>
+                ) : isDiffing && !diff ? (
+                  <Loader2 className="w-6 h-6 text-[#888888] animate-spin" />
+                ) : diff && (
+                  <>
+                    <p className="text-sm text-[#888888]">
+                      <span className="text-[#28A745]">+{diff.stats.added}</span>{' '}
+                      <span className="text-[#D9534F]">-{diff.stats.removed}</span>{' '}
+                      {diff.mode === 'line' ? 'lines' : 'words'}
+                    </p>
+                    <DiffView diff={diff} />
+                  </>
+                )}
+              </>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
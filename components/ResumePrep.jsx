@@ -1,7 +1,15 @@
 import { useState, useEffect } from 'react';
-import { FileText, Copy, Check, Sparkles, AlertCircle, MessageSquare, Target, Upload, Download, Edit2, Save, X, Loader2, CheckCircle, XCircle, ThumbsUp, ThumbsDown } from 'lucide-react';
+import { FileText, Copy, Check, Sparkles, AlertCircle, MessageSquare, Target, Upload, Download, Edit2, Save, X, Loader2, CheckCircle, XCircle, ThumbsUp, ThumbsDown, Trash2 } from 'lucide-react';
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
-import { projectsAPI, resumesAPI } from '../src/lib/api';
+import { projectsAPI, resumesAPI, storiesAPI } from '../src/lib/api';
+import { ResumeHistory } from './ResumeHistory';
+import { JobTailoring } from './JobTailoring';
+import { AtsReport } from './AtsReport';
+import { ResumeExport } from './ResumeExport';
+import { ResumeSections } from './ResumeSections';
+
+const formatStarAnswer = (story) =>
+  `**Situation:** ${story.situation}\n\n**Task:** ${story.task}\n\n**Action:** ${story.action}\n\n**Result:** ${story.result}`;
 
 export function ResumePrep() {
   const queryClient = useQueryClient();
@@ -12,7 +20,9 @@ export function ResumePrep() {
   const [isUploading, setIsUploading] = useState(false);
   const [resumeContent, setResumeContent] = useState('');
   const [isEditing, setIsEditing] = useState(false);
+  const [editorView, setEditorView] = useState('text'); // 'text' or 'sections'
   const [showStarAnswers, setShowStarAnswers] = useState(false);
+  const [starTitle, setStarTitle] = useState('');
   const [starSituation, setStarSituation] = useState('');
   const [starTask, setStarTask] = useState('');
   const [starAction, setStarAction] = useState('');
@@ -52,6 +62,36 @@ export function ResumePrep() {
     }
   }, [resume]);
 
+  // Saved STAR stories for the selected project (also written from behavioral practice)
+  const { data: stories = [] } = useQuery({
+    queryKey: ['stories', selectedProjectId],
+    queryFn: () => storiesAPI.getAll(selectedProjectId),
+    enabled: !!selectedProjectId,
+  });
+
+  const saveStoryMutation = useMutation({
+    mutationFn: storiesAPI.create,
+    onSuccess: (story) => {
+      queryClient.invalidateQueries({ queryKey: ['stories'] });
+      setGeneratedStarAnswer(formatStarAnswer(story));
+      setStarTitle('');
+      setStarSituation('');
+      setStarTask('');
+      setStarAction('');
+      setStarResult('');
+    },
+    onError: (error) => {
+      alert(error.response?.data?.error || 'Failed to save story. Please try again.');
+    },
+  });
+
+  const deleteStoryMutation = useMutation({
+    mutationFn: storiesAPI.delete,
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['stories'] });
+    },
+  });
+
   // Generate bullets mutation
   const generateBulletsMutation = useMutation({
     mutationFn: (projectId) => resumesAPI.generateProjectBullets(projectId),
@@ -63,13 +103,15 @@ export function ResumePrep() {
   // Upload mutation
   const uploadMutation = useMutation({
     mutationFn: (file) => resumesAPI.upload(file),
-    onSuccess: (data) => {
+    onSuccess: ({ resume: uploaded, atsReport }) => {
       queryClient.invalidateQueries(['resume']);
       // Set the uploaded file and content immediately
-      setUploadedFile(data);
-      if (data.content) {
-        setResumeContent(data.content);
+      setUploadedFile(uploaded);
+      if (uploaded.content) {
+        setResumeContent(uploaded.content);
       }
+      // The upload already ran the ATS check on the extracted text
+      queryClient.setQueryData(['resume-ats', uploaded.id, uploaded.version], atsReport);
       setIsUploading(false);
       setActiveTab('editor');
     },
@@ -91,9 +133,27 @@ export function ResumePrep() {
   // Update resume mutation
   const updateResumeMutation = useMutation({
     mutationFn: ({ id, content }) => resumesAPI.update(id, { content }),
-    onSuccess: () => {
+    onSuccess: (updated) => {
+      queryClient.invalidateQueries(['resume']);
+      queryClient.invalidateQueries({ queryKey: ['resume-versions', updated.id] });
+      setIsEditing(false);
+    },
+  });
+
+  // Apply AI edits mutation - sends unsaved editor text along so it is not lost
+  const applyEditsMutation = useMutation({
+    mutationFn: (edits) => resumesAPI.applyEdits(resume.id, edits, resumeContent),
+    onSuccess: ({ resume: updated, skipped }) => {
+      setResumeContent(updated.content || '');
       queryClient.invalidateQueries(['resume']);
+      queryClient.invalidateQueries({ queryKey: ['resume-versions', updated.id] });
       setIsEditing(false);
+      if (skipped.length > 0) {
+        alert(`${skipped.length} edit(s) no longer matched a line of your resume and were skipped.`);
+      }
+    },
+    onError: (error) => {
+      alert(error.response?.data?.error || 'Failed to apply edits');
     },
   });
 
@@ -141,10 +201,17 @@ export function ResumePrep() {
     setEditDecisions(prev => ({ ...prev, [editId]: 'disapproved' }));
   };
 
+  // Apply approved edits from recommendations or job tailoring. The server applies them by
+  // bullet ID, so they land on the right line even if the same text appears twice.
+  const applyEdits = (approvedEdits) => {
+    if (resume?.id) {
+      applyEditsMutation.mutate(approvedEdits);
+    }
+  };
+
   const handleApplyApprovedEdits = () => {
     if (!recommendationsMutation.data?.edits) return;
 
-    let updatedContent = resumeContent;
     const approvedEdits = recommendationsMutation.data.edits.filter(
       edit => editDecisions[edit.id] === 'approved'
     );
@@ -154,34 +221,8 @@ export function ResumePrep() {
       return;
     }
 
-    // Apply edits one at a time, tracking positions
-    // Sort by position in document (from end to start to maintain indices)
-    const editsWithPositions = approvedEdits
-      .map(edit => ({
-        ...edit,
-        position: updatedContent.indexOf(edit.originalText)
-      }))
-      .filter(edit => edit.position !== -1) // Only include edits where original text is found
-      .sort((a, b) => b.position - a.position); // Sort from end to start
-
-    // Apply edits from end to start to maintain correct indices
-    editsWithPositions.forEach(edit => {
-      // Replace only the first occurrence at the found position
-      const before = updatedContent.substring(0, edit.position);
-      const after = updatedContent.substring(edit.position + edit.originalText.length);
-      updatedContent = before + edit.suggestedText + after;
-    });
-
-    setResumeContent(updatedContent);
+    applyEdits(approvedEdits);
     setEditDecisions({}); // Clear decisions after applying
-    
-    // Auto-save the updated content
-    if (resume?.id) {
-      updateResumeMutation.mutate({ id: resume.id, content: updatedContent });
-    } else {
-      // If no resume ID, just update the local state
-      alert(`Applied ${editsWithPositions.length} edit(s) to your resume. Don't forget to save!`);
-    }
   };
 
   const handleSaveResume = () => {
@@ -437,6 +478,19 @@ export function ResumePrep() {
                     
                     {showStarAnswers && (
                       <div className="space-y-4 mt-6">
+                        <div>
+                          <label className="block text-sm text-[#B0B0B0] mb-2">
+                            Story title
+                          </label>
+                          <input
+                            type="text"
+                            value={starTitle}
+                            onChange={(e) => setStarTitle(e.target.value)}
+                            placeholder="e.g., Designing stateless auth under a deadline"
+                            className="w-full bg-[#1E1E1E] text-[#E0E0E0] border border-[#2A2A2A] rounded-lg p-3 focus:outline-none focus:border-[#0070F3] placeholder-[#666666]"
+                          />
+                        </div>
+
                         <div>
                           <label className="block text-sm text-[#B0B0B0] mb-2">
                             <strong className="text-[#E0E0E0]">S</strong>ituation
@@ -496,19 +550,30 @@ export function ResumePrep() {
                               return;
                             }
                             
-                            const starAnswer = `**Situation:** ${starSituation}\n\n**Task:** ${starTask}\n\n**Action:** ${starAction}\n\n**Result:** ${starResult}`;
-                            setGeneratedStarAnswer(starAnswer);
+                            saveStoryMutation.mutate({
+                              title: starTitle.trim() || starSituation.slice(0, 80),
+                              projectId: selectedProjectId,
+                              situation: starSituation,
+                              task: starTask,
+                              action: starAction,
+                              result: starResult,
+                            });
                           }}
-                          className="w-full bg-[#0070F3] text-white py-3 rounded-lg hover:bg-[#0060D9] transition-colors flex items-center justify-center gap-2"
+                          disabled={saveStoryMutation.isPending}
+                          className="w-full bg-[#0070F3] text-white py-3 rounded-lg hover:bg-[#0060D9] transition-colors flex items-center justify-center gap-2 disabled:opacity-50"
                         >
-                          <Sparkles className="w-4 h-4" />
-                          Generate STAR Answer
+                          {saveStoryMutation.isPending ? (
+                            <Loader2 className="w-4 h-4 animate-spin" />
+                          ) : (
+                            <Save className="w-4 h-4" />
+                          )}
+                          Save STAR Story
                         </button>
 
                         {generatedStarAnswer && (
                           <div className="bg-[#1E1E1E] rounded-lg p-4 border border-[#28A745] border-opacity-30">
                             <div className="flex items-center justify-between mb-3">
-                              <p className="text-xs text-[#28A745] font-semibold">Generated STAR Answer:</p>
+                              <p className="text-xs text-[#28A745] font-semibold">Saved STAR Answer:</p>
                               <button
                                 onClick={() => copyToClipboard(generatedStarAnswer, 'star')}
                                 className="flex items-center gap-1 text-xs text-[#0070F3] hover:text-[#0060D9] hover:underline"
@@ -531,6 +596,44 @@ export function ResumePrep() {
                         )}
                       </div>
                     )}
+
+                    {/* Saved stories, including ones polished in behavioral practice */}
+                    {stories.length > 0 && (
+                      <div className="mt-6 pt-6 border-t border-[#2A2A2A] space-y-3">
+                        <h3 className="text-sm font-semibold text-[#E0E0E0]">Saved stories for this project</h3>
+                        {stories.map((story) => (
+                          <div key={story.id} className="bg-[#1E1E1E] rounded-lg p-4 border border-[#2A2A2A]">
+                            <div className="flex items-start justify-between gap-3 mb-2">
+                              <div>
+                                <p className="text-sm font-medium text-[#E0E0E0]">{story.title}</p>
+                                {story.competency && <p className="text-xs text-[#888888]">{story.competency}</p>}
+                              </div>
+                              <div className="flex items-center gap-3 flex-shrink-0">
+                                <button
+                                  onClick={() => copyToClipboard(formatStarAnswer(story), `story-${story.id}`)}
+                                  className="flex items-center gap-1 text-xs text-[#0070F3] hover:text-[#0060D9] hover:underline"
+                                >
+                                  {copiedIndex === `story-${story.id}` ? <Check className="w-3 h-3" /> : <Copy className="w-3 h-3" />}
+                                  {copiedIndex === `story-${story.id}` ? 'Copied!' : 'Copy'}
+                                </button>
+                                <button
+                                  onClick={() => {
+                                    if (confirm('Are you sure you want to delete this story?')) {
+                                      deleteStoryMutation.mutate(story.id);
+                                    }
+                                  }}
+                                  className="text-[#888888] hover:text-[#D9534F]"
+                                  aria-label={`Delete story ${story.title}`}
+                                >
+                                  <Trash2 className="w-4 h-4" />
+                                </button>
+                              </div>
+                            </div>
+                            <p className="text-xs text-[#B0B0B0] line-clamp-2">{story.situation} {story.result}</p>
+                          </div>
+                        ))}
+                      </div>
+                    )}
                   </div>
                 </>
               ) : (
@@ -607,6 +710,21 @@ export function ResumePrep() {
                       <p className="text-sm text-[#888888] mt-1">{resume.fileName || 'Resume'}</p>
                     </div>
                     <div className="flex gap-2">
+                      <div className="flex gap-1 mr-2" role="group" aria-label="Editor view">
+                        {['text', 'sections'].map((view) => (
+                          <button
+                            key={view}
+                            onClick={() => setEditorView(view)}
+                            disabled={isEditing}
+                            aria-pressed={editorView === view}
+                            className={`px-3 py-2 rounded-lg text-sm disabled:opacity-50 ${
+                              editorView === view ? 'bg-[#0070F3] text-white' : 'bg-[#1E1E1E] text-[#888888] hover:text-[#E0E0E0]'
+                            }`}
+                          >
+                            {view === 'text' ? 'Text' : 'Sections'}
+                          </button>
+                        ))}
+                      </div>
                       {isEditing ? (
                         <>
                           <button
@@ -639,32 +757,42 @@ export function ResumePrep() {
                         </>
                       ) : (
                         <>
-                          <button
-                            onClick={() => setIsEditing(true)}
-                            className="bg-[#0070F3] text-white px-4 py-2 rounded-lg hover:bg-[#0060D9] transition-colors flex items-center gap-2"
-                          >
-                            <Edit2 className="w-4 h-4" />
-                            Edit
-                          </button>
+                          {editorView === 'text' && (
+                            <button
+                              onClick={() => setIsEditing(true)}
+                              className="bg-[#0070F3] text-white px-4 py-2 rounded-lg hover:bg-[#0060D9] transition-colors flex items-center gap-2"
+                            >
+                              <Edit2 className="w-4 h-4" />
+                              Edit
+                            </button>
+                          )}
                           <button
                             onClick={handleDownload}
+                            title="Download the file you uploaded"
                             className="bg-[#1E1E1E] text-[#E0E0E0] px-4 py-2 rounded-lg border border-[#2A2A2A] hover:border-[#0070F3] transition-colors flex items-center gap-2"
                           >
                             <Download className="w-4 h-4" />
-                            Download
+                            Original
                           </button>
                         </>
                       )}
                     </div>
                   </div>
 
-                  <textarea
-                    value={resumeContent || ''}
-                    onChange={(e) => setResumeContent(e.target.value)}
-                    disabled={!isEditing}
-                    className="w-full bg-[#1E1E1E] text-[#E0E0E0] border border-[#2A2A2A] rounded-lg p-4 focus:outline-none focus:border-[#0070F3] placeholder-[#666666] resize-none min-h-[500px] font-mono text-sm disabled:opacity-60 whitespace-pre-wrap"
-                    placeholder={resumeContent ? "" : "Resume content will appear here after upload..."}
-                  />
+                  {editorView === 'sections' ? (
+                    <ResumeSections
+                      resume={resume}
+                      onSaved={(updated) => setResumeContent(updated.content || '')}
+                    />
+                  ) : (
+                    <textarea
+                      value={resumeContent || ''}
+                      onChange={(e) => setResumeContent(e.target.value)}
+                      disabled={!isEditing}
+                      className="w-full bg-[#1E1E1E] text-[#E0E0E0] border border-[#2A2A2A] rounded-lg p-4 focus:outline-none focus:border-[#0070F3] placeholder-[#666666] resize-none min-h-[500px] font-mono text-sm disabled:opacity-60 whitespace-pre-wrap"
+                      placeholder={resumeContent ? "" : "Resume content will appear here after upload..."}
+                    />
+                  )}
                 </div>
 
                 {/* AI Recommendations Section */}
@@ -719,10 +847,10 @@ export function ResumePrep() {
                             {recommendationsMutation.data.edits.filter(e => editDecisions[e.id] === 'approved').length > 0 && (
                               <button
                                 onClick={handleApplyApprovedEdits}
-                                disabled={updateResumeMutation.isPending}
+                                disabled={applyEditsMutation.isPending}
                                 className="bg-[#28A745] text-white px-4 py-2 rounded-lg hover:bg-[#218838] transition-colors flex items-center gap-2 disabled:opacity-50"
                               >
-                                {updateResumeMutation.isPending ? (
+                                {applyEditsMutation.isPending ? (
                                   <>
                                     <Loader2 className="w-4 h-4 animate-spin" />
                                     Applying...
@@ -898,6 +1026,25 @@ export function ResumePrep() {
                     </div>
                   )}
                 </div>
+
+                <AtsReport resume={resume} resumeContent={resumeContent} />
+
+                <ResumeExport resume={resume} resumeContent={resumeContent} />
+
+                <JobTailoring
+                  resume={resume}
+                  resumeContent={resumeContent}
+                  onApplyEdits={applyEdits}
+                  isApplying={applyEditsMutation.isPending}
+                />
+
+                <ResumeHistory
+                  resume={resume}
+                  onRestored={(restored) => {
+                    setResumeContent(restored.content || '');
+                    setIsEditing(false);
+                  }}
+                />
               </>
             ) : (
               <div className="bg-[#252525] rounded-lg p-12 border border-[#2A2A2A] text-center">
@@ -0,0 +1,348 @@
+import { useState } from 'react';
+import { useMutation, useQueryClient } from '@tanstack/react-query';
+import { Edit2, Save, X, Plus, Trash2, Loader2 } from 'lucide-react';
+import { resumesAPI } from '../src/lib/api';
+
+const SECTION_TITLES = {
+  contact: 'Contact',
+  summary: 'Summary',
+  experience: 'Experience',
+  projects: 'Projects',
+  education: 'Education',
+  skills: 'Skills',
+  other: 'Other Sections',
+};
+
+// Fields of one entry in each list section, in display order
+const ENTRY_FIELDS = {
+  experience: [['title', 'Title'], ['company', 'Company'], ['location', 'Location'], ['startDate', 'Start'], ['endDate', 'End']],
+  education: [['degree', 'Degree'], ['institution', 'Institution'], ['location', 'Location'], ['startDate', 'Start'], ['endDate', 'End']],
+  projects: [['name', 'Name'], ['description', 'Description'], ['startDate', 'Start'], ['endDate', 'End']],
+  other: [['heading', 'Heading']],
+};
+
+const CONTACT_FIELDS = [['name', 'Name'], ['headline', 'Headline'], ['email', 'Email'], ['phone', 'Phone'], ['location', 'Location']];
+
+const inputClassName = 'w-full bg-[#1E1E1E] text-[#E0E0E0] border border-[#2A2A2A] rounded-lg px-3 py-2 text-sm focus:outline-none focus:border-[#0070F3] placeholder-[#666666]';
+
+const emptyEntry = (section) => ({
+  ...Object.fromEntries(ENTRY_FIELDS[section].map(([field]) => [field, ''])),
+  bullets: [{ text: '' }],
+});
+
+// Drafts keep list fields as text while editing; this turns a draft back into the section
+// value the API expects, dropping blank bullets and skill groups
+const toSectionValue = (section, draft) => {
+  if (section === 'contact') {
+    return { ...draft, links: draft.linksText.split(',').map((link) => link.trim()).filter(Boolean) };
+  }
+  if (section === 'summary') return draft;
+  if (section === 'skills') {
+    return draft
+      .map(({ id, category, itemsText }) => ({
+        id,
+        category,
+        items: itemsText.split(',').map((item) => item.trim()).filter(Boolean),
+      }))
+      .filter((group) => group.items.length > 0);
+  }
+  return draft.map((entry) => ({
+    ...entry,
+    bullets: entry.bullets.filter((bullet) => bullet.text.trim()),
+  }));
+};
+
+const toDraft = (section, value) => {
+  if (section === 'contact') return { ...value, linksText: value.links.join(', ') };
+  if (section === 'summary') return value;
+  if (section === 'skills') return value.map((group) => ({ ...group, itemsText: group.items.join(', ') }));
+  return structuredClone(value);
+};
+
+function EntryView({ section, entry }) {
+  const dates = [entry.startDate, entry.endDate].filter(Boolean).join(' - ');
+  const heading = {
+    experience: [entry.title, entry.company],
+    education: [entry.degree, entry.institution],
+    projects: [entry.name, entry.description],
+    other: [entry.heading],
+  }[section].filter(Boolean).join(' · ');
+
+  return (
+    <div>
+      <div className="flex items-baseline justify-between gap-4">
+        <p className="text-sm font-semibold text-[#E0E0E0]">{heading || 'Untitled'}</p>
+        {dates && <p className="text-xs text-[#888888] flex-shrink-0">{dates}</p>}
+      </div>
+      {entry.location && <p className="text-xs text-[#888888]">{entry.location}</p>}
+      {entry.bullets.length > 0 && (
+        <ul className="mt-2 space-y-1 list-disc list-inside">
+          {entry.bullets.map((bullet) => (
+            <li key={bullet.id} className="text-sm text-[#B0B0B0]" title={`Bullet ${bullet.id}`}>
+              {bullet.text}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+function EntriesForm({ section, draft, setDraft }) {
+  const updateEntry = (index, changes) => setDraft(draft.map((entry, i) => (i === index ? { ...entry, ...changes } : entry)));
+  const updateBullet = (index, bulletIndex, text) => updateEntry(index, {
+    bullets: draft[index].bullets.map((bullet, i) => (i === bulletIndex ? { ...bullet, text } : bullet)),
+  });
+
+  return (
+    <div className="space-y-4">
+      {draft.map((entry, index) => (
+        <div key={entry.id || `new-${index}`} className="bg-[#1E1E1E] rounded-lg p-4 border border-[#2A2A2A] space-y-3">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+            {ENTRY_FIELDS[section].map(([field, label]) => (
+              <input
+                key={field}
+                value={entry[field] || ''}
+                onChange={(e) => updateEntry(index, { [field]: e.target.value })}
+                placeholder={label}
+                aria-label={label}
+                className={inputClassName}
+              />
+            ))}
+          </div>
+          {entry.bullets.map((bullet, bulletIndex) => (
+            <div key={bullet.id || `new-${bulletIndex}`} className="flex gap-2">
+              <textarea
+                value={bullet.text}
+                onChange={(e) => updateBullet(index, bulletIndex, e.target.value)}
+                rows={2}
+                placeholder="Bullet"
+                className={`${inputClassName} resize-y`}
+              />
+              <button
+                onClick={() => updateEntry(index, { bullets: entry.bullets.filter((_, i) => i !== bulletIndex) })}
+                className="p-2 text-[#888888] hover:text-[#D9534F] flex-shrink-0"
+                title="Remove bullet"
+              >
+                <Trash2 className="w-4 h-4" />
+              </button>
+            </div>
+          ))}
+          <div className="flex justify-between">
+            <button
+              onClick={() => updateEntry(index, { bullets: [...entry.bullets, { text: '' }] })}
+              className="btn btn-secondary btn-sm"
+            >
+              <Plus className="w-4 h-4" />
+              Add Bullet
+            </button>
+            <button
+              onClick={() => setDraft(draft.filter((_, i) => i !== index))}
+              className="btn btn-secondary btn-sm"
+            >
+              <Trash2 className="w-4 h-4" />
+              Remove Entry
+            </button>
+          </div>
+        </div>
+      ))}
+      <button onClick={() => setDraft([...draft, emptyEntry(section)])} className="btn btn-secondary btn-sm">
+        <Plus className="w-4 h-4" />
+        Add Entry
+      </button>
+    </div>
+  );
+}
+
+function SectionForm({ section, draft, setDraft }) {
+  if (section === 'contact') {
+    return (
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+        {CONTACT_FIELDS.map(([field, label]) => (
+          <input
+            key={field}
+            value={draft[field]}
+            onChange={(e) => setDraft({ ...draft, [field]: e.target.value })}
+            placeholder={label}
+            aria-label={label}
+            className={inputClassName}
+          />
+        ))}
+        <input
+          value={draft.linksText}
+          onChange={(e) => setDraft({ ...draft, linksText: e.target.value })}
+          placeholder="Links, comma separated"
+          aria-label="Links"
+          className={inputClassName}
+        />
+      </div>
+    );
+  }
+
+  if (section === 'summary') {
+    return (
+      <textarea
+        value={draft}
+        onChange={(e) => setDraft(e.target.value)}
+        rows={4}
+        className={`${inputClassName} resize-y`}
+      />
+    );
+  }
+
+  if (section === 'skills') {
+    return (
+      <div className="space-y-2">
+        {draft.map((group, index) => (
+          <div key={group.id || `new-${index}`} className="flex gap-2">
+            <input
+              value={group.category}
+              onChange={(e) => setDraft(draft.map((item, i) => (i === index ? { ...item, category: e.target.value } : item)))}
+              placeholder="Category"
+              aria-label="Category"
+              className={`${inputClassName} md:w-48`}
+            />
+            <input
+              value={group.itemsText}
+              onChange={(e) => setDraft(draft.map((item, i) => (i === index ? { ...item, itemsText: e.target.value } : item)))}
+              placeholder="Skills, comma separated"
+              aria-label="Skills"
+              className={inputClassName}
+            />
+            <button
+              onClick={() => setDraft(draft.filter((_, i) => i !== index))}
+              className="p-2 text-[#888888] hover:text-[#D9534F] flex-shrink-0"
+              title="Remove group"
+            >
+              <Trash2 className="w-4 h-4" />
+            </button>
+          </div>
+        ))}
+        <button
+          onClick={() => setDraft([...draft, { category: '', itemsText: '' }])}
+          className="btn btn-secondary btn-sm"
+        >
+          <Plus className="w-4 h-4" />
+          Add Group
+        </button>
+      </div>
+    );
+  }
+
+  return <EntriesForm section={section} draft={draft} setDraft={setDraft} />;
+}
+
+function SectionView({ section, model }) {
+  if (section === 'contact') {
+    const { contact } = model;
+    return (
+      <div>
+        <p className="text-sm font-semibold text-[#E0E0E0]">{contact.name || 'No name'}</p>
+        {contact.headline && <p className="text-sm text-[#B0B0B0]">{contact.headline}</p>}
+        <p className="text-xs text-[#888888]">
+          {[contact.email, contact.phone, contact.location, ...contact.links].filter(Boolean).join(' · ')}
+        </p>
+      </div>
+    );
+  }
+  if (section === 'summary') {
+    return <p className="text-sm text-[#B0B0B0]">{model.summary}</p>;
+  }
+  if (section === 'skills') {
+    return (
+      <ul className="space-y-1">
+        {model.skills.map((group) => (
+          <li key={group.id} className="text-sm text-[#B0B0B0]">
+            {group.category && <span className="text-[#E0E0E0]">{group.category}: </span>}
+            {group.items.join(', ')}
+          </li>
+        ))}
+      </ul>
+    );
+  }
+  return (
+    <div className="space-y-4">
+      {model[section].map((entry) => <EntryView key={entry.id} section={section} entry={entry} />)}
+    </div>
+  );
+}
+
+const isEmpty = (section, model) => {
+  if (section === 'contact') return false;
+  if (section === 'summary') return !model.summary;
+  return model[section].length === 0;
+};
+
+// The resume edited one section at a time. Each save replaces that section of the parsed
+// model, and the server re-renders the resume text from it.
+export function ResumeSections({ resume, onSaved }) {
+  const queryClient = useQueryClient();
+  const [editing, setEditing] = useState(null);
+  const [draft, setDraft] = useState(null);
+  const model = resume.structured;
+
+  const saveMutation = useMutation({
+    mutationFn: ({ section, value }) => resumesAPI.updateSection(resume.id, section, value),
+    onSuccess: (updated) => {
+      queryClient.invalidateQueries({ queryKey: ['resume'] });
+      queryClient.invalidateQueries({ queryKey: ['resume-versions', updated.id] });
+      setEditing(null);
+      onSaved(updated);
+    },
+    onError: (error) => {
+      alert(error.response?.data?.error || 'Failed to save section');
+    },
+  });
+
+  const startEditing = (section) => {
+    setEditing(section);
+    setDraft(toDraft(section, section === 'contact' ? model.contact : model[section]));
+  };
+
+  const sections = ['contact', ...model.order, ...['summary', 'experience', 'projects', 'education', 'skills', 'other'].filter((section) => !model.order.includes(section))];
+
+  return (
+    <div className="space-y-4">
+      {sections.map((section) => (
+        <div key={section} className="bg-[#1E1E1E] rounded-lg p-4 border border-[#2A2A2A]">
+          <div className="flex items-center justify-between mb-3">
+            <h3 className="text-sm font-semibold text-[#0070F3] uppercase tracking-wide">{SECTION_TITLES[section]}</h3>
+            {editing === section ? (
+              <div className="flex gap-2">
+                <button
+                  onClick={() => saveMutation.mutate({ section, value: toSectionValue(section, draft) })}
+                  disabled={saveMutation.isPending}
+                  className="btn btn-secondary btn-sm"
+                >
+                  {saveMutation.isPending ? <Loader2 className="w-4 h-4 animate-spin" /> : <Save className="w-4 h-4" />}
+                  Save
+                </button>
+                <button onClick={() => setEditing(null)} className="btn btn-secondary btn-sm">
+                  <X className="w-4 h-4" />
+                  Cancel
+                </button>
+              </div>
+            ) : (
+              <button
+                onClick={() => startEditing(section)}
+                disabled={editing !== null}
+                className="btn btn-secondary btn-sm"
+              >
+                <Edit2 className="w-4 h-4" />
+                Edit
+              </button>
+            )}
+          </div>
+
+          {editing === section ? (
+            <SectionForm section={section} draft={draft} setDraft={setDraft} />
+          ) : isEmpty(section, model) ? (
+            <p className="text-sm text-[#666666]">Nothing here yet.</p>
+          ) : (
+            <SectionView section={section} model={model} />
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -1,7 +1,10 @@
 import { Moon, Sun, Bell, Lock, User, Sliders } from 'lucide-react';
-import { useState } from 'react';
+import { useState, useEffect } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { settingsAPI } from '../src/lib/api';
 
 export function Settings({ darkMode, setDarkMode }) {
+  const queryClient = useQueryClient();
   const [mentorStyle, setMentorStyle] = useState('Encouraging & Supportive');
   const [explanationDepth, setExplanationDepth] = useState('Intermediate');
   const [notifications, setNotifications] = useState({
@@ -18,15 +21,55 @@ export function Settings({ darkMode, setDarkMode }) {
     codeQuality: false,
   });
   const [saveMessage, setSaveMessage] = useState('');
+  const [saveError, setSaveError] = useState('');
 
-  const handleSave = () => {
-    setSaveMessage('Settings saved successfully!');
+  // Fetch saved preferences
+  const { data: settings, isLoading } = useQuery({
+    queryKey: ['settings'],
+    queryFn: () => settingsAPI.get(),
+  });
+
+  const applySettings = (saved) => {
+    setMentorStyle(saved.mentorStyle);
+    setExplanationDepth(saved.explanationDepth);
+    setNotifications(saved.notifications);
+    setFocusAreas(saved.focusAreas);
+  };
+
+  // Load the saved preferences into the form
+  useEffect(() => {
+    if (settings) {
+      applySettings(settings);
+    }
+  }, [settings]);
+
+  const showMessage = (message) => {
+    setSaveMessage(message);
     setTimeout(() => setSaveMessage(''), 3000);
   };
 
+  const saveMutation = useMutation({
+    mutationFn: (data) => settingsAPI.update(data),
+    onSuccess: (saved) => {
+      queryClient.setQueryData(['settings'], saved);
+      setSaveError('');
+      showMessage('Settings saved successfully!');
+    },
+    onError: (error) => {
+      setSaveError(error.response?.data?.error || 'Failed to save settings. Please try again.');
+    },
+  });
+
+  const handleSave = () => {
+    saveMutation.mutate({ mentorStyle, explanationDepth, focusAreas, notifications });
+  };
+
   const handleCancel = () => {
-    setSaveMessage('Changes discarded');
-    setTimeout(() => setSaveMessage(''), 3000);
+    if (settings) {
+      applySettings(settings);
+    }
+    setSaveError('');
+    showMessage('Changes discarded');
   };
 
   const toggleNotification = (key) => {
@@ -44,6 +87,14 @@ export function Settings({ darkMode, setDarkMode }) {
         <div className="mb-8">
           <h1 className="text-3xl font-semibold text-[#E0E0E0] mb-2">Settings</h1>
           <p className="text-[#888888]">Customize your learning experience</p>
+          {isLoading && (
+            <p className="mt-4 text-sm text-[#888888]" role="status">Loading your preferences...</p>
+          )}
+          {saveError && (
+            <div className="mt-4 bg-[#D9534F] bg-opacity-20 border border-[#D9534F] text-[#D9534F] px-4 py-2 rounded-lg" role="alert">
+              {saveError}
+            </div>
+          )}
           {saveMessage && (
             <div className="mt-4 bg-[#28A745] bg-opacity-20 border border-[#28A745] text-[#28A745] px-4 py-2 rounded-lg">
               {saveMessage}
@@ -264,10 +315,11 @@ export function Settings({ darkMode, setDarkMode }) {
             </button>
             <button 
               onClick={handleSave}
-              className="btn btn-primary btn-md focus:outline-none focus:ring-2 focus:ring-[#0070F3] focus:ring-offset-2 focus:ring-offset-[#1E1E1E]"
+              disabled={saveMutation.isPending || isLoading}
+              className="btn btn-primary btn-md focus:outline-none focus:ring-2 focus:ring-[#0070F3] focus:ring-offset-2 focus:ring-offset-[#1E1E1E] disabled:opacity-50 disabled:cursor-not-allowed"
               aria-label="Save changes"
             >
-              Save Changes
+              {saveMutation.isPending ? 'Saving...' : 'Save Changes'}
             </button>
           </div>
         </div>
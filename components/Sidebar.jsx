@@ -5,14 +5,16 @@ import {
   Folder, 
   BookOpen, 
   Mic, 
+  Network,
   FileText, 
   BarChart3, 
   Settings,
-  LogOut
+  LogOut,
+  Search
 } from 'lucide-react';
 import { useAuth } from '../src/lib/auth';
 
-export function Sidebar({ darkMode }) {
+export function Sidebar({ darkMode, onOpenSearch }) {
   const { logout, user } = useAuth();
   const navigate = useNavigate();
 
@@ -26,6 +28,7 @@ export function Sidebar({ darkMode }) {
     { path: '/projects', icon: Folder, label: 'Projects' },
     { path: '/explainer', icon: BookOpen, label: 'Learn' },
     { path: '/practice', icon: Mic, label: 'Practice' },
+    { path: '/design', icon: Network, label: 'System Design' },
     { path: '/resume', icon: FileText, label: 'Resume' },
     { path: '/skills', icon: BarChart3, label: 'Skills' },
     { path: '/settings', icon: Settings, label: 'Settings' },
@@ -37,6 +40,18 @@ export function Sidebar({ darkMode }) {
         <h1 className="text-xl font-semibold text-[#E0E0E0]">AI Engineer</h1>
         <p className="text-sm text-[#888888] mt-1">Learning Platform</p>
       </div>
+
+      <div className="px-4 pt-4">
+        <button
+          onClick={onOpenSearch}
+          className="w-full flex items-center gap-3 px-4 py-2 rounded-lg bg-[#1E1E1E] border border-[#2A2A2A] text-sm text-[#888888] hover:text-[#E0E0E0] hover:border-[#444444] transition-colors focus:outline-none focus:ring-2 focus:ring-[#0070F3] focus:ring-offset-2 focus:ring-offset-[#171717]"
+          aria-label="Search (Ctrl+K)"
+        >
+          <Search className="w-4 h-4" aria-hidden="true" />
+          <span className="flex-1 text-left">Search</span>
+          <kbd className="text-xs text-[#666666]">Ctrl K</kbd>
+        </button>
+      </div>
       
       <nav className="flex-1 p-4 space-y-1" aria-label="Primary navigation">
         {navItems.map((item) => (
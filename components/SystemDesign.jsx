@@ -0,0 +1,788 @@
+import { useState, useRef } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { Network, Link, Trash2, Code, Send, CheckCircle, XCircle, AlertCircle, Target, Clock } from 'lucide-react';
+import { designAPI } from '../src/lib/api';
+
+// Keep in sync with DESIGN_COMPONENT_TYPES in server/src/practice/systemDesign.js
+const COMPONENT_TYPES = [
+  { type: 'client', label: 'Client', color: '#0070F3' },
+  { type: 'cdn', label: 'CDN', color: '#0070F3' },
+  { type: 'load-balancer', label: 'Load Balancer', color: '#9C27B0' },
+  { type: 'api', label: 'API', color: '#28A745' },
+  { type: 'service', label: 'Service', color: '#28A745' },
+  { type: 'worker', label: 'Worker', color: '#28A745' },
+  { type: 'queue', label: 'Queue', color: '#FF9800' },
+  { type: 'cache', label: 'Cache', color: '#D9534F' },
+  { type: 'database', label: 'Database', color: '#FFC107' },
+  { type: 'storage', label: 'Object Storage', color: '#FFC107' },
+  { type: 'search', label: 'Search Index', color: '#FFC107' },
+  { type: 'model', label: 'ML Model', color: '#00BCD4' },
+  { type: 'external', label: 'External API', color: '#888888' },
+];
+
+const CANVAS_WIDTH = 960;
+const CANVAS_HEIGHT = 540;
+const NODE_WIDTH = 140;
+const NODE_HEIGHT = 48;
+
+const EMPTY_DIAGRAM = { components: [], connections: [] };
+
+const typeStyle = (type) => COMPONENT_TYPES.find((t) => t.type === type) || COMPONENT_TYPES[COMPONENT_TYPES.length - 1];
+
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+
+// Next free "cN" id
+const nextComponentId = (components) => {
+  const used = components.map((c) => parseInt(c.id.replace(/^c/, ''))).filter((n) => !Number.isNaN(n));
+  return `c${used.length > 0 ? Math.max(...used) + 1 : 1}`;
+};
+
+// Where the line from a node's centre towards (x, y) leaves the node's box
+const boxEdgePoint = (node, x, y) => {
+  const cx = node.x + NODE_WIDTH / 2;
+  const cy = node.y + NODE_HEIGHT / 2;
+  const dx = x - cx;
+  const dy = y - cy;
+  if (dx === 0 && dy === 0) return { x: cx, y: cy };
+  const scale = Math.min(
+    dx === 0 ? Infinity : (NODE_WIDTH / 2) / Math.abs(dx),
+    dy === 0 ? Infinity : (NODE_HEIGHT / 2) / Math.abs(dy)
+  );
+  return { x: cx + dx * scale, y: cy + dy * scale };
+};
+
+// Light client-side check for pasted JSON; the server validates the full model
+const parseDiagramJson = (text) => {
+  const parsed = JSON.parse(text);
+  if (!Array.isArray(parsed.components)) {
+    throw new Error('"components" must be an array');
+  }
+  const connections = Array.isArray(parsed.connections) ? parsed.connections : [];
+  const components = parsed.components.map((c, index) => ({
+    id: String(c.id || `c${index + 1}`),
+    type: COMPONENT_TYPES.some((t) => t.type === c.type) ? c.type : 'service',
+    label: String(c.label || typeStyle(c.type).label),
+    x: clamp(Number(c.x) || 40 + (index % 6) * 150, 0, CANVAS_WIDTH - NODE_WIDTH),
+    y: clamp(Number(c.y) || 40 + Math.floor(index / 6) * 90, 0, CANVAS_HEIGHT - NODE_HEIGHT),
+    ...(c.notes ? { notes: String(c.notes) } : {}),
+  }));
+  const ids = new Set(components.map((c) => c.id));
+  const unknown = connections.find((c) => !ids.has(c.from) || !ids.has(c.to));
+  if (unknown) {
+    throw new Error(`Connection ${unknown.from} -> ${unknown.to} refers to an unknown component`);
+  }
+  return {
+    components,
+    connections: connections.map((c) => ({ from: c.from, to: c.to, ...(c.label ? { label: String(c.label) } : {}) })),
+  };
+};
+
+function RubricBreakdown({ rubric, rubricItems }) {
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+      {rubricItems.map(({ key, label }) => (
+        <div key={key}>
+          <div className="flex items-center justify-between mb-1">
+            <span className="text-xs text-[#888888]">{label}</span>
+            <span className="text-xs text-[#E0E0E0]">{rubric[key]?.score ?? 0}%</span>
+          </div>
+          <div className="w-full bg-[#171717] rounded-full h-2">
+            <div
+              className={`h-2 rounded-full ${(rubric[key]?.score ?? 0) >= 60 ? 'bg-[#28A745]' : 'bg-[#D9534F]'}`}
+              style={{ width: `${rubric[key]?.score ?? 0}%` }}
+            ></div>
+          </div>
+          {rubric[key]?.feedback && <p className="text-xs text-[#888888] mt-1">{rubric[key].feedback}</p>}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export function SystemDesign() {
+  const queryClient = useQueryClient();
+  const svgRef = useRef(null);
+  const dragRef = useRef(null);
+  const [selectedPromptId, setSelectedPromptId] = useState(null);
+  const [diagram, setDiagram] = useState(EMPTY_DIAGRAM);
+  const [explanation, setExplanation] = useState('');
+  const [selection, setSelection] = useState(null);
+  const [connectMode, setConnectMode] = useState(false);
+  const [connectFrom, setConnectFrom] = useState(null);
+  const [jsonDraft, setJsonDraft] = useState(null);
+  const [jsonError, setJsonError] = useState('');
+  const [result, setResult] = useState(null);
+
+  const { data: promptData } = useQuery({
+    queryKey: ['design-prompts'],
+    queryFn: designAPI.getPrompts,
+  });
+  const prompts = promptData?.prompts || [];
+  const rubricItems = promptData?.rubric || [];
+  const selectedPrompt = prompts.find((p) => p.id === selectedPromptId);
+
+  const { data: attempts = [] } = useQuery({
+    queryKey: ['design-attempts'],
+    queryFn: designAPI.getAttempts,
+  });
+
+  const evaluateMutation = useMutation({
+    mutationFn: designAPI.evaluate,
+    onSuccess: (attempt) => {
+      setResult(attempt);
+      queryClient.invalidateQueries({ queryKey: ['design-attempts'] });
+    },
+    onError: (error) => {
+      alert(error.response?.data?.error || 'Failed to evaluate design. Please try again.');
+    },
+  });
+
+  const deleteAttemptMutation = useMutation({
+    mutationFn: designAPI.delete,
+    onSuccess: (_, attemptId) => {
+      if (result?.id === attemptId) setResult(null);
+      queryClient.invalidateQueries({ queryKey: ['design-attempts'] });
+    },
+  });
+
+  const selectPrompt = (promptId) => {
+    if (promptId === selectedPromptId) return;
+    const hasWork = diagram.components.length > 0 || explanation.trim();
+    if (hasWork && !window.confirm('Start a new design? Your current diagram and explanation will be cleared.')) {
+      return;
+    }
+    setSelectedPromptId(promptId);
+    setDiagram(EMPTY_DIAGRAM);
+    setExplanation('');
+    setSelection(null);
+    setConnectFrom(null);
+    setJsonDraft(null);
+    setResult(null);
+  };
+
+  const openAttempt = async (attemptId) => {
+    try {
+      const attempt = await designAPI.getAttempt(attemptId);
+      setSelectedPromptId(attempt.promptId);
+      setDiagram(attempt.diagram);
+      setExplanation(attempt.explanation);
+      setSelection(null);
+      setJsonDraft(null);
+      setResult(attempt);
+    } catch (error) {
+      alert(error.response?.data?.error || 'Failed to load design attempt.');
+    }
+  };
+
+  const addComponent = (type) => {
+    const index = diagram.components.length;
+    const component = {
+      id: nextComponentId(diagram.components),
+      type,
+      label: typeStyle(type).label,
+      x: 40 + (index % 6) * 150,
+      y: 40 + (Math.floor(index / 6) % 5) * 90,
+    };
+    setDiagram((prev) => ({ ...prev, components: [...prev.components, component] }));
+    setSelection({ kind: 'component', id: component.id });
+  };
+
+  const updateComponent = (id, changes) => {
+    setDiagram((prev) => ({
+      ...prev,
+      components: prev.components.map((c) => (c.id === id ? { ...c, ...changes } : c)),
+    }));
+  };
+
+  const updateConnection = (index, changes) => {
+    setDiagram((prev) => ({
+      ...prev,
+      connections: prev.connections.map((c, i) => (i === index ? { ...c, ...changes } : c)),
+    }));
+  };
+
+  const deleteSelection = () => {
+    if (!selection) return;
+    setDiagram((prev) => (selection.kind === 'component'
+      ? {
+          components: prev.components.filter((c) => c.id !== selection.id),
+          connections: prev.connections.filter((c) => c.from !== selection.id && c.to !== selection.id),
+        }
+      : { ...prev, connections: prev.connections.filter((_, i) => i !== selection.index) }));
+    setSelection(null);
+  };
+
+  const toggleConnectMode = () => {
+    setConnectMode((prev) => !prev);
+    setConnectFrom(null);
+  };
+
+  // Pointer position in canvas coordinates, whatever size the SVG is drawn at
+  const canvasPoint = (event) => {
+    const svg = svgRef.current;
+    const point = svg.createSVGPoint();
+    point.x = event.clientX;
+    point.y = event.clientY;
+    return point.matrixTransform(svg.getScreenCTM().inverse());
+  };
+
+  const handleNodePointerDown = (event, component) => {
+    event.stopPropagation();
+    if (connectMode) {
+      if (!connectFrom) {
+        setConnectFrom(component.id);
+      } else if (connectFrom !== component.id) {
+        const exists = diagram.connections.some((c) => c.from === connectFrom && c.to === component.id);
+        if (!exists) {
+          setDiagram((prev) => ({ ...prev, connections: [...prev.connections, { from: connectFrom, to: component.id }] }));
+          setSelection({ kind: 'connection', index: diagram.connections.length });
+        }
+        setConnectFrom(null);
+      }
+      return;
+    }
+
+    const point = canvasPoint(event);
+    dragRef.current = { id: component.id, offsetX: point.x - component.x, offsetY: point.y - component.y };
+    event.currentTarget.setPointerCapture(event.pointerId);
+    setSelection({ kind: 'component', id: component.id });
+  };
+
+  const handlePointerMove = (event) => {
+    if (!dragRef.current) return;
+    const point = canvasPoint(event);
+    updateComponent(dragRef.current.id, {
+      x: Math.round(clamp(point.x - dragRef.current.offsetX, 0, CANVAS_WIDTH - NODE_WIDTH)),
+      y: Math.round(clamp(point.y - dragRef.current.offsetY, 0, CANVAS_HEIGHT - NODE_HEIGHT)),
+    });
+  };
+
+  const handlePointerUp = () => {
+    dragRef.current = null;
+  };
+
+  const handleCanvasKeyDown = (event) => {
+    if ((event.key === 'Delete' || event.key === 'Backspace') && selection) {
+      event.preventDefault();
+      deleteSelection();
+    } else if (event.key === 'Escape') {
+      setConnectFrom(null);
+      setSelection(null);
+    }
+  };
+
+  const openJsonEditor = () => {
+    setJsonDraft(JSON.stringify(diagram, null, 2));
+    setJsonError('');
+  };
+
+  const applyJson = () => {
+    try {
+      setDiagram(parseDiagramJson(jsonDraft));
+      setSelection(null);
+      setJsonDraft(null);
+      setJsonError('');
+    } catch (error) {
+      setJsonError(error.message);
+    }
+  };
+
+  const submitDesign = () => {
+    evaluateMutation.mutate({ promptId: selectedPromptId, diagram, explanation });
+  };
+
+  const selectedComponent = selection?.kind === 'component'
+    ? diagram.components.find((c) => c.id === selection.id)
+    : null;
+  const selectedConnection = selection?.kind === 'connection' ? diagram.connections[selection.index] : null;
+  const componentsById = new Map(diagram.components.map((c) => [c.id, c]));
+  const canSubmit = selectedPrompt && diagram.components.length > 0 && explanation.trim() && !evaluateMutation.isPending;
+
+  return (
+    <div className="p-8 bg-[#1E1E1E] min-h-screen">
+      <div className="max-w-7xl mx-auto">
+        {/* Header */}
+        <div className="mb-8">
+          <h1 className="text-3xl font-semibold text-[#E0E0E0] mb-2">System Design</h1>
+          <p className="text-[#888888]">Sketch an architecture on the whiteboard, explain it, and get it evaluated like a design interview</p>
+        </div>
+
+        {/* Prompt picker */}
+        <div className="grid grid-cols-1 md:grid-cols-3 lg:grid-cols-4 gap-4 mb-8">
+          {prompts.map((prompt) => (
+            <button
+              key={prompt.id}
+              onClick={() => selectPrompt(prompt.id)}
+              className={`text-left bg-[#252525] rounded-lg p-4 border transition-colors ${
+                prompt.id === selectedPromptId ? 'border-[#0070F3]' : 'border-[#2A2A2A] hover:border-[#0070F3]'
+              }`}
+              aria-pressed={prompt.id === selectedPromptId}
+            >
+              <div className="flex items-center justify-between mb-1">
+                <span className="text-[#E0E0E0] font-medium">{prompt.title}</span>
+                <span className="text-xs text-[#888888] capitalize">{prompt.difficulty}</span>
+              </div>
+              <p className="text-xs text-[#888888] line-clamp-2">{prompt.prompt}</p>
+            </button>
+          ))}
+        </div>
+
+        {selectedPrompt ? (
+          <>
+            {/* Prompt details */}
+            <div className="bg-[#252525] rounded-lg p-6 border border-[#2A2A2A] mb-6">
+              <h2 className="text-xl font-semibold text-[#E0E0E0] mb-2">{selectedPrompt.title}</h2>
+              <p className="text-[#E0E0E0] mb-4">{selectedPrompt.prompt}</p>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4 text-sm">
+                <div>
+                  <p className="text-xs font-semibold text-[#888888] mb-1">Requirements</p>
+                  <ul className="text-[#E0E0E0] space-y-1">
+                    {selectedPrompt.requirements.map((requirement) => (
+                      <li key={requirement}>• {requirement}</li>
+                    ))}
+                  </ul>
+                </div>
+                <div>
+                  <p className="text-xs font-semibold text-[#888888] mb-1">Scale</p>
+                  <p className="text-[#E0E0E0]">{selectedPrompt.scale}</p>
+                </div>
+              </div>
+            </div>
+
+            {/* Whiteboard */}
+            <div className="bg-[#252525] rounded-lg p-6 border border-[#2A2A2A] mb-6">
+              <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+                <h2 className="text-xl font-semibold text-[#E0E0E0] flex items-center gap-2">
+                  <Network className="w-5 h-5 text-[#0070F3]" />
+                  Whiteboard
+                </h2>
+                <div className="flex items-center gap-2">
+                  <button
+                    onClick={toggleConnectMode}
+                    className={`btn btn-sm flex items-center gap-2 ${connectMode ? 'btn-primary' : 'btn-secondary'}`}
+                    aria-pressed={connectMode}
+                  >
+                    <Link className="w-4 h-4" />
+                    {connectMode ? 'Connecting…' : 'Connect'}
+                  </button>
+                  <button
+                    onClick={jsonDraft === null ? openJsonEditor : () => setJsonDraft(null)}
+                    className="btn btn-secondary btn-sm flex items-center gap-2"
+                  >
+                    <Code className="w-4 h-4" />
+                    {jsonDraft === null ? 'Edit JSON' : 'Close JSON'}
+                  </button>
+                </div>
+              </div>
+
+              {/* Palette */}
+              <div className="flex flex-wrap gap-2 mb-4" aria-label="Add a component">
+                {COMPONENT_TYPES.map(({ type, label, color }) => (
+                  <button
+                    key={type}
+                    onClick={() => addComponent(type)}
+                    className="text-xs px-3 py-1 rounded border bg-[#1E1E1E] text-[#E0E0E0] hover:bg-[#2A2A2A]"
+                    style={{ borderColor: color }}
+                  >
+                    + {label}
+                  </button>
+                ))}
+              </div>
+
+              {connectMode && (
+                <p className="text-xs text-[#0070F3] mb-2">
+                  {connectFrom
+                    ? `Click the component that ${componentsById.get(connectFrom)?.label || connectFrom} sends to.`
+                    : 'Click the component the connection starts from.'}
+                </p>
+              )}
+
+              <div className="grid grid-cols-1 lg:grid-cols-4 gap-4">
+                <div className="lg:col-span-3">
+                  {jsonDraft === null ? (
+                    <svg
+                      ref={svgRef}
+                      viewBox={`0 0 ${CANVAS_WIDTH} ${CANVAS_HEIGHT}`}
+                      className="w-full bg-[#1E1E1E] rounded-lg border border-[#2A2A2A] select-none touch-none focus:outline-none focus:ring-2 focus:ring-[#0070F3]"
+                      tabIndex={0}
+                      role="application"
+                      aria-label="System design canvas"
+                      onPointerMove={handlePointerMove}
+                      onPointerUp={handlePointerUp}
+                      onPointerDown={() => setSelection(null)}
+                      onKeyDown={handleCanvasKeyDown}
+                    >
+                      <defs>
+                        <marker id="design-arrow" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="8" markerHeight="8" orient="auto-start-reverse">
+                          <path d="M 0 0 L 10 5 L 0 10 z" fill="#888888" />
+                        </marker>
+                        <marker id="design-arrow-selected" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="8" markerHeight="8" orient="auto-start-reverse">
+                          <path d="M 0 0 L 10 5 L 0 10 z" fill="#0070F3" />
+                        </marker>
+                      </defs>
+
+                      {diagram.components.length === 0 && (
+                        <text x={CANVAS_WIDTH / 2} y={CANVAS_HEIGHT / 2} textAnchor="middle" fill="#888888" fontSize="14">
+                          Add components from the palette above, then connect them
+                        </text>
+                      )}
+
+                      {diagram.connections.map((connection, index) => {
+                        const from = componentsById.get(connection.from);
+                        const to = componentsById.get(connection.to);
+                        if (!from || !to) return null;
+                        const start = boxEdgePoint(from, to.x + NODE_WIDTH / 2, to.y + NODE_HEIGHT / 2);
+                        const end = boxEdgePoint(to, from.x + NODE_WIDTH / 2, from.y + NODE_HEIGHT / 2);
+                        const isSelected = selection?.kind === 'connection' && selection.index === index;
+                        return (
+                          <g
+                            key={`${connection.from}-${connection.to}-${index}`}
+                            onPointerDown={(event) => {
+                              event.stopPropagation();
+                              setSelection({ kind: 'connection', index });
+                            }}
+                            className="cursor-pointer"
+                          >
+                            {/* Wide transparent stroke so the line is easy to click */}
+                            <line x1={start.x} y1={start.y} x2={end.x} y2={end.y} stroke="transparent" strokeWidth="12" />
+                            <line
+                              x1={start.x}
+                              y1={start.y}
+                              x2={end.x}
+                              y2={end.y}
+                              stroke={isSelected ? '#0070F3' : '#888888'}
+                              strokeWidth="2"
+                              markerEnd={`url(#${isSelected ? 'design-arrow-selected' : 'design-arrow'})`}
+                            />
+                            {connection.label && (
+                              <text
+                                x={(start.x + end.x) / 2}
+                                y={(start.y + end.y) / 2 - 6}
+                                textAnchor="middle"
+                                fill="#E0E0E0"
+                                fontSize="11"
+                              >
+                                {connection.label}
+                              </text>
+                            )}
+                          </g>
+                        );
+                      })}
+
+                      {diagram.components.map((component) => {
+                        const style = typeStyle(component.type);
+                        const isSelected = selection?.kind === 'component' && selection.id === component.id;
+                        const isConnectSource = connectFrom === component.id;
+                        return (
+                          <g
+                            key={component.id}
+                            transform={`translate(${component.x}, ${component.y})`}
+                            onPointerDown={(event) => handleNodePointerDown(event, component)}
+                            className={connectMode ? 'cursor-crosshair' : 'cursor-move'}
+                          >
+                            <rect
+                              width={NODE_WIDTH}
+                              height={NODE_HEIGHT}
+                              rx="6"
+                              fill="#252525"
+                              stroke={isSelected || isConnectSource ? '#E0E0E0' : style.color}
+                              strokeWidth={isSelected || isConnectSource ? 2.5 : 1.5}
+                            />
+                            <text x={NODE_WIDTH / 2} y="20" textAnchor="middle" fill="#E0E0E0" fontSize="13">
+                              {component.label.length > 18 ? `${component.label.slice(0, 17)}…` : component.label}
+                            </text>
+                            <text x={NODE_WIDTH / 2} y="37" textAnchor="middle" fill={style.color} fontSize="10">
+                              {style.label}
+                            </text>
+                          </g>
+                        );
+                      })}
+                    </svg>
+                  ) : (
+                    <div>
+                      <textarea
+                        value={jsonDraft}
+                        onChange={(e) => setJsonDraft(e.target.value)}
+                        className="w-full h-[420px] bg-[#1E1E1E] border border-[#2A2A2A] rounded-lg p-3 font-mono text-xs text-[#E0E0E0] focus:outline-none focus:border-[#0070F3]"
+                        aria-label="Diagram JSON"
+                        spellCheck={false}
+                      />
+                      {jsonError && <p className="text-xs text-[#D9534F] mt-1">{jsonError}</p>}
+                      <button onClick={applyJson} className="btn btn-primary btn-sm mt-2">
+                        Apply JSON
+                      </button>
+                    </div>
+                  )}
+                  <p className="text-xs text-[#888888] mt-2">
+                    {diagram.components.length} component{diagram.components.length !== 1 ? 's' : ''}, {diagram.connections.length} connection{diagram.connections.length !== 1 ? 's' : ''}. Drag to move, Delete removes the selection.
+                  </p>
+                </div>
+
+                {/* Inspector */}
+                <div className="bg-[#1E1E1E] rounded-lg p-4 border border-[#2A2A2A]">
+                  {selectedComponent ? (
+                    <div className="space-y-3">
+                      <p className="text-sm font-semibold text-[#E0E0E0]">Component</p>
+                      <div>
+                        <label htmlFor="design-component-label" className="text-xs text-[#888888]">Label</label>
+                        <input
+                          id="design-component-label"
+                          value={selectedComponent.label}
+                          maxLength={80}
+                          onChange={(e) => updateComponent(selectedComponent.id, { label: e.target.value })}
+                          className="w-full bg-[#252525] border border-[#2A2A2A] rounded px-2 py-1 text-sm text-[#E0E0E0]"
+                        />
+                      </div>
+                      <div>
+                        <label htmlFor="design-component-type" className="text-xs text-[#888888]">Type</label>
+                        <select
+                          id="design-component-type"
+                          value={selectedComponent.type}
+                          onChange={(e) => updateComponent(selectedComponent.id, { type: e.target.value })}
+                          className="w-full bg-[#252525] border border-[#2A2A2A] rounded px-2 py-1 text-sm text-[#E0E0E0]"
+                        >
+                          {COMPONENT_TYPES.map(({ type, label }) => (
+                            <option key={type} value={type}>{label}</option>
+                          ))}
+                        </select>
+                      </div>
+                      <div>
+                        <label htmlFor="design-component-notes" className="text-xs text-[#888888]">Notes</label>
+                        <textarea
+                          id="design-component-notes"
+                          value={selectedComponent.notes || ''}
+                          maxLength={500}
+                          rows={4}
+                          placeholder="e.g. Postgres, sharded by user_id"
+                          onChange={(e) => updateComponent(selectedComponent.id, { notes: e.target.value })}
+                          className="w-full bg-[#252525] border border-[#2A2A2A] rounded px-2 py-1 text-sm text-[#E0E0E0]"
+                        />
+                      </div>
+                      <button onClick={deleteSelection} className="btn btn-secondary btn-sm flex items-center gap-2 text-[#D9534F]">
+                        <Trash2 className="w-4 h-4" />
+                        Delete component
+                      </button>
+                    </div>
+                  ) : selectedConnection ? (
+                    <div className="space-y-3">
+                      <p className="text-sm font-semibold text-[#E0E0E0]">Connection</p>
+                      <p className="text-xs text-[#888888]">
+                        {componentsById.get(selectedConnection.from)?.label} → {componentsById.get(selectedConnection.to)?.label}
+                      </p>
+                      <div>
+                        <label htmlFor="design-connection-label" className="text-xs text-[#888888]">Label</label>
+                        <input
+                          id="design-connection-label"
+                          value={selectedConnection.label || ''}
+                          maxLength={80}
+                          placeholder="e.g. HTTPS, async, replicates"
+                          onChange={(e) => updateConnection(selection.index, { label: e.target.value })}
+                          className="w-full bg-[#252525] border border-[#2A2A2A] rounded px-2 py-1 text-sm text-[#E0E0E0]"
+                        />
+                      </div>
+                      <button onClick={deleteSelection} className="btn btn-secondary btn-sm flex items-center gap-2 text-[#D9534F]">
+                        <Trash2 className="w-4 h-4" />
+                        Delete connection
+                      </button>
+                    </div>
+                  ) : (
+                    <p className="text-xs text-[#888888]">
+                      Select a component or connection to edit its label and notes. Notes are sent to the evaluator, so use them for technology choices, keys and sizing.
+                    </p>
+                  )}
+                </div>
+              </div>
+            </div>
+
+            {/* Explanation */}
+            <div className="bg-[#252525] rounded-lg p-6 border border-[#2A2A2A] mb-6">
+              <label htmlFor="design-explanation" className="text-xl font-semibold text-[#E0E0E0] mb-2 block">
+                Explanation
+              </label>
+              <p className="text-xs text-[#888888] mb-3">
+                Walk through the request flow, how the design scales, where the data lives, what breaks first and which trade-offs you made.
+              </p>
+              <textarea
+                id="design-explanation"
+                value={explanation}
+                onChange={(e) => setExplanation(e.target.value)}
+                rows={8}
+                maxLength={10000}
+                className="w-full bg-[#1E1E1E] border border-[#2A2A2A] rounded-lg p-3 text-sm text-[#E0E0E0] focus:outline-none focus:border-[#0070F3]"
+              />
+              <div className="flex justify-end mt-3">
+                <button
+                  onClick={submitDesign}
+                  disabled={!canSubmit}
+                  className="btn btn-primary flex items-center gap-2 disabled:opacity-50"
+                >
+                  <Send className="w-4 h-4" />
+                  {evaluateMutation.isPending ? 'Evaluating...' : 'Evaluate Design'}
+                </button>
+              </div>
+            </div>
+
+            {/* Evaluation */}
+            {result && (
+              <div className="bg-[#252525] rounded-lg p-6 border border-[#2A2A2A] mb-6 space-y-4">
+                <div className="flex items-center justify-between">
+                  <h2 className="text-xl font-semibold text-[#E0E0E0]">Evaluation</h2>
+                  <span className="text-2xl font-bold text-[#0070F3]">{result.score}%</span>
+                </div>
+
+                <div className="grid grid-cols-2 gap-4">
+                  {[['Clarity', result.clarity], ['Depth', result.depth]].map(([label, value]) => (
+                    <div key={label}>
+                      <div className="flex items-center justify-between mb-1">
+                        <span className="text-xs text-[#888888]">{label}</span>
+                        <span className="text-xs text-[#E0E0E0]">{value}%</span>
+                      </div>
+                      <div className="w-full bg-[#171717] rounded-full h-2">
+                        <div className="bg-[#0070F3] h-2 rounded-full" style={{ width: `${value}%` }}></div>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+
+                {result.rubric && (
+                  <div className="bg-[#1E1E1E] rounded-lg p-4 border border-[#2A2A2A]">
+                    <p className="text-sm font-semibold text-[#E0E0E0] mb-3">Rubric:</p>
+                    <RubricBreakdown rubric={result.rubric} rubricItems={rubricItems} />
+                  </div>
+                )}
+
+                {result.feedback && (
+                  <div className="bg-[#1E1E1E] rounded-lg p-4 border border-[#0070F3] border-opacity-30">
+                    <div className="flex items-center gap-2 mb-3">
+                      <Target className="w-4 h-4 text-[#0070F3]" />
+                      <p className="text-sm font-semibold text-[#0070F3]">Feedback:</p>
+                    </div>
+                    <p className="text-sm text-[#E0E0E0] whitespace-pre-wrap leading-relaxed">{result.feedback}</p>
+                  </div>
+                )}
+
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                  {result.strengths.length > 0 && (
+                    <div className="bg-[#1E1E1E] rounded-lg p-4 border border-[#28A745] border-opacity-30">
+                      <p className="text-sm font-semibold text-[#28A745] mb-2">Strengths:</p>
+                      <ul className="text-sm text-[#E0E0E0] space-y-1">
+                        {result.strengths.map((strength, idx) => <li key={idx}>• {strength}</li>)}
+                      </ul>
+                    </div>
+                  )}
+                  {result.improvements.length > 0 && (
+                    <div className="bg-[#1E1E1E] rounded-lg p-4 border border-[#FFC107] border-opacity-30">
+                      <p className="text-sm font-semibold text-[#FFC107] mb-2">Improvements:</p>
+                      <ul className="text-sm text-[#E0E0E0] space-y-1">
+                        {result.improvements.map((improvement, idx) => <li key={idx}>• {improvement}</li>)}
+                      </ul>
+                    </div>
+                  )}
+                </div>
+
+                {result.redFlags.length > 0 && (
+                  <div className="bg-[#1E1E1E] rounded-lg p-4 border border-[#D9534F] border-opacity-30">
+                    <div className="flex items-center gap-2 mb-2">
+                      <AlertCircle className="w-4 h-4 text-[#D9534F]" />
+                      <p className="text-sm font-semibold text-[#D9534F]">Red Flags:</p>
+                    </div>
+                    <ul className="text-sm text-[#E0E0E0] space-y-1">
+                      {result.redFlags.map((flag, idx) => <li key={idx}>• {flag}</li>)}
+                    </ul>
+                  </div>
+                )}
+
+                {result.acceptanceCriteria.length > 0 && (
+                  <div className="bg-[#1E1E1E] rounded-lg p-4 border border-[#FFC107] border-opacity-30">
+                    <div className="flex items-center justify-between mb-3">
+                      <div className="flex items-center gap-2">
+                        <CheckCircle className="w-4 h-4 text-[#FFC107]" />
+                        <p className="text-sm font-semibold text-[#FFC107]">Acceptance Criteria:</p>
+                      </div>
+                      {result.canProceed ? (
+                        <span className="text-xs bg-[#28A745] bg-opacity-20 text-[#28A745] px-2 py-1 rounded">
+                          Criteria Met ✓
+                        </span>
+                      ) : (
+                        <span className="text-xs bg-[#D9534F] bg-opacity-20 text-[#D9534F] px-2 py-1 rounded">
+                          Not Met Yet
+                        </span>
+                      )}
+                    </div>
+                    <div className="space-y-2">
+                      {result.acceptanceCriteria.map((criterion, idx) => (
+                        <div
+                          key={idx}
+                          className={`flex items-start gap-3 p-3 rounded-lg border ${
+                            criterion.met
+                              ? 'bg-[#28A745] bg-opacity-10 border-[#28A745] border-opacity-30'
+                              : 'bg-[#D9534F] bg-opacity-10 border-[#D9534F] border-opacity-30'
+                          }`}
+                        >
+                          {criterion.met ? (
+                            <CheckCircle className="w-5 h-5 text-[#28A745] flex-shrink-0 mt-0.5" />
+                          ) : (
+                            <XCircle className="w-5 h-5 text-[#D9534F] flex-shrink-0 mt-0.5" />
+                          )}
+                          <div className="flex-1">
+                            <p className={`text-sm font-medium ${criterion.met ? 'text-[#28A745]' : 'text-[#D9534F]'}`}>
+                              {criterion.criterion}
+                            </p>
+                            {criterion.reason && <p className="text-xs text-[#888888] mt-1">{criterion.reason}</p>}
+                          </div>
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+                )}
+              </div>
+            )}
+          </>
+        ) : (
+          <div className="bg-[#252525] rounded-lg p-8 border border-[#2A2A2A] text-center text-[#888888] mb-6">
+            Pick a design prompt above to open the whiteboard.
+          </div>
+        )}
+
+        {/* Past attempts */}
+        <div className="bg-[#252525] rounded-lg p-6 border border-[#2A2A2A]">
+          <h2 className="text-xl font-semibold text-[#E0E0E0] mb-4">Past Designs</h2>
+          {attempts.length > 0 ? (
+            <div className="space-y-2">
+              {attempts.map((attempt) => (
+                <div
+                  key={attempt.id}
+                  className={`flex items-center justify-between bg-[#1E1E1E] rounded-lg p-3 border ${
+                    result?.id === attempt.id ? 'border-[#0070F3]' : 'border-[#2A2A2A]'
+                  }`}
+                >
+                  <button onClick={() => openAttempt(attempt.id)} className="flex-1 text-left">
+                    <span className="text-[#E0E0E0] font-medium">{attempt.promptTitle}</span>
+                    <span className="text-xs text-[#888888] ml-3 inline-flex items-center gap-1">
+                      <Clock className="w-3 h-3" />
+                      {new Date(attempt.createdAt).toLocaleDateString()}
+                    </span>
+                  </button>
+                  <div className="flex items-center gap-3">
+                    <span className={`text-sm font-semibold ${attempt.canProceed ? 'text-[#28A745]' : 'text-[#FFC107]'}`}>
+                      {attempt.score}%
+                    </span>
+                    <button
+                      onClick={() => deleteAttemptMutation.mutate(attempt.id)}
+                      className="text-[#888888] hover:text-[#D9534F]"
+                      aria-label={`Delete ${attempt.promptTitle} design`}
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  </div>
+                </div>
+              ))}
+            </div>
+          ) : (
+            <p className="text-sm text-[#888888]">No designs evaluated yet.</p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -1,8 +1,8 @@
 "use client";
 
 import * as React from "react";
-import { Command } from "cmdk@1.1.1";
-import { SearchIcon } from "lucide-react@0.487.0";
+import { Command as CommandPrimitive } from "cmdk";
+import { SearchIcon } from "lucide-react";
 
 import { cn } from "./utils";
 import {
@@ -32,15 +32,16 @@ function CommandDialog({
   title = "Command Palette",
   description = "Search for a command to run...",
   children,
+  className,
   ...props
 }) {
   return (
     <Dialog {...props}>
       <DialogHeader className="sr-only">
-        {title}</DialogTitle>
-        {description}</DialogDescription>
+        <DialogTitle>{title}</DialogTitle>
+        <DialogDescription>{description}</DialogDescription>
       </DialogHeader>
-      <DialogContent className="overflow-hidden p-0">
+      <DialogContent className={cn("overflow-hidden p-0", className)}>
         <Command className="[&_[cmdk-group-heading]]-muted-foreground **-[slot=command-input-wrapper]-12 [&_[cmdk-group-heading]]-2 [&_[cmdk-group-heading]]-medium [&_[cmdk-group]]-2 [&_[cmdk-group]([hidden])_~[cmdk-group]]-0 [&_[cmdk-input-wrapper]_svg]-5 [&_[cmdk-input-wrapper]_svg]-5 [&_[cmdk-input]]-12 [&_[cmdk-item]]-2 [&_[cmdk-item]]-3 [&_[cmdk-item]_svg]-5 [&_[cmdk-item]_svg]-5">
           {children}
         </Command>
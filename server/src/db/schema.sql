@@ -47,22 +47,229 @@ CREATE TABLE IF NOT EXISTS skills (
   UNIQUE(user_id, name)
 );
 
+-- AI Mentor Conversations table (named chat threads)
+CREATE TABLE IF NOT EXISTS ai_conversations (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+  title VARCHAR(255) NOT NULL DEFAULT 'New conversation',
+  archived BOOLEAN DEFAULT FALSE,
+  summary TEXT,
+  summarized_through_id INTEGER,
+  summary_updated_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Running summary of messages that no longer fit the mentor's context window
+-- (summarized_through_id is the last message folded into the summary)
+ALTER TABLE ai_conversations ADD COLUMN IF NOT EXISTS summary TEXT;
+ALTER TABLE ai_conversations ADD COLUMN IF NOT EXISTS summarized_through_id INTEGER;
+ALTER TABLE ai_conversations ADD COLUMN IF NOT EXISTS summary_updated_at TIMESTAMP;
+
 -- AI Chat Messages table
 CREATE TABLE IF NOT EXISTS ai_messages (
   id SERIAL PRIMARY KEY,
   user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+  conversation_id INTEGER REFERENCES ai_conversations(id) ON DELETE CASCADE,
   role VARCHAR(20) NOT NULL CHECK (role IN ('user', 'mentor')),
   content TEXT NOT NULL,
+  citations JSONB DEFAULT '[]',
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Databases created before conversations existed
+ALTER TABLE ai_messages ADD COLUMN IF NOT EXISTS conversation_id INTEGER REFERENCES ai_conversations(id) ON DELETE CASCADE;
+
+-- Workspace records a mentor reply was grounded in ([{ type, id, label }])
+ALTER TABLE ai_messages ADD COLUMN IF NOT EXISTS citations JSONB DEFAULT '[]';
+
+-- Move messages from the old single thread into one conversation per user
+INSERT INTO ai_conversations (user_id, title)
+SELECT DISTINCT user_id, 'Earlier conversation'
+FROM ai_messages
+WHERE conversation_id IS NULL;
+
+UPDATE ai_messages
+SET conversation_id = (
+  SELECT MIN(c.id) FROM ai_conversations c
+  WHERE c.user_id = ai_messages.user_id AND c.title = 'Earlier conversation'
+)
+WHERE conversation_id IS NULL;
+
+-- User Preferences table (Settings page, applied to AI prompts)
+CREATE TABLE IF NOT EXISTS user_preferences (
+  user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+  mentor_style VARCHAR(100) DEFAULT 'Encouraging & Supportive',
+  explanation_depth VARCHAR(100) DEFAULT 'Intermediate',
+  focus_areas JSONB DEFAULT '{}',
+  notifications JSONB DEFAULT '{}',
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Practice Question Sets table (AI-generated per project, replayable)
+CREATE TABLE IF NOT EXISTS practice_question_sets (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+  project_id INTEGER REFERENCES projects(id) ON DELETE SET NULL,
+  project_name VARCHAR(255),
+  track VARCHAR(20) DEFAULT 'technical',
+  difficulty VARCHAR(20) DEFAULT 'mixed',
+  categories TEXT[] DEFAULT '{}',
+  questions JSONB NOT NULL DEFAULT '[]',
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+ALTER TABLE practice_question_sets ADD COLUMN IF NOT EXISTS track VARCHAR(20) DEFAULT 'technical';
+
 -- Practice Sessions table
 CREATE TABLE IF NOT EXISTS practice_sessions (
   id SERIAL PRIMARY KEY,
   user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
   project_id INTEGER REFERENCES projects(id) ON DELETE SET NULL,
+  question_set_id INTEGER REFERENCES practice_question_sets(id) ON DELETE SET NULL,
+  project_name VARCHAR(255),
+  track VARCHAR(20) DEFAULT 'technical',
+  questions JSONB DEFAULT '[]',
+  status VARCHAR(20) DEFAULT 'active' CHECK (status IN ('active', 'completed')),
   score INTEGER,
   questions_answered INTEGER DEFAULT 0,
+  time_limit_seconds INTEGER,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  finished_at TIMESTAMP
+);
+
+-- Session lifecycle columns for databases created before sessions held several answers
+ALTER TABLE practice_sessions ADD COLUMN IF NOT EXISTS question_set_id INTEGER REFERENCES practice_question_sets(id) ON DELETE SET NULL;
+ALTER TABLE practice_sessions ADD COLUMN IF NOT EXISTS project_name VARCHAR(255);
+ALTER TABLE practice_sessions ADD COLUMN IF NOT EXISTS questions JSONB DEFAULT '[]';
+ALTER TABLE practice_sessions ADD COLUMN IF NOT EXISTS status VARCHAR(20);
+ALTER TABLE practice_sessions ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+ALTER TABLE practice_sessions ADD COLUMN IF NOT EXISTS finished_at TIMESTAMP;
+
+-- Legacy rows were one analyzed answer each: close them out
+UPDATE practice_sessions
+SET status = 'completed', finished_at = created_at
+WHERE status IS NULL;
+
+ALTER TABLE practice_sessions ALTER COLUMN status SET DEFAULT 'active';
+
+-- Timed mode (NULL means untimed)
+ALTER TABLE practice_sessions ADD COLUMN IF NOT EXISTS time_limit_seconds INTEGER;
+
+-- Behavioral (STAR) track
+ALTER TABLE practice_sessions ADD COLUMN IF NOT EXISTS track VARCHAR(20) DEFAULT 'technical';
+
+-- Practice Recordings table (uploaded voice answers and their transcripts)
+CREATE TABLE IF NOT EXISTS practice_recordings (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+  session_id INTEGER REFERENCES practice_sessions(id) ON DELETE CASCADE,
+  question_id INTEGER,
+  file_path TEXT NOT NULL,
+  mime_type VARCHAR(100),
+  size_bytes INTEGER,
+  duration_seconds REAL,
+  transcript TEXT,
+  segments JSONB DEFAULT '[]',
+  transcriber VARCHAR(50),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Practice Answers table (every analyzed answer in a session, retries included)
+CREATE TABLE IF NOT EXISTS practice_answers (
+  id SERIAL PRIMARY KEY,
+  session_id INTEGER REFERENCES practice_sessions(id) ON DELETE CASCADE,
+  user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+  question_id INTEGER NOT NULL,
+  question TEXT NOT NULL,
+  category VARCHAR(100),
+  difficulty VARCHAR(20),
+  response TEXT NOT NULL,
+  score INTEGER,
+  clarity INTEGER,
+  depth INTEGER,
+  feedback TEXT,
+  red_flags JSONB DEFAULT '[]',
+  hire_readiness VARCHAR(20),
+  strengths JSONB DEFAULT '[]',
+  improvements JSONB DEFAULT '[]',
+  acceptance_criteria JSONB DEFAULT '[]',
+  can_proceed BOOLEAN DEFAULT FALSE,
+  recording_id INTEGER REFERENCES practice_recordings(id) ON DELETE SET NULL,
+  delivery JSONB,
+  time_used_seconds INTEGER,
+  timed_out BOOLEAN DEFAULT FALSE,
+  pacing_feedback TEXT,
+  star_scores JSONB,
+  polished_story JSONB,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE practice_answers ADD COLUMN IF NOT EXISTS recording_id INTEGER REFERENCES practice_recordings(id) ON DELETE SET NULL;
+ALTER TABLE practice_answers ADD COLUMN IF NOT EXISTS delivery JSONB;
+ALTER TABLE practice_answers ADD COLUMN IF NOT EXISTS time_used_seconds INTEGER;
+ALTER TABLE practice_answers ADD COLUMN IF NOT EXISTS timed_out BOOLEAN DEFAULT FALSE;
+ALTER TABLE practice_answers ADD COLUMN IF NOT EXISTS pacing_feedback TEXT;
+ALTER TABLE practice_answers ADD COLUMN IF NOT EXISTS star_scores JSONB;
+ALTER TABLE practice_answers ADD COLUMN IF NOT EXISTS polished_story JSONB;
+
+-- Coding exercise attempts: code, browser test results and the AI review
+CREATE TABLE IF NOT EXISTS coding_attempts (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+  problem_id VARCHAR(50) NOT NULL,
+  code TEXT NOT NULL,
+  passed INTEGER NOT NULL,
+  total INTEGER NOT NULL,
+  all_passed BOOLEAN DEFAULT FALSE,
+  results JSONB DEFAULT '[]',
+  score INTEGER,
+  time_complexity VARCHAR(50),
+  space_complexity VARCHAR(50),
+  complexity_feedback TEXT,
+  style_feedback TEXT,
+  feedback TEXT,
+  strengths JSONB DEFAULT '[]',
+  improvements JSONB DEFAULT '[]',
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- STAR stories: polished behavioral answers, reusable across sessions
+CREATE TABLE IF NOT EXISTS star_stories (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+  project_id INTEGER REFERENCES projects(id) ON DELETE SET NULL,
+  source_answer_id INTEGER REFERENCES practice_answers(id) ON DELETE SET NULL,
+  title VARCHAR(255) NOT NULL,
+  competency VARCHAR(100),
+  situation TEXT NOT NULL,
+  task TEXT NOT NULL,
+  action TEXT NOT NULL,
+  result TEXT NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- System design attempts (whiteboard diagram, explanation and evaluation)
+CREATE TABLE IF NOT EXISTS design_attempts (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+  prompt_id VARCHAR(50) NOT NULL,
+  prompt_title VARCHAR(255),
+  diagram JSONB NOT NULL,
+  explanation TEXT NOT NULL,
+  score INTEGER,
+  clarity INTEGER,
+  depth INTEGER,
+  rubric JSONB,
+  feedback TEXT,
+  red_flags JSONB DEFAULT '[]',
+  hire_readiness VARCHAR(20),
+  strengths JSONB DEFAULT '[]',
+  improvements JSONB DEFAULT '[]',
+  acceptance_criteria JSONB DEFAULT '[]',
+  can_proceed BOOLEAN DEFAULT FALSE,
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
@@ -80,10 +287,64 @@ CREATE TABLE IF NOT EXISTS concepts (
   key_points TEXT[] DEFAULT '{}',
   example TEXT,
   related_concepts TEXT[] DEFAULT '{}',
+  last_viewed_at TIMESTAMP,
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- When the concept was last opened (concepts never opened are unexplored in the knowledge graph)
+ALTER TABLE concepts ADD COLUMN IF NOT EXISTS last_viewed_at TIMESTAMP;
+
+-- Flashcards generated from concepts ('basic' question/answer or 'cloze', whose front marks blanks as {{answer}})
+CREATE TABLE IF NOT EXISTS flashcards (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+  concept_id INTEGER REFERENCES concepts(id) ON DELETE CASCADE,
+  card_type VARCHAR(10) NOT NULL DEFAULT 'basic',
+  front TEXT NOT NULL,
+  back TEXT NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Spaced-repetition schedule for each flashcard (SM-2 ease, interval and due date)
+CREATE TABLE IF NOT EXISTS flashcard_reviews (
+  card_id INTEGER PRIMARY KEY REFERENCES flashcards(id) ON DELETE CASCADE,
+  user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+  ease_factor REAL NOT NULL DEFAULT 2.5,
+  interval_days REAL NOT NULL DEFAULT 0,
+  repetitions INTEGER NOT NULL DEFAULT 0,
+  lapses INTEGER NOT NULL DEFAULT 0,
+  review_count INTEGER NOT NULL DEFAULT 0,
+  last_grade VARCHAR(10),
+  last_reviewed_at TIMESTAMP,
+  due_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Concept quizzes (multiple choice and short answer, with the answer key kept server-side)
+CREATE TABLE IF NOT EXISTS concept_quizzes (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+  concept_id INTEGER REFERENCES concepts(id) ON DELETE CASCADE,
+  questions JSONB NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Graded quiz attempts and the skill level change each one caused
+CREATE TABLE IF NOT EXISTS quiz_attempts (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+  quiz_id INTEGER REFERENCES concept_quizzes(id) ON DELETE CASCADE,
+  concept_id INTEGER REFERENCES concepts(id) ON DELETE CASCADE,
+  answers JSONB NOT NULL DEFAULT '[]',
+  results JSONB NOT NULL DEFAULT '[]',
+  score INTEGER NOT NULL CHECK (score >= 0 AND score <= 100),
+  skill_id INTEGER REFERENCES skills(id) ON DELETE SET NULL,
+  skill_name VARCHAR(255),
+  skill_previous_level INTEGER,
+  skill_level INTEGER,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
 -- Resumes table
 CREATE TABLE IF NOT EXISTS resumes (
   id SERIAL PRIMARY KEY,
@@ -99,6 +360,45 @@ CREATE TABLE IF NOT EXISTS resumes (
   updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Parsed model of content (contact, summary, experience, education, projects, skills)
+-- with stable IDs for entries and bullets. NULL for resumes saved before it existed,
+-- which are parsed on read until their next save.
+ALTER TABLE resumes ADD COLUMN IF NOT EXISTS structured JSONB;
+
+-- Every saved resume content, so edits can be compared and rolled back.
+-- source says what produced it: upload, manual (editor save), ai-edit (applied
+-- recommendations, listed in applied_edits) or restore (copy of restored_from_version).
+CREATE TABLE IF NOT EXISTS resume_versions (
+  id SERIAL PRIMARY KEY,
+  resume_id INTEGER REFERENCES resumes(id) ON DELETE CASCADE,
+  user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+  version INTEGER NOT NULL,
+  content TEXT NOT NULL DEFAULT '',
+  source VARCHAR(20) NOT NULL CHECK (source IN ('upload', 'manual', 'ai-edit', 'restore')),
+  applied_edits JSONB DEFAULT '[]',
+  restored_from_version INTEGER,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(resume_id, version)
+);
+
+-- Resumes saved before version history existed start with their current content
+INSERT INTO resume_versions (resume_id, user_id, version, content, source, created_at)
+SELECT r.id, r.user_id, r.version, COALESCE(r.content, ''),
+  CASE WHEN r.version = 1 THEN 'upload' ELSE 'manual' END, r.updated_at
+FROM resumes r
+WHERE NOT EXISTS (SELECT 1 FROM resume_versions v WHERE v.resume_id = r.id);
+
+-- Saved job descriptions to score and tailor the resume against
+CREATE TABLE IF NOT EXISTS job_descriptions (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+  title VARCHAR(255) NOT NULL,
+  company VARCHAR(255),
+  content TEXT NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
 -- Project Resume Bullets table (stores AI-generated bullets for projects)
 CREATE TABLE IF NOT EXISTS project_resume_bullets (
   id SERIAL PRIMARY KEY,
@@ -111,13 +411,74 @@ CREATE TABLE IF NOT EXISTS project_resume_bullets (
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Cached embeddings for semantic search, one per searchable row and embedding model.
+-- content_hash tells when the row changed and needs embedding again.
+CREATE TABLE IF NOT EXISTS search_embeddings (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+  source_type VARCHAR(20) NOT NULL,
+  source_id INTEGER NOT NULL,
+  model VARCHAR(100) NOT NULL,
+  content_hash VARCHAR(64) NOT NULL,
+  embedding REAL[] NOT NULL,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(source_type, source_id, model)
+);
+
+-- Full-text search vectors, kept up to date by Postgres as generated columns.
+-- Titles weigh most (A), then descriptions (B), then the rest of the text (C).
+-- Generated columns only accept IMMUTABLE functions and array_to_string is only STABLE
+CREATE OR REPLACE FUNCTION search_array_text(TEXT[]) RETURNS TEXT
+LANGUAGE sql IMMUTABLE AS $$ SELECT COALESCE(array_to_string($1, ' '), '') $$;
+
+ALTER TABLE concepts ADD COLUMN IF NOT EXISTS search_vector tsvector GENERATED ALWAYS AS (
+  setweight(to_tsvector('english', COALESCE(title, '')), 'A') ||
+  setweight(to_tsvector('english', COALESCE(category, '') || ' ' || COALESCE(description, '')), 'B') ||
+  setweight(to_tsvector('english',
+    COALESCE(problem_it_solves, '') || ' ' || COALESCE(how_it_works, '') || ' ' ||
+    search_array_text(key_points) || ' ' || search_array_text(common_junior_mistakes) || ' ' ||
+    COALESCE(senior_engineer_perspective, '')
+  ), 'C')
+) STORED;
+
+ALTER TABLE ai_messages ADD COLUMN IF NOT EXISTS search_vector tsvector GENERATED ALWAYS AS (
+  to_tsvector('english', COALESCE(content, ''))
+) STORED;
+
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS search_vector tsvector GENERATED ALWAYS AS (
+  setweight(to_tsvector('english', COALESCE(name, '')), 'A') ||
+  setweight(to_tsvector('english', COALESCE(description, '') || ' ' || search_array_text(tech_stack)), 'B')
+) STORED;
+
+ALTER TABLE milestones ADD COLUMN IF NOT EXISTS search_vector tsvector GENERATED ALWAYS AS (
+  setweight(to_tsvector('english', COALESCE(title, '')), 'A')
+) STORED;
+
 -- Indexes for better performance
 CREATE INDEX IF NOT EXISTS idx_projects_user_id ON projects(user_id);
 CREATE INDEX IF NOT EXISTS idx_milestones_project_id ON milestones(project_id);
 CREATE INDEX IF NOT EXISTS idx_skills_user_id ON skills(user_id);
 CREATE INDEX IF NOT EXISTS idx_ai_messages_user_id ON ai_messages(user_id);
+CREATE INDEX IF NOT EXISTS idx_ai_messages_conversation_id ON ai_messages(conversation_id);
+CREATE INDEX IF NOT EXISTS idx_ai_conversations_user_id ON ai_conversations(user_id);
 CREATE INDEX IF NOT EXISTS idx_practice_sessions_user_id ON practice_sessions(user_id);
+CREATE INDEX IF NOT EXISTS idx_practice_question_sets_user_id ON practice_question_sets(user_id);
+CREATE INDEX IF NOT EXISTS idx_practice_answers_session_id ON practice_answers(session_id);
+CREATE INDEX IF NOT EXISTS idx_practice_recordings_user_id ON practice_recordings(user_id);
+CREATE INDEX IF NOT EXISTS idx_coding_attempts_user_problem ON coding_attempts(user_id, problem_id);
+CREATE INDEX IF NOT EXISTS idx_star_stories_user_id ON star_stories(user_id);
+CREATE INDEX IF NOT EXISTS idx_design_attempts_user_id ON design_attempts(user_id);
 CREATE INDEX IF NOT EXISTS idx_concepts_user_id ON concepts(user_id);
+CREATE INDEX IF NOT EXISTS idx_flashcards_user_concept ON flashcards(user_id, concept_id);
+CREATE INDEX IF NOT EXISTS idx_flashcard_reviews_user_due ON flashcard_reviews(user_id, due_at);
+CREATE INDEX IF NOT EXISTS idx_concept_quizzes_user_concept ON concept_quizzes(user_id, concept_id);
+CREATE INDEX IF NOT EXISTS idx_quiz_attempts_quiz_id ON quiz_attempts(quiz_id);
 CREATE INDEX IF NOT EXISTS idx_resumes_user_id ON resumes(user_id);
 CREATE INDEX IF NOT EXISTS idx_project_resume_bullets_user_id ON project_resume_bullets(user_id);
 CREATE INDEX IF NOT EXISTS idx_project_resume_bullets_project_id ON project_resume_bullets(project_id);
+CREATE INDEX IF NOT EXISTS idx_job_descriptions_user_id ON job_descriptions(user_id);
+CREATE INDEX IF NOT EXISTS idx_concepts_search ON concepts USING GIN (search_vector);
+CREATE INDEX IF NOT EXISTS idx_ai_messages_search ON ai_messages USING GIN (search_vector);
+CREATE INDEX IF NOT EXISTS idx_projects_search ON projects USING GIN (search_vector);
+CREATE INDEX IF NOT EXISTS idx_milestones_search ON milestones USING GIN (search_vector);
+CREATE INDEX IF NOT EXISTS idx_search_embeddings_user_model ON search_embeddings(user_id, model);
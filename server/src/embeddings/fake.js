@@ -0,0 +1,32 @@
+import { createHash } from 'crypto';
+
+const DIMENSIONS = 256;
+
+// Words too common to say anything about meaning
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'that', 'this', 'with', 'are', 'was', 'you', 'your', 'but', 'not', 'have',
+  'has', 'can', 'how', 'what', 'why', 'when', 'use', 'into', 'from', 'its', 'they', 'them', 'then',
+]);
+
+const bucket = (token) => createHash('md5').update(token).digest().readUInt32BE(0) % DIMENSIONS;
+
+// Deterministic stand-in for an embedding model: hashed bag of word stems, normalized to unit
+// length. Texts sharing words come out close together, with no network access and no API key.
+export const createFakeEmbedder = () => ({
+  name: 'fake',
+  model: 'fake-embedding',
+  async embed(texts) {
+    return texts.map((text) => {
+      const vector = new Array(DIMENSIONS).fill(0);
+      (text.toLowerCase().match(/[a-z0-9]+/g) || [])
+        .filter((word) => word.length > 2 && !STOP_WORDS.has(word))
+        // Crude stemming so "caching", "cached" and "cache" share a bucket
+        .map((word) => word.replace(/(ing|ed|es|e|s)$/, '').slice(0, 8))
+        .forEach((stem) => {
+          vector[bucket(stem)] += 1;
+        });
+      const length = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0)) || 1;
+      return vector.map((value) => value / length);
+    });
+  },
+});
@@ -0,0 +1,13 @@
+import { createOpenAIEmbedder, createLocalEmbedder } from './openai.js';
+import { createFakeEmbedder } from './fake.js';
+import { createProviderRegistry } from '../providers/registry.js';
+
+// Get the active embedder, selected with EMBEDDING_PROVIDER (openai by default)
+export const getEmbedder = createProviderRegistry('EMBEDDING_PROVIDER', {
+  openai: createOpenAIEmbedder,
+  local: createLocalEmbedder,
+  fake: createFakeEmbedder,
+});
+
+// Embed a batch of texts - resolves to one vector (array of numbers) per text, in order
+export const embed = (texts) => getEmbedder().embed(texts);
@@ -0,0 +1,48 @@
+import { getOpenAIClient, localClientGetter } from '../providers/clients.js';
+
+const DEFAULT_MODEL = 'text-embedding-3-small';
+
+// Ollama serves OpenAI-compatible embeddings under /v1 too
+const DEFAULT_LOCAL_BASE_URL = 'http://localhost:11434/v1';
+const DEFAULT_LOCAL_MODEL = 'nomic-embed-text';
+
+// Keep each request well under the API's per-request input limit
+const BATCH_SIZE = 100;
+
+// Build an embedder on top of any endpoint that speaks the OpenAI /embeddings API.
+// getClient is called per request (see providers/clients.js).
+export const createOpenAICompatibleEmbedder = ({ name, model, getClient }) => ({
+  name,
+  model,
+  async embed(texts) {
+    const vectors = [];
+    for (let start = 0; start < texts.length; start += BATCH_SIZE) {
+      const response = await getClient().embeddings.create({
+        model,
+        input: texts.slice(start, start + BATCH_SIZE),
+      });
+      // The API may return items out of order; index says which input each belongs to
+      response.data
+        .sort((a, b) => a.index - b.index)
+        .forEach((item) => vectors.push(item.embedding));
+    }
+    return vectors;
+  },
+});
+
+export const createOpenAIEmbedder = () =>
+  createOpenAICompatibleEmbedder({
+    name: 'openai',
+    model: process.env.OPENAI_EMBEDDING_MODEL || DEFAULT_MODEL,
+    getClient: getOpenAIClient,
+  });
+
+export const createLocalEmbedder = () =>
+  createOpenAICompatibleEmbedder({
+    name: 'local',
+    model: process.env.LOCAL_EMBEDDING_MODEL || DEFAULT_LOCAL_MODEL,
+    getClient: localClientGetter({
+      baseURL: process.env.LOCAL_EMBEDDING_BASE_URL || process.env.LOCAL_LLM_BASE_URL || DEFAULT_LOCAL_BASE_URL,
+      apiKey: process.env.LOCAL_LLM_API_KEY,
+    }),
+  });
@@ -13,8 +13,15 @@ import dashboardRoutes from './routes/dashboard.js';
 import conceptsRoutes from './routes/concepts.js';
 import resumesRoutes from './routes/resumes.js';
 import practiceRoutes from './routes/practice.js';
+import settingsRoutes from './routes/settings.js';
+import storiesRoutes from './routes/stories.js';
+import designRoutes from './routes/design.js';
+import flashcardsRoutes from './routes/flashcards.js';
+import quizzesRoutes from './routes/quizzes.js';
+import searchRoutes from './routes/search.js';
+import jobDescriptionsRoutes from './routes/jobDescriptions.js';
 import { authenticateToken } from './middleware/auth.js';
-import OpenAI from 'openai';
+import { getLLMProvider } from './llm/index.js';
 
 // Load .env from project root (two levels up from server/src)
 const __filename = fileURLToPath(import.meta.url);
@@ -51,6 +58,13 @@ app.use('/api/dashboard', authenticateToken, dashboardRoutes);
 app.use('/api/concepts', authenticateToken, conceptsRoutes);
 app.use('/api/resumes', authenticateToken, resumesRoutes);
 app.use('/api/practice', authenticateToken, practiceRoutes);
+app.use('/api/settings', authenticateToken, settingsRoutes);
+app.use('/api/stories', authenticateToken, storiesRoutes);
+app.use('/api/design', authenticateToken, designRoutes);
+app.use('/api/flashcards', authenticateToken, flashcardsRoutes);
+app.use('/api/quizzes', authenticateToken, quizzesRoutes);
+app.use('/api/search', authenticateToken, searchRoutes);
+app.use('/api/job-descriptions', authenticateToken, jobDescriptionsRoutes);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -76,7 +90,12 @@ function startServer(port, maxAttempts = 10, attempt = 0) {
       console.log(`⚠️  Port ${PORT} was in use, using port ${port} instead`);
       console.log(`⚠️  Update your .env file with PORT=${port} or stop the process using port ${PORT}`);
     }
-    console.log(`🤖 Using OpenAI model: ${process.env.OPENAI_MODEL || 'gpt-4o-mini'}`);
+    try {
+      const llm = getLLMProvider();
+      console.log(`🤖 Using LLM provider: ${llm.name} (model: ${llm.model})`);
+    } catch (error) {
+      console.error(`❌ ${error.message}`);
+    }
   });
 
   server.on('error', (err) => {
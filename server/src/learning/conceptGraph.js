@@ -0,0 +1,136 @@
+// Build a knowledge graph from concepts' free-text related_concepts. Each related name is
+// resolved to one of the user's concepts by fuzzy title match; names that match nothing
+// become "missing" nodes the user can generate. Unexplored neighbours of concepts the user
+// has already opened are marked as suggested next reads.
+
+// Minimum similarity for a related name to count as a concept's title
+export const MATCH_THRESHOLD = 0.75;
+
+// Similarity for a name whose every word starts a word of the other title ("Indexes" and "Database Indexing")
+const WORD_PREFIX_SCORE = 0.8;
+
+const singular = (word) => {
+  if (/(x|ch|sh|ss)es$/.test(word)) return word.slice(0, -2);
+  if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+  return word;
+};
+
+// "Indexes (B-tree)" and "index" should compare equal: drop parentheticals, punctuation and plurals
+export const normalizeTitle = (title) => title
+  .toLowerCase()
+  .replace(/\([^)]*\)/g, ' ')
+  .replace(/[^a-z0-9+#]+/g, ' ')
+  .split(' ')
+  .filter(Boolean)
+  .map(singular)
+  .join(' ');
+
+// The prefix has to cover most of the word, so "Java" does not match "JavaScript"
+const wordsStartWords = (shorter, longer) => {
+  const longWords = longer.split(' ');
+  return shorter.split(' ').every((word) => longWords.some((longWord) =>
+    longWord.startsWith(word) && word.length >= longWord.length * 0.55));
+};
+
+const bigrams = (text) => {
+  const compact = text.replace(/ /g, '');
+  return Array.from({ length: Math.max(0, compact.length - 1) }, (_, i) => compact.slice(i, i + 2));
+};
+
+// Dice coefficient over character bigrams; exact, whole-word and word-prefix matches score high
+export const titleSimilarity = (a, b) => {
+  const left = normalizeTitle(a);
+  const right = normalizeTitle(b);
+  if (!left || !right) return 0;
+  if (left === right) return 1;
+  if (` ${left} `.includes(` ${right} `) || ` ${right} `.includes(` ${left} `)) return 0.9;
+  if (wordsStartWords(left, right) || wordsStartWords(right, left)) return WORD_PREFIX_SCORE;
+
+  const leftPairs = bigrams(left);
+  const rightPairs = bigrams(right);
+  if (leftPairs.length === 0 || rightPairs.length === 0) return 0;
+  const remaining = [...rightPairs];
+  let shared = 0;
+  leftPairs.forEach((pair) => {
+    const index = remaining.indexOf(pair);
+    if (index !== -1) {
+      shared += 1;
+      remaining.splice(index, 1);
+    }
+  });
+  return (2 * shared) / (leftPairs.length + rightPairs.length);
+};
+
+export const findConceptByTitle = (concepts, name, excludeId = null) => {
+  let best = null;
+  let bestScore = MATCH_THRESHOLD;
+  concepts.forEach((concept) => {
+    if (concept.id === excludeId) return;
+    const score = titleSimilarity(concept.title, name);
+    if (score >= bestScore) {
+      best = concept;
+      bestScore = score;
+    }
+  });
+  return best;
+};
+
+const conceptNodeId = (id) => `concept:${id}`;
+const missingNodeId = (name) => `missing:${normalizeTitle(name).replace(/ /g, '-')}`;
+
+// concepts: [{ id, title, category, related_concepts, last_viewed_at }]
+// Returns { nodes, edges }. Nodes are { id, conceptId, title, category, missing, explored, suggested, related },
+// where related lists what each of a concept's related names resolved to as [{ name, nodeId }].
+// Edges are undirected { source, target } pairs of node IDs.
+export const buildConceptGraph = (concepts) => {
+  const nodes = new Map(concepts.map((concept) => [conceptNodeId(concept.id), {
+    id: conceptNodeId(concept.id),
+    conceptId: concept.id,
+    title: concept.title,
+    category: concept.category,
+    missing: false,
+    explored: !!concept.last_viewed_at,
+    suggested: false,
+    related: [],
+  }]));
+  const edges = new Map();
+
+  concepts.forEach((concept) => {
+    (concept.related_concepts || []).forEach((name) => {
+      if (!normalizeTitle(name)) return;
+      const match = findConceptByTitle(concepts, name, concept.id);
+      let target;
+      if (match) {
+        target = conceptNodeId(match.id);
+      } else {
+        target = missingNodeId(name);
+        if (!nodes.has(target)) {
+          nodes.set(target, {
+            id: target,
+            conceptId: null,
+            title: name.trim(),
+            category: concept.category,
+            missing: true,
+            explored: false,
+            suggested: false,
+            related: [],
+          });
+        }
+      }
+
+      const source = conceptNodeId(concept.id);
+      nodes.get(source).related.push({ name, nodeId: target });
+      if (source === target) return;
+      const [a, b] = [source, target].sort();
+      edges.set(`${a}|${b}`, { source: a, target: b });
+    });
+  });
+
+  edges.forEach(({ source, target }) => {
+    const [from, to] = [nodes.get(source), nodes.get(target)];
+    if (from.explored && !to.explored) to.suggested = true;
+    if (to.explored && !from.explored) from.suggested = true;
+  });
+
+  return { nodes: [...nodes.values()], edges: [...edges.values()] };
+};
@@ -0,0 +1,55 @@
+// Quiz results feed the Skill Tracker: a concept maps to one of the user's skills and
+// each graded attempt moves that skill's level a step toward the demonstrated score.
+
+// Share of the gap between level and quiz score that one attempt closes, and the cap on one step
+const LEVEL_WEIGHT = 0.25;
+const MAX_LEVEL_STEP = 10;
+
+// A passing attempt also moves the skill along towards its next level
+export const PASS_SCORE = 70;
+const PROGRESS_STEP = 10;
+
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Whole-word match that also works for names like "C++", "C#" and ".NET", which \b can't bound
+const namePattern = (name) => new RegExp(`(?<![\\w+#])${escapeRegExp(name.trim())}(?![\\w+#])`, 'i');
+
+// Match on the concept title first, then its category, then the longest skill name the title mentions
+export const findSkillForConcept = async (db, userId, concept) => {
+  const { rows: skills } = await db.query(
+    'SELECT id, name, category, level, progress FROM skills WHERE user_id = $1',
+    [userId]
+  );
+  const same = (a, b) => a.trim().toLowerCase() === b.trim().toLowerCase();
+
+  return skills.find((skill) => same(skill.name, concept.title))
+    || skills.find((skill) => same(skill.name, concept.category))
+    || skills
+      .filter((skill) => namePattern(skill.name).test(concept.title))
+      .sort((a, b) => b.name.length - a.name.length)[0]
+    || null;
+};
+
+export const nudgedSkill = (skill, score) => {
+  const step = clamp(Math.round((score - skill.level) * LEVEL_WEIGHT), -MAX_LEVEL_STEP, MAX_LEVEL_STEP);
+  return {
+    level: clamp(skill.level + step, 0, 100),
+    progress: score >= PASS_SCORE ? clamp(skill.progress + PROGRESS_STEP, 0, 100) : skill.progress,
+  };
+};
+
+// Returns { id, name, previousLevel, level, progress } or null when no skill matches
+export const applyQuizScore = async (db, userId, concept, score) => {
+  const skill = await findSkillForConcept(db, userId, concept);
+  if (!skill) return null;
+
+  const { level, progress } = nudgedSkill(skill, score);
+  await db.query(
+    'UPDATE skills SET level = $1, progress = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $3',
+    [level, progress, skill.id]
+  );
+
+  return { id: skill.id, name: skill.name, previousLevel: skill.level, level, progress };
+};
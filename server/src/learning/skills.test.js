@@ -0,0 +1,27 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { findSkillForConcept } from './skills.js';
+
+const SKILLS = ['C', 'C++', 'C#', '.NET', 'Go', 'React'].map((name, index) => ({
+  id: index + 1,
+  name,
+  category: 'Language',
+  level: 50,
+  progress: 0,
+}));
+
+const db = { query: async () => ({ rows: SKILLS }) };
+const skillFor = async (title) => (await findSkillForConcept(db, 1, { title, category: 'Other' }))?.name ?? null;
+
+test('skill names with symbols match whole words in the concept title', async () => {
+  assert.equal(await skillFor('Move semantics in C++'), 'C++');
+  assert.equal(await skillFor('C# async and await'), 'C#');
+  assert.equal(await skillFor('Dependency injection in .NET'), '.NET');
+  assert.equal(await skillFor('Pointers in C'), 'C');
+});
+
+test('a name inside a longer word does not match', async () => {
+  assert.equal(await skillFor('Goroutines'), null);
+  assert.equal(await skillFor('ASP.NETCore routing'), null);
+  assert.equal(await skillFor('React hooks'), 'React');
+});
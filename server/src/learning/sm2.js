@@ -0,0 +1,62 @@
+// SM-2 style scheduling for flashcards, with Anki-like again/hard/good/easy grades.
+// A card's state is { easeFactor, intervalDays, repetitions, lapses }; grading it
+// returns the next state and when the card is due again.
+
+export const GRADES = ['again', 'hard', 'good', 'easy'];
+
+// SM-2 recall quality (0-5) for each grade
+const QUALITY = { again: 1, hard: 3, good: 4, easy: 5 };
+
+export const DEFAULT_EASE = 2.5;
+const MIN_EASE = 1.3;
+
+// A forgotten card comes back later in the same session
+const RELEARN_MINUTES = 10;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const NEW_CARD_STATE = { easeFactor: DEFAULT_EASE, intervalDays: 0, repetitions: 0, lapses: 0 };
+
+const nextEase = (easeFactor, grade) => {
+  const q = QUALITY[grade];
+  const ease = Math.max(MIN_EASE, easeFactor + (0.1 - (5 - q) * (0.08 + (5 - q) * 0.02)));
+  return Math.round(ease * 100) / 100;
+};
+
+const nextIntervalDays = ({ intervalDays, repetitions }, grade, easeFactor) => {
+  if (repetitions === 0) return grade === 'easy' ? 4 : 1;
+  if (repetitions === 1) return { hard: 3, good: 6, easy: 8 }[grade];
+
+  const multiplier = { hard: 1.2, good: easeFactor, easy: easeFactor * 1.3 }[grade];
+  // Passing a mature card should always push it further out
+  return Math.max(intervalDays + 1, Math.round(intervalDays * multiplier));
+};
+
+export const scheduleReview = (state, grade, now = new Date()) => {
+  const easeFactor = nextEase(state.easeFactor, grade);
+
+  if (grade === 'again') {
+    return {
+      easeFactor,
+      intervalDays: 0,
+      repetitions: 0,
+      lapses: state.lapses + 1,
+      dueAt: new Date(now.getTime() + RELEARN_MINUTES * 60 * 1000),
+    };
+  }
+
+  const intervalDays = nextIntervalDays(state, grade, easeFactor);
+  return {
+    easeFactor,
+    intervalDays,
+    repetitions: state.repetitions + 1,
+    lapses: state.lapses,
+    dueAt: new Date(now.getTime() + intervalDays * DAY_MS),
+  };
+};
+
+// How far out each grade would push the card, in days, for the buttons in the review UI
+export const previewIntervals = (state) => Object.fromEntries(GRADES.map((grade) => {
+  if (grade === 'again') return [grade, RELEARN_MINUTES / (24 * 60)];
+  return [grade, nextIntervalDays(state, grade, nextEase(state.easeFactor, grade))];
+}));
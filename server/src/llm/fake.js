@@ -0,0 +1,53 @@
+import { createHash } from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fixtures } from './fixtures.js';
+
+// Recorded responses in LLM_FIXTURES_DIR win over the built-in fixtures:
+// <task>.json for JSON completions, <task>.txt for text completions
+const readRecordedFixture = (task, json) => {
+  const dir = process.env.LLM_FIXTURES_DIR;
+  if (!dir) return null;
+
+  const filePath = path.resolve(dir, `${task}.${json ? 'json' : 'txt'}`);
+  if (!fs.existsSync(filePath)) return null;
+  return fs.readFileSync(filePath, 'utf8');
+};
+
+// Deterministic stand-in for a real model: the same messages always produce the same output,
+// with no network access and no API key.
+export const createFakeProvider = () => {
+  const provider = {
+    name: 'fake',
+    model: 'fake-llm',
+    async chat({ task = 'chat', messages = [], json = false }) {
+      const recorded = readRecordedFixture(task, json);
+      if (recorded !== null) {
+        return recorded;
+      }
+
+      const responder = fixtures[task];
+      if (responder) {
+        const result = responder({ messages });
+        return json ? JSON.stringify(result) : result;
+      }
+
+      if (json) {
+        return JSON.stringify({});
+      }
+
+      const lastUserMessage = [...messages].reverse().find((msg) => msg.role === 'user')?.content || '';
+      const digest = createHash('sha1').update(JSON.stringify(messages)).digest('hex').slice(0, 8);
+      return `[fake:${task}:${digest}] ${lastUserMessage.slice(0, 200)}`;
+    },
+    // Replays the text completion word by word so streaming clients see several tokens
+    async *stream({ signal, ...options }) {
+      const text = await provider.chat({ ...options, json: false });
+      for (const token of text.split(/(?<=\s)/)) {
+        if (signal?.aborted) return;
+        yield token;
+      }
+    },
+  };
+  return provider;
+};
@@ -0,0 +1,658 @@
+// Canned responders for the fake provider, keyed by the `task` label each route passes.
+// Every responder returns the same shape the real prompt asks for, derived only from the
+// prompt text, so the same request always gets the same answer.
+
+const lastUserContent = (messages) =>
+  [...messages].reverse().find((msg) => msg.role === 'user')?.content || '';
+
+// Pull "**Label:** value" or "Label: value" lines out of a prompt
+const promptField = (text, label) => {
+  const match = text.match(new RegExp(`(?:\\*\\*)?${label}:(?:\\*\\*)?\\s*(.+)`));
+  return match ? match[1].trim() : '';
+};
+
+const wordCount = (text) => text.split(/\s+/).filter(Boolean).length;
+
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+
+const mentorChat = ({ messages }) => {
+  const question = lastUserContent(messages).trim();
+  return `Great question! Here is how I would think about "${question.slice(0, 120)}":
+
+1. Start by stating the problem in your own words and what a good outcome looks like.
+2. Break it into the smallest pieces you can reason about independently.
+3. For each piece, note the trade-offs you considered and why you chose your approach.
+
+(Offline mentor: this reply comes from the fake LLM provider.)`;
+};
+
+// Timed answers: "Used 95s of a 120s limit", optionally cut off
+const pacingFor = (time, words) => {
+  const match = time.match(/Used (\d+)s of a (\d+)s limit/);
+  if (!match) return {};
+  const [used, limit] = [Number(match[1]), Number(match[2])];
+  let pacingFeedback;
+  if (time.includes('time ran out')) {
+    pacingFeedback = 'You ran out of time before finishing. Lead with your main point so it lands even if you get cut off.';
+  } else if (used < limit / 3 && words < 60) {
+    pacingFeedback = `You used ${used}s of ${limit}s. Use more of the time to add reasoning and trade-offs.`;
+  } else {
+    pacingFeedback = `You used ${used}s of ${limit}s, which is a good pace for this question.`;
+  }
+  return { pacingFeedback };
+};
+
+const practiceAnalysis = ({ messages }) => {
+  const prompt = lastUserContent(messages);
+  const response = prompt.match(/\*\*Candidate Response:\*\*\s*([\s\S]*?)\n\nProvide detailed feedback/)?.[1] || '';
+  const words = wordCount(response);
+  const lower = response.toLowerCase();
+
+  const mentionsTradeoffs = /trade-?off|alternative|instead of|versus|vs\.?/.test(lower);
+  const explainsReasoning = /because|so that|the reason|which meant/.test(lower);
+  const mentionsScale = /scal|performance|latency|cache|load|edge case/.test(lower);
+
+  const depth = clamp(Math.round(words * 0.8) + (mentionsScale ? 20 : 0) + (mentionsTradeoffs ? 15 : 0), 10, 95);
+  const clarity = clamp(40 + Math.round(words * 0.4) + (explainsReasoning ? 15 : 0), 20, 95);
+  const score = Math.round((depth + clarity) / 2);
+
+  const acceptanceCriteria = [
+    {
+      criterion: 'Response is clear and well-structured',
+      met: clarity >= 60,
+      reason: clarity >= 60 ? 'The answer follows a clear line of thought' : 'The answer is too short to follow a clear structure',
+    },
+    {
+      criterion: 'Candidate explains reasoning behind decisions',
+      met: explainsReasoning,
+      reason: explainsReasoning ? 'Reasoning is stated explicitly' : 'Decisions are listed without saying why',
+    },
+    {
+      criterion: 'Candidate explains trade-offs or alternatives considered',
+      met: mentionsTradeoffs,
+      reason: mentionsTradeoffs ? 'Alternatives are compared' : 'No alternatives or trade-offs are mentioned',
+    },
+    {
+      criterion: 'Answer shows technical depth beyond surface-level explanation',
+      met: depth >= 60,
+      reason: depth >= 60 ? 'Technical details support the answer' : 'The answer stays at a surface level',
+    },
+  ];
+  const metCount = acceptanceCriteria.filter((c) => c.met).length;
+
+  return {
+    score,
+    clarity,
+    depth,
+    feedback: `Your answer was ${words} words long. ${mentionsTradeoffs ? 'You compared alternatives, which is a strong signal.' : 'Try comparing at least one alternative approach.'} ${explainsReasoning ? 'You explained your reasoning well.' : 'Explain why you made each decision, not just what you did.'}`,
+    redFlags: words < 20 ? ['Answer is very brief'] : [],
+    hireReadiness: score >= 75 ? 'hire-ready' : score >= 50 ? 'getting-there' : 'not-ready',
+    strengths: [explainsReasoning ? 'Explains reasoning' : 'Attempts a direct answer'],
+    improvements: [mentionsScale ? 'Quantify the scale you designed for' : 'Discuss scalability and edge cases'],
+    acceptanceCriteria,
+    canProceed: metCount >= 3 && score > 60,
+    ...pacingFor(promptField(prompt, 'Time'), words),
+  };
+};
+
+// Keyword cues for each part of a STAR answer
+const STAR_CUES = {
+  situation: /\b(when|while|during|at my|on a project|our team|last year|in my)\b/,
+  task: /\b(i was responsible|my (role|job|task|goal)|i needed to|i had to|i was asked)\b/,
+  action: /\bi (built|decided|wrote|led|talked|proposed|created|designed|set up|organized|organised|changed|suggested|started|fixed|added)\b/,
+  result: /\b(as a result|result|reduced|increased|improved|shipped|launched|learned|saved|\d+%)\b/,
+};
+
+const sentencesOf = (text) => text.split(/(?<=[.!?])\s+/).map((s) => s.trim()).filter(Boolean);
+
+const practiceStarAnalysis = ({ messages }) => {
+  const prompt = lastUserContent(messages);
+  const response = prompt.match(/\*\*Candidate Response:\*\*\s*([\s\S]*?)\n\nProvide detailed feedback/)?.[1] || '';
+  const words = wordCount(response);
+  const lower = response.toLowerCase();
+  const sentences = sentencesOf(response);
+
+  const star = {};
+  const polishedStory = {};
+  for (const [part, cue] of Object.entries(STAR_CUES)) {
+    const covered = cue.test(lower);
+    star[part] = {
+      score: covered ? clamp(60 + words, 60, 95) : 25,
+      feedback: covered ? `The ${part} comes through clearly.` : `The ${part} is missing or vague.`,
+    };
+    const sentence = sentences.find((s) => cue.test(s.toLowerCase()));
+    polishedStory[part] = sentence || `[add the ${part}]`;
+  }
+
+  const covered = Object.values(star).filter((part) => part.score >= 60).length;
+  const score = Math.round(Object.values(star).reduce((sum, part) => sum + part.score, 0) / 4);
+  const clarity = clamp(40 + covered * 12, 20, 95);
+  const depth = clamp(Math.round(words * 0.6) + (/\bi\b/.test(lower) ? 15 : 0), 10, 95);
+  const acceptanceCriteria = Object.keys(STAR_CUES).map((part) => ({
+    criterion: `${part[0].toUpperCase()}${part.slice(1)} is clearly described`,
+    met: star[part].score >= 60,
+    reason: star[part].feedback,
+  }));
+
+  return {
+    score,
+    clarity,
+    depth,
+    star,
+    feedback: `Your story covered ${covered} of the 4 STAR parts. ${star.result.score >= 60 ? 'You closed with a result.' : 'Finish with a concrete, measurable result.'}`,
+    redFlags: /\bwe\b/.test(lower) && !/\bi\b/.test(lower) ? ['Says "we" throughout without saying what you did'] : [],
+    hireReadiness: score >= 75 ? 'hire-ready' : score >= 50 ? 'getting-there' : 'not-ready',
+    strengths: [covered >= 3 ? 'Follows the STAR structure' : 'Picks a relevant example'],
+    improvements: [star.action.score >= 60 ? 'Quantify the result' : 'Say what you personally did and why'],
+    acceptanceCriteria,
+    canProceed: star.action.score >= 60 && star.result.score >= 60 && score > 60,
+    polishedStory,
+    ...pacingFor(promptField(prompt, 'Time'), words),
+  };
+};
+
+// Question templates per category; {name} and {tech} are filled from the project
+const QUESTION_TEMPLATES = {
+  'Architecture': [
+    'Walk me through the architecture of {name} at a high level.',
+    'How do the main components of {name} talk to each other?',
+  ],
+  'Problem Solving': [
+    'What was the hardest bug you hit while building {name}, and how did you track it down?',
+    'Tell me about a milestone in {name} that took longer than expected. Why?',
+  ],
+  'Technical Decisions': [
+    'Why did you choose {tech} for {name} over the alternatives?',
+    'Which decision in {name} would you make differently today?',
+  ],
+  'Security': [
+    'How does {name} handle authentication and authorization?',
+    'What would an attacker try first against {name}, and what stops them?',
+  ],
+  'Performance & Scalability': [
+    'What breaks first in {name} if traffic grows by 100x?',
+    'Where would you add caching in {name}, and what would you invalidate?',
+  ],
+  'Testing': [
+    'How do you know {name} works? Walk me through your testing strategy.',
+    'Which part of {name} is hardest to test, and why?',
+  ],
+  'Reflection': [
+    'What would you improve in {name} if you had another month?',
+    'What did building {name} teach you that a tutorial would not have?',
+  ],
+};
+
+const practiceQuestions = ({ messages }) => {
+  const prompt = lastUserContent(messages);
+  const name = promptField(prompt, '- Name') || 'this project';
+  const techStack = promptField(prompt, '- Tech Stack');
+  const tech = techStack && techStack !== 'Not specified' ? techStack : 'this tech stack';
+  const count = parseInt(promptField(prompt, 'Question count')) || 5;
+  const difficulty = promptField(prompt, 'Difficulty').split(' ')[0] || 'mixed';
+  const categories = promptField(prompt, 'Categories')
+    .split(',')
+    .map((c) => c.trim())
+    .filter((c) => QUESTION_TEMPLATES[c]);
+  const available = categories.length > 0 ? categories : Object.keys(QUESTION_TEMPLATES);
+
+  const questions = Array.from({ length: count }, (_, index) => {
+    const category = available[index % available.length];
+    const templates = QUESTION_TEMPLATES[category];
+    const round = Math.floor(index / available.length);
+    const template = templates[round % templates.length];
+    // Past the last template the texts repeat, so each pass is numbered to keep the set unique
+    const pass = Math.floor(round / templates.length);
+    return {
+      text: template.replace('{name}', name).replace('{tech}', tech) + (pass > 0 ? ` (variation ${pass + 1})` : ''),
+      category,
+      difficulty: difficulty === 'mixed' ? ['easy', 'medium', 'hard'][index % 3] : difficulty,
+    };
+  });
+
+  return { questions };
+};
+
+// Follow-up question for each kind of weak spot the route lists
+const followUpFor = (spot, topic) => {
+  const starPart = spot.match(/STAR (situation|task|action|result)/i)?.[1].toLowerCase();
+  if (starPart) {
+    return {
+      situation: 'Set the scene for me: when was this, and who else was involved?',
+      task: 'What were you personally responsible for there, and what was at stake?',
+      action: 'What did you yourself do, step by step, and why that approach?',
+      result: 'How did it turn out? What changed, and how did you measure it?',
+    }[starPart];
+  }
+  if (/trade-?off|alternative/i.test(spot)) {
+    return `What alternatives to your approach for ${topic} did you consider, and why did you reject them?`;
+  }
+  if (/reasoning|why/i.test(spot)) {
+    return `You described what you did for ${topic}. Why did you do it that way?`;
+  }
+  if (/depth|surface/i.test(spot)) {
+    return `Go one level deeper on ${topic}: what actually happens under the hood?`;
+  }
+  if (/clear|structure/i.test(spot)) {
+    return `Can you summarise your answer about ${topic} in three sentences?`;
+  }
+  return `What would break first in your approach to ${topic}, and how would you find out?`;
+};
+
+const practiceFollowUp = ({ messages }) => {
+  const prompt = lastUserContent(messages);
+  const category = promptField(prompt, 'Question Category') || 'this';
+  const topic = category.toLowerCase();
+  const count = parseInt(prompt.match(/Write (\d+) follow-up/)?.[1]) || 1;
+  const weakSpots = (prompt.match(/\*\*Weak spots:\*\*\n([\s\S]*?)\n\n/)?.[1] || '')
+    .split('\n')
+    .map((line) => line.replace(/^- /, '').trim())
+    .filter(Boolean);
+
+  const followUps = [];
+  for (const spot of weakSpots) {
+    const text = followUpFor(spot, topic);
+    if (!followUps.some((f) => f.text === text)) {
+      followUps.push({ text, targets: spot });
+    }
+    if (followUps.length === count) break;
+  }
+  return { followUps };
+};
+
+// Rubric signals: component types in the diagram and phrases in the explanation
+const DESIGN_SIGNALS = {
+  scalability: { label: 'scalability', types: ['load-balancer', 'cache', 'queue', 'cdn'], cue: /scal|shard|partition|replica|horizontal/ },
+  dataModel: { label: 'the data model', types: ['database', 'storage', 'search'], cue: /table|schema|key|index|column|document/ },
+  bottlenecks: { label: 'bottlenecks', types: ['load-balancer', 'queue'], cue: /bottleneck|single point|failover|hot ?spot|backpressure|retry/ },
+  tradeOffs: { label: 'trade-offs', types: [], cue: /trade-?off|alternative|instead of|versus|vs\.?|consisten/ },
+};
+
+const designEvaluation = ({ messages }) => {
+  const prompt = lastUserContent(messages);
+  const explanation = prompt.match(/\*\*Explanation:\*\*\s*([\s\S]*?)\n\nProvide detailed feedback/)?.[1] || '';
+  const diagram = prompt.match(/\*\*Diagram:\*\*\n([\s\S]*?)\n\n\*\*Explanation/)?.[1] || '';
+  const types = new Set([...diagram.matchAll(/\[([a-z-]+)\]/g)].map((match) => match[1]));
+  const components = [...diagram.matchAll(/\[([a-z-]+)\]/g)].length;
+  const words = wordCount(explanation);
+  const lower = `${explanation} ${diagram}`.toLowerCase();
+
+  const rubric = {};
+  for (const [key, signal] of Object.entries(DESIGN_SIGNALS)) {
+    const hasType = signal.types.some((type) => types.has(type));
+    const mentioned = signal.cue.test(lower);
+    const score = clamp(25 + (hasType ? 30 : 0) + (mentioned ? 30 : 0) + Math.round(words / 20), 10, 95);
+    rubric[key] = {
+      score,
+      feedback: score >= 60 ? `The design covers ${signal.label} well.` : `Say more about ${signal.label}.`,
+    };
+  }
+
+  const requirements = promptField(prompt, 'Requirements').split('; ').filter(Boolean);
+  const acceptanceCriteria = requirements.map((requirement) => {
+    const keywords = requirement.toLowerCase().match(/[a-z]{5,}/g) || [];
+    const met = keywords.some((keyword) => lower.includes(keyword));
+    return {
+      criterion: requirement,
+      met,
+      reason: met ? 'The design addresses this requirement' : 'The design does not say how this is handled',
+    };
+  });
+  acceptanceCriteria.push({
+    criterion: 'Design holds up at the stated scale',
+    met: rubric.scalability.score >= 60,
+    reason: rubric.scalability.feedback,
+  });
+
+  const score = Math.round(Object.values(rubric).reduce((sum, part) => sum + part.score, 0) / 4);
+  const metCount = acceptanceCriteria.filter((c) => c.met).length;
+
+  return {
+    score,
+    clarity: clamp(40 + Math.round(words * 0.3) + Math.min(components, 10) * 2, 20, 95),
+    depth: clamp(Math.round(words * 0.5) + types.size * 5, 10, 95),
+    rubric,
+    feedback: `Your diagram has ${components} components. ${rubric.tradeOffs.score >= 60 ? 'You explained the trade-offs behind it.' : 'Explain why you chose this design over the alternatives.'}`,
+    redFlags: components < 3 ? ['Diagram is too thin to judge the architecture'] : [],
+    hireReadiness: score >= 75 ? 'hire-ready' : score >= 50 ? 'getting-there' : 'not-ready',
+    strengths: [types.has('cache') ? 'Uses caching on the read path' : 'Lays out the main components'],
+    improvements: [rubric.bottlenecks.score >= 60 ? 'Estimate capacity for the busiest component' : 'Name the first bottleneck and how you would remove it'],
+    acceptanceCriteria,
+    canProceed: metCount > acceptanceCriteria.length / 2 && score > 60,
+  };
+};
+
+// Rough Big-O from the shape of the code: nested loops, sorting, single passes
+const estimateComplexity = (code) => {
+  const loop = /\b(for|while)\b|\.(forEach|map|filter|reduce)\(/g;
+  const loops = (code.match(loop) || []).length;
+  const nested = /\b(for|while)\b[^]*?\{[^}]*\b(for|while)\b/.test(code);
+  const storesPerItem = /new (Map|Set)\(|\.push\(|= \{\}|= \[\]/.test(code);
+
+  let time = 'O(1)';
+  if (nested) time = 'O(n^2)';
+  else if (/\.sort\(/.test(code)) time = 'O(n log n)';
+  else if (/\bwhile\b/.test(code) && /Math\.floor\([^)]*\/ ?2\)|>> ?1/.test(code)) time = 'O(log n)';
+  else if (loops > 0) time = 'O(n)';
+
+  return { time, space: storesPerItem ? 'O(n)' : 'O(1)' };
+};
+
+const practiceCodeReview = ({ messages }) => {
+  const prompt = lastUserContent(messages);
+  const code = prompt.match(/```javascript\n([\s\S]*?)\n```/)?.[1] || '';
+  const [passed, total] = (prompt.match(/Passed (\d+) of (\d+)/)?.slice(1) || [0, 1]).map(Number);
+  const { time, space } = estimateComplexity(code);
+
+  const styleIssues = [];
+  if (/\bvar\s/.test(code)) styleIssues.push('Use const and let instead of var');
+  if (/console\.log\(/.test(code)) styleIssues.push('Remove debugging console.log calls');
+  if (code.split('\n').some((line) => line.length > 100)) styleIssues.push('Break up lines longer than 100 characters');
+  if (/==[^=]/.test(code.replace(/[!=]==/g, ''))) styleIssues.push('Use === instead of ==');
+
+  const score = clamp(Math.round((passed / total) * 70) + 30 - styleIssues.length * 8 - (time === 'O(n^2)' ? 10 : 0), 0, 100);
+
+  return {
+    score,
+    timeComplexity: time,
+    spaceComplexity: space,
+    complexityFeedback: time === 'O(n^2)'
+      ? 'The nested loops make this quadratic. A hash map or a single pass usually brings it down to O(n).'
+      : `The solution runs in ${time} time and ${space} extra space.`,
+    styleFeedback: styleIssues.length > 0 ? `${styleIssues.join('. ')}.` : 'The code is readable and idiomatic.',
+    feedback: `You passed ${passed} of ${total} tests. ${passed === total ? 'Now talk through the complexity as you would in an interview.' : 'Work through the failing cases by hand before changing the code.'}`,
+    strengths: [passed === total ? 'Handles every test case' : 'Gets the basic approach down'],
+    improvements: styleIssues.length > 0 ? styleIssues.slice(0, 2) : ['State the complexity out loud before you start coding'],
+  };
+};
+
+const conceptGenerate = ({ messages }) => {
+  const prompt = lastUserContent(messages);
+  const topic = prompt.match(/concept: "([^"]+)"/)?.[1] || 'Concept';
+  const category = prompt.match(/category: "([^"]+)"/)?.[1] || 'General';
+
+  return {
+    title: topic,
+    category,
+    description: `${topic} is a core idea every engineer should be able to explain clearly.`,
+    problemItSolves: `**What problem does this solve?**\n\n${topic} exists to make systems easier to reason about and change safely.`,
+    howItWorksUnderHood: `**How it works under the hood:**\n\nAt its core, ${topic} trades a small amount of upfront structure for predictable behaviour later.`,
+    commonJuniorMistakes: [
+      `Using ${topic} without understanding the problem it solves`,
+      'Copying examples without adapting them to the context',
+      'Ignoring edge cases and failure modes',
+    ],
+    seniorEngineerPerspective: `**How a senior engineer thinks:**\n\nA senior engineer asks when ${topic} is the wrong tool before reaching for it.`,
+    keyPoints: [`Know what ${topic} is for`, 'Know its trade-offs', 'Be able to explain it with an example'],
+    example: '',
+    relatedConcepts: ['Trade-offs', 'System Design'],
+  };
+};
+
+// Bullet lines that follow a "**Heading:**" line, up to the next heading
+const promptList = (text, heading) => {
+  const section = text.split(`**${heading}:**`)[1]?.split(/\n\*\*/)[0] || '';
+  return [...section.matchAll(/^- (.+)$/gm)].map((match) => match[1].trim()).filter((item) => item !== '(none)');
+};
+
+const flashcardsGenerate = ({ messages }) => {
+  const prompt = lastUserContent(messages);
+  const concept = promptField(prompt, 'Concept') || 'this concept';
+  const description = promptField(prompt, 'Description');
+
+  // Blank out the longest word of each key point; it is usually the term that matters
+  const clozeCards = promptList(prompt, 'Key points').map((point) => {
+    const term = point.split(/\s+/).reduce((longest, word) => (word.length > longest.length ? word : longest), '');
+    return { type: 'cloze', text: point.replace(term, `{{${term}}}`) };
+  });
+  const mistakeCards = promptList(prompt, 'Common junior mistakes').map((mistake) => ({
+    type: 'basic',
+    front: `What is a common mistake juniors make with ${concept}?`,
+    back: mistake,
+  }));
+
+  return {
+    cards: [
+      { type: 'basic', front: `What is ${concept}?`, back: description || `${concept} is a core engineering idea.` },
+      ...clozeCards,
+      ...mistakeCards.slice(0, 2),
+    ],
+  };
+};
+
+const QUIZ_DISTRACTORS = [
+  'It only matters once a system has millions of users',
+  'It removes the need for tests and code review',
+  'It is a frontend concern that backend code can ignore',
+];
+
+const quizGenerate = ({ messages }) => {
+  const prompt = lastUserContent(messages);
+  const concept = promptField(prompt, 'Concept') || 'this concept';
+  const description = promptField(prompt, 'Description');
+  const keyPoints = promptList(prompt, 'Key points');
+  const wrong = [...promptList(prompt, 'Common junior mistakes'), ...QUIZ_DISTRACTORS];
+
+  const facts = [description, ...keyPoints].filter(Boolean).slice(0, 4);
+  const mcqs = facts.map((fact, index) => {
+    const choices = [0, 1, 2].map((offset) => wrong[(index + offset) % wrong.length]);
+    const correctIndex = index % 4;
+    choices.splice(correctIndex, 0, fact);
+    return {
+      type: 'mcq',
+      prompt: index === 0 ? `Which statement best describes ${concept}?` : `Which of these is true about ${concept}?`,
+      choices,
+      correctIndex,
+      explanation: `${fact}. The other choices are common misconceptions.`,
+    };
+  });
+
+  return {
+    questions: [
+      ...mcqs,
+      {
+        type: 'short',
+        prompt: `What problem does ${concept} solve, and when would you reach for it?`,
+        referenceAnswer: promptField(prompt, 'Problem it solves') || description,
+      },
+      {
+        type: 'short',
+        prompt: `How does ${concept} work?`,
+        referenceAnswer: promptField(prompt, 'How it works') || description,
+      },
+    ],
+  };
+};
+
+// Score short answers by how many of the reference answer's content words they use
+const quizGrade = ({ messages }) => {
+  const prompt = lastUserContent(messages);
+  const contentWords = (text) => new Set(text.toLowerCase().match(/[a-z][a-z'-]{3,}/g) || []);
+  const grades = [...prompt.matchAll(/\*\*Question (\S+):\*\* .*\n\*\*Reference answer:\*\* (.*)\n\*\*Answer:\*\* (.*)/g)]
+    .map(([, questionId, reference, answer]) => {
+      const expected = contentWords(reference);
+      const given = contentWords(answer);
+      const overlap = [...expected].filter((word) => given.has(word)).length;
+      const score = clamp(Math.round((overlap / Math.max(1, Math.min(expected.size, 8))) * 100), 0, 100);
+      return {
+        questionId,
+        score,
+        feedback: score >= 70
+          ? 'You covered the main idea from the reference answer.'
+          : `Your answer misses part of the main idea: ${reference.slice(0, 140)}`,
+      };
+    });
+  return { grades };
+};
+
+const projectRecommendations = ({ messages }) => {
+  const prompt = lastUserContent(messages);
+  const name = promptField(prompt, '- Name') || 'this project';
+
+  return {
+    technicalImprovements: [`Add automated tests for the core flows of ${name}`, 'Add structured error handling and logging'],
+    architectureSuggestions: ['Separate data access from request handling', 'Document the main components and how they interact'],
+    skillsToDevelop: [{ skill: 'System Design', reason: 'Interviewers will ask how this scales', priority: 'high' }],
+    interviewReadiness: [`Explain why you chose the tech stack for ${name}`, 'Describe one bug you fixed and how you found it'],
+    nextSteps: ['Finish the open milestones', 'Write a README covering setup and architecture'],
+    overallAssessment: `${name} is a solid base. Focus on tests and on explaining your decisions.`,
+  };
+};
+
+const resumeProjectBullets = ({ messages }) => {
+  const prompt = lastUserContent(messages);
+  const name = promptField(prompt, 'Name') || 'the project';
+  const techStack = promptField(prompt, 'Tech Stack');
+  const keywords = techStack && techStack !== 'Not specified'
+    ? techStack.split(',').map((t) => t.trim()).filter(Boolean)
+    : ['Software Engineering'];
+
+  return {
+    bullets: [
+      {
+        originalDescription: promptField(prompt, 'Description'),
+        enhancedBullet: `Built ${name} using ${keywords.join(', ')}, delivering a working end-to-end product`,
+        impactExplanation: 'Shows ownership of a full project and names the technologies used',
+        keywords,
+      },
+      {
+        originalDescription: promptField(prompt, 'Description'),
+        enhancedBullet: `Designed the architecture of ${name} and documented the key technical trade-offs`,
+        impactExplanation: 'Demonstrates design thinking beyond implementation',
+        keywords: ['Architecture', 'Documentation'],
+      },
+    ],
+  };
+};
+
+const resumeFeedback = ({ messages }) => {
+  const content = lastUserContent(messages);
+  const lines = content.split('\n').filter((line) => line.trim()).length;
+  return `**Overall**\nYour resume has ${lines} non-empty lines. (Offline review from the fake LLM provider.)
+
+**Suggestions**
+- Start every bullet with a strong action verb
+- Quantify impact with numbers wherever possible
+- Put the most relevant technical skills near the top`;
+};
+
+// Weak phrases the fake reviewer knows how to rewrite
+const WEAK_PHRASES = [
+  { pattern: /\bworked on\b/i, replacement: 'Developed', category: 'Action Verb' },
+  { pattern: /\bhelped\b/i, replacement: 'Contributed to', category: 'Action Verb' },
+  { pattern: /\bresponsible for\b/i, replacement: 'Owned', category: 'Action Verb' },
+  { pattern: /\bused\b/i, replacement: 'Leveraged', category: 'Action Verb' },
+];
+
+// Editable lines of an annotated resume ("- [b3] Led the migration"), as { id, text }
+const resumeTargets = (resume) => resume
+  .split('\n')
+  .map((line) => line.trim().replace(/^- /, '').match(/^\[(\w+)\] (.*)$/))
+  .filter(Boolean)
+  .map(([, id, text]) => ({ id, text }));
+
+const resumeRecommendations = ({ messages }) => {
+  const prompt = lastUserContent(messages);
+  const resume = prompt
+    .replace(/^Analyze this resume and provide specific edits:\n\n/, '')
+    .replace(/\n\nReturn only valid JSON with the edits array\.$/, '');
+
+  const edits = [];
+  resumeTargets(resume).forEach(({ id, text }) => {
+    const weak = WEAK_PHRASES.find(({ pattern }) => pattern.test(text));
+    if (!weak || edits.length >= 5) return;
+    edits.push({
+      id: edits.length + 1,
+      bulletId: id,
+      originalText: text,
+      suggestedText: text.replace(weak.pattern, weak.replacement),
+      category: weak.category,
+      reason: 'A stronger verb makes your ownership of the work clear',
+      priority: 'medium',
+    });
+  });
+
+  return {
+    edits,
+    summary: edits.length > 0
+      ? `Found ${edits.length} weak phrase(s) to strengthen.`
+      : 'No weak phrases found. (Offline review from the fake LLM provider.)',
+  };
+};
+
+// Offline tailoring: add the missing terms the candidate can back up to a skills line,
+// and strengthen weak phrases the same way the recommendations responder does
+const resumeTailor = ({ messages }) => {
+  const prompt = lastUserContent(messages);
+  const jobDescription = prompt.split('**Job description:**\n')[1]?.split('\n\n**Resume:**')[0] || '';
+  const resume = prompt.split('**Resume:**\n')[1]?.split('\n\n**Missing terms')[0] || '';
+  const backedUp = promptList(prompt, 'Missing terms you can back up').map((item) => item.split(' (')[0]);
+
+  const targets = resumeTargets(resume);
+  const edits = [];
+  // Skill groups have "s" IDs
+  const skillsLine = targets.find(({ id }) => /^s\d+$/.test(id));
+  if (skillsLine && backedUp.length > 0) {
+    edits.push({
+      id: 1,
+      bulletId: skillsLine.id,
+      originalText: skillsLine.text,
+      suggestedText: `${skillsLine.text.replace(/[.,;\s]+$/, '')}, ${backedUp.join(', ')}`,
+      category: 'Keyword Match',
+      reason: `The posting asks for ${backedUp.join(', ')}, which your skills and projects show you have`,
+      priority: 'high',
+    });
+  }
+  targets.forEach((target) => {
+    const weak = WEAK_PHRASES.find(({ pattern }) => pattern.test(target.text));
+    if (!weak || target === skillsLine || edits.length >= 5) return;
+    edits.push({
+      id: edits.length + 1,
+      bulletId: target.id,
+      originalText: target.text,
+      suggestedText: target.text.replace(weak.pattern, weak.replacement),
+      category: weak.category,
+      reason: 'A stronger verb reads better against the responsibilities in the posting',
+      priority: 'medium',
+    });
+  });
+
+  // CamelCase product names ("BigQuery", "OpenSearch") are the terms a keyword list misses
+  const keywords = [...new Set(jobDescription.match(/\b[A-Z][a-z]+[A-Z][A-Za-z]*\b/g) || [])].slice(0, 5);
+
+  return {
+    keywords,
+    edits,
+    summary: edits.length > 0
+      ? `Suggested ${edits.length} edit(s) to match this posting. (Offline tailoring from the fake LLM provider.)`
+      : 'No tailoring edits found. (Offline tailoring from the fake LLM provider.)',
+  };
+};
+
+const conversationSummary = ({ messages }) => {
+  const prompt = lastUserContent(messages);
+  const previous = prompt.match(/^Current summary:\n([\s\S]*?)\n\nNew messages:/)?.[1] || '';
+  const questions = [...prompt.matchAll(/^User: (.+)$/gm)].map((match) => `- Asked: ${match[1].slice(0, 100)}`);
+  const kept = previous === '(empty)' ? [] : previous.split('\n').filter(Boolean);
+  return [...kept, ...questions].join('\n');
+};
+
+export const fixtures = {
+  'mentor-chat': mentorChat,
+  'practice-analysis': practiceAnalysis,
+  'practice-questions': practiceQuestions,
+  'practice-follow-up': practiceFollowUp,
+  'practice-star-analysis': practiceStarAnalysis,
+  'practice-code-review': practiceCodeReview,
+  'design-evaluation': designEvaluation,
+  'concept-generate': conceptGenerate,
+  'flashcards-generate': flashcardsGenerate,
+  'quiz-generate': quizGenerate,
+  'quiz-grade': quizGrade,
+  'project-recommendations': projectRecommendations,
+  'resume-project-bullets': resumeProjectBullets,
+  'resume-feedback': resumeFeedback,
+  'resume-recommendations': resumeRecommendations,
+  'resume-tailor': resumeTailor,
+  'conversation-summary': conversationSummary,
+};
@@ -0,0 +1,40 @@
+import { createOpenAIProvider } from './openai.js';
+import { createLocalProvider } from './local.js';
+import { createFakeProvider } from './fake.js';
+import { createProviderRegistry } from '../providers/registry.js';
+
+// Get the active provider, selected with LLM_PROVIDER (openai by default)
+export const getLLMProvider = createProviderRegistry('LLM_PROVIDER', {
+  openai: createOpenAIProvider,
+  local: createLocalProvider,
+  fake: createFakeProvider,
+});
+
+export const getModel = () => getLLMProvider().model;
+
+// Thrown when a JSON completion cannot be parsed; the raw text is kept for logging
+export class LLMParseError extends Error {
+  constructor(raw) {
+    super('Failed to parse AI response as JSON');
+    this.name = 'LLMParseError';
+    this.raw = raw;
+  }
+}
+
+// Plain text completion.
+// Options: task (short label for the call site), messages, temperature, maxTokens
+export const chat = (options) => getLLMProvider().chat({ ...options, json: false });
+
+// Streaming text completion - an async iterable of content tokens.
+// Pass `signal` (an AbortSignal) to stop generation early.
+export const chatStream = (options) => getLLMProvider().stream({ ...options, json: false });
+
+// JSON completion - resolves to the parsed object
+export const chatJSON = async (options) => {
+  const raw = await getLLMProvider().chat({ ...options, json: true });
+  try {
+    return JSON.parse(raw);
+  } catch (parseError) {
+    throw new LLMParseError(raw);
+  }
+};
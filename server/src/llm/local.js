@@ -0,0 +1,18 @@
+import { createOpenAICompatibleProvider } from './openai.js';
+import { localClientGetter } from '../providers/clients.js';
+
+// Ollama serves an OpenAI-compatible API under /v1; llama.cpp's server does the same on its own port
+const DEFAULT_BASE_URL = 'http://localhost:11434/v1';
+const DEFAULT_MODEL = 'llama3.1';
+
+export const createLocalProvider = () =>
+  createOpenAICompatibleProvider({
+    name: 'local',
+    model: process.env.LOCAL_LLM_MODEL || DEFAULT_MODEL,
+    // Not every local server implements response_format, so JSON is requested through the prompt only
+    supportsJsonMode: process.env.LOCAL_LLM_JSON_MODE === 'true',
+    getClient: localClientGetter({
+      baseURL: process.env.LOCAL_LLM_BASE_URL || DEFAULT_BASE_URL,
+      apiKey: process.env.LOCAL_LLM_API_KEY,
+    }),
+  });
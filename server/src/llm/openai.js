@@ -0,0 +1,46 @@
+import { getOpenAIClient } from '../providers/clients.js';
+
+// Default model - gpt-4o-mini (configurable via env var if needed)
+const DEFAULT_MODEL = 'gpt-4o-mini';
+
+// Build a provider on top of any endpoint that speaks the OpenAI chat completions API.
+// getClient is called per request (see providers/clients.js).
+export const createOpenAICompatibleProvider = ({ name, model, getClient, supportsJsonMode = true }) => {
+  const buildRequest = ({ messages, temperature = 0.7, maxTokens = 1000, json = false }) => ({
+    model,
+    messages,
+    temperature,
+    max_tokens: maxTokens,
+    ...(json && supportsJsonMode && { response_format: { type: 'json_object' } }),
+  });
+
+  return {
+    name,
+    model,
+    async chat(options) {
+      const completion = await getClient().chat.completions.create(buildRequest(options));
+      return completion.choices[0]?.message?.content || '';
+    },
+    // Yields content tokens as they arrive; aborting `signal` cancels the upstream request
+    async *stream({ signal, ...options }) {
+      const stream = await getClient().chat.completions.create(
+        { ...buildRequest(options), stream: true },
+        { signal }
+      );
+      for await (const chunk of stream) {
+        const token = chunk.choices[0]?.delta?.content;
+        if (token) {
+          yield token;
+        }
+      }
+    },
+  };
+};
+
+export const createOpenAIProvider = () => {
+  return createOpenAICompatibleProvider({
+    name: 'openai',
+    model: process.env.OPENAI_MODEL || DEFAULT_MODEL,
+    getClient: getOpenAIClient,
+  });
+};
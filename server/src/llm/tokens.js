@@ -0,0 +1,16 @@
+// Rough token counting for prompt budgeting. English text averages about four characters
+// per token with the GPT tokenizers; this errs slightly high, which is the safe side.
+const CHARS_PER_TOKEN = 4;
+
+export const estimateTokens = (text) => Math.ceil((text || '').length / CHARS_PER_TOKEN);
+
+// Token estimate for a list of chat messages, including a small per-message overhead
+export const estimateMessagesTokens = (messages) =>
+  messages.reduce((total, msg) => total + estimateTokens(msg.content) + 4, 0);
+
+// Cut text down to roughly maxTokens, marking the cut
+export const truncateToTokens = (text, maxTokens) => {
+  const maxChars = maxTokens * CHARS_PER_TOKEN;
+  if (!text || text.length <= maxChars) return text || '';
+  return `${text.slice(0, Math.max(0, maxChars - 3))}...`;
+};
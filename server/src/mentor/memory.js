@@ -0,0 +1,107 @@
+import { pool } from '../db/connection.js';
+import { chat } from '../llm/index.js';
+import { estimateTokens, truncateToTokens } from '../llm/tokens.js';
+
+// Token budget for verbatim history in the mentor prompt
+const HISTORY_BUDGET = parseInt(process.env.MENTOR_HISTORY_TOKENS) || 3000;
+
+// The latest turns are always kept verbatim, even when they blow the budget on their own
+const MIN_RECENT_MESSAGES = 4;
+
+// A single message is never sent longer than this (pasted logs, whole files...)
+const MAX_MESSAGE_TOKENS = 1500;
+
+const SUMMARY_MAX_TOKENS = 500;
+
+const toChatMessage = (row) => ({
+  role: row.role === 'mentor' ? 'assistant' : 'user',
+  content: truncateToTokens(row.content, MAX_MESSAGE_TOKENS),
+});
+
+// Fold older messages into the running summary
+const summarize = async (previousSummary, rows) => {
+  const transcript = rows
+    .map((row) => `${row.role === 'mentor' ? 'Mentor' : 'User'}: ${truncateToTokens(row.content, MAX_MESSAGE_TOKENS)}`)
+    .join('\n\n');
+
+  const systemPrompt = `You maintain the memory of a mentoring conversation between an engineer and an AI mentor. Update the running summary with the new messages.
+
+Keep:
+- What the user is working on and their goals
+- Their experience level and stated preferences
+- Questions asked and the key conclusions or advice given
+- Open threads the mentor promised to return to
+
+Write concise bullet points, at most ${SUMMARY_MAX_TOKENS} tokens. Return only the updated summary.`;
+
+  const userPrompt = `Current summary:
+${previousSummary || '(empty)'}
+
+New messages:
+${transcript}`;
+
+  return chat({
+    task: 'conversation-summary',
+    messages: [
+      { role: 'system', content: systemPrompt },
+      { role: 'user', content: userPrompt },
+    ],
+    temperature: 0.3,
+    maxTokens: SUMMARY_MAX_TOKENS,
+  });
+};
+
+// Build the conversation memory for the next prompt: the running summary plus as many
+// recent messages as fit the budget. Messages that fall out of the budget are rolled
+// into the stored summary so they aren't lost.
+export const buildConversationMemory = async (conversationId) => {
+  const conversationResult = await pool.query(
+    'SELECT summary, summarized_through_id FROM ai_conversations WHERE id = $1',
+    [conversationId]
+  );
+  let { summary, summarized_through_id: summarizedThroughId } = conversationResult.rows[0];
+
+  const messagesResult = await pool.query(
+    `SELECT id, role, content 
+     FROM ai_messages 
+     WHERE conversation_id = $1 AND id > $2 
+     ORDER BY created_at, id`,
+    [conversationId, summarizedThroughId || 0]
+  );
+  const rows = messagesResult.rows;
+
+  // Walk back from the newest message until the budget is spent
+  let used = summary ? estimateTokens(summary) : 0;
+  let firstRecent = rows.length;
+  while (firstRecent > 0) {
+    const cost = Math.min(estimateTokens(rows[firstRecent - 1].content), MAX_MESSAGE_TOKENS);
+    const mustKeep = rows.length - firstRecent < MIN_RECENT_MESSAGES;
+    if (!mustKeep && used + cost > HISTORY_BUDGET) break;
+    used += cost;
+    firstRecent--;
+  }
+
+  const older = rows.slice(0, firstRecent);
+  const recent = rows.slice(firstRecent);
+
+  if (older.length > 0) {
+    try {
+      summary = (await summarize(summary, older)).trim();
+      summarizedThroughId = older[older.length - 1].id;
+      await pool.query(
+        `UPDATE ai_conversations 
+         SET summary = $1, summarized_through_id = $2, summary_updated_at = CURRENT_TIMESTAMP
+         WHERE id = $3`,
+        [summary, summarizedThroughId, conversationId]
+      );
+    } catch (error) {
+      // The reply matters more than the memory - drop the older turns this time and retry next message
+      console.error('Conversation summary error:', error);
+    }
+  }
+
+  return {
+    summary: summary || '',
+    messages: recent.map(toChatMessage),
+  };
+};
@@ -0,0 +1,89 @@
+import { pool } from '../db/connection.js';
+
+// Values match the options on the Settings page
+export const MENTOR_STYLES = {
+  'Encouraging & Supportive':
+    'Be warm and encouraging. Acknowledge what the user got right before pointing out gaps, and frame mistakes as learning opportunities.',
+  'Direct & Technical':
+    'Be direct and technical. Skip the pleasantries, state problems plainly and get straight to the precise details.',
+  'Socratic (Question-based)':
+    'Teach Socratically. Guide the user with probing questions that lead them to the answer instead of handing it over, then confirm their reasoning.',
+  'Senior Engineer Perspective':
+    'Speak like a pragmatic senior engineer. Emphasise trade-offs, production concerns, maintainability and what matters on a real team.',
+};
+
+export const EXPLANATION_DEPTHS = {
+  'Beginner-friendly':
+    'Assume little prior knowledge. Define jargon, use analogies and simple examples, and build up one step at a time.',
+  'Intermediate':
+    'Assume working familiarity with the basics. Focus on how and why things work, with practical examples.',
+  'Advanced & In-depth':
+    'Assume strong fundamentals. Go deep into internals, edge cases, performance and trade-offs without re-explaining the basics.',
+};
+
+export const FOCUS_AREAS = {
+  backend: 'Backend Development',
+  frontend: 'Frontend Development',
+  systemDesign: 'System Design',
+  interviewPrep: 'Interview Prep',
+  codeQuality: 'Code Quality',
+};
+
+export const DEFAULT_PREFERENCES = {
+  mentorStyle: 'Encouraging & Supportive',
+  explanationDepth: 'Intermediate',
+  focusAreas: {
+    backend: true,
+    frontend: false,
+    systemDesign: false,
+    interviewPrep: true,
+    codeQuality: false,
+  },
+  notifications: {
+    mentorFeedback: true,
+    milestones: true,
+    dailyReminders: false,
+    weeklyReport: true,
+  },
+};
+
+export const formatPreferences = (row) => {
+  if (!row) {
+    return { ...DEFAULT_PREFERENCES, updatedAt: null };
+  }
+  return {
+    mentorStyle: row.mentor_style,
+    explanationDepth: row.explanation_depth,
+    focusAreas: { ...DEFAULT_PREFERENCES.focusAreas, ...(row.focus_areas || {}) },
+    notifications: { ...DEFAULT_PREFERENCES.notifications, ...(row.notifications || {}) },
+    updatedAt: row.updated_at,
+  };
+};
+
+export const getUserPreferences = async (userId) => {
+  const result = await pool.query(
+    'SELECT * FROM user_preferences WHERE user_id = $1',
+    [userId]
+  );
+  return formatPreferences(result.rows[0]);
+};
+
+// Prompt instructions for the user's mentor style and explanation depth,
+// optionally with the focus areas they picked
+export const preferencesPrompt = (preferences, { includeFocusAreas = false } = {}) => {
+  const lines = [
+    `Tone: ${MENTOR_STYLES[preferences.mentorStyle] || MENTOR_STYLES[DEFAULT_PREFERENCES.mentorStyle]}`,
+    `Depth: ${EXPLANATION_DEPTHS[preferences.explanationDepth] || EXPLANATION_DEPTHS[DEFAULT_PREFERENCES.explanationDepth]}`,
+  ];
+
+  if (includeFocusAreas) {
+    const areas = Object.entries(preferences.focusAreas || {})
+      .filter(([key, enabled]) => enabled && FOCUS_AREAS[key])
+      .map(([key]) => FOCUS_AREAS[key]);
+    if (areas.length > 0) {
+      lines.push(`Focus areas: the user is concentrating on ${areas.join(', ')}. Relate examples and advice to these where it fits.`);
+    }
+  }
+
+  return `The user's learning preferences:\n${lines.map((line) => `- ${line}`).join('\n')}`;
+};
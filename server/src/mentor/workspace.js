@@ -0,0 +1,166 @@
+import { pool } from '../db/connection.js';
+import { estimateTokens, truncateToTokens } from '../llm/tokens.js';
+
+// Token budget for workspace records in the mentor prompt
+const DEFAULT_BUDGET = parseInt(process.env.WORKSPACE_CONTEXT_TOKENS) || 1500;
+
+// The resume can be long - never let it take more than this share of the budget
+const RESUME_BUDGET_SHARE = 0.4;
+
+const STOPWORDS = new Set([
+  'the', 'and', 'for', 'are', 'but', 'not', 'you', 'your', 'with', 'this', 'that', 'what',
+  'how', 'why', 'when', 'where', 'which', 'can', 'should', 'would', 'could', 'about', 'from',
+  'have', 'has', 'does', 'did', 'was', 'were', 'will', 'into', 'my', 'me', 'its', 'it',
+  'explain', 'help', 'tell', 'give', 'make', 'use', 'using',
+]);
+
+const terms = (text) =>
+  (text || '')
+    .toLowerCase()
+    .split(/[^a-z0-9+#.]+/)
+    .map((term) => term.replace(/^\.+|\.+$/g, ''))
+    .filter((term) => term.length > 1 && !STOPWORDS.has(term));
+
+// Number of query terms that appear in the record text
+const relevance = (queryTerms, text) => {
+  const recordTerms = new Set(terms(text));
+  return queryTerms.filter((term) => recordTerms.has(term)).length;
+};
+
+const loadRecords = async (userId) => {
+  const [projectsResult, milestonesResult, skillsResult, conceptsResult, resumeResult] = await Promise.all([
+    pool.query(
+      `SELECT id, name, description, tech_stack, status, progress, updated_at
+       FROM projects WHERE user_id = $1`,
+      [userId]
+    ),
+    pool.query(
+      `SELECT m.project_id, m.title, m.completed
+       FROM milestones m
+       JOIN projects p ON p.id = m.project_id
+       WHERE p.user_id = $1
+       ORDER BY m.id`,
+      [userId]
+    ),
+    pool.query(
+      'SELECT id, name, category, level, updated_at FROM skills WHERE user_id = $1',
+      [userId]
+    ),
+    pool.query(
+      `SELECT id, title, category, description, key_points, updated_at
+       FROM concepts WHERE user_id = $1`,
+      [userId]
+    ),
+    pool.query(
+      `SELECT id, file_name, content, updated_at
+       FROM resumes WHERE user_id = $1
+       ORDER BY updated_at DESC LIMIT 1`,
+      [userId]
+    ),
+  ]);
+
+  const records = [];
+
+  projectsResult.rows.forEach((project) => {
+    const milestones = milestonesResult.rows
+      .filter((m) => m.project_id === project.id)
+      .map((m) => `${m.completed ? '[done]' : '[todo]'} ${m.title}`);
+    records.push({
+      type: 'project',
+      id: project.id,
+      label: project.name,
+      updatedAt: project.updated_at,
+      text: [
+        `Project "${project.name}" (${project.status}, ${project.progress}% complete)`,
+        project.description && `Description: ${project.description}`,
+        project.tech_stack?.length > 0 && `Tech stack: ${project.tech_stack.join(', ')}`,
+        milestones.length > 0 && `Milestones: ${milestones.join('; ')}`,
+      ].filter(Boolean).join('\n'),
+    });
+  });
+
+  skillsResult.rows.forEach((skill) => {
+    records.push({
+      type: 'skill',
+      id: skill.id,
+      label: skill.name,
+      updatedAt: skill.updated_at,
+      text: `Skill "${skill.name}" (${skill.category}): self-rated level ${skill.level}%`,
+    });
+  });
+
+  conceptsResult.rows.forEach((concept) => {
+    records.push({
+      type: 'concept',
+      id: concept.id,
+      label: concept.title,
+      updatedAt: concept.updated_at,
+      text: [
+        `Concept "${concept.title}" (${concept.category}) the user has studied`,
+        concept.description && `Summary: ${concept.description}`,
+        concept.key_points?.length > 0 && `Key points: ${concept.key_points.join('; ')}`,
+      ].filter(Boolean).join('\n'),
+    });
+  });
+
+  const resume = resumeResult.rows[0];
+  if (resume?.content) {
+    records.push({
+      type: 'resume',
+      id: resume.id,
+      label: resume.file_name || 'Resume',
+      updatedAt: resume.updated_at,
+      text: `Latest resume:\n${resume.content}`,
+    });
+  }
+
+  return records;
+};
+
+// Build a prompt section from the user's workspace, picking the records most relevant to
+// `query` until the token budget is spent. Returns the section text and the records used.
+export const buildWorkspaceContext = async (userId, query, budget = DEFAULT_BUDGET) => {
+  const records = await loadRecords(userId);
+  if (records.length === 0) {
+    return { context: '', citations: [] };
+  }
+
+  const queryTerms = [...new Set(terms(query))];
+  const scored = records
+    .map((record) => ({ ...record, score: relevance(queryTerms, record.text) }))
+    .sort((a, b) => b.score - a.score || new Date(b.updatedAt) - new Date(a.updatedAt));
+
+  // Only matching records when the question mentions anything in the workspace,
+  // otherwise the most recently updated ones as general background
+  const ranked = scored[0].score > 0 ? scored.filter((record) => record.score > 0) : scored;
+
+  const sections = [];
+  const citations = [];
+  let remaining = budget;
+
+  for (const record of ranked) {
+    const tag = `[${record.type}:${record.id}]`;
+    let text = record.text;
+    if (record.type === 'resume') {
+      text = truncateToTokens(text, Math.floor(budget * RESUME_BUDGET_SHARE));
+    }
+
+    const entry = `${tag} ${text}`;
+    const cost = estimateTokens(entry);
+    if (cost > remaining) continue;
+
+    sections.push(entry);
+    citations.push({ type: record.type, id: record.id, label: record.label });
+    remaining -= cost;
+  }
+
+  if (sections.length === 0) {
+    return { context: '', citations: [] };
+  }
+
+  const context = `The user has shared their workspace with you. Ground your answer in these records where relevant and refer to them by their tag (for example ${sections[0].split(' ')[0]}). Do not invent details that are not in the records.
+
+${sections.join('\n\n')}`;
+
+  return { context, citations };
+};
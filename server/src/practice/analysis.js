@@ -0,0 +1,27 @@
+// Shared shape of an interviewer analysis (the `analyze-response` result): scores,
+// feedback, red flags and acceptance criteria. Every practice mode that scores an
+// answer runs the model's reply through normalizeAnalysis.
+
+// Fill in what the model left out so every analysis has the same shape
+export const normalizeAnalysis = (analysis) => {
+  // Ensure acceptance criteria is an array and has proper structure
+  if (!analysis.acceptanceCriteria || !Array.isArray(analysis.acceptanceCriteria)) {
+    analysis.acceptanceCriteria = [];
+  }
+  
+  // Ensure canProceed is a boolean
+  if (analysis.canProceed === undefined) {
+    // Calculate canProceed based on score and criteria
+    const metCriteriaCount = analysis.acceptanceCriteria.filter(c => c.met === true).length;
+    analysis.canProceed = (analysis.score >= 60) && (metCriteriaCount >= 2);
+  }
+  
+  // Validate acceptance criteria structure
+  analysis.acceptanceCriteria = analysis.acceptanceCriteria.map(c => ({
+    criterion: c.criterion || c.criteria || 'Unknown criterion',
+    met: c.met === true,
+    reason: c.reason || c.explanation || (c.met ? 'Criterion met' : 'Criterion not met'),
+  }));
+
+  return analysis;
+};
@@ -0,0 +1,61 @@
+// Question bank for the behavioral (STAR) practice track. Behavioral questions are the
+// same for every project, so sets are drawn from here instead of being generated.
+
+export const BEHAVIORAL_COMPETENCIES = [
+  'Ownership',
+  'Conflict & Collaboration',
+  'Failure & Learning',
+  'Leadership & Influence',
+  'Ambiguity',
+  'Prioritization',
+  'Customer Focus',
+];
+
+export const STAR_COMPONENTS = ['situation', 'task', 'action', 'result'];
+
+const BEHAVIORAL_QUESTION_BANK = [
+  { category: 'Ownership', difficulty: 'easy', text: 'Tell me about a project you owned from start to finish.' },
+  { category: 'Ownership', difficulty: 'medium', text: 'Describe a time you noticed a problem nobody had asked you to fix. What did you do?' },
+  { category: 'Ownership', difficulty: 'hard', text: 'Tell me about a time something you shipped broke in production. How did you handle it?' },
+  { category: 'Conflict & Collaboration', difficulty: 'easy', text: 'Tell me about a time you worked closely with someone whose working style was different from yours.' },
+  { category: 'Conflict & Collaboration', difficulty: 'medium', text: 'Describe a technical disagreement with a teammate. How did you resolve it?' },
+  { category: 'Conflict & Collaboration', difficulty: 'hard', text: 'Tell me about a time you had to push back on a decision made by someone more senior than you.' },
+  { category: 'Failure & Learning', difficulty: 'easy', text: 'Tell me about a time you had to learn a new technology quickly.' },
+  { category: 'Failure & Learning', difficulty: 'medium', text: 'Describe a mistake you made on a project. What did you change afterwards?' },
+  { category: 'Failure & Learning', difficulty: 'hard', text: 'Tell me about a project that failed. What would you do differently?' },
+  { category: 'Leadership & Influence', difficulty: 'easy', text: 'Tell me about a time you helped a teammate get unblocked.' },
+  { category: 'Leadership & Influence', difficulty: 'medium', text: 'Describe a time you convinced others to adopt an approach or tool you proposed.' },
+  { category: 'Leadership & Influence', difficulty: 'hard', text: 'Tell me about a time you led a group without having formal authority over them.' },
+  { category: 'Ambiguity', difficulty: 'easy', text: 'Tell me about a time you started work with unclear requirements.' },
+  { category: 'Ambiguity', difficulty: 'medium', text: 'Describe a decision you had to make without all the information you wanted.' },
+  { category: 'Ambiguity', difficulty: 'hard', text: 'Tell me about a time the goals of a project changed halfway through. How did you adapt?' },
+  { category: 'Prioritization', difficulty: 'easy', text: 'Tell me about a time you had several deadlines at once. How did you decide what to do first?' },
+  { category: 'Prioritization', difficulty: 'medium', text: 'Describe a time you cut scope to ship on time. What did you leave out and why?' },
+  { category: 'Prioritization', difficulty: 'hard', text: 'Tell me about a time you chose to take on technical debt. How did you justify it and follow up?' },
+  { category: 'Customer Focus', difficulty: 'easy', text: 'Tell me about a time you built something based on user feedback.' },
+  { category: 'Customer Focus', difficulty: 'medium', text: 'Describe a time you had to balance what users asked for with what was technically sound.' },
+  { category: 'Customer Focus', difficulty: 'hard', text: 'Tell me about a time you measured the impact of a feature after it shipped. What did you find?' },
+];
+
+const shuffle = (items) => {
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+};
+
+// Draw a question set from the bank in the same shape as generated sets.
+// Falls back to every difficulty when the filters leave too few questions.
+export const pickBehavioralQuestions = ({ count, difficulty, categories }) => {
+  const inCategories = BEHAVIORAL_QUESTION_BANK.filter(
+    (q) => categories.length === 0 || categories.includes(q.category)
+  );
+  const matching = inCategories.filter((q) => difficulty === 'mixed' || q.difficulty === difficulty);
+  const others = inCategories.filter((q) => !matching.includes(q));
+
+  return [...shuffle(matching), ...shuffle(others)]
+    .slice(0, count)
+    .map((q, index) => ({ id: index + 1, ...q }));
+};
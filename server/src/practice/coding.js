@@ -0,0 +1,166 @@
+// Problem bank for coding exercises. Solutions are JavaScript functions run in the
+// browser against each problem's tests. Hidden tests are sent to the browser so it can
+// run them, but their inputs are never shown in the UI.
+
+const CODING_PROBLEMS = [
+  {
+    id: 'two-sum',
+    title: 'Two Sum',
+    difficulty: 'easy',
+    topic: 'Arrays & Hashing',
+    statement: 'Given an array of integers `nums` and an integer `target`, return the indices of the two numbers that add up to `target`, smallest index first. Each input has exactly one solution, and you may not use the same element twice.',
+    functionName: 'twoSum',
+    starterCode: `function twoSum(nums, target) {
+  // Return [i, j] with i < j
+}
+`,
+    tests: [
+      { input: [[2, 7, 11, 15], 9], expected: [0, 1] },
+      { input: [[3, 2, 4], 6], expected: [1, 2] },
+      { input: [[3, 3], 6], expected: [0, 1], hidden: true },
+      { input: [[-4, 10, 8, 1, 14], 10], expected: [0, 4], hidden: true },
+      { input: [[0, 4, 9, -5, 0], 0], expected: [0, 4], hidden: true },
+    ],
+  },
+  {
+    id: 'valid-parentheses',
+    title: 'Valid Parentheses',
+    difficulty: 'easy',
+    topic: 'Stacks',
+    statement: 'Given a string `s` containing only the characters `()[]{}`, return `true` if every bracket is closed by the same type of bracket in the correct order, otherwise `false`.',
+    functionName: 'isValid',
+    starterCode: `function isValid(s) {
+
+}
+`,
+    tests: [
+      { input: ['()[]{}'], expected: true },
+      { input: ['(]'], expected: false },
+      { input: ['{[]}'], expected: true },
+      { input: [''], expected: true, hidden: true },
+      { input: ['(('], expected: false, hidden: true },
+      { input: ['([)]'], expected: false, hidden: true },
+      { input: ['}'], expected: false, hidden: true },
+    ],
+  },
+  {
+    id: 'binary-search',
+    title: 'Binary Search',
+    difficulty: 'easy',
+    topic: 'Searching',
+    statement: 'Given a sorted array of distinct integers `nums` and a `target`, return the index of `target`, or `-1` if it is not present. Your solution should run in O(log n) time.',
+    functionName: 'search',
+    starterCode: `function search(nums, target) {
+
+}
+`,
+    tests: [
+      { input: [[-1, 0, 3, 5, 9, 12], 9], expected: 4 },
+      { input: [[-1, 0, 3, 5, 9, 12], 2], expected: -1 },
+      { input: [[5], 5], expected: 0, hidden: true },
+      { input: [[], 1], expected: -1, hidden: true },
+      { input: [[1, 3, 5, 7, 9, 11, 13], 1], expected: 0, hidden: true },
+      { input: [[1, 3, 5, 7, 9, 11, 13], 13], expected: 6, hidden: true },
+    ],
+  },
+  {
+    id: 'cosine-similarity',
+    title: 'Cosine Similarity',
+    difficulty: 'easy',
+    topic: 'AI Fundamentals',
+    statement: 'Embedding search ranks documents by cosine similarity. Given two numeric vectors `a` and `b` of the same length, return their cosine similarity. If either vector is all zeros, return `0`.',
+    functionName: 'cosineSimilarity',
+    starterCode: `function cosineSimilarity(a, b) {
+
+}
+`,
+    tests: [
+      { input: [[1, 0], [0, 1]], expected: 0 },
+      { input: [[1, 2, 3], [1, 2, 3]], expected: 1 },
+      { input: [[1, 2], [-1, -2]], expected: -1, hidden: true },
+      { input: [[0, 0, 0], [1, 2, 3]], expected: 0, hidden: true },
+      { input: [[3, 4], [4, 3]], expected: 0.96, hidden: true },
+    ],
+  },
+  {
+    id: 'longest-unique-substring',
+    title: 'Longest Substring Without Repeats',
+    difficulty: 'medium',
+    topic: 'Sliding Window',
+    statement: 'Given a string `s`, return the length of the longest substring that contains no repeated characters.',
+    functionName: 'lengthOfLongestSubstring',
+    starterCode: `function lengthOfLongestSubstring(s) {
+
+}
+`,
+    tests: [
+      { input: ['abcabcbb'], expected: 3 },
+      { input: ['bbbbb'], expected: 1 },
+      { input: ['pwwkew'], expected: 3, hidden: true },
+      { input: [''], expected: 0, hidden: true },
+      { input: ['abba'], expected: 2, hidden: true },
+      { input: ['dvdf'], expected: 3, hidden: true },
+    ],
+  },
+  {
+    id: 'merge-intervals',
+    title: 'Merge Intervals',
+    difficulty: 'medium',
+    topic: 'Sorting',
+    statement: 'Given an array of `[start, end]` intervals, merge all overlapping intervals and return them sorted by start. Intervals that touch (`[1, 4]` and `[4, 5]`) overlap.',
+    functionName: 'merge',
+    starterCode: `function merge(intervals) {
+
+}
+`,
+    tests: [
+      { input: [[[1, 3], [2, 6], [8, 10], [15, 18]]], expected: [[1, 6], [8, 10], [15, 18]] },
+      { input: [[[1, 4], [4, 5]]], expected: [[1, 5]] },
+      { input: [[[1, 4], [0, 4]]], expected: [[0, 4]], hidden: true },
+      { input: [[[1, 4], [2, 3]]], expected: [[1, 4]], hidden: true },
+      { input: [[]], expected: [], hidden: true },
+    ],
+  },
+  {
+    id: 'product-except-self',
+    title: 'Product of Array Except Self',
+    difficulty: 'medium',
+    topic: 'Arrays & Hashing',
+    statement: 'Given an integer array `nums`, return an array where element `i` is the product of every element of `nums` except `nums[i]`. Do it in O(n) time without using division.',
+    functionName: 'productExceptSelf',
+    starterCode: `function productExceptSelf(nums) {
+
+}
+`,
+    tests: [
+      { input: [[1, 2, 3, 4]], expected: [24, 12, 8, 6] },
+      { input: [[-1, 1, 0, -3, 3]], expected: [0, 0, 9, 0, 0] },
+      { input: [[2, 3]], expected: [3, 2], hidden: true },
+      { input: [[0, 0]], expected: [0, 0], hidden: true },
+      { input: [[5, 1, 1, 1]], expected: [1, 5, 5, 5], hidden: true },
+    ],
+  },
+  {
+    id: 'chunk-text',
+    title: 'Chunk Text for Retrieval',
+    difficulty: 'medium',
+    topic: 'AI Fundamentals',
+    statement: 'RAG pipelines split documents into overlapping chunks before embedding them. Split `text` into words (on any whitespace) and return chunks of `size` words, each starting `size - overlap` words after the previous one, joined with single spaces. Stop once a chunk reaches the last word. Return `[]` for empty text.',
+    functionName: 'chunkText',
+    starterCode: `function chunkText(text, size, overlap) {
+
+}
+`,
+    tests: [
+      { input: ['a b c d e', 2, 0], expected: ['a b', 'c d', 'e'] },
+      { input: ['a b c d e', 3, 1], expected: ['a b c', 'c d e'] },
+      { input: ['', 3, 1], expected: [], hidden: true },
+      { input: ['one  two\nthree', 5, 2], expected: ['one two three'], hidden: true },
+      { input: ['a b c d e f', 4, 2], expected: ['a b c d', 'c d e f'], hidden: true },
+    ],
+  },
+];
+
+export const listCodingProblems = () => CODING_PROBLEMS;
+
+export const findCodingProblem = (problemId) => CODING_PROBLEMS.find((p) => p.id === problemId);
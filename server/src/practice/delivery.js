@@ -0,0 +1,105 @@
+// Speaking-delivery metrics for a practice answer, computed from the transcript
+// and whatever timing the answer came with (recording segments or browser
+// speech-recognition timestamps). Typed answers only get filler and length metrics.
+
+// Conversational interview pace; slower drags, faster is hard to follow
+export const PACE_RANGE = { min: 110, max: 160 };
+
+// A spoken answer should land in one to three minutes
+export const TARGET_ANSWER_SECONDS = { min: 60, max: 180 };
+
+// Silence longer than this reads as the speaker losing their thread
+export const LONG_PAUSE_SECONDS = 2.5;
+
+// Multi-word fillers first so "you know" isn't also counted as something shorter
+const FILLER_WORDS = ['you know', 'i mean', 'kind of', 'sort of', 'um', 'uh', 'er', 'ah', 'like', 'basically', 'actually', 'literally'];
+
+// Below this there isn't enough audio for a meaningful speaking rate
+const MIN_TIMED_SECONDS = 5;
+
+const countWords = (text) => (text.trim().match(/\S+/g) || []).length;
+
+const round = (value, places = 0) => {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+};
+
+const countFillers = (text) => {
+  let remaining = ` ${text.toLowerCase().replace(/[^a-z'\s]/g, ' ')} `;
+  const counts = {};
+  for (const filler of FILLER_WORDS) {
+    // "I like Postgres" is a verb, not a filler
+    const guard = filler === 'like' ? "(?<!\\b(?:i|we|you|they|would|i'd|we'd|don't|didn't))" : '';
+    const pattern = new RegExp(`${guard}\\s${filler.replace(' ', '\\s+')}(?=\\s)`, 'g');
+    const matches = remaining.match(pattern);
+    if (matches) {
+      counts[filler] = matches.length;
+      remaining = remaining.replace(pattern, ' ');
+    }
+  }
+  return counts;
+};
+
+// Gaps between consecutive spoken stretches; recordings give segment bounds,
+// browser recognition gives the times its results arrived
+const findPauses = ({ segments, speechTimestamps }) => {
+  const gaps = [];
+  if (segments?.length > 1) {
+    for (let i = 1; i < segments.length; i++) {
+      gaps.push(segments[i].start - segments[i - 1].end);
+    }
+  } else if (speechTimestamps?.length > 1) {
+    const sorted = [...speechTimestamps].sort((a, b) => a - b);
+    for (let i = 1; i < sorted.length; i++) {
+      gaps.push(sorted[i] - sorted[i - 1]);
+    }
+  } else {
+    return null;
+  }
+  const long = gaps.filter((gap) => gap >= LONG_PAUSE_SECONDS);
+  return {
+    count: long.length,
+    longestSeconds: long.length > 0 ? round(Math.max(...long), 1) : 0,
+  };
+};
+
+const rateLabel = (value, range) => {
+  if (value < range.min) return 'slow';
+  if (value > range.max) return 'fast';
+  return 'good';
+};
+
+const lengthLabel = (seconds) => {
+  if (seconds < TARGET_ANSWER_SECONDS.min) return 'short';
+  if (seconds > TARGET_ANSWER_SECONDS.max) return 'long';
+  return 'within';
+};
+
+export const computeDeliveryMetrics = ({ transcript, durationSeconds, segments, speechTimestamps }) => {
+  const words = countWords(transcript || '');
+  const fillers = countFillers(transcript || '');
+  const fillerCount = Object.values(fillers).reduce((sum, count) => sum + count, 0);
+  const timed = durationSeconds >= MIN_TIMED_SECONDS;
+
+  const wordsPerMinute = timed ? Math.round(words / (durationSeconds / 60)) : null;
+  // Untimed answers are judged on length at a typical speaking pace
+  const estimatedSeconds = timed
+    ? durationSeconds
+    : (words / ((PACE_RANGE.min + PACE_RANGE.max) / 2)) * 60;
+
+  return {
+    words,
+    durationSeconds: timed ? round(durationSeconds, 1) : null,
+    wordsPerMinute,
+    pace: wordsPerMinute === null ? null : rateLabel(wordsPerMinute, PACE_RANGE),
+    fillers,
+    fillerCount,
+    fillersPer100Words: words > 0 ? round((fillerCount / words) * 100, 1) : 0,
+    longPauses: timed ? findPauses({ segments, speechTimestamps }) : null,
+    length: {
+      status: words > 0 ? lengthLabel(estimatedSeconds) : 'short',
+      estimated: !timed,
+      targetSeconds: TARGET_ANSWER_SECONDS,
+    },
+  };
+};
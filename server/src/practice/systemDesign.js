@@ -0,0 +1,136 @@
+// Prompts, building blocks and rubric for system design (whiteboard) practice. The
+// diagram is a plain JSON model: components placed on the canvas and the connections
+// between them.
+
+export const DESIGN_COMPONENT_TYPES = [
+  'client',
+  'cdn',
+  'load-balancer',
+  'api',
+  'service',
+  'worker',
+  'queue',
+  'cache',
+  'database',
+  'storage',
+  'search',
+  'model',
+  'external',
+];
+
+// What the evaluator scores, in the order it is shown
+export const DESIGN_RUBRIC = [
+  { key: 'scalability', label: 'Scalability', focus: 'How the design grows with traffic and data: horizontal scaling, partitioning, replication, caching and async work' },
+  { key: 'dataModel', label: 'Data Model', focus: 'What is stored where, the main entities and keys, and whether the storage choice fits the access patterns' },
+  { key: 'bottlenecks', label: 'Bottlenecks', focus: 'Single points of failure, hot spots and the first thing that breaks under load, and how the design deals with them' },
+  { key: 'tradeOffs', label: 'Trade-offs', focus: 'Alternatives considered and why this design was chosen: consistency vs availability, cost, latency and complexity' },
+];
+
+const DESIGN_PROMPTS = [
+  {
+    id: 'url-shortener',
+    title: 'URL Shortener',
+    difficulty: 'easy',
+    prompt: 'Design a service like bit.ly that turns long URLs into short links and redirects visitors to the original URL.',
+    requirements: [
+      'Create a short link for any URL, optionally with a custom alias',
+      'Redirect in under 50 ms at the 99th percentile',
+      'Count clicks per link',
+    ],
+    scale: '100M new links per month, 10B redirects per month',
+  },
+  {
+    id: 'rate-limiter',
+    title: 'API Rate Limiter',
+    difficulty: 'medium',
+    prompt: 'Design a rate limiter that sits in front of a public API and limits each API key to a configurable number of requests per minute.',
+    requirements: [
+      'Per-key limits that can be changed without a deploy',
+      'Works across many API server instances',
+      'Rejected requests get a clear error and retry hint',
+    ],
+    scale: '50K requests per second across 20 API servers',
+  },
+  {
+    id: 'news-feed',
+    title: 'Social News Feed',
+    difficulty: 'medium',
+    prompt: 'Design the home feed of a social network: users follow each other and see recent posts from the people they follow.',
+    requirements: [
+      'Publish text and image posts',
+      'Load the first page of the feed in under 200 ms',
+      'Handle accounts with millions of followers',
+    ],
+    scale: '200M daily active users, 500M posts per day',
+  },
+  {
+    id: 'chat',
+    title: 'Real-time Chat',
+    difficulty: 'medium',
+    prompt: 'Design a chat service with one-to-one and group conversations, delivered in real time.',
+    requirements: [
+      'Messages arrive in order within a conversation',
+      'Offline users get their messages when they reconnect',
+      'Show online presence and read receipts',
+    ],
+    scale: '50M daily active users, 2B messages per day',
+  },
+  {
+    id: 'document-qa',
+    title: 'Document Q&A (RAG)',
+    difficulty: 'medium',
+    prompt: 'Design a service where companies upload their internal documents and employees ask questions answered by an LLM, with citations to the source documents.',
+    requirements: [
+      'Ingest PDFs and web pages, and keep answers current when documents change',
+      'Answers cite the passages they are based on',
+      'Users only see answers from documents they have access to',
+    ],
+    scale: '5K companies, 20M documents, 1M questions per day',
+  },
+  {
+    id: 'ride-matching',
+    title: 'Ride Matching',
+    difficulty: 'hard',
+    prompt: 'Design the backend that matches riders with nearby drivers for a ride-hailing app.',
+    requirements: [
+      'Drivers send their location every few seconds',
+      'Match a rider to a nearby available driver within seconds',
+      'Never assign one driver to two riders',
+    ],
+    scale: '1M active drivers at peak, 10K ride requests per second',
+  },
+  {
+    id: 'video-platform',
+    title: 'Video Upload & Streaming',
+    difficulty: 'hard',
+    prompt: 'Design a platform where creators upload videos and viewers stream them on any device.',
+    requirements: [
+      'Uploads are transcoded into several resolutions',
+      'Playback adapts to the viewer\'s bandwidth',
+      'Show view counts that are close to real time',
+    ],
+    scale: '500 hours of video uploaded per minute, 1B views per day',
+  },
+];
+
+export const listDesignPrompts = () => DESIGN_PROMPTS;
+
+export const findDesignPrompt = (promptId) => DESIGN_PROMPTS.find((p) => p.id === promptId);
+
+// Render the diagram as text for the evaluator: one line per component, then one per
+// connection, referring to components by label
+export const describeDiagram = ({ components, connections }) => {
+  const labels = new Map(components.map((c) => [c.id, c.label]));
+  const componentLines = components.map((c) =>
+    `- ${c.label} [${c.type}]${c.notes ? `: ${c.notes}` : ''}`
+  );
+  const connectionLines = connections.map((c) =>
+    `- ${labels.get(c.from)} -> ${labels.get(c.to)}${c.label ? ` (${c.label})` : ''}`
+  );
+
+  return `Components:
+${componentLines.join('\n')}
+
+Connections:
+${connectionLines.length > 0 ? connectionLines.join('\n') : '- (none)'}`;
+};
@@ -0,0 +1,24 @@
+import OpenAI from 'openai';
+
+// OpenAI SDK clients for the providers. Backends call these per request, so a missing key
+// surfaces as a request error rather than a boot crash.
+
+export const getOpenAIClient = () => {
+  const apiKey = process.env.OPENAI_API_KEY;
+  if (!apiKey) {
+    throw new Error('OPENAI_API_KEY environment variable is not set. Please configure it in your .env file.');
+  }
+  return new OpenAI({ apiKey });
+};
+
+// A client getter for a local OpenAI-compatible server (Ollama, llama.cpp, faster-whisper-server,
+// LocalAI), created once. Local servers ignore the key, but the SDK refuses to start without one.
+export const localClientGetter = ({ baseURL, apiKey }) => {
+  let client = null;
+  return () => {
+    if (!client) {
+      client = new OpenAI({ baseURL, apiKey: apiKey || 'local' });
+    }
+    return client;
+  };
+};
@@ -0,0 +1,21 @@
+// Pluggable backends (LLM, transcription, embeddings) are picked by name from an environment
+// variable. The active one is created on first use, so a misconfigured backend fails the
+// requests that need it rather than the server boot, and is recreated when the variable changes.
+export const createProviderRegistry = (envVar, factories, defaultName = 'openai') => {
+  let current = null;
+  let currentName = null;
+
+  return () => {
+    const name = (process.env[envVar] || defaultName).toLowerCase();
+    const factory = Object.hasOwn(factories, name) ? factories[name] : null;
+    if (!factory) {
+      throw new Error(`Unknown ${envVar} "${name}". Expected one of: ${Object.keys(factories).join(', ')}.`);
+    }
+
+    if (!current || currentName !== name) {
+      current = factory();
+      currentName = name;
+    }
+    return current;
+  };
+};
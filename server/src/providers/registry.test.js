@@ -0,0 +1,30 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createProviderRegistry } from './registry.js';
+
+const ENV_VAR = 'TEST_PROVIDER';
+
+afterEach(() => {
+  delete process.env[ENV_VAR];
+});
+
+test('the provider is created once and recreated when the variable changes', () => {
+  let created = 0;
+  const getProvider = createProviderRegistry(ENV_VAR, {
+    openai: () => ({ name: 'openai', instance: ++created }),
+    fake: () => ({ name: 'fake', instance: ++created }),
+  });
+
+  assert.equal(getProvider().name, 'openai');
+  assert.equal(getProvider(), getProvider());
+  process.env[ENV_VAR] = 'FAKE';
+  assert.deepEqual(getProvider(), { name: 'fake', instance: 2 });
+});
+
+test('an unknown name lists the known ones', () => {
+  const getProvider = createProviderRegistry(ENV_VAR, { openai: () => ({}) });
+  for (const name of ['nope', 'constructor']) {
+    process.env[ENV_VAR] = name;
+    assert.throws(getProvider, { message: `Unknown ${ENV_VAR} "${name}". Expected one of: openai.` });
+  }
+});
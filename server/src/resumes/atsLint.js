@@ -0,0 +1,295 @@
+// Offline ATS-compatibility checks on the text extracted from an uploaded resume. Applicant
+// tracking systems read the same flat text we get from pdf-parse and mammoth, so anything
+// that looks broken here (split columns, icon glyphs, missing headings) looks broken there.
+// Purely rule-based, so it works without an API key.
+
+import {
+  SECTION_HEADINGS,
+  normalizeHeading,
+  BULLET_PATTERN,
+  DATE_RANGE_SOURCE,
+  MONTH_DATE_SOURCE,
+} from './patterns.js';
+
+const SEVERITY_ORDER = { error: 0, warning: 1, info: 2 };
+
+// Sections an ATS expects, with the headings it recognises for each
+const REQUIRED_SECTIONS = [
+  { name: 'Experience', pattern: SECTION_HEADINGS.experience },
+  { name: 'Education', pattern: SECTION_HEADINGS.education },
+  { name: 'Skills', pattern: SECTION_HEADINGS.skills },
+];
+
+const EMAIL_PATTERN = /[\w.+-]+@[\w-]+\.[\w.-]+/;
+const PHONE_PATTERN = /(?:\+?\d{1,3}[\s.-]?)?(?:\(\d{2,4}\)|\d{2,4})[\s.-]?\d{3,4}[\s.-]?\d{3,4}\b/;
+const PROFILE_PATTERN = /\b(linkedin\.com|github\.com)\//i;
+
+const MAX_BULLET_WORDS = 35;
+const MAX_BULLET_CHARS = 220;
+
+// Openings that describe duties instead of results
+const WEAK_OPENINGS = [
+  'responsible for',
+  'worked on',
+  'helped',
+  'assisted',
+  'participated in',
+  'involved in',
+  'tasked with',
+  'duties included',
+  'in charge of',
+];
+const WEAK_OPENING_PATTERN = new RegExp(`^(?:${WEAK_OPENINGS.join('|')})\\b`, 'i');
+// Regular participles end in -ed/-en; irregular ones common in resumes are listed
+const IRREGULAR_PARTICIPLES = ['built', 'rebuilt', 'made', 'led', 'run', 'set', 'sent', 'held', 'kept', 'brought', 'bought', 'taught', 'won', 'done', 'cut', 'split', 'put', 'met'];
+const PASSIVE_PATTERN = new RegExp(
+  `\\b(?:was|were|been|being|is|are)\\s+(?:\\w+ly\\s+)?(\\w+(?:ed|en)|${IRREGULAR_PARTICIPLES.join('|')})\\b`,
+  'i'
+);
+// "I" must start a clause ("I led") so "I/O" and letter-spaced headings do not count, and
+// "us" stays lowercase so "US" does not, and must not start a name like "us-east-1"
+const FIRST_PERSON_PATTERN = /\bI(?=\s+[a-z])|\b(?:[Mm](?:e|y|yself|ine)|[Ww]e|[Oo]urs?|us(?!-))\b/;
+
+const DATE_RANGE_PATTERN = new RegExp(DATE_RANGE_SOURCE, 'gi');
+const MONTH_DATE_PATTERN = new RegExp(MONTH_DATE_SOURCE, 'gi');
+
+// Style of one date, e.g. "Jan 2020" is 'Mon YYYY' and "01/2020" is 'MM/YYYY'
+const dateStyle = (date) => {
+  const value = date.trim();
+  if (/^\d{1,2}\/\d{4}$/.test(value)) return 'MM/YYYY';
+  if (/^\d{4}-\d{2}$/.test(value)) return 'YYYY-MM';
+  if (/^\d{4}$/.test(value)) return 'YYYY';
+  const month = value.match(/^[a-z]+/i)[0];
+  return month.length > 3 && month.toLowerCase() !== 'sept' ? 'Month YYYY' : 'Mon YYYY';
+};
+
+const isPresent = (date) => /^(present|current|now)$/i.test(date.trim());
+
+const excerpt = (text) => {
+  const trimmed = text.trim();
+  return trimmed.length > 120 ? `${trimmed.slice(0, 117)}...` : trimmed;
+};
+
+const finding = (rule, severity, message, line = null, extra = {}) => ({
+  rule,
+  severity,
+  message,
+  line: line ? line.number : null,
+  ...(line ? { excerpt: excerpt(line.text) } : {}),
+  ...extra,
+});
+
+// A short line without sentence punctuation, e.g. "EXPERIENCE" or "Technical Skills:"
+const looksLikeHeading = (text) => {
+  const trimmed = text.trim();
+  return trimmed.length > 0
+    && trimmed.split(/\s+/).length <= 5
+    && !BULLET_PATTERN.test(trimmed)
+    && !/[.,;]$/.test(trimmed);
+};
+
+// Bullets with the lines PDF extraction wrapped them onto (continuations start lowercase)
+const collectBullets = (lines) => {
+  const bullets = [];
+  lines.forEach((line) => {
+    const last = bullets[bullets.length - 1];
+    if (BULLET_PATTERN.test(line.text)) {
+      bullets.push({ number: line.number, endLine: line.number, text: line.text.replace(BULLET_PATTERN, '').trim() });
+    } else if (last && last.endLine === line.number - 1 && /^\s*[a-z(]/.test(line.text)) {
+      last.text = `${last.text} ${line.text.trim()}`;
+      last.endLine = line.number;
+    }
+  });
+  return bullets;
+};
+
+const checkSections = (lines) => {
+  const headings = lines.filter((line) => looksLikeHeading(line.text)).map((line) => normalizeHeading(line.text));
+  return REQUIRED_SECTIONS
+    .filter((section) => !headings.some((heading) => section.pattern.test(heading)))
+    .map((section) => finding(
+      'missing-section',
+      'error',
+      `No "${section.name}" heading found. ATS parsers file content under standard headings, so use "${section.name}" or a close variant.`
+    ));
+};
+
+const checkContact = (text) => {
+  const findings = [];
+  if (!EMAIL_PATTERN.test(text)) {
+    findings.push(finding('missing-contact', 'error', 'No email address found. Recruiters and ATS profiles need one to reach you.'));
+  }
+  if (!PHONE_PATTERN.test(text)) {
+    findings.push(finding('missing-contact', 'warning', 'No phone number found.'));
+  }
+  if (!PROFILE_PATTERN.test(text)) {
+    findings.push(finding('missing-contact', 'info', 'No LinkedIn or GitHub URL found. Engineering recruiters usually look for one.'));
+  }
+  return findings;
+};
+
+// Multi-column layouts and tables come out of extraction as wide gaps, letter-spaced
+// words or glyphs from icon fonts. Consecutive affected lines are reported as one finding.
+const checkLayout = (lines) => {
+  const problems = lines.map((line) => {
+    if (/[\uFFFD\uE000-\uF8FF]/.test(line.text)) return 'unreadable';
+    if (/\S(?: {4,}|\t+)\S/.test(line.text)) return 'columns';
+    if (/(?:^|\s)(?:[A-Za-z] ){4,}[A-Za-z](?:\s|$)/.test(line.text)) return 'spaced';
+    return null;
+  });
+
+  const messages = {
+    unreadable: 'Characters that could not be read, usually from icon fonts or symbols. ATS parsers drop or garble them, so use plain text labels.',
+    columns: 'Text that looks like it came from a table or side-by-side columns. ATS parsers often read columns in the wrong order, so use a single-column layout.',
+    spaced: 'Letter-spaced text. ATS parsers read it as separate letters, so the words will not match searches.',
+  };
+
+  const findings = [];
+  problems.forEach((problem, index) => {
+    if (!problem) return;
+    const previous = findings[findings.length - 1];
+    if (previous && previous.rule === `garbled-${problem}` && previous.endLine === lines[index].number - 1) {
+      previous.endLine = lines[index].number;
+      return;
+    }
+    findings.push(finding(`garbled-${problem}`, 'warning', messages[problem], lines[index], { endLine: lines[index].number }));
+  });
+  return findings;
+};
+
+// Every date should follow the style most of the resume uses
+const checkDates = (lines) => {
+  const dates = [];
+  lines.forEach((line) => {
+    const positions = new Set();
+    for (const match of line.text.matchAll(DATE_RANGE_PATTERN)) {
+      [match[1], match[2]].forEach((date) => {
+        if (!isPresent(date)) dates.push({ line, date: date.trim(), style: dateStyle(date) });
+      });
+      positions.add(match.index);
+      for (let i = match.index; i < match.index + match[0].length; i += 1) positions.add(i);
+    }
+    for (const match of line.text.matchAll(MONTH_DATE_PATTERN)) {
+      if (!positions.has(match.index)) dates.push({ line, date: match[0].trim(), style: dateStyle(match[0]) });
+    }
+  });
+
+  // Year-only dates are normal for education and fit alongside any other style
+  const counts = {};
+  dates.filter(({ style }) => style !== 'YYYY').forEach(({ style }) => {
+    counts[style] = (counts[style] || 0) + 1;
+  });
+  const styles = Object.keys(counts);
+  if (styles.length < 2) return [];
+
+  // Ties go to the style that appears first
+  const preferred = styles.reduce((best, style) => (counts[style] > counts[best] ? style : best));
+  const findings = [];
+  dates
+    .filter(({ style }) => style !== preferred && style !== 'YYYY')
+    .forEach(({ line, date, style }) => {
+      const existing = findings.find((item) => item.line === line.number);
+      if (existing) return;
+      findings.push(finding(
+        'date-format',
+        'warning',
+        `"${date}" uses ${style} while most dates use ${preferred}. Consistent dates let an ATS work out how long you held each role.`,
+        line
+      ));
+    });
+  return findings;
+};
+
+const checkBullets = (bullets) => {
+  const findings = [];
+  bullets.forEach((bullet) => {
+    const line = { number: bullet.number, text: bullet.text };
+    const extra = bullet.endLine !== bullet.number ? { endLine: bullet.endLine } : {};
+    const words = bullet.text.split(/\s+/).filter(Boolean).length;
+
+    if (words > MAX_BULLET_WORDS || bullet.text.length > MAX_BULLET_CHARS) {
+      findings.push(finding(
+        'long-bullet',
+        'warning',
+        `Bullet is ${words} words long. Keep bullets under ${MAX_BULLET_WORDS} words, or split it in two.`,
+        line,
+        extra
+      ));
+    }
+
+    const weak = bullet.text.match(WEAK_OPENING_PATTERN);
+    if (weak) {
+      findings.push(finding(
+        'weak-verb',
+        'warning',
+        `Starts with "${weak[0]}", which describes a duty rather than a result. Lead with a strong action verb.`,
+        line,
+        extra
+      ));
+    } else {
+      const passive = bullet.text.match(PASSIVE_PATTERN);
+      if (passive) {
+        findings.push(finding(
+          'passive-voice',
+          'info',
+          `Passive voice ("${passive[0]}"). Say what you did in the active voice.`,
+          line,
+          extra
+        ));
+      }
+    }
+  });
+  return findings;
+};
+
+// The header (name and contact lines) is skipped, since "Me" or "Us" there is rarely a pronoun
+const checkPronouns = (lines) => lines
+  .slice(3)
+  .filter((line) => FIRST_PERSON_PATTERN.test(line.text))
+  .map((line) => finding(
+    'first-person',
+    'warning',
+    `First-person pronoun ("${line.text.match(FIRST_PERSON_PATTERN)[0]}"). Resumes are written without "I", "my" or "we".`,
+    line
+  ));
+
+// Returns { findings, summary: { errors, warnings, info } }. Each finding is
+// { rule, severity, message, line, endLine?, excerpt? } with 1-based line numbers into the
+// text; line is null for findings about the whole document (e.g. a missing section).
+export const lintResume = (text) => {
+  const content = String(text || '');
+  const lines = content
+    .split(/\r?\n/)
+    .map((lineText, index) => ({ number: index + 1, text: lineText }))
+    .filter((line) => line.text.trim().length > 0);
+
+  let findings;
+  if (lines.length === 0) {
+    findings = [finding(
+      'no-text',
+      'error',
+      'No text could be extracted. The file is probably a scanned image, which an ATS cannot read either. Export it from the original document instead.'
+    )];
+  } else {
+    findings = [
+      ...checkSections(lines),
+      ...checkContact(content),
+      ...checkLayout(lines),
+      ...checkDates(lines),
+      ...checkBullets(collectBullets(lines)),
+      ...checkPronouns(lines),
+    ];
+  }
+
+  findings.sort((a, b) => (a.line ?? 0) - (b.line ?? 0)
+    || SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity]);
+
+  return {
+    findings,
+    summary: {
+      errors: findings.filter((item) => item.severity === 'error').length,
+      warnings: findings.filter((item) => item.severity === 'warning').length,
+      info: findings.filter((item) => item.severity === 'info').length,
+    },
+  };
+};
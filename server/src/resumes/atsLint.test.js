@@ -0,0 +1,29 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { lintResume } from './atsLint.js';
+
+const resumeWith = (bullet) => `Jane Doe
+jane@example.com | 555-123-4567
+
+EXPERIENCE
+Senior Engineer | Acme | Jan 2020 - Present
+- ${bullet}
+
+EDUCATION
+BSc Computer Science | TU Berlin | 2013 - 2017
+
+SKILLS
+Go, AWS
+`;
+
+const rulesFor = (bullet) => lintResume(resumeWith(bullet)).findings.map((finding) => finding.rule);
+
+test('region names are not first-person pronouns', () => {
+  assert.ok(!rulesFor('Moved the billing service to us-east-1, cutting latency by 40%').includes('first-person'));
+  assert.ok(rulesFor('Helped us move the billing service, cutting latency by 40%').includes('first-person'));
+});
+
+test('irregular participles count as passive voice', () => {
+  assert.ok(rulesFor('The billing service was rebuilt to cut latency by 40%').includes('passive-voice'));
+  assert.ok(rulesFor('The billing service was migrated to cut latency by 40%').includes('passive-voice'));
+});
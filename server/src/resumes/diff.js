@@ -0,0 +1,90 @@
+// Line or word diff between two texts, for comparing resume versions. Classic LCS over
+// tokens after trimming the common prefix and suffix, which is plenty for resume-sized
+// documents and keeps the output stable (deletions before insertions in each change).
+
+// Above this many LCS cells the changed middle is reported as one removal and one addition
+const MAX_CELLS = 4_000_000;
+
+// Lines keep their newline and whitespace runs are tokens of their own, so joining the
+// tokens of either side gives back the original text exactly
+const tokenize = (text, mode) => (mode === 'word'
+  ? text.match(/\s+|\S+/g) || []
+  : text.match(/[^\n]*\n|[^\n]+$/g) || []);
+
+const lcsOps = (a, b) => {
+  const n = a.length;
+  const m = b.length;
+  if (n * m > MAX_CELLS) {
+    return [...a.map((token) => ['delete', token]), ...b.map((token) => ['insert', token])];
+  }
+
+  // lengths[i][j] = LCS of a[i..] and b[j..], flattened
+  const width = m + 1;
+  const lengths = new Uint32Array((n + 1) * width);
+  for (let i = n - 1; i >= 0; i -= 1) {
+    for (let j = m - 1; j >= 0; j -= 1) {
+      lengths[i * width + j] = a[i] === b[j]
+        ? lengths[(i + 1) * width + j + 1] + 1
+        : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+    }
+  }
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (a[i] === b[j]) {
+      ops.push(['equal', a[i]]);
+      i += 1;
+      j += 1;
+    } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+      ops.push(['delete', a[i]]);
+      i += 1;
+    } else {
+      ops.push(['insert', b[j]]);
+      j += 1;
+    }
+  }
+  while (i < n) ops.push(['delete', a[i++]]);
+  while (j < m) ops.push(['insert', b[j++]]);
+  return ops;
+};
+
+// Returns { changes: [{ type: 'equal' | 'insert' | 'delete', text }], stats: { added, removed } }
+// where stats count changed lines or words. Adjacent tokens of the same type are merged.
+export const diffTexts = (before, after, mode = 'line') => {
+  const a = tokenize(before || '', mode);
+  const b = tokenize(after || '', mode);
+
+  let prefix = 0;
+  while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) prefix += 1;
+  let suffix = 0;
+  while (
+    suffix < a.length - prefix && suffix < b.length - prefix
+    && a[a.length - 1 - suffix] === b[b.length - 1 - suffix]
+  ) suffix += 1;
+
+  const ops = [
+    ...a.slice(0, prefix).map((token) => ['equal', token]),
+    ...lcsOps(a.slice(prefix, a.length - suffix), b.slice(prefix, b.length - suffix)),
+    ...a.slice(a.length - suffix).map((token) => ['equal', token]),
+  ];
+
+  const changes = [];
+  const stats = { added: 0, removed: 0 };
+  ops.forEach(([type, text]) => {
+    // Whitespace-only words are not worth counting
+    if (mode === 'line' || text.trim()) {
+      if (type === 'insert') stats.added += 1;
+      if (type === 'delete') stats.removed += 1;
+    }
+    const last = changes[changes.length - 1];
+    if (last && last.type === type) {
+      last.text += text;
+    } else {
+      changes.push({ type, text });
+    }
+  });
+
+  return { changes, stats };
+};
@@ -0,0 +1,203 @@
+// Deterministic keyword matching between a job description and a resume. Terms come from
+// a curated vocabulary of engineering skills plus the user's own skills and project bullet
+// keywords. Each term found in the job description is weighted by whether it sits under a
+// required or a nice-to-have part of the posting, and the score is the share of that weight
+// the resume covers.
+
+const REQUIRED_WEIGHT = 2;
+const PREFERRED_WEIGHT = 1;
+
+// Aliases are lowercase and matched as whole words, with an optional plural "s". Terms only
+// match running text through their aliases, so "Go" needs "golang" and never matches "go to
+// market"; a resume's skills section also matches by the term's name (see matchKeywords).
+const VOCABULARY = [
+  // Languages
+  { term: 'JavaScript', category: 'Language', aliases: ['javascript', 'ecmascript', 'es6'] },
+  { term: 'TypeScript', category: 'Language', aliases: ['typescript'] },
+  { term: 'Python', category: 'Language', aliases: ['python'] },
+  { term: 'Java', category: 'Language', aliases: ['java'] },
+  { term: 'Kotlin', category: 'Language', aliases: ['kotlin'] },
+  { term: 'Go', category: 'Language', aliases: ['golang'] },
+  { term: 'Rust', category: 'Language', aliases: ['rust'] },
+  { term: 'C++', category: 'Language', aliases: ['c++', 'cpp'] },
+  { term: 'C#', category: 'Language', aliases: ['c#', '.net', 'asp.net', 'dotnet'] },
+  { term: 'Ruby', category: 'Language', aliases: ['ruby'] },
+  { term: 'Swift', category: 'Language', aliases: ['swift'] },
+  { term: 'SQL', category: 'Language', aliases: ['sql'] },
+  // Frontend
+  { term: 'React', category: 'Frontend', aliases: ['react', 'react.js', 'reactjs'] },
+  { term: 'Next.js', category: 'Frontend', aliases: ['next.js', 'nextjs'] },
+  { term: 'Vue', category: 'Frontend', aliases: ['vue', 'vue.js', 'vuejs'] },
+  { term: 'Angular', category: 'Frontend', aliases: ['angular'] },
+  { term: 'Svelte', category: 'Frontend', aliases: ['svelte', 'sveltekit'] },
+  { term: 'HTML', category: 'Frontend', aliases: ['html', 'html5'] },
+  { term: 'CSS', category: 'Frontend', aliases: ['css', 'css3', 'sass', 'scss'] },
+  { term: 'Tailwind', category: 'Frontend', aliases: ['tailwind', 'tailwindcss'] },
+  // Backend
+  { term: 'Node.js', category: 'Backend', aliases: ['node.js', 'nodejs', 'node'] },
+  { term: 'Express', category: 'Backend', aliases: ['express.js', 'expressjs'] },
+  { term: 'Django', category: 'Backend', aliases: ['django'] },
+  { term: 'Flask', category: 'Backend', aliases: ['flask'] },
+  { term: 'FastAPI', category: 'Backend', aliases: ['fastapi'] },
+  { term: 'Spring Boot', category: 'Backend', aliases: ['spring boot', 'spring'] },
+  { term: 'Ruby on Rails', category: 'Backend', aliases: ['ruby on rails', 'rails'] },
+  { term: 'REST APIs', category: 'Backend', aliases: ['rest api', 'restful', 'rest apis', 'restful api'] },
+  { term: 'GraphQL', category: 'Backend', aliases: ['graphql'] },
+  { term: 'gRPC', category: 'Backend', aliases: ['grpc'] },
+  { term: 'Microservices', category: 'Backend', aliases: ['microservice', 'microservices'] },
+  { term: 'Distributed systems', category: 'Backend', aliases: ['distributed system', 'distributed systems'] },
+  { term: 'System design', category: 'Backend', aliases: ['system design', 'systems design'] },
+  // Data
+  { term: 'PostgreSQL', category: 'Data', aliases: ['postgresql', 'postgres'] },
+  { term: 'MySQL', category: 'Data', aliases: ['mysql'] },
+  { term: 'MongoDB', category: 'Data', aliases: ['mongodb', 'mongo'] },
+  { term: 'Redis', category: 'Data', aliases: ['redis'] },
+  { term: 'Elasticsearch', category: 'Data', aliases: ['elasticsearch', 'opensearch'] },
+  { term: 'Kafka', category: 'Data', aliases: ['kafka'] },
+  { term: 'RabbitMQ', category: 'Data', aliases: ['rabbitmq'] },
+  { term: 'Spark', category: 'Data', aliases: ['spark', 'pyspark'] },
+  { term: 'Airflow', category: 'Data', aliases: ['airflow'] },
+  { term: 'Snowflake', category: 'Data', aliases: ['snowflake'] },
+  { term: 'Data pipelines', category: 'Data', aliases: ['data pipeline', 'etl', 'elt'] },
+  // Cloud and DevOps
+  { term: 'AWS', category: 'Cloud', aliases: ['aws', 'amazon web services'] },
+  { term: 'GCP', category: 'Cloud', aliases: ['gcp', 'google cloud'] },
+  { term: 'Azure', category: 'Cloud', aliases: ['azure'] },
+  { term: 'Docker', category: 'Cloud', aliases: ['docker', 'container', 'containerization'] },
+  { term: 'Kubernetes', category: 'Cloud', aliases: ['kubernetes', 'k8s'] },
+  { term: 'Terraform', category: 'Cloud', aliases: ['terraform', 'infrastructure as code'] },
+  { term: 'CI/CD', category: 'Cloud', aliases: ['ci/cd', 'continuous integration', 'continuous delivery', 'continuous deployment', 'github actions'] },
+  { term: 'Linux', category: 'Cloud', aliases: ['linux', 'unix'] },
+  { term: 'Observability', category: 'Cloud', aliases: ['observability', 'monitoring', 'prometheus', 'grafana', 'opentelemetry'] },
+  // AI and ML
+  { term: 'Machine learning', category: 'AI', aliases: ['machine learning', 'ml'] },
+  { term: 'Deep learning', category: 'AI', aliases: ['deep learning', 'neural network'] },
+  { term: 'LLMs', category: 'AI', aliases: ['llm', 'large language model', 'genai', 'generative ai'] },
+  { term: 'RAG', category: 'AI', aliases: ['rag', 'retrieval-augmented generation', 'retrieval augmented generation'] },
+  { term: 'Vector databases', category: 'AI', aliases: ['vector database', 'vector db', 'vector search', 'pgvector', 'pinecone', 'embedding'] },
+  { term: 'Prompt engineering', category: 'AI', aliases: ['prompt engineering', 'prompt design'] },
+  { term: 'NLP', category: 'AI', aliases: ['nlp', 'natural language processing'] },
+  { term: 'PyTorch', category: 'AI', aliases: ['pytorch'] },
+  { term: 'TensorFlow', category: 'AI', aliases: ['tensorflow', 'keras'] },
+  // Practices
+  { term: 'Testing', category: 'Practice', aliases: ['unit test', 'integration test', 'tdd', 'test-driven', 'jest', 'pytest', 'automated testing'] },
+  { term: 'Git', category: 'Practice', aliases: ['git', 'github', 'gitlab'] },
+  { term: 'Agile', category: 'Practice', aliases: ['agile', 'scrum', 'kanban'] },
+  { term: 'Code review', category: 'Practice', aliases: ['code review'] },
+  { term: 'Mentoring', category: 'Practice', aliases: ['mentoring', 'mentorship', 'mentor'] },
+];
+
+// Headings and phrases that mark the nice-to-have part of a posting
+const PREFERRED_PATTERN = /\b(preferred|nice[- ]to[- ]have|bonus|a plus|pluses|desired|ideally)\b/i;
+const REQUIRED_PATTERN = /\b(requirements?|required|must[- ]have|qualifications|you have|you will|responsibilities)\b/i;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Whole-word match that also works for terms like "c++", "ci/cd" and ".net"
+const aliasPattern = (alias) => new RegExp(`(?<![a-z0-9+#])${escapeRegExp(alias)}s?(?![a-z0-9+#])`, 'gi');
+
+const normalize = (text) => text.toLowerCase().trim();
+
+// The vocabulary plus the user's skills and bullet keywords, each with where the user can
+// back it up. User terms that are aliases of a vocabulary term are merged into that term, and
+// their names are kept so a skills section listing them counts.
+export const buildTermList = ({ skills = [], bulletKeywords = [] } = {}) => {
+  const terms = VOCABULARY.map((entry) => ({ ...entry, names: [normalize(entry.term)], evidence: [] }));
+  const byAlias = new Map();
+  terms.forEach((entry) => {
+    [entry.term, ...entry.aliases].forEach((alias) => byAlias.set(normalize(alias), entry));
+  });
+
+  const addUserTerm = (name, category, evidence) => {
+    const key = normalize(name);
+    if (key.length < 2) return;
+    let entry = byAlias.get(key);
+    if (!entry) {
+      entry = { term: name.trim(), category, aliases: [key], names: [key], evidence: [] };
+      terms.push(entry);
+      byAlias.set(key, entry);
+    }
+    if (!entry.names.includes(key)) entry.names.push(key);
+    if (!entry.evidence.some((item) => item.label === evidence.label)) entry.evidence.push(evidence);
+  };
+
+  skills.forEach((skill) => addUserTerm(skill.name, skill.category || 'Skill', {
+    type: 'skill',
+    label: `${skill.name} (skill level ${skill.level}%)`,
+  }));
+  bulletKeywords.forEach(({ keyword, projectName }) => addUserTerm(keyword, 'Skill', {
+    type: 'project',
+    label: `${keyword} in ${projectName}`,
+  }));
+
+  return terms;
+};
+
+// Overlapping aliases ("spring" and "spring boot") count once per position
+const countMentions = (text, entry) => {
+  const positions = new Set();
+  entry.aliases.forEach((alias) => {
+    for (const match of text.matchAll(aliasPattern(alias))) positions.add(match.index);
+  });
+  return positions.size;
+};
+
+// Weight of each line: nice-to-have sections and lines count less than required ones
+const weightedLines = (jobDescription) => {
+  let sectionWeight = REQUIRED_WEIGHT;
+  return jobDescription.split('\n').map((line) => {
+    const isHeading = line.trim().length > 0 && line.trim().length < 60 && !/^[-*•\d]/.test(line.trim());
+    if (isHeading && PREFERRED_PATTERN.test(line)) sectionWeight = PREFERRED_WEIGHT;
+    else if (isHeading && REQUIRED_PATTERN.test(line)) sectionWeight = REQUIRED_WEIGHT;
+    const weight = PREFERRED_PATTERN.test(line) ? PREFERRED_WEIGHT : sectionWeight;
+    return { text: line, weight };
+  });
+};
+
+// Returns { score, matched, missing } where score is 0-100 (null if the posting names no
+// known terms) and matched/missing are [{ term, category, weight, mentions, evidence }],
+// most important first. evidence lists the user's skills and projects that back a term.
+// model is the resume's structured model; an item of its skills section that is exactly a
+// term's name (e.g. "Go") counts as a mention even when no alias matches.
+export const matchKeywords = (jobDescription, resume, terms, model = {}) => {
+  const lines = weightedLines(jobDescription || '');
+  const resumeText = resume || '';
+  const skillItems = new Set((model.skills || []).flatMap((group) => group.items.map(normalize)));
+
+  const found = [];
+  terms.forEach((entry) => {
+    let weight = 0;
+    let mentions = 0;
+    lines.forEach((line) => {
+      const count = countMentions(line.text, entry);
+      if (count > 0) {
+        mentions += count;
+        weight = Math.max(weight, line.weight);
+      }
+    });
+    if (mentions > 0) {
+      found.push({
+        term: entry.term,
+        category: entry.category,
+        weight,
+        mentions,
+        evidence: entry.evidence,
+        inResume: countMentions(resumeText, entry) > 0 || (entry.names || []).some((name) => skillItems.has(name)),
+      });
+    }
+  });
+
+  found.sort((a, b) => b.weight - a.weight || b.mentions - a.mentions || a.term.localeCompare(b.term));
+  const totalWeight = found.reduce((sum, term) => sum + term.weight, 0);
+  const matchedWeight = found.filter((term) => term.inResume).reduce((sum, term) => sum + term.weight, 0);
+  const strip = ({ inResume, ...term }) => term;
+
+  return {
+    score: totalWeight > 0 ? Math.round((matchedWeight / totalWeight) * 100) : null,
+    matched: found.filter((term) => term.inResume).map(strip),
+    missing: found.filter((term) => !term.inResume).map(strip),
+  };
+};
+
+// Whether a free-form term (e.g. one suggested by the AI pass) appears in a text
+export const mentionsTerm = (text, term) => countMentions(text || '', { aliases: [normalize(term)] }) > 0;
@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildTermList, matchKeywords } from './keywords.js';
+import { parseResume } from './structure.js';
+
+const JOB = `Requirements
+- 3+ years of Golang and PostgreSQL
+`;
+
+const RESUME = `Jane Doe
+
+EXPERIENCE
+Backend Engineer | Acme | 2020 - Present
+- Ran the go-to-market analytics on PostgreSQL
+
+SKILLS
+Languages: Go, SQL
+`;
+
+const termNames = (terms) => terms.map((term) => term.term);
+
+test('a term listed in the skills section by its name counts as matched', () => {
+  const terms = buildTermList({ skills: [{ name: 'Go', category: 'Language', level: 80 }] });
+  const { matched, missing, score } = matchKeywords(JOB, RESUME, terms, parseResume(RESUME));
+  assert.deepEqual(termNames(matched).sort(), ['Go', 'PostgreSQL']);
+  assert.deepEqual(missing, []);
+  assert.equal(score, 100);
+});
+
+test('the name alone does not match running text', () => {
+  const resume = RESUME.replace('Languages: Go, SQL', 'Languages: SQL');
+  const { missing } = matchKeywords(JOB, resume, buildTermList(), parseResume(resume));
+  assert.deepEqual(termNames(missing), ['Go']);
+});
@@ -0,0 +1,31 @@
+// Patterns shared by the resume parser (structure.js) and the ATS linter (atsLint.js), so
+// both agree on what counts as a section heading, a bullet and a date.
+
+// Headings of each section, matched against normalizeHeading(line)
+export const SECTION_HEADINGS = {
+  summary: /^(professional |career )?(summary|profile|objective)$|^about( me)?$/,
+  experience: /^(professional |work |relevant )?experience$|^employment( history)?$|^work history$|^career history$/,
+  education: /^education( and training)?$|^academic background$/,
+  projects: /^(personal |selected |side |key |technical )?projects$/,
+  skills: /^(technical |core |key )?skills( and technologies)?$|^technologies$|^tech(nical)? stack$|^core competencies$/,
+  other: /^(certifications?|licenses( and certifications)?|awards?|honors( and awards)?|publications|languages|interests|volunteer(ing| experience)?|activities|leadership|achievements|courses|(relevant )?coursework)$/,
+};
+
+// "Technical Skills:" -> "technical skills", "S K I L L S" -> "skills"
+export const normalizeHeading = (text) => {
+  let heading = text.trim().replace(/[:|]+$/, '').trim();
+  // Letter-spaced headings ("S K I L L S") come out of some PDF templates
+  if (/^(?:\S )+\S$/.test(heading)) heading = heading.replace(/ /g, '');
+  return heading.replace(/\s*&\s*/g, ' and ').toLowerCase();
+};
+
+export const BULLET_PATTERN = /^\s*(?:[-–•*▪◦●■►]|\d{1,2}[.)])\s+/;
+
+export const MONTHS = 'jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?';
+const YEAR = '(?:19|20)\\d{2}';
+// One date: "Jan 2020", "January, 2020", "01/2020", "2020-01" or "2020"
+export const DATE_SOURCE = `(?:(?:${MONTHS})\\.?,?\\s+${YEAR}|\\d{1,2}\\/${YEAR}|${YEAR}-\\d{2}(?!\\d)|${YEAR})`;
+// A range, capturing start and end: "Jan 2020 - Present", "2017 to 2019"
+export const DATE_RANGE_SOURCE = `(${DATE_SOURCE})\\s*(?:-|–|—|to)\\s*(${DATE_SOURCE}|present|current|now)\\b`;
+// A date with a month, without the bare-year form
+export const MONTH_DATE_SOURCE = `\\b(?:${MONTHS})\\.?,?\\s+${YEAR}\\b|\\b\\d{1,2}\\/${YEAR}\\b|\\b${YEAR}-\\d{2}(?!\\d)`;
@@ -0,0 +1,177 @@
+import {
+  AlignmentType,
+  BorderStyle,
+  Document,
+  HeadingLevel,
+  Packer,
+  Paragraph,
+  ShadingType,
+  Tab,
+  TabStopType,
+  Table,
+  TableCell,
+  TableLayoutType,
+  TableRow,
+  TextRun,
+  WidthType,
+} from 'docx';
+import { layoutResume, PAGE } from './layout.js';
+
+const FONT = 'Calibri';
+const MUTED_COLOR = '4B5563';
+const SIDEBAR_FILL = 'F3F4F6';
+const GUTTER = 18;
+const SIDEBAR_PADDING = 8;
+
+// Word measures lengths in twentieths of a point and font sizes in half points
+const twips = (points) => Math.round(points * 20);
+const halfPoints = (points) => Math.round(points * 2);
+const color = (hex) => hex.replace('#', '');
+
+const NO_BORDER = { style: BorderStyle.NONE, size: 0, color: 'FFFFFF' };
+
+// Paragraphs for one column of sections. width is the column's text width in points, used
+// for the right-aligned tab stop that puts dates on the same line as the entry heading.
+const sectionParagraphs = (sections, template, width) => sections.flatMap((section, sectionIndex) => {
+  const heading = new Paragraph({
+    heading: HeadingLevel.HEADING_2,
+    spacing: { before: sectionIndex > 0 ? twips(template.sectionGap) : 0, after: twips(3) },
+    children: [new TextRun(section.title.toUpperCase())],
+  });
+
+  const entries = section.entries.flatMap((entry, index) => {
+    const paragraphs = [];
+    const before = index > 0 ? twips(template.entryGap) : 0;
+
+    if (entry.title || entry.subtitle || entry.dates) {
+      paragraphs.push(new Paragraph({
+        spacing: { before },
+        tabStops: [{ type: TabStopType.RIGHT, position: twips(width) }],
+        children: [
+          ...(entry.title ? [new TextRun({ text: entry.title, bold: true })] : []),
+          ...(entry.subtitle ? [new TextRun(entry.title ? `, ${entry.subtitle}` : entry.subtitle)] : []),
+          ...(entry.dates ? [new TextRun({ children: [new Tab(), entry.dates], color: MUTED_COLOR })] : []),
+        ],
+      }));
+    }
+    if (entry.location) {
+      paragraphs.push(new Paragraph({ children: [new TextRun({ text: entry.location, italics: true, color: MUTED_COLOR })] }));
+    }
+    if (entry.text) {
+      paragraphs.push(new Paragraph({
+        spacing: { before: paragraphs.length === 0 ? before : 0 },
+        children: [
+          ...(entry.label ? [new TextRun({ text: `${entry.label}: `, bold: true })] : []),
+          new TextRun(entry.text),
+        ],
+      }));
+    }
+    (entry.bullets || []).forEach((text) => {
+      paragraphs.push(new Paragraph({
+        bullet: { level: 0 },
+        spacing: { before: paragraphs.length === 0 ? before : 0 },
+        children: [new TextRun(text)],
+      }));
+    });
+    return paragraphs;
+  });
+
+  return [heading, ...entries];
+});
+
+const headerParagraphs = (layout, template) => [
+  ...(layout.name ? [new Paragraph({
+    children: [new TextRun({ text: layout.name, bold: true, size: halfPoints(template.nameSize), color: color(template.accent) })],
+  })] : []),
+  ...(layout.headline ? [new Paragraph({
+    children: [new TextRun({ text: layout.headline, size: halfPoints(template.fontSize + 1) })],
+  })] : []),
+  ...(layout.contact.length > 0 ? [new Paragraph({
+    children: [new TextRun({ text: layout.contact.join('  |  '), color: MUTED_COLOR })],
+  })] : []),
+  new Paragraph({ spacing: { after: twips(template.sectionGap / 2) }, children: [] }),
+];
+
+// A table cell must hold at least one paragraph
+const cellParagraphs = (paragraphs) => (paragraphs.length > 0 ? paragraphs : [new Paragraph({ children: [] })]);
+
+// The two-column template as a borderless two-cell table, which Word and most parsers
+// read column by column
+const columnsTable = (layout, template, contentWidth) => {
+  const sidebarWidth = Math.round(contentWidth * template.sidebarWidth);
+  const mainWidth = contentWidth - sidebarWidth;
+  const cellMargin = twips(SIDEBAR_PADDING);
+
+  return new Table({
+    layout: TableLayoutType.FIXED,
+    width: { size: twips(contentWidth), type: WidthType.DXA },
+    columnWidths: [twips(sidebarWidth), twips(mainWidth)],
+    borders: {
+      top: NO_BORDER, bottom: NO_BORDER, left: NO_BORDER, right: NO_BORDER,
+      insideHorizontal: NO_BORDER, insideVertical: NO_BORDER,
+    },
+    rows: [new TableRow({
+      children: [
+        new TableCell({
+          width: { size: twips(sidebarWidth), type: WidthType.DXA },
+          shading: { type: ShadingType.CLEAR, fill: SIDEBAR_FILL, color: 'auto' },
+          margins: { top: cellMargin, bottom: cellMargin, left: cellMargin, right: cellMargin },
+          children: cellParagraphs(sectionParagraphs(layout.sidebar, template, sidebarWidth - SIDEBAR_PADDING * 2)),
+        }),
+        new TableCell({
+          width: { size: twips(mainWidth), type: WidthType.DXA },
+          margins: { top: 0, bottom: 0, left: twips(GUTTER), right: 0 },
+          children: cellParagraphs(sectionParagraphs(layout.main, template, mainWidth - GUTTER)),
+        }),
+      ],
+    })],
+  });
+};
+
+// Render the resume model as a Word document, resolving to a Buffer
+export const renderDocx = (model, template) => {
+  const layout = layoutResume(model, template);
+  const contentWidth = PAGE.width - template.margin * 2;
+  const accent = color(template.accent);
+
+  // Word expects a paragraph after a table that ends the document
+  const body = template.columns === 2
+    ? [columnsTable(layout, template, contentWidth), new Paragraph({ children: [] })]
+    : sectionParagraphs(layout.main, template, contentWidth);
+
+  const doc = new Document({
+    title: layout.name ? `${layout.name} - Resume` : 'Resume',
+    creator: layout.name || 'Resume',
+    styles: {
+      default: {
+        document: {
+          run: { font: FONT, size: halfPoints(template.fontSize) },
+          paragraph: { spacing: { line: Math.round(240 * (1 + template.lineGap / 10)) } },
+        },
+        heading2: {
+          run: { font: FONT, size: halfPoints(template.headingSize), bold: true, color: accent, characterSpacing: 8 },
+          paragraph: {
+            alignment: AlignmentType.LEFT,
+            border: { bottom: { style: BorderStyle.SINGLE, size: 6, space: 1, color: accent } },
+          },
+        },
+      },
+    },
+    sections: [{
+      properties: {
+        page: {
+          size: { width: twips(PAGE.width), height: twips(PAGE.height) },
+          margin: {
+            top: twips(template.margin),
+            bottom: twips(template.margin),
+            left: twips(template.margin),
+            right: twips(template.margin),
+          },
+        },
+      },
+      children: [...headerParagraphs(layout, template), ...body],
+    }],
+  });
+
+  return Packer.toBuffer(doc);
+};
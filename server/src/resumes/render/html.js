@@ -0,0 +1,87 @@
+import { layoutResume, PAGE } from './layout.js';
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const styles = (template) => `
+  * { box-sizing: border-box; margin: 0; padding: 0; }
+  body { background: #E5E7EB; font-family: Helvetica, Arial, sans-serif; color: #111827; }
+  .page {
+    width: ${PAGE.width}pt; min-height: ${PAGE.height}pt; margin: 16px auto; background: #FFFFFF;
+    padding: ${template.margin}pt; font-size: ${template.fontSize}pt; line-height: ${1 + template.lineGap / 10};
+    box-shadow: 0 1px 4px rgba(0, 0, 0, 0.2);
+  }
+  header { margin-bottom: ${template.sectionGap}pt; }
+  h1 { font-size: ${template.nameSize}pt; color: ${template.accent}; }
+  .headline { font-size: ${template.fontSize + 1}pt; }
+  .contact { color: #4B5563; }
+  section { margin-top: ${template.sectionGap}pt; }
+  h2 {
+    font-size: ${template.headingSize}pt; text-transform: uppercase; letter-spacing: 0.05em; color: ${template.accent};
+    border-bottom: 0.75pt solid ${template.accent}; padding-bottom: 1pt; margin-bottom: 3pt;
+  }
+  .entry + .entry { margin-top: ${template.entryGap}pt; }
+  .entry-head { display: flex; justify-content: space-between; gap: 8pt; }
+  .title { font-weight: bold; }
+  .dates, .location { color: #4B5563; white-space: nowrap; }
+  .location { font-style: italic; }
+  .label { font-weight: bold; }
+  ul { padding-left: 12pt; margin-top: 2pt; }
+  .columns { display: flex; gap: 18pt; }
+  .sidebar { flex: 0 0 ${template.sidebarWidth * 100}%; background: #F3F4F6; padding: 8pt; margin: -8pt 0; }
+  .sidebar .entry-head { flex-direction: column; gap: 0; }
+  .main { flex: 1; min-width: 0; }
+  .main > section:first-child, .sidebar > section:first-child { margin-top: 0; }
+`;
+
+const entryHtml = (entry) => {
+  const parts = [];
+  if (entry.title || entry.subtitle || entry.dates) {
+    const heading = [
+      entry.title && `<span class="title">${escapeHtml(entry.title)}</span>`,
+      entry.subtitle && escapeHtml(entry.subtitle),
+    ].filter(Boolean).join(', ');
+    parts.push(`<div class="entry-head"><span>${heading}</span>${entry.dates ? `<span class="dates">${escapeHtml(entry.dates)}</span>` : ''}</div>`);
+  }
+  if (entry.location) parts.push(`<div class="location">${escapeHtml(entry.location)}</div>`);
+  if (entry.text) {
+    parts.push(`<p>${entry.label ? `<span class="label">${escapeHtml(entry.label)}:</span> ` : ''}${escapeHtml(entry.text)}</p>`);
+  }
+  if (entry.bullets?.length > 0) {
+    parts.push(`<ul>${entry.bullets.map((bullet) => `<li>${escapeHtml(bullet)}</li>`).join('')}</ul>`);
+  }
+  return `<div class="entry">${parts.join('')}</div>`;
+};
+
+const sectionsHtml = (sections) => sections
+  .map((section) => `<section><h2>${escapeHtml(section.title)}</h2>${section.entries.map(entryHtml).join('')}</section>`)
+  .join('');
+
+// A standalone HTML page of the resume, for previews. It follows the same layout as the
+// PDF and DOCX exports but is not pixel-identical to them.
+export const renderHtml = (model, template) => {
+  const layout = layoutResume(model, template);
+  const header = [
+    layout.name && `<h1>${escapeHtml(layout.name)}</h1>`,
+    layout.headline && `<div class="headline">${escapeHtml(layout.headline)}</div>`,
+    layout.contact.length > 0 && `<div class="contact">${layout.contact.map(escapeHtml).join(' | ')}</div>`,
+  ].filter(Boolean).join('');
+
+  const body = template.columns === 2
+    ? `<div class="columns"><aside class="sidebar">${sectionsHtml(layout.sidebar)}</aside><div class="main">${sectionsHtml(layout.main)}</div></div>`
+    : sectionsHtml(layout.main);
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(layout.name || 'Resume')}</title>
+<style>${styles(template)}</style>
+</head>
+<body><div class="page">${header ? `<header>${header}</header>` : ''}${body}</div></body>
+</html>
+`;
+};
@@ -0,0 +1,27 @@
+import { TEMPLATES, DEFAULT_TEMPLATE, fileNameFor } from './layout.js';
+import { renderHtml } from './html.js';
+import { renderPdf } from './pdf.js';
+import { renderDocx } from './docx.js';
+
+export { TEMPLATES, DEFAULT_TEMPLATE, renderHtml };
+
+const FORMATS = {
+  pdf: { render: renderPdf, contentType: 'application/pdf' },
+  docx: {
+    render: renderDocx,
+    contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  },
+};
+
+export const RENDER_FORMATS = Object.keys(FORMATS);
+
+// Template summaries for the client to choose from
+export const listTemplates = () => Object.values(TEMPLATES)
+  .map(({ id, name, description, columns }) => ({ id, name, description, columns }));
+
+// Render the resume model to a downloadable file, resolving to { buffer, contentType, fileName }
+export const renderResumeFile = async (model, { format, template = DEFAULT_TEMPLATE }) => {
+  const { render, contentType } = FORMATS[format];
+  const buffer = await render(model, TEMPLATES[template]);
+  return { buffer, contentType, fileName: fileNameFor(model, format) };
+};
@@ -0,0 +1,135 @@
+import { SECTIONS } from '../structure.js';
+
+// Visual templates shared by the HTML, PDF and DOCX renderers. Sizes are in points.
+// Every template keeps real text, standard section headings and no images, so exported
+// files stay readable by applicant tracking systems. The two-column layout moves the
+// sidebar sections next to the main column and is the least ATS-friendly of the three.
+export const TEMPLATES = {
+  classic: {
+    id: 'classic',
+    name: 'Classic',
+    description: 'Single column with standard headings. The safest choice for applicant tracking systems.',
+    columns: 1,
+    fontSize: 10.5,
+    nameSize: 20,
+    headingSize: 11,
+    lineGap: 2,
+    sectionGap: 12,
+    entryGap: 7,
+    margin: 54,
+    accent: '#1F2937',
+  },
+  compact: {
+    id: 'compact',
+    name: 'Compact',
+    description: 'Single column with smaller type and tighter spacing to fit more on a page.',
+    columns: 1,
+    fontSize: 9.5,
+    nameSize: 16,
+    headingSize: 10,
+    lineGap: 1,
+    sectionGap: 7,
+    entryGap: 4,
+    margin: 36,
+    accent: '#1F2937',
+  },
+  'two-column': {
+    id: 'two-column',
+    name: 'Two Column',
+    description: 'Skills, education and other sections in a sidebar next to experience and projects.',
+    columns: 2,
+    sidebarSections: ['skills', 'education', 'other'],
+    sidebarWidth: 0.32,
+    fontSize: 10,
+    nameSize: 20,
+    headingSize: 10.5,
+    lineGap: 1.5,
+    sectionGap: 11,
+    entryGap: 6,
+    margin: 40,
+    accent: '#0F4C81',
+  },
+};
+
+export const DEFAULT_TEMPLATE = 'classic';
+
+// US Letter, in points
+export const PAGE = { width: 612, height: 792 };
+
+const SECTION_TITLES = {
+  summary: 'Summary',
+  experience: 'Experience',
+  projects: 'Projects',
+  education: 'Education',
+  skills: 'Skills',
+};
+
+const dateRange = (entry) => [entry.startDate, entry.endDate].filter(Boolean).join(' – ');
+const bulletTexts = (entry) => entry.bullets.map((bullet) => bullet.text).filter(Boolean);
+
+// Sections as the renderers draw them. Each entry may carry a title (bold), subtitle,
+// dates (right-aligned), location, a label + text pair (skill groups), free text
+// (the summary) and bullets. Empty sections are dropped.
+const sectionsOf = (model) => {
+  const entries = {
+    summary: () => (model.summary ? [{ text: model.summary }] : []),
+    experience: () => model.experience.map((entry) => ({
+      title: entry.title,
+      subtitle: entry.company,
+      location: entry.location,
+      dates: dateRange(entry),
+      bullets: bulletTexts(entry),
+    })),
+    education: () => model.education.map((entry) => ({
+      title: entry.degree,
+      subtitle: entry.institution,
+      location: entry.location,
+      dates: dateRange(entry),
+      bullets: bulletTexts(entry),
+    })),
+    projects: () => model.projects.map((entry) => ({
+      title: entry.name,
+      subtitle: entry.description,
+      dates: dateRange(entry),
+      bullets: bulletTexts(entry),
+    })),
+    skills: () => model.skills
+      .filter((group) => group.items.length > 0)
+      .map((group) => ({ label: group.category, text: group.items.join(', ') })),
+  };
+
+  const order = [...model.order, ...SECTIONS.filter((section) => !model.order.includes(section))];
+  return order.flatMap((section) => {
+    if (section === 'other') {
+      // Each "other" entry (certifications, awards, ...) is a section of its own
+      return model.other
+        .filter((entry) => entry.bullets.length > 0)
+        .map((entry) => ({ key: 'other', title: entry.heading, entries: [{ bullets: bulletTexts(entry) }] }));
+    }
+    const sectionEntries = entries[section]();
+    return sectionEntries.length > 0 ? [{ key: section, title: SECTION_TITLES[section], entries: sectionEntries }] : [];
+  });
+};
+
+// The resume model laid out for a template: the header, then the sections of each column
+export const layoutResume = (model, template) => {
+  const { contact } = model;
+  const sections = sectionsOf(model);
+  const sidebar = template.columns === 2
+    ? sections.filter((section) => template.sidebarSections.includes(section.key))
+    : [];
+
+  return {
+    name: contact.name,
+    headline: contact.headline,
+    contact: [contact.email, contact.phone, contact.location, ...contact.links].filter(Boolean),
+    main: sections.filter((section) => !sidebar.includes(section)),
+    sidebar,
+  };
+};
+
+// Download file name for a resume, "Jane-Doe-Resume.pdf"
+export const fileNameFor = (model, extension) => {
+  const base = (model.contact.name || '').replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-|-$/g, '');
+  return `${base ? `${base}-` : ''}Resume.${extension}`;
+};
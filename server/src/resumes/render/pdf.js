@@ -0,0 +1,180 @@
+import PDFDocument from 'pdfkit';
+import { layoutResume, PAGE } from './layout.js';
+import { winAnsiLayout } from './winAnsi.js';
+
+// The built-in PDF fonts cover Latin text (Windows-1252) only, so the layout goes through
+// winAnsiLayout first. Embedding a font file would keep other scripts at the cost of larger files.
+const FONTS = { regular: 'Helvetica', bold: 'Helvetica-Bold', italic: 'Helvetica-Oblique' };
+const TEXT_COLOR = '#111827';
+const MUTED_COLOR = '#4B5563';
+const SIDEBAR_FILL = '#F3F4F6';
+const GUTTER = 18;
+const SIDEBAR_PADDING = 8;
+
+// Draws sections into one column of the page. Blocks that would cross the bottom margin
+// move to the next page first, reusing pages an earlier column already filled, so the
+// main column and sidebar of the two-column template flow side by side.
+const createColumn = (doc, template, { x, width, top, onPage = () => {} }) => {
+  const bottom = PAGE.height - template.margin;
+  let page = 0;
+
+  const ensureSpace = (height) => {
+    if (doc.y + height <= bottom || doc.y <= template.margin) return;
+    page += 1;
+    if (page < doc.bufferedPageRange().count) doc.switchToPage(page);
+    else doc.addPage();
+    doc.y = template.margin;
+    onPage();
+  };
+
+  const textOptions = (options = {}) => ({ width, lineGap: template.lineGap, ...options });
+
+  const heading = (title) => {
+    doc.font(FONTS.bold).fontSize(template.headingSize);
+    // Keep a heading with at least the first line under it
+    ensureSpace(doc.currentLineHeight(true) + template.fontSize * 2 + 6);
+    doc.fillColor(template.accent).text(title.toUpperCase(), x, doc.y, textOptions({ characterSpacing: 0.4 }));
+    const ruleY = doc.y + 1;
+    doc.moveTo(x, ruleY).lineTo(x + width, ruleY).lineWidth(0.75).strokeColor(template.accent).stroke();
+    doc.y = ruleY + 4;
+    doc.fillColor(TEXT_COLOR);
+  };
+
+  const entryHead = (entry) => {
+    doc.fontSize(template.fontSize);
+    const datesWidth = entry.dates ? doc.font(FONTS.regular).widthOfString(entry.dates) + 8 : 0;
+    const headWidth = width - datesWidth;
+    const headText = [entry.title, entry.subtitle].filter(Boolean).join(', ');
+    ensureSpace(doc.font(FONTS.bold).heightOfString(headText || ' ', textOptions({ width: headWidth })) + template.fontSize * 1.5);
+
+    // The heading is drawn before the dates so text extraction reads it first
+    const y = doc.y;
+    if (entry.title) {
+      doc.font(FONTS.bold).text(entry.title, x, y, textOptions({ width: headWidth, continued: Boolean(entry.subtitle) }));
+      if (entry.subtitle) doc.font(FONTS.regular).text(`, ${entry.subtitle}`);
+    } else {
+      doc.font(FONTS.regular).text(entry.subtitle || '', x, y, textOptions({ width: headWidth }));
+    }
+    const endY = doc.y;
+    if (entry.dates) {
+      doc.font(FONTS.regular).fillColor(MUTED_COLOR)
+        .text(entry.dates, x + headWidth, y, { width: datesWidth, align: 'right', lineBreak: false });
+      doc.fillColor(TEXT_COLOR);
+    }
+    doc.y = endY;
+  };
+
+  const bullet = (text) => {
+    const indent = template.fontSize;
+    const options = textOptions({ width: width - indent });
+    doc.font(FONTS.regular).fontSize(template.fontSize);
+    ensureSpace(doc.heightOfString(text, options));
+    const y = doc.y;
+    doc.text('•', x + 2, y, { lineBreak: false });
+    doc.text(text, x + indent, y, options);
+  };
+
+  const entry = (item) => {
+    if (item.title || item.subtitle || item.dates) entryHead(item);
+    doc.fontSize(template.fontSize);
+    if (item.location) {
+      doc.font(FONTS.italic).fillColor(MUTED_COLOR).text(item.location, x, doc.y, textOptions());
+      doc.fillColor(TEXT_COLOR);
+    }
+    if (item.text) {
+      ensureSpace(doc.font(FONTS.regular).heightOfString(item.label ? `${item.label}: ${item.text}` : item.text, textOptions()));
+      if (item.label) {
+        doc.font(FONTS.bold).text(`${item.label}: `, x, doc.y, textOptions({ continued: true }));
+        doc.font(FONTS.regular).text(item.text);
+      } else {
+        doc.font(FONTS.regular).text(item.text, x, doc.y, textOptions());
+      }
+    }
+    (item.bullets || []).forEach(bullet);
+  };
+
+  const sections = (list) => {
+    doc.y = top;
+    list.forEach((section, sectionIndex) => {
+      if (sectionIndex > 0) doc.y += template.sectionGap;
+      heading(section.title);
+      section.entries.forEach((item, index) => {
+        if (index > 0) doc.y += template.entryGap;
+        entry(item);
+      });
+    });
+  };
+
+  return { sections };
+};
+
+const drawHeader = (doc, template, layout) => {
+  const width = PAGE.width - template.margin * 2;
+  const x = template.margin;
+  doc.y = template.margin;
+
+  if (layout.name) {
+    doc.font(FONTS.bold).fontSize(template.nameSize).fillColor(template.accent).text(layout.name, x, doc.y, { width });
+  }
+  doc.fillColor(TEXT_COLOR);
+  if (layout.headline) {
+    doc.font(FONTS.regular).fontSize(template.fontSize + 1).text(layout.headline, x, doc.y, { width });
+  }
+  if (layout.contact.length > 0) {
+    doc.font(FONTS.regular).fontSize(template.fontSize).fillColor(MUTED_COLOR)
+      .text(layout.contact.join('  |  '), x, doc.y, { width });
+    doc.fillColor(TEXT_COLOR);
+  }
+  return doc.y + template.sectionGap;
+};
+
+// Render the resume model as a PDF, resolving to a Buffer
+export const renderPdf = (model, template) => new Promise((resolve, reject) => {
+  const layout = winAnsiLayout(layoutResume(model, template));
+  const doc = new PDFDocument({
+    size: [PAGE.width, PAGE.height],
+    margin: template.margin,
+    bufferPages: true,
+    info: layout.name ? { Title: `${layout.name} - Resume`, Author: layout.name } : { Title: 'Resume' },
+  });
+  const chunks = [];
+  doc.on('data', (chunk) => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  try {
+    const top = drawHeader(doc, template, layout);
+    const contentWidth = PAGE.width - template.margin * 2;
+
+    if (template.columns === 2) {
+      const sidebarWidth = Math.round(contentWidth * template.sidebarWidth);
+      const mainX = template.margin + sidebarWidth + GUTTER;
+      const fillSidebar = (fromY) => {
+        doc.save()
+          .rect(template.margin, fromY - SIDEBAR_PADDING, sidebarWidth, PAGE.height - template.margin - fromY + SIDEBAR_PADDING * 2)
+          .fill(SIDEBAR_FILL)
+          .restore();
+      };
+
+      // The main column goes first, since it usually runs longest and decides the page
+      // count; the sidebar is then drawn over the pages it already created
+      createColumn(doc, template, { x: mainX, width: contentWidth - sidebarWidth - GUTTER, top })
+        .sections(layout.main);
+
+      doc.switchToPage(0);
+      fillSidebar(top);
+      createColumn(doc, template, {
+        x: template.margin + SIDEBAR_PADDING,
+        width: sidebarWidth - SIDEBAR_PADDING * 2,
+        top,
+        onPage: () => fillSidebar(template.margin),
+      }).sections(layout.sidebar);
+    } else {
+      createColumn(doc, template, { x: template.margin, width: contentWidth, top }).sections(layout.main);
+    }
+
+    doc.end();
+  } catch (error) {
+    reject(error);
+  }
+});
@@ -0,0 +1,50 @@
+// The built-in PDF fonts encode text as Windows-1252 (WinAnsi). Anything outside it is drawn
+// as the wrong glyphs ("→" comes out as "!’"), so PDF text is mapped into that set first.
+
+// Windows-1252 adds these to printable Latin-1
+const WIN_ANSI_EXTRAS = '€‚ƒ„…†‡ˆ‰Š‹ŒŽ‘’“”•–—˜™š›œžŸ';
+
+const isWinAnsi = (char) => {
+  const code = char.codePointAt(0);
+  return char === '\n' || (code >= 0x20 && code <= 0x7e) || (code >= 0xa0 && code <= 0xff) || WIN_ANSI_EXTRAS.includes(char);
+};
+
+// Symbols common in resumes, spelled with characters the fonts have
+const REPLACEMENTS = {
+  '→': '->', '⟶': '->', '➔': '->', '➜': '->', '⇒': '=>', '←': '<-', '↔': '<->',
+  '↑': 'up', '↓': 'down',
+  '≥': '>=', '≤': '<=', '≠': '!=', '≈': '~', '∼': '~', '−': '-', '∞': 'infinity',
+  'ł': 'l', 'Ł': 'L', 'đ': 'd', 'Đ': 'D', 'ı': 'i', 'ħ': 'h',
+  '✓': '+', '✔': '+', '☑': '+', '✗': 'x', '✘': 'x',
+  '★': '*', '☆': '*',
+  '▪': '•', '◦': '•', '●': '•', '■': '•', '►': '•', '▸': '•', '‣': '•', '⁃': '-',
+  '‐': '-', '‑': '-', '‒': '-', '―': '—', '′': "'", '″': '"', '⁄': '/',
+  ' ': ' ', ' ': ' ', ' ': ' ', ' ': ' ', ' ': ' ', '\t': ' ',
+};
+
+// Text the built-in fonts can draw: known symbols are spelled out, letters outside the set
+// lose their accent ("ő" becomes "o", "ł" becomes "l") and anything else, emoji included,
+// is dropped.
+export const toWinAnsi = (text) => {
+  let dropped = false;
+  const mapped = Array.from(String(text).normalize('NFC'), (char) => {
+    if (isWinAnsi(char)) return char;
+    if (REPLACEMENTS[char] !== undefined) return REPLACEMENTS[char];
+    const base = char.normalize('NFKD').replace(/\p{M}/gu, '');
+    if (base && Array.from(base).every(isWinAnsi)) return base;
+    dropped = true;
+    return '';
+  }).join('');
+  // A dropped emoji leaves the spaces around it behind
+  return dropped ? mapped.replace(/ {2,}/g, ' ').trim() : mapped;
+};
+
+// The same layout with every string mapped through toWinAnsi
+export const winAnsiLayout = (value) => {
+  if (typeof value === 'string') return toWinAnsi(value);
+  if (Array.isArray(value)) return value.map(winAnsiLayout);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, winAnsiLayout(item)]));
+  }
+  return value;
+};
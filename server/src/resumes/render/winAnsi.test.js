@@ -0,0 +1,28 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { toWinAnsi, winAnsiLayout } from './winAnsi.js';
+
+test('Windows-1252 text is left alone', () => {
+  const text = 'José Müller – “Café” résumé, 50 € … ™';
+  assert.equal(toWinAnsi(text), text);
+});
+
+test('common symbols are spelled with characters the fonts have', () => {
+  assert.equal(toWinAnsi('Cut p95 latency 800ms → 120ms'), 'Cut p95 latency 800ms -> 120ms');
+  assert.equal(toWinAnsi('Coverage ≥ 90%, errors ≤ 0.1% ✓'), 'Coverage >= 90%, errors <= 0.1% +');
+});
+
+test('letters outside the set lose their accent and emoji are dropped', () => {
+  assert.equal(toWinAnsi('Łukasz Wałęsa, Győr'), 'Lukasz Walesa, Gyor');
+  assert.equal(toWinAnsi('Shipped 🚀 the launch 👩‍💻'), 'Shipped the launch');
+  assert.equal(toWinAnsi('北京 office'), 'office');
+});
+
+test('every string in a layout is mapped', () => {
+  const layout = { name: 'Zoë → Ann', contact: ['a@b.co ✉'], main: [{ entries: [{ bullets: ['≥ 2x'] }], gap: 4 }] };
+  assert.deepEqual(winAnsiLayout(layout), {
+    name: 'Zoë -> Ann',
+    contact: ['a@b.co'],
+    main: [{ entries: [{ bullets: ['>= 2x'] }], gap: 4 }],
+  });
+});
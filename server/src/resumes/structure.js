@@ -0,0 +1,485 @@
+// Structured model of a resume, parsed from the extracted text:
+//
+//   {
+//     contact: { name, headline, email, phone, location, links: [] },
+//     summary: '',
+//     experience: [{ id, title, company, location, startDate, endDate, bullets: [{ id, text }] }],
+//     education: [{ id, degree, institution, location, startDate, endDate, bullets }],
+//     projects: [{ id, name, description, startDate, endDate, bullets }],
+//     skills: [{ id, category, items: [] }],
+//     other: [{ id, heading, bullets }],   // certifications, awards, ...
+//     order: ['experience', ...],          // section order as found in the resume
+//     nextId: 1,
+//   }
+//
+// Entries ("e"), bullets ("b") and skill groups ("s") carry IDs that survive re-parsing,
+// so AI edits can target a bullet by ID instead of searching for its text. The text
+// content of the resume is always renderResume(model) once the model has been edited.
+
+import {
+  SECTION_HEADINGS,
+  normalizeHeading,
+  BULLET_PATTERN,
+  DATE_SOURCE,
+  DATE_RANGE_SOURCE,
+} from './patterns.js';
+
+export const SECTIONS = ['summary', 'experience', 'projects', 'education', 'skills', 'other'];
+
+// Spaced dashes, pipes, bullets and wide gaps separate the parts of a header line
+const STRONG_SEPARATOR = /\s+[|•·–—-]\s+|\s*\|\s*|\t+|\s{3,}/;
+
+const EMAIL_PATTERN = /[\w.+-]+@[\w-]+\.[\w.-]+/;
+const PHONE_PATTERN = /^\+?[\d\s().-]{7,}$/;
+const LINK_PATTERN = /^(https?:\/\/|www\.)|\b(linkedin\.com|github\.com|gitlab\.com)\b|\.(dev|io|me|com)\/\S*/i;
+
+const DATE_RANGE_PATTERN = new RegExp(DATE_RANGE_SOURCE, 'i');
+const SINGLE_DATE_PATTERN = new RegExp(`^${DATE_SOURCE}$`, 'i');
+
+const TITLE_WORDS = /\b(engineer|developer|programmer|architect|manager|lead|intern|scientist|analyst|consultant|director|designer|specialist|administrator|head|vp|cto|ceo|founder|co-founder|sre|devops|researcher|assistant|associate|officer|coordinator|technician|contractor|freelancer)s?\b/i;
+const DEGREE_WORDS = /\b(b\.?s\.?c?|b\.?a\.?|b\.?eng|bachelor'?s?|m\.?s\.?c?|m\.?a\.?|m\.?eng|master'?s?|ph\.?d|mba|doctorate|degree|diploma|associate'?s?|certificate|high school|ged)\b/i;
+
+const emptyContact = () => ({ name: '', headline: '', email: '', phone: '', location: '', links: [] });
+
+export const emptyModel = () => ({
+  contact: emptyContact(),
+  summary: '',
+  experience: [],
+  education: [],
+  projects: [],
+  skills: [],
+  other: [],
+  order: [],
+  nextId: 1,
+});
+
+const titleCase = (text) => text.replace(/\b[a-z]/g, (letter) => letter.toUpperCase());
+
+const sectionForHeading = (text) => {
+  const trimmed = text.trim();
+  if (!trimmed || trimmed.split(/\s+/).length > 6 || BULLET_PATTERN.test(trimmed) || /[.,;]$/.test(trimmed)) {
+    return null;
+  }
+  const heading = normalizeHeading(trimmed);
+  return Object.keys(SECTION_HEADINGS).find((section) => SECTION_HEADINGS[section].test(heading)) || null;
+};
+
+const entryKey = (section, entry) => {
+  if (section === 'experience') return `experience:${entry.title}|${entry.company}`.toLowerCase();
+  if (section === 'education') return `education:${entry.degree}|${entry.institution}`.toLowerCase();
+  if (section === 'projects') return `projects:${entry.name}`.toLowerCase();
+  return `other:${entry.heading}`.toLowerCase();
+};
+
+const skillGroupKey = (group) => (group.category || group.items.join(',')).toLowerCase();
+
+const ENTRY_SECTIONS = ['experience', 'education', 'projects', 'other'];
+
+// Hands out IDs, reusing the previous model's ID for an unchanged bullet, entry or skill
+// group so references to it stay valid across re-parses. A bullet whose text changed keeps
+// the ID of the bullet that was in its place in the same entry.
+const createIdAllocator = (previous) => {
+  let next = previous?.nextId || 1;
+  const pools = { b: new Map(), e: new Map(), s: new Map(), position: new Map() };
+  const remember = (kind, key, id) => {
+    if (!id) return;
+    const ids = pools[kind].get(key) || [];
+    ids.push(id);
+    pools[kind].set(key, ids);
+  };
+
+  if (previous) {
+    ENTRY_SECTIONS.forEach((section) => (previous[section] || []).forEach((entry) => {
+      remember('e', entryKey(section, entry), entry.id);
+      (entry.bullets || []).forEach((bullet, index) => {
+        remember('b', bullet.text.trim(), bullet.id);
+        remember('position', `${entry.id}:${index}`, bullet.id);
+      });
+    }));
+    (previous.skills || []).forEach((group) => remember('s', skillGroupKey(group), group.id));
+  }
+
+  const used = new Set();
+  return {
+    take: (kind, key, positionKey = null) => {
+      const unused = (pool, poolKey) => (pool.get(poolKey) || []).find((id) => !used.has(id));
+      const reusable = unused(pools[kind], key) || (positionKey && unused(pools.position, positionKey));
+      const id = reusable || `${kind}${next++}`;
+      used.add(id);
+      return id;
+    },
+    nextId: () => next,
+  };
+};
+
+const stripBullet = (text) => text.replace(BULLET_PATTERN, '').trim();
+
+const splitParts = (text, { commas = true } = {}) => {
+  let parts = text.split(STRONG_SEPARATOR).map((part) => part.trim()).filter(Boolean);
+  if (commas && parts.length === 1) parts = text.split(/\s*,\s*/).map((part) => part.trim()).filter(Boolean);
+  return parts;
+};
+
+// Pull a date range or a lone date out of the header text of an entry
+const extractDates = (lines) => {
+  const text = lines.join(' | ');
+  const range = text.match(DATE_RANGE_PATTERN);
+  if (range) {
+    return {
+      startDate: range[1].trim(),
+      endDate: range[2].trim(),
+      rest: lines.map((line) => line.replace(range[0], ' ').trim()).filter(Boolean),
+    };
+  }
+
+  let endDate = '';
+  const rest = lines.map((line) => {
+    const parts = splitParts(line);
+    const dateIndex = parts.findIndex((part) => SINGLE_DATE_PATTERN.test(part));
+    if (endDate || dateIndex === -1) return line;
+    endDate = parts[dateIndex];
+    return parts.filter((_, index) => index !== dateIndex).join(' | ');
+  }).filter(Boolean);
+  return { startDate: '', endDate, rest };
+};
+
+// Assign the parts of an entry header to fields. The part that reads like a job title (or
+// degree) wins that field; otherwise the first part is taken, matching renderResume's order.
+const headerFields = (section, headerLines) => {
+  const { startDate, endDate, rest } = extractDates(headerLines);
+
+  if (section === 'projects') {
+    const parts = rest.flatMap((line) => splitParts(line, { commas: false }));
+    return { name: parts[0] || '', description: parts.slice(1).join(' - '), startDate, endDate };
+  }
+
+  const parts = rest.flatMap((line) => splitParts(line));
+  const pattern = section === 'experience' ? TITLE_WORDS : DEGREE_WORDS;
+  let primaryIndex = parts.findIndex((part) => pattern.test(part));
+  if (primaryIndex === -1 || primaryIndex > 1) primaryIndex = 0;
+  const primary = parts[primaryIndex] || '';
+  const others = parts.filter((_, index) => index !== primaryIndex);
+  const secondary = others[0] || '';
+  const location = others.slice(1).join(', ');
+
+  return section === 'experience'
+    ? { title: primary, company: secondary, location, startDate, endDate }
+    : { degree: primary, institution: secondary, location, startDate, endDate };
+};
+
+// A line holding nothing but a date range or a single date
+const isDateLine = (line) => {
+  const text = line.trim();
+  const range = text.match(DATE_RANGE_PATTERN);
+  if (range) return !text.replace(range[0], '').replace(/[\s|,()]/g, '');
+  return SINGLE_DATE_PATTERN.test(text);
+};
+
+// A line that reads like an entry header ("Engineer | Acme | 2019 - 2021"), never a bullet
+const isHeaderLike = (line) => DATE_RANGE_PATTERN.test(line) || splitParts(line, { commas: false }).length > 1;
+
+const hasDates = (headerLines) => {
+  const { startDate, endDate } = extractDates(headerLines);
+  return Boolean(startDate || endDate);
+};
+
+// Whether a non-bullet line starts a new entry instead of extending the current header.
+// Dates usually close a header, so once the header has them a header-like line is the next
+// entry (roles listed without bullets); before that, a date-only line still belongs to it
+// (company / title / dates on three lines).
+const startsEntry = (current, line) => {
+  if (!current || current.bullets.length > 0) return true;
+  if (isDateLine(line)) return hasDates(current.header);
+  return current.header.length >= 2 || (isHeaderLike(line) && hasDates(current.header));
+};
+
+// Lines wrapped by PDF extraction (starting lowercase) continue the previous bullet; long
+// unmarked lines are bullets of resumes that do not use bullet markers, unless they read
+// like a header
+const parseEntries = (section, lines) => {
+  const entries = [];
+  let current = null;
+  lines.forEach((line) => {
+    const isBullet = BULLET_PATTERN.test(line);
+    const lastBullet = current?.bullets[current.bullets.length - 1];
+    const isLongText = current && (current.bullets.length > 0 || current.header.length >= 2 || hasDates(current.header))
+      && line.length > 80 && !isHeaderLike(line);
+
+    if (!isBullet && lastBullet && /^[a-z(]/.test(line)) {
+      lastBullet.text = `${lastBullet.text} ${line}`;
+    } else if (isBullet || isLongText) {
+      if (!current) {
+        current = { header: [], bullets: [] };
+        entries.push(current);
+      }
+      current.bullets.push({ text: stripBullet(line) });
+    } else if (startsEntry(current, line)) {
+      current = { header: [line], bullets: [] };
+      entries.push(current);
+    } else {
+      current.header.push(line);
+    }
+  });
+  return entries.map((entry) => ({ ...headerFields(section, entry.header), bullets: entry.bullets }));
+};
+
+export const parseSkillLine = (line) => {
+  const text = stripBullet(line);
+  const colon = text.indexOf(':');
+  const category = colon > 0 && colon < 40 ? text.slice(0, colon).trim() : '';
+  const items = (category ? text.slice(colon + 1) : text)
+    .split(/\s*[,;|•·]\s*/)
+    .map((item) => item.trim())
+    .filter(Boolean);
+  return { category, items };
+};
+
+const parseContact = (lines) => {
+  const contact = emptyContact();
+  const leftover = [];
+  lines.forEach((line, index) => {
+    if (index === 0 && !EMAIL_PATTERN.test(line) && !/\d{3}/.test(line) && !LINK_PATTERN.test(line)) {
+      contact.name = line;
+      return;
+    }
+    splitParts(line, { commas: false }).forEach((part) => {
+      if (!contact.email && EMAIL_PATTERN.test(part) && part.match(EMAIL_PATTERN)[0] === part) contact.email = part;
+      else if (!contact.phone && PHONE_PATTERN.test(part)) contact.phone = part;
+      else if (LINK_PATTERN.test(part) && !/\s/.test(part)) contact.links.push(part);
+      else if (!contact.location && (/^[A-Z][\w .'-]+,\s*[A-Z][\w .'-]+$/.test(part) || /^remote\b/i.test(part))) contact.location = part;
+      else leftover.push(part);
+    });
+  });
+
+  // A long line under the name is an untitled summary, anything short a headline
+  const summary = leftover.filter((part) => part.length > 80).join(' ');
+  contact.headline = leftover.filter((part) => part.length <= 80).join(' | ');
+  return { contact, summary };
+};
+
+// Parse resume text into the structured model. previous (the model of the same resume
+// before this change) keeps IDs stable for bullets, entries and skill groups that did not
+// change.
+export const parseResume = (text, previous = null) => {
+  const lines = String(text || '')
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter(Boolean);
+
+  const header = [];
+  const sections = [];
+  lines.forEach((line) => {
+    const section = sectionForHeading(line);
+    // "Skills: Go, SQL" outside a skills section is a heading and its only line in one
+    const inline = line.match(/^([^:]{2,40}):\s*(.+)$/);
+    if (inline && sections[sections.length - 1]?.section !== 'skills' && sectionForHeading(inline[1]) === 'skills') {
+      sections.push({ section: 'skills', heading: titleCase(normalizeHeading(inline[1])), lines: [inline[2]] });
+    } else if (section) {
+      sections.push({ section, heading: titleCase(normalizeHeading(line)), lines: [] });
+    } else if (sections.length === 0) {
+      header.push(line);
+    } else {
+      sections[sections.length - 1].lines.push(line);
+    }
+  });
+
+  const ids = createIdAllocator(previous);
+  const model = emptyModel();
+  const { contact, summary } = parseContact(header);
+  model.contact = contact;
+  model.summary = summary;
+
+  const withIds = (section, entry) => {
+    const id = ids.take('e', entryKey(section, entry));
+    return {
+      id,
+      ...entry,
+      bullets: entry.bullets.map((bullet, index) => ({
+        id: ids.take('b', bullet.text, `${id}:${index}`),
+        text: bullet.text,
+      })),
+    };
+  };
+
+  sections.forEach(({ section, heading, lines: sectionLines }) => {
+    if (!model.order.includes(section)) model.order.push(section);
+
+    if (section === 'summary') {
+      model.summary = [model.summary, sectionLines.map(stripBullet).join(' ')].filter(Boolean).join(' ');
+    } else if (section === 'skills') {
+      sectionLines.forEach((line) => {
+        const group = parseSkillLine(line);
+        if (group.items.length > 0) model.skills.push({ id: ids.take('s', skillGroupKey(group)), ...group });
+      });
+    } else if (section === 'other') {
+      model.other.push(withIds('other', {
+        heading,
+        bullets: sectionLines.map((line) => ({ text: stripBullet(line) })),
+      }));
+    } else {
+      parseEntries(section, sectionLines).forEach((entry) => model[section].push(withIds(section, entry)));
+    }
+  });
+
+  if (model.summary && !model.order.includes('summary')) model.order.unshift('summary');
+  model.nextId = ids.nextId();
+  return model;
+};
+
+// The model of a resume row, parsing the text of resumes saved before models were stored
+export const modelOf = (row) => row.structured || parseResume(row.content || '');
+
+const dateRange = (entry) => [entry.startDate, entry.endDate].filter(Boolean).join(' - ');
+
+export const skillGroupText = (group) => (group.category
+  ? `${group.category}: ${group.items.join(', ')}`
+  : group.items.join(', '));
+
+const joinParts = (parts) => parts.filter(Boolean).join(' | ');
+
+// Render the model as plain resume text. With annotate, every editable line is prefixed
+// with its ID ("[b3] Led the migration ..."), which is how AI prompts see the resume.
+export const renderResume = (model, { annotate = false } = {}) => {
+  const tag = (id, text) => (annotate ? `[${id}] ${text}` : text);
+  const bullets = (entry) => entry.bullets.map((bullet) => `- ${tag(bullet.id, bullet.text)}`);
+  const blocks = [];
+
+  const { contact } = model;
+  blocks.push([
+    contact.name,
+    contact.headline,
+    joinParts([contact.email, contact.phone, contact.location, ...contact.links]),
+  ].filter(Boolean));
+
+  const renderers = {
+    summary: () => (model.summary ? ['SUMMARY', tag('summary', model.summary)] : []),
+    experience: () => model.experience.flatMap((entry, index) => [
+      ...(index > 0 ? [''] : []),
+      joinParts([entry.title, entry.company, entry.location, dateRange(entry)]),
+      ...bullets(entry),
+    ]),
+    education: () => model.education.flatMap((entry, index) => [
+      ...(index > 0 ? [''] : []),
+      joinParts([entry.degree, entry.institution, entry.location, dateRange(entry)]),
+      ...bullets(entry),
+    ]),
+    projects: () => model.projects.flatMap((entry, index) => [
+      ...(index > 0 ? [''] : []),
+      joinParts([[entry.name, entry.description].filter(Boolean).join(' - '), dateRange(entry)]),
+      ...bullets(entry),
+    ]),
+    skills: () => model.skills.map((group) => tag(group.id, skillGroupText(group))),
+  };
+  const headings = { experience: 'EXPERIENCE', education: 'EDUCATION', projects: 'PROJECTS', skills: 'SKILLS' };
+
+  const order = [...model.order, ...SECTIONS.filter((section) => !model.order.includes(section))];
+  order.forEach((section) => {
+    if (section === 'other') {
+      model.other.forEach((entry) => blocks.push([entry.heading.toUpperCase(), ...bullets(entry)]));
+      return;
+    }
+    if (section === 'summary') {
+      const lines = renderers.summary();
+      if (lines.length > 0) blocks.push(lines);
+      return;
+    }
+    const lines = renderers[section]();
+    if (lines.length > 0) blocks.push([headings[section], ...lines]);
+  });
+
+  return `${blocks.filter((block) => block.length > 0).map((block) => block.join('\n')).join('\n\n')}\n`;
+};
+
+// Every text an edit can target: bullets, the summary ("summary") and skill groups
+export const editTargets = (model) => {
+  const targets = new Map();
+  if (model.summary) targets.set('summary', model.summary);
+  ENTRY_SECTIONS.forEach((section) => model[section].forEach((entry) => {
+    entry.bullets.forEach((bullet) => targets.set(bullet.id, bullet.text));
+  }));
+  model.skills.forEach((group) => targets.set(group.id, skillGroupText(group)));
+  return targets;
+};
+
+const modelIds = (model) => new Set([
+  ...ENTRY_SECTIONS.flatMap((section) => model[section].flatMap((entry) => [
+    entry.id,
+    ...entry.bullets.map((bullet) => bullet.id),
+  ])),
+  ...model.skills.map((group) => group.id),
+]);
+
+// Give IDs to entries, bullets and skill groups added in the section editor. Only IDs the
+// previous model handed out are kept (once each), so a client cannot claim one that the
+// counter will issue later.
+export const assignMissingIds = (model, previous) => {
+  let next = Math.max(model.nextId || 1, previous.nextId || 1);
+  const known = modelIds(previous);
+  const seen = new Set();
+  const ensure = (item, kind) => {
+    if (!known.has(item.id) || seen.has(item.id) || !item.id.startsWith(kind)) item.id = `${kind}${next++}`;
+    seen.add(item.id);
+  };
+  ENTRY_SECTIONS.forEach((section) => model[section].forEach((entry) => {
+    ensure(entry, 'e');
+    entry.bullets.forEach((bullet) => ensure(bullet, 'b'));
+  }));
+  model.skills.forEach((group) => ensure(group, 's'));
+  model.nextId = next;
+  return model;
+};
+
+// Apply { bulletId, suggestedText } edits to a copy of the model. Returns
+// { model, applied, skipped } where skipped lists edits whose target no longer exists.
+export const applyEdits = (model, edits) => {
+  const next = structuredClone(model);
+  const applied = [];
+  const skipped = [];
+
+  edits.forEach((edit) => {
+    const text = edit.suggestedText.trim();
+    let found = false;
+    if (edit.bulletId === 'summary' && next.summary) {
+      next.summary = text;
+      found = true;
+    }
+    ENTRY_SECTIONS.forEach((section) => next[section].forEach((entry) => {
+      const bullet = entry.bullets.find((item) => item.id === edit.bulletId);
+      if (bullet) {
+        bullet.text = text;
+        found = true;
+      }
+    }));
+    const group = next.skills.find((item) => item.id === edit.bulletId);
+    if (group) {
+      Object.assign(group, parseSkillLine(text));
+      found = true;
+    }
+    (found ? applied : skipped).push(edit);
+  });
+
+  return { model: next, applied, skipped };
+};
+
+// Tie AI edits to targets in the model. Edits name a bulletId, or (from models that ignore
+// the IDs) quote the original text exactly. originalText always comes from the model.
+export const resolveEdits = (model, edits) => {
+  const targets = editTargets(model);
+  const byText = new Map([...targets].map(([id, text]) => [text.trim(), id]));
+  const claimed = new Set();
+
+  return (Array.isArray(edits) ? edits : [])
+    .map((edit) => {
+      const bulletId = targets.has(edit?.bulletId)
+        ? edit.bulletId
+        : byText.get(String(edit?.originalText || '').replace(/^\[\w+\]\s*/, '').trim());
+      return { ...edit, bulletId };
+    })
+    .filter((edit) => {
+      if (!edit.bulletId || !edit.suggestedText || claimed.has(edit.bulletId)) return false;
+      if (edit.suggestedText.trim() === targets.get(edit.bulletId).trim()) return false;
+      claimed.add(edit.bulletId);
+      return true;
+    })
+    .map((edit) => ({ ...edit, originalText: targets.get(edit.bulletId) }));
+};
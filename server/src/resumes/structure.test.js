@@ -0,0 +1,135 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseResume, renderResume, assignMissingIds } from './structure.js';
+
+const LONG_HEADERS = `Jane Doe
+jane@example.com | 555-123-4567
+
+EXPERIENCE
+Staff Engineer | Globex Corporation | Remote | Jan 2021 - Present
+- Led the platform team
+Senior Software Engineer | Initech International | New York, NY | Mar 2017 - Dec 2020
+- Built the billing service
+`;
+
+const NO_BULLETS = `Jane Doe
+
+EXPERIENCE
+Senior Engineer | Acme | Berlin | Jan 2020 - Present
+Engineer | Beta | 2017 - 2019
+Intern | Gamma | 2016
+- Wrote tests
+`;
+
+const THREE_LINE_HEADER = `Jane Doe
+
+EXPERIENCE
+WidgetCo
+Software Engineer, Berlin
+03/2017 - 12/2019
+- Built things
+Acme
+Senior Engineer
+2020 - Present
+- Led the team
+`;
+
+const FULL = `Jane Doe
+Backend Engineer
+jane@example.com | 555-123-4567 | github.com/jane
+
+SUMMARY
+Backend engineer with eight years building payment systems.
+
+EXPERIENCE
+Senior Engineer | Acme | Berlin | Jan 2020 - Present
+- Led the migration of the billing service to Kubernetes, cutting deploy time by 60% across three teams
+- Built an event pipeline handling 2M events per day
+Engineer | Beta | 2017 - 2019
+- Worked on the billing service
+
+PROJECTS
+Ledger - Open source double-entry library | 2021
+- 1.2k GitHub stars
+
+EDUCATION
+BSc Computer Science | TU Berlin | 2013 - 2017
+
+SKILLS
+Languages: JS, SQL, Go
+Cloud: AWS, Kubernetes
+
+CERTIFICATIONS
+- CKA, 2022
+`;
+
+const roundTrip = (model) => parseResume(renderResume(model), model);
+
+test('a long one-line header after a role with bullets starts a new entry', () => {
+  const { experience } = parseResume(LONG_HEADERS);
+  assert.equal(experience.length, 2);
+  assert.equal(experience[1].title, 'Senior Software Engineer');
+  assert.equal(experience[1].company, 'Initech International');
+  assert.equal(experience[1].location, 'New York, NY');
+  assert.deepEqual(experience[1].bullets.map((bullet) => bullet.text), ['Built the billing service']);
+});
+
+test('roles listed without bullets stay separate entries', () => {
+  const { experience } = parseResume(NO_BULLETS);
+  assert.deepEqual(
+    experience.map((entry) => [entry.title, entry.company, entry.location, entry.startDate, entry.endDate]),
+    [
+      ['Senior Engineer', 'Acme', 'Berlin', 'Jan 2020', 'Present'],
+      ['Engineer', 'Beta', '', '2017', '2019'],
+      ['Intern', 'Gamma', '', '', '2016'],
+    ]
+  );
+});
+
+test('a date-only line joins a multi-line header', () => {
+  const { experience } = parseResume(THREE_LINE_HEADER);
+  assert.equal(experience.length, 2);
+  assert.deepEqual(
+    [experience[0].title, experience[0].company, experience[0].location, experience[0].startDate, experience[0].endDate],
+    ['Software Engineer', 'WidgetCo', 'Berlin', '03/2017', '12/2019']
+  );
+  assert.equal(experience[0].bullets.length, 1);
+});
+
+test('long unmarked lines are still bullets', () => {
+  const { experience } = parseResume(`EXPERIENCE
+Senior Engineer | Acme | 2020 - Present
+Led the migration of the billing service to Kubernetes and cut deploy time by sixty percent
+Built an event pipeline handling two million events per day for the analytics and billing teams
+`);
+  assert.equal(experience.length, 1);
+  assert.equal(experience[0].bullets.length, 2);
+});
+
+for (const [name, text] of Object.entries({ LONG_HEADERS, NO_BULLETS, THREE_LINE_HEADER, FULL })) {
+  test(`rendering and re-parsing keeps the model (${name})`, () => {
+    const model = parseResume(text);
+    assert.deepEqual(roundTrip(model), model);
+  });
+}
+
+test('rendering and re-parsing keeps the model after a section edit', () => {
+  const model = parseResume(FULL);
+  const edited = {
+    ...model,
+    skills: [...model.skills, { category: 'Data', items: ['PostgreSQL', 'Redis'] }],
+    experience: [
+      ...model.experience,
+      {
+        title: 'Senior Software Engineer',
+        company: 'Initech International',
+        location: 'New York, NY',
+        startDate: 'Mar 2013',
+        endDate: 'Dec 2016',
+        bullets: [],
+      },
+    ],
+  };
+  assignMissingIds(edited, model);
+  assert.deepEqual(roundTrip(edited), edited);
+});
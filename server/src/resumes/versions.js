@@ -0,0 +1,58 @@
+import { parseResume, modelOf } from './structure.js';
+
+// Resume version history. Every write to resumes.content also stores a resume_versions
+// row, so any saved state can be compared with another or restored.
+
+// Snapshot the resume row as it is now (its content under its current version number)
+export const recordVersion = (db, resume, { source, appliedEdits = [], restoredFromVersion = null }) => db.query(
+  `INSERT INTO resume_versions (
+    resume_id, user_id, version, content, source, applied_edits, restored_from_version
+  )
+   VALUES ($1, $2, $3, $4, $5, $6, $7)
+   RETURNING *`,
+  [
+    resume.id,
+    resume.user_id,
+    resume.version,
+    resume.content || '',
+    source,
+    JSON.stringify(appliedEdits),
+    restoredFromVersion,
+  ]
+);
+
+// Replace the content and its structured model, bump the version and record it. Run inside
+// a transaction so the resume and its history cannot disagree. Without options.structured
+// the model is re-parsed from content against the stored one, which keeps the IDs of
+// unchanged bullets. Resolves to the updated row, or null if the resume does not exist or
+// belongs to someone else.
+export const saveResumeContent = async (db, userId, resumeId, content, { structured = null, ...options }) => {
+  const current = await db.query(
+    'SELECT content, structured FROM resumes WHERE id = $1 AND user_id = $2 FOR UPDATE',
+    [resumeId, userId]
+  );
+  if (current.rows.length === 0) return null;
+
+  const model = structured || parseResume(content, modelOf(current.rows[0]));
+  const result = await db.query(
+    `UPDATE resumes
+     SET content = $1, structured = $2, updated_at = CURRENT_TIMESTAMP, version = version + 1
+     WHERE id = $3 AND user_id = $4
+     RETURNING *`,
+    [content, JSON.stringify(model), resumeId, userId]
+  );
+
+  await recordVersion(db, result.rows[0], options);
+  return result.rows[0];
+};
+
+export const formatVersion = (row, { includeContent = false } = {}) => ({
+  id: row.id,
+  resumeId: row.resume_id,
+  version: row.version,
+  source: row.source,
+  appliedEdits: row.applied_edits || [],
+  restoredFromVersion: row.restored_from_version,
+  ...(includeContent ? { content: row.content } : {}),
+  createdAt: row.created_at,
+});
@@ -1,40 +1,204 @@
 import express from 'express';
-import OpenAI from 'openai';
 import { pool } from '../db/connection.js';
 import { z } from 'zod';
+import { chat, chatStream, getLLMProvider, getModel } from '../llm/index.js';
+import { buildWorkspaceContext } from '../mentor/workspace.js';
+import { buildConversationMemory } from '../mentor/memory.js';
+import { getUserPreferences, preferencesPrompt } from '../mentor/preferences.js';
 
 const router = express.Router();
 
-// Fixed model - no detection needed
-const MODEL = 'gpt-4o-mini';
+const chatSchema = z.object({
+  message: z.string().min(1),
+  conversationId: z.number().int().positive().optional(),
+  // Ground the reply in the user's projects, skills, concepts and resume
+  useWorkspace: z.boolean().optional(),
+});
+
+const conversationSchema = z.object({
+  title: z.string().trim().min(1).max(255).optional(),
+  archived: z.boolean().optional(),
+});
+
+const memorySchema = z.object({
+  summary: z.string().max(10000),
+});
+
+const forkSchema = z.object({
+  messageId: z.number().int().positive().optional(),
+  title: z.string().trim().min(1).max(255).optional(),
+});
+
+const DEFAULT_CONVERSATION_TITLE = 'New conversation';
+
+const MENTOR_SYSTEM_PROMPT = `You are an AI mentor helping engineers learn and grow. You provide:
+- Clear, practical explanations of technical concepts
+- Code review and best practices
+- Interview preparation advice
+- Career guidance
+- Project architecture suggestions
+
+Be detailed and focus on helping them become better engineers.`;
 
-// Get the model to use - always returns gpt-4o-mini (configurable via env var if needed)
-const getModel = () => {
-  // Allow override via environment variable if needed
-  return process.env.OPENAI_MODEL || MODEL;
+const formatConversation = (row) => ({
+  id: row.id,
+  title: row.title,
+  archived: row.archived,
+  messageCount: row.message_count !== undefined ? parseInt(row.message_count) : undefined,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at,
+});
+
+// Title a conversation after its first message
+const titleFromMessage = (message) => {
+  const firstLine = message.trim().split('\n')[0];
+  return firstLine.length > 60 ? `${firstLine.slice(0, 57)}...` : firstLine;
 };
 
-// Lazy initialization of OpenAI client - only create when API key is available
-const getOpenAIClient = () => {
-  const apiKey = process.env.OPENAI_API_KEY;
-  if (!apiKey) {
-    throw new Error('OPENAI_API_KEY environment variable is not set. Please configure it in your .env file.');
+// Resolve the conversation a chat message belongs to, creating one when none is given.
+// Returns null if the id doesn't belong to the user.
+const resolveConversation = async (userId, conversationId, message) => {
+  if (!conversationId) {
+    const created = await pool.query(
+      'INSERT INTO ai_conversations (user_id, title) VALUES ($1, $2) RETURNING *',
+      [userId, titleFromMessage(message)]
+    );
+    return created.rows[0];
   }
-  return new OpenAI({
-    apiKey: apiKey,
-  });
+
+  const result = await pool.query(
+    'SELECT * FROM ai_conversations WHERE id = $1 AND user_id = $2',
+    [conversationId, userId]
+  );
+  return result.rows[0] || null;
 };
 
-const chatSchema = z.object({
-  message: z.string().min(1),
-});
+// Save the user's message and build the prompt from the conversation's memory.
+// Returns the prompt messages and the workspace records it cites.
+const prepareChat = async (userId, conversation, message, { useWorkspace = false } = {}) => {
+  // Save user message
+  await pool.query(
+    'INSERT INTO ai_messages (user_id, conversation_id, role, content) VALUES ($1, $2, $3, $4)',
+    [userId, conversation.id, 'user', message]
+  );
+
+  // Bump the conversation, replacing the placeholder title on first use
+  await pool.query(
+    `UPDATE ai_conversations 
+     SET updated_at = CURRENT_TIMESTAMP,
+         title = CASE WHEN title = $1 THEN $2 ELSE title END
+     WHERE id = $3`,
+    [DEFAULT_CONVERSATION_TITLE, titleFromMessage(message), conversation.id]
+  );
+
+  // Recent turns verbatim plus a running summary of everything older
+  const memory = await buildConversationMemory(conversation.id);
+
+  const preferences = await getUserPreferences(userId);
+
+  let systemPrompt = `${MENTOR_SYSTEM_PROMPT}\n\n${preferencesPrompt(preferences, { includeFocusAreas: true })}`;
+  if (memory.summary) {
+    systemPrompt += `\n\nSummary of the earlier part of this conversation (those messages are not shown):\n${memory.summary}`;
+  }
+  let citations = [];
+  if (useWorkspace) {
+    const workspace = await buildWorkspaceContext(userId, message);
+    if (workspace.context) {
+      systemPrompt += `\n\n${workspace.context}`;
+      citations = workspace.citations;
+    }
+  }
+
+  return {
+    messages: [
+      { role: 'system', content: systemPrompt },
+      ...memory.messages,
+    ],
+    citations,
+  };
+};
+
+const saveMentorMessage = async (userId, conversationId, content, citations = []) => {
+  const result = await pool.query(
+    `INSERT INTO ai_messages (user_id, conversation_id, role, content, citations) 
+     VALUES ($1, $2, $3, $4, $5) 
+     RETURNING id, conversation_id, role, content, citations, created_at`,
+    [userId, conversationId, 'mentor', content, JSON.stringify(citations)]
+  );
+  return result.rows[0];
+};
+
+// Map provider errors to an HTTP status and user-facing message
+const describeChatError = (error) => {
+  if (error.message?.includes('OPENAI_API_KEY')) {
+    return {
+      status: 503,
+      error: 'OpenAI API is not configured. Please set OPENAI_API_KEY in your environment variables.',
+    };
+  }
+
+  if (error.status === 401 || error.response?.status === 401) {
+    return { status: 500, error: 'OpenAI API key is invalid. Please check your OPENAI_API_KEY in the .env file.' };
+  }
+
+  // Handle model not found errors
+  if (error.status === 404 || 
+      error.response?.status === 404 ||
+      error.code === 'model_not_found' ||
+      error.message?.toLowerCase().includes('model') ||
+      error.message?.toLowerCase().includes('not found') ||
+      error.message?.toLowerCase().includes('does not exist')) {
+    return {
+      status: 500,
+      error: `The model "${getModel()}" is unavailable. Please check your OpenAI API key has access to this model.`,
+    };
+  }
+
+  // Handle rate limiting
+  if (error.status === 429 || error.response?.status === 429) {
+    return { status: 429, error: 'OpenAI API rate limit exceeded. Please try again later.' };
+  }
+
+  // Handle insufficient quota
+  if (error.status === 402 || error.response?.status === 402 || error.message?.includes('quota')) {
+    return { status: 402, error: 'Insufficient OpenAI API credits. Please add credits to your OpenAI account.' };
+  }
+
+  // Handle other OpenAI errors
+  if (error.response?.status) {
+    return {
+      status: 500,
+      error: `OpenAI API error: ${error.response?.statusText || error.message || 'Unknown error'}`,
+    };
+  }
+
+  // Generic error
+  return { status: 500, error: error.message || 'Failed to get AI response. Please try again.' };
+};
+
+const SSE_HEADERS = {
+  'Content-Type': 'text/event-stream',
+  'Cache-Control': 'no-cache',
+  Connection: 'keep-alive',
+  'X-Accel-Buffering': 'no', // Disable proxy buffering so tokens arrive immediately
+};
+
+// Write one Server-Sent Event. Headers go out with the first event, so errors raised
+// before any token is generated can still be answered with a normal JSON status.
+const sendEvent = (res, event, data) => {
+  if (!res.headersSent) {
+    res.writeHead(200, SSE_HEADERS);
+  }
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
 
 // Get model info endpoint
 router.get('/model', async (req, res) => {
   try {
-    const model = getModel();
+    const provider = getLLMProvider();
     res.json({ 
-      model,
+      model: provider.model,
+      provider: provider.name,
       fixed: true, // Model is fixed, not detected
     });
   } catch (error) {
@@ -43,19 +207,281 @@ router.get('/model', async (req, res) => {
   }
 });
 
-// Get chat history
+// List conversations, most recently active first
+router.get('/conversations', async (req, res) => {
+  try {
+    const userId = req.userId;
+    const includeArchived = req.query.includeArchived === 'true';
+
+    const result = await pool.query(
+      `SELECT c.*, COUNT(m.id) as message_count
+       FROM ai_conversations c
+       LEFT JOIN ai_messages m ON m.conversation_id = c.id
+       WHERE c.user_id = $1 AND ($2 OR c.archived = false)
+       GROUP BY c.id
+       ORDER BY c.updated_at DESC`,
+      [userId, includeArchived]
+    );
+
+    res.json({ conversations: result.rows.map(formatConversation) });
+  } catch (error) {
+    console.error('Get conversations error:', error);
+    res.status(500).json({ error: 'Failed to fetch conversations' });
+  }
+});
+
+// Create an empty conversation
+router.post('/conversations', async (req, res) => {
+  try {
+    const userId = req.userId;
+    const data = conversationSchema.parse(req.body);
+
+    const result = await pool.query(
+      'INSERT INTO ai_conversations (user_id, title) VALUES ($1, $2) RETURNING *',
+      [userId, data.title || DEFAULT_CONVERSATION_TITLE]
+    );
+
+    res.status(201).json({ conversation: formatConversation(result.rows[0]) });
+  } catch (error) {
+    if (error.name === 'ZodError') {
+      return res.status(400).json({ error: 'Invalid input', details: error.errors });
+    }
+    console.error('Create conversation error:', error);
+    res.status(500).json({ error: 'Failed to create conversation' });
+  }
+});
+
+// Rename or archive/unarchive a conversation
+router.put('/conversations/:id', async (req, res) => {
+  try {
+    const userId = req.userId;
+    const conversationId = parseInt(req.params.id);
+    const data = conversationSchema.parse(req.body);
+
+    if (data.title === undefined && data.archived === undefined) {
+      return res.status(400).json({ error: 'No fields to update' });
+    }
+
+    const result = await pool.query(
+      `UPDATE ai_conversations 
+       SET title = COALESCE($1, title),
+           archived = COALESCE($2, archived),
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $3 AND user_id = $4
+       RETURNING *`,
+      [data.title ?? null, data.archived ?? null, conversationId, userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    res.json({ conversation: formatConversation(result.rows[0]) });
+  } catch (error) {
+    if (error.name === 'ZodError') {
+      return res.status(400).json({ error: 'Invalid input', details: error.errors });
+    }
+    console.error('Update conversation error:', error);
+    res.status(500).json({ error: 'Failed to update conversation' });
+  }
+});
+
+// Delete a conversation and its messages
+router.delete('/conversations/:id', async (req, res) => {
+  try {
+    const userId = req.userId;
+    const conversationId = parseInt(req.params.id);
+
+    const result = await pool.query(
+      'DELETE FROM ai_conversations WHERE id = $1 AND user_id = $2 RETURNING id',
+      [conversationId, userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    res.json({ message: 'Conversation deleted successfully' });
+  } catch (error) {
+    console.error('Delete conversation error:', error);
+    res.status(500).json({ error: 'Failed to delete conversation' });
+  }
+});
+
+// Get what the mentor remembers about a conversation beyond the recent messages
+router.get('/conversations/:id/memory', async (req, res) => {
+  try {
+    const userId = req.userId;
+    const conversationId = parseInt(req.params.id);
+
+    const result = await pool.query(
+      `SELECT summary, summarized_through_id, summary_updated_at 
+       FROM ai_conversations 
+       WHERE id = $1 AND user_id = $2`,
+      [conversationId, userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    const row = result.rows[0];
+    res.json({
+      memory: {
+        summary: row.summary || '',
+        summarizedThroughId: row.summarized_through_id,
+        updatedAt: row.summary_updated_at,
+      },
+    });
+  } catch (error) {
+    console.error('Get conversation memory error:', error);
+    res.status(500).json({ error: 'Failed to fetch conversation memory' });
+  }
+});
+
+// Edit (or clear, with an empty string) the conversation summary
+router.put('/conversations/:id/memory', async (req, res) => {
+  try {
+    const userId = req.userId;
+    const conversationId = parseInt(req.params.id);
+    const { summary } = memorySchema.parse(req.body);
+
+    const result = await pool.query(
+      `UPDATE ai_conversations 
+       SET summary = $1, summary_updated_at = CURRENT_TIMESTAMP
+       WHERE id = $2 AND user_id = $3
+       RETURNING summary, summarized_through_id, summary_updated_at`,
+      [summary.trim() || null, conversationId, userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    const row = result.rows[0];
+    res.json({
+      memory: {
+        summary: row.summary || '',
+        summarizedThroughId: row.summarized_through_id,
+        updatedAt: row.summary_updated_at,
+      },
+    });
+  } catch (error) {
+    if (error.name === 'ZodError') {
+      return res.status(400).json({ error: 'Invalid input', details: error.errors });
+    }
+    console.error('Update conversation memory error:', error);
+    res.status(500).json({ error: 'Failed to update conversation memory' });
+  }
+});
+
+// Fork a conversation into a new one, copying messages up to and including messageId
+// (or the whole thread when no messageId is given)
+router.post('/conversations/:id/fork', async (req, res) => {
+  try {
+    const userId = req.userId;
+    const conversationId = parseInt(req.params.id);
+    const data = forkSchema.parse(req.body);
+
+    const sourceResult = await pool.query(
+      'SELECT * FROM ai_conversations WHERE id = $1 AND user_id = $2',
+      [conversationId, userId]
+    );
+
+    if (sourceResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    const source = sourceResult.rows[0];
+    if (data.messageId) {
+      const messageResult = await pool.query(
+        'SELECT id FROM ai_messages WHERE id = $1 AND conversation_id = $2',
+        [data.messageId, conversationId]
+      );
+      if (messageResult.rows.length === 0) {
+        return res.status(404).json({ error: 'Message not found in this conversation' });
+      }
+    }
+
+    const client = await pool.connect();
+    let fork;
+    try {
+      await client.query('BEGIN');
+      const forkResult = await client.query(
+        'INSERT INTO ai_conversations (user_id, title) VALUES ($1, $2) RETURNING *',
+        [userId, data.title || `${source.title} (fork)`.slice(0, 255)]
+      );
+      fork = forkResult.rows[0];
+
+      // Keep the original timestamps so the copied history stays in order
+      await client.query(
+        `INSERT INTO ai_messages (user_id, conversation_id, role, content, citations, created_at)
+         SELECT user_id, $1, role, content, citations, created_at
+         FROM ai_messages
+         WHERE conversation_id = $2
+           AND ($3::integer IS NULL OR (created_at, id) <= (SELECT created_at, id FROM ai_messages WHERE id = $3))
+         ORDER BY created_at, id`,
+        [fork.id, conversationId, data.messageId ?? null]
+      );
+
+      // The running summary carries over when the fork includes every message it covers,
+      // pointing at that message's copy (the nth message of the source is the nth of the fork)
+      if (source.summary && source.summarized_through_id) {
+        const copyResult = await client.query(
+          `WITH source AS (
+             SELECT id, row_number() OVER (ORDER BY created_at, id) AS position
+             FROM ai_messages WHERE conversation_id = $1
+           ), copy AS (
+             SELECT id, row_number() OVER (ORDER BY created_at, id) AS position
+             FROM ai_messages WHERE conversation_id = $2
+           )
+           SELECT copy.id FROM copy JOIN source USING (position) WHERE source.id = $3`,
+          [conversationId, fork.id, source.summarized_through_id]
+        );
+        if (copyResult.rows.length > 0) {
+          const summaryResult = await client.query(
+            `UPDATE ai_conversations
+             SET summary = $1, summarized_through_id = $2, summary_updated_at = $3
+             WHERE id = $4
+             RETURNING *`,
+            [source.summary, copyResult.rows[0].id, source.summary_updated_at, fork.id]
+          );
+          fork = summaryResult.rows[0];
+        }
+      }
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    res.status(201).json({ conversation: formatConversation(fork) });
+  } catch (error) {
+    if (error.name === 'ZodError') {
+      return res.status(400).json({ error: 'Invalid input', details: error.errors });
+    }
+    console.error('Fork conversation error:', error);
+    res.status(500).json({ error: 'Failed to fork conversation' });
+  }
+});
+
+// Get chat history - scoped to one conversation when conversationId is given
 router.get('/messages', async (req, res) => {
   try {
     const userId = req.userId;
     const limit = parseInt(req.query.limit) || 50;
+    const conversationId = req.query.conversationId ? parseInt(req.query.conversationId) : null;
 
     const result = await pool.query(
-      `SELECT id, role, content, created_at 
+      `SELECT id, conversation_id, role, content, citations, created_at 
        FROM ai_messages 
-       WHERE user_id = $1 
-       ORDER BY created_at DESC 
-       LIMIT $2`,
-      [userId, limit]
+       WHERE user_id = $1 AND ($2::integer IS NULL OR conversation_id = $2) 
+       ORDER BY created_at DESC, id DESC 
+       LIMIT $3`,
+      [userId, conversationId, limit]
     );
 
     res.json({ messages: result.rows.reverse() });
@@ -69,65 +495,32 @@ router.get('/messages', async (req, res) => {
 router.post('/chat', async (req, res) => {
   try {
     const userId = req.userId;
-    const { message } = chatSchema.parse(req.body);
+    const { message, conversationId, useWorkspace } = chatSchema.parse(req.body);
 
-    // Save user message
-    await pool.query(
-      'INSERT INTO ai_messages (user_id, role, content) VALUES ($1, $2, $3)',
-      [userId, 'user', message]
-    );
-
-    // Get recent conversation history for context
-    const historyResult = await pool.query(
-      `SELECT role, content 
-       FROM ai_messages 
-       WHERE user_id = $1 
-       ORDER BY created_at DESC 
-       LIMIT 10`,
-      [userId]
-    );
-
-    const conversationHistory = historyResult.rows.reverse().map((msg) => ({
-      role: msg.role === 'mentor' ? 'assistant' : 'user',
-      content: msg.content,
-    }));
-
-    // Call OpenAI API
-    const openai = getOpenAIClient();
-    const systemPrompt = `You are an AI mentor helping engineers learn and grow. You provide:
-- Clear, practical explanations of technical concepts
-- Code review and best practices
-- Interview preparation advice
-- Career guidance
-- Project architecture suggestions
+    const conversation = await resolveConversation(userId, conversationId, message);
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
 
-Be encouraging, detailed, and focus on helping them become better engineers.`;
+    const { messages, citations } = await prepareChat(userId, conversation, message, { useWorkspace });
 
-    // Get the configured model (gpt-4o-mini by default)
-    const model = getModel();
-    
-    // Make the API call with the configured model
-    const completion = await openai.chat.completions.create({
-      model: model,
-      messages: [
-        { role: 'system', content: systemPrompt },
-        ...conversationHistory,
-      ],
+    const completion = await chat({
+      task: 'mentor-chat',
+      messages,
       temperature: 0.7,
-      max_tokens: 1000,
+      maxTokens: 1000,
     });
 
-    const aiResponse = completion.choices[0].message.content || 'I apologize, but I could not generate a response.';
+    const aiResponse = completion || 'I apologize, but I could not generate a response.';
 
     // Save AI response
-    await pool.query(
-      'INSERT INTO ai_messages (user_id, role, content) VALUES ($1, $2, $3)',
-      [userId, 'mentor', aiResponse]
-    );
+    await saveMentorMessage(userId, conversation.id, aiResponse, citations);
 
     res.json({
       message: aiResponse,
       role: 'mentor',
+      conversationId: conversation.id,
+      citations,
     });
   } catch (error) {
     if (error.name === 'ZodError') {
@@ -136,52 +529,94 @@ Be encouraging, detailed, and focus on helping them become better engineers.`;
     
     console.error('Chat error:', error);
     
-    // Handle OpenAI API errors gracefully
-    if (error.message?.includes('OPENAI_API_KEY')) {
-      return res.status(503).json({ 
-        error: 'OpenAI API is not configured. Please set OPENAI_API_KEY in your environment variables.' 
-      });
+    const { status, error: message } = describeChatError(error);
+    res.status(status).json({ error: message });
+  }
+});
+
+// Send message and stream the AI response as Server-Sent Events.
+// Events: `token` ({ token }) per chunk, then `done` ({ message }) or `error` ({ error }).
+router.post('/chat/stream', async (req, res) => {
+  const userId = req.userId;
+  const abortController = new AbortController();
+  let aiResponse = '';
+  let failed = false;
+  let conversation = null;
+  let citations = [];
+
+  // Client closed the connection before we finished - stop generating
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      abortController.abort();
     }
-    
-    if (error.status === 401 || error.response?.status === 401) {
-      return res.status(500).json({ error: 'OpenAI API key is invalid. Please check your OPENAI_API_KEY in the .env file.' });
+  });
+
+  try {
+    const { message, conversationId, useWorkspace } = chatSchema.parse(req.body);
+
+    conversation = await resolveConversation(userId, conversationId, message);
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
     }
-    
-    // Handle model not found errors
-    if (error.status === 404 || 
-        error.response?.status === 404 ||
-        error.code === 'model_not_found' ||
-        error.message?.toLowerCase().includes('model') ||
-        error.message?.toLowerCase().includes('not found') ||
-        error.message?.toLowerCase().includes('does not exist')) {
-      return res.status(500).json({ 
-        error: `The model "${getModel()}" is unavailable. Please check your OpenAI API key has access to this model.` 
-      });
+
+    const prepared = await prepareChat(userId, conversation, message, { useWorkspace });
+    const { messages } = prepared;
+    citations = prepared.citations;
+
+    const stream = chatStream({
+      task: 'mentor-chat',
+      messages,
+      temperature: 0.7,
+      maxTokens: 1000,
+      signal: abortController.signal,
+    });
+
+    for await (const token of stream) {
+      if (abortController.signal.aborted) break;
+      aiResponse += token;
+      sendEvent(res, 'token', { token });
     }
-    
-    // Handle rate limiting
-    if (error.status === 429 || error.response?.status === 429) {
-      return res.status(429).json({ error: 'OpenAI API rate limit exceeded. Please try again later.' });
+  } catch (error) {
+    if (!abortController.signal.aborted) {
+      if (error.name === 'ZodError') {
+        return res.status(400).json({ error: 'Invalid input', details: error.errors });
+      }
+
+      console.error('Chat stream error:', error);
+
+      const { status, error: message } = describeChatError(error);
+      if (!res.headersSent) {
+        return res.status(status).json({ error: message });
+      }
+      sendEvent(res, 'error', { error: message });
+      failed = true;
     }
-    
-    // Handle insufficient quota
-    if (error.status === 402 || error.response?.status === 402 || error.message?.includes('quota')) {
-      return res.status(402).json({ 
-        error: 'Insufficient OpenAI API credits. Please add credits to your OpenAI account.' 
-      });
+  }
+
+  const completed = !abortController.signal.aborted && !failed;
+
+  try {
+    // Persist what the user saw - a partial reply if generation was stopped or failed midway
+    if (aiResponse || completed) {
+      const saved = await saveMentorMessage(
+        userId,
+        conversation.id,
+        aiResponse || 'I apologize, but I could not generate a response.',
+        citations
+      );
+      if (completed) {
+        sendEvent(res, 'done', { message: saved });
+      }
     }
-    
-    // Handle other OpenAI errors
-    if (error.response?.status) {
-      return res.status(500).json({ 
-        error: `OpenAI API error: ${error.response?.statusText || error.message || 'Unknown error'}` 
-      });
+  } catch (error) {
+    console.error('Save streamed response error:', error);
+    if (completed) {
+      sendEvent(res, 'error', { error: 'Failed to save AI response' });
     }
-    
-    // Generic error
-    res.status(500).json({ 
-      error: error.message || 'Failed to get AI response. Please try again.' 
-    });
+  }
+
+  if (!res.writableEnded) {
+    res.end();
   }
 });
 
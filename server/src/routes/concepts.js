@@ -1,24 +1,12 @@
 import express from 'express';
-import OpenAI from 'openai';
 import { pool } from '../db/connection.js';
 import { z } from 'zod';
+import { chatJSON, LLMParseError } from '../llm/index.js';
+import { getUserPreferences, preferencesPrompt } from '../mentor/preferences.js';
+import { buildConceptGraph } from '../learning/conceptGraph.js';
 
 const router = express.Router();
 
-// Get OpenAI client
-const getOpenAIClient = () => {
-  const apiKey = process.env.OPENAI_API_KEY;
-  if (!apiKey) {
-    throw new Error('OPENAI_API_KEY environment variable is not set.');
-  }
-  return new OpenAI({ apiKey });
-};
-
-// Get model - fixed to gpt-4o-mini (configurable via env var if needed)
-const getModel = () => {
-  return process.env.OPENAI_MODEL || 'gpt-4o-mini';
-};
-
 // Schema validation
 const createConceptSchema = z.object({
   title: z.string().min(1),
@@ -91,6 +79,26 @@ router.get('/', async (req, res) => {
   }
 });
 
+// Knowledge graph: concepts linked through their related concepts, plus related names with no concept yet
+router.get('/graph', async (req, res) => {
+  try {
+    const userId = req.userId;
+
+    const result = await pool.query(
+      `SELECT id, title, category, related_concepts, last_viewed_at
+       FROM concepts
+       WHERE user_id = $1
+       ORDER BY created_at`,
+      [userId]
+    );
+
+    res.json(buildConceptGraph(result.rows));
+  } catch (error) {
+    console.error('Get concept graph error:', error);
+    res.status(500).json({ error: 'Failed to build concept graph' });
+  }
+});
+
 // Get a single concept
 router.get('/:id', async (req, res) => {
   try {
@@ -135,9 +143,7 @@ router.post('/generate', async (req, res) => {
   try {
     const userId = req.userId;
     const { topic, category } = generateConceptSchema.parse(req.body);
-
-    const openai = getOpenAIClient();
-    const model = getModel();
+    const preferences = await getUserPreferences(userId);
 
     const systemPrompt = `You are an expert technical educator helping engineers understand complex concepts. Generate a comprehensive concept explanation in JSON format with the following structure:
 
@@ -154,28 +160,27 @@ router.post('/generate', async (req, res) => {
   "relatedConcepts": ["Related concept 1", "Related concept 2", "Related concept 3"]
 }
 
-Make it detailed, practical, and educational. Focus on helping junior engineers understand both the "what" and "why".`;
+Make it practical and educational. Focus on helping engineers understand both the "what" and "why".
 
-    const userPrompt = `Generate a comprehensive explanation for the concept: "${topic}"${category ? ` in the category: "${category}"` : ''}. Make it detailed and practical.`;
+${preferencesPrompt(preferences)}
+Write the explanation fields in that tone and pitch them at that depth.`;
 
-    const completion = await openai.chat.completions.create({
-      model: model,
-      messages: [
-        { role: 'system', content: systemPrompt },
-        { role: 'user', content: userPrompt },
-      ],
-      temperature: 0.7,
-      max_tokens: 3000,
-      response_format: { type: 'json_object' },
-    });
+    const userPrompt = `Generate a comprehensive explanation for the concept: "${topic}"${category ? ` in the category: "${category}"` : ''}. Make it detailed and practical.`;
 
-    const aiResponse = completion.choices[0].message.content;
     let conceptData;
-    
     try {
-      conceptData = JSON.parse(aiResponse);
+      conceptData = await chatJSON({
+        task: 'concept-generate',
+        messages: [
+          { role: 'system', content: systemPrompt },
+          { role: 'user', content: userPrompt },
+        ],
+        temperature: 0.7,
+        maxTokens: 3000,
+      });
     } catch (parseError) {
-      console.error('Failed to parse AI response:', aiResponse);
+      if (!(parseError instanceof LLMParseError)) throw parseError;
+      console.error('Failed to parse AI response:', parseError.raw);
       return res.status(500).json({ error: 'Failed to parse AI response' });
     }
 
@@ -394,6 +399,30 @@ router.put('/:id', async (req, res) => {
   }
 });
 
+// Record that a concept was opened
+router.post('/:id/view', async (req, res) => {
+  try {
+    const userId = req.userId;
+    const conceptId = parseInt(req.params.id);
+
+    const result = await pool.query(
+      `UPDATE concepts SET last_viewed_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND user_id = $2
+       RETURNING id`,
+      [conceptId, userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Concept not found' });
+    }
+
+    res.json({ message: 'Concept marked as viewed' });
+  } catch (error) {
+    console.error('Mark concept viewed error:', error);
+    res.status(500).json({ error: 'Failed to mark concept as viewed' });
+  }
+});
+
 // Delete a concept
 router.delete('/:id', async (req, res) => {
   try {
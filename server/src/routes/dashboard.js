@@ -25,9 +25,15 @@ router.get('/stats', async (req, res) => {
       [userId]
     );
 
-    // Get practice sessions count
+    // Get practice sessions count (sessions abandoned before any answer don't count)
     const practiceStats = await pool.query(
-      'SELECT COUNT(*) as practice_sessions FROM practice_sessions WHERE user_id = $1',
+      'SELECT COUNT(*) as practice_sessions FROM practice_sessions WHERE user_id = $1 AND questions_answered > 0',
+      [userId]
+    );
+
+    // Get flashcards due for review
+    const flashcardStats = await pool.query(
+      'SELECT COUNT(*) as flashcards_due FROM flashcard_reviews WHERE user_id = $1 AND due_at <= NOW()',
       [userId]
     );
 
@@ -45,6 +51,7 @@ router.get('/stats', async (req, res) => {
       skillsMastered: parseInt(skillsStats.rows[0].skills_mastered) || 0,
       practiceSessions: parseInt(practiceStats.rows[0].practice_sessions) || 0,
       hoursInvested: Math.round(parseFloat(hoursStats.rows[0].estimated_hours)) || 0,
+      flashcardsDue: parseInt(flashcardStats.rows[0].flashcards_due) || 0,
     });
   } catch (error) {
     console.error('Get dashboard stats error:', error);
@@ -0,0 +1,289 @@
+import express from 'express';
+import { pool } from '../db/connection.js';
+import { z } from 'zod';
+import { chatJSON, LLMParseError } from '../llm/index.js';
+import { normalizeAnalysis } from '../practice/analysis.js';
+import {
+  DESIGN_COMPONENT_TYPES,
+  DESIGN_RUBRIC,
+  listDesignPrompts,
+  findDesignPrompt,
+  describeDiagram,
+} from '../practice/systemDesign.js';
+import { getUserPreferences, preferencesPrompt } from '../mentor/preferences.js';
+
+const router = express.Router();
+
+const diagramSchema = z.object({
+  components: z.array(z.object({
+    id: z.string().min(1).max(50),
+    type: z.enum(DESIGN_COMPONENT_TYPES),
+    label: z.string().trim().min(1).max(80),
+    x: z.number(),
+    y: z.number(),
+    notes: z.string().max(500).optional(),
+  })).min(1).max(40),
+  connections: z.array(z.object({
+    from: z.string().min(1).max(50),
+    to: z.string().min(1).max(50),
+    label: z.string().max(80).optional(),
+  })).max(80).default([]),
+}).superRefine((diagram, ctx) => {
+  const ids = new Set();
+  diagram.components.forEach((component, index) => {
+    if (ids.has(component.id)) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        path: ['components', index, 'id'],
+        message: `Duplicate component id "${component.id}"`,
+      });
+    }
+    ids.add(component.id);
+  });
+  diagram.connections.forEach((connection, index) => {
+    for (const end of ['from', 'to']) {
+      if (!ids.has(connection[end])) {
+        ctx.addIssue({
+          code: z.ZodIssueCode.custom,
+          path: ['connections', index, end],
+          message: `Unknown component "${connection[end]}"`,
+        });
+      }
+    }
+  });
+});
+
+const submitDesignSchema = z.object({
+  promptId: z.string(),
+  diagram: diagramSchema,
+  explanation: z.string().trim().min(1).max(10000),
+});
+
+const formatAttemptSummary = (row) => ({
+  id: row.id,
+  promptId: row.prompt_id,
+  promptTitle: row.prompt_title,
+  score: row.score,
+  hireReadiness: row.hire_readiness,
+  canProceed: row.can_proceed,
+  createdAt: row.created_at,
+});
+
+const formatAttempt = (row) => ({
+  ...formatAttemptSummary(row),
+  diagram: row.diagram,
+  explanation: row.explanation,
+  clarity: row.clarity,
+  depth: row.depth,
+  rubric: row.rubric,
+  feedback: row.feedback,
+  redFlags: row.red_flags || [],
+  strengths: row.strengths || [],
+  improvements: row.improvements || [],
+  acceptanceCriteria: row.acceptance_criteria || [],
+});
+
+// Score a design against the rubric. Same shape as analyze-response plus `rubric`.
+// Throws LLMParseError if the reply isn't valid JSON.
+const evaluateDesign = async (userId, { prompt, diagram, explanation }) => {
+  const preferences = await getUserPreferences(userId);
+
+  const systemPrompt = `You are a senior engineer running a system design interview. The candidate drew an architecture diagram and wrote an explanation. Judge the design as a whole, diagram and explanation together, against this rubric:
+${DESIGN_RUBRIC.map((r) => `- **${r.label}** (${r.key}): ${r.focus}`).join('\n')}
+
+Return a JSON object with this structure:
+{
+  "score": <0-100 overall>,
+  "clarity": <0-100, how easy the design is to follow>,
+  "depth": <0-100, how far the design goes beyond naming boxes>,
+  "rubric": {
+${DESIGN_RUBRIC.map((r) => `    "${r.key}": { "score": <0-100>, "feedback": "<one or two sentences>" }`).join(',\n')}
+  },
+  "feedback": "<detailed feedback text>",
+  "redFlags": ["flag1", "flag2"],
+  "hireReadiness": "<hire-ready|getting-there|not-ready>",
+  "strengths": ["strength1", "strength2"],
+  "improvements": ["improvement1", "improvement2"],
+  "acceptanceCriteria": [
+    {
+      "criterion": "<specific requirement>",
+      "met": <true/false>,
+      "reason": "<why it was met or not>"
+    }
+  ],
+  "canProceed": <true/false - whether the design meets minimum standards to proceed>
+}
+
+${preferencesPrompt(preferences)}
+Write the feedback, strengths and improvements in that tone and at that depth. The scores, red flags and acceptance criteria must stay objective whatever the tone.`;
+
+  const userPrompt = `Evaluate this system design:
+
+**Prompt:** ${prompt.title}: ${prompt.prompt}
+**Requirements:** ${prompt.requirements.join('; ')}
+**Scale:** ${prompt.scale}
+
+**Diagram:**
+${describeDiagram(diagram)}
+
+**Explanation:** ${explanation}
+
+Provide detailed feedback with scores, red flags, and actionable improvements.
+
+Use one acceptance criterion per requirement of the prompt (is it handled by the design?), plus one for the stated scale.
+
+Set canProceed to true only if most criteria are met AND the score is above 60.`;
+
+  const analysis = normalizeAnalysis(await chatJSON({
+    task: 'design-evaluation',
+    messages: [
+      { role: 'system', content: systemPrompt },
+      { role: 'user', content: userPrompt },
+    ],
+    temperature: 0.7,
+    maxTokens: 2500,
+  }));
+
+  const rubric = analysis.rubric || {};
+  analysis.rubric = Object.fromEntries(DESIGN_RUBRIC.map(({ key }) => [key, {
+    score: Math.max(0, Math.min(100, Math.round(Number(rubric[key]?.score)) || 0)),
+    feedback: typeof rubric[key]?.feedback === 'string' ? rubric[key].feedback : '',
+  }]));
+
+  return analysis;
+};
+
+// List design prompts and the rubric they are scored on
+router.get('/prompts', async (req, res) => {
+  res.json({ prompts: listDesignPrompts(), rubric: DESIGN_RUBRIC });
+});
+
+// Evaluate a diagram and explanation, and keep the attempt
+router.post('/attempts', async (req, res) => {
+  try {
+    const userId = req.userId;
+    const data = submitDesignSchema.parse(req.body);
+
+    const prompt = findDesignPrompt(data.promptId);
+    if (!prompt) {
+      return res.status(404).json({ error: 'Design prompt not found' });
+    }
+
+    const analysis = await evaluateDesign(userId, { prompt, ...data });
+
+    const result = await pool.query(
+      `INSERT INTO design_attempts (
+        user_id, prompt_id, prompt_title, diagram, explanation,
+        score, clarity, depth, rubric, feedback, red_flags, hire_readiness,
+        strengths, improvements, acceptance_criteria, can_proceed
+      )
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)
+       RETURNING *`,
+      [
+        userId,
+        prompt.id,
+        prompt.title,
+        JSON.stringify(data.diagram),
+        data.explanation,
+        analysis.score,
+        analysis.clarity,
+        analysis.depth,
+        JSON.stringify(analysis.rubric),
+        analysis.feedback,
+        JSON.stringify(analysis.redFlags || []),
+        analysis.hireReadiness,
+        JSON.stringify(analysis.strengths || []),
+        JSON.stringify(analysis.improvements || []),
+        JSON.stringify(analysis.acceptanceCriteria),
+        analysis.canProceed,
+      ]
+    );
+
+    res.status(201).json({ attempt: formatAttempt(result.rows[0]) });
+  } catch (error) {
+    if (error.name === 'ZodError') {
+      return res.status(400).json({ error: 'Invalid input', details: error.errors });
+    }
+    if (error instanceof LLMParseError) {
+      console.error('Failed to parse AI response:', error.raw);
+      return res.status(500).json({ error: 'Failed to parse AI evaluation' });
+    }
+
+    console.error('Evaluate design error:', error);
+
+    if (error.message?.includes('OPENAI_API_KEY')) {
+      return res.status(503).json({
+        error: 'OpenAI API is not configured. Please set OPENAI_API_KEY in your environment variables.'
+      });
+    }
+
+    res.status(500).json({ error: 'Failed to evaluate design' });
+  }
+});
+
+// List past attempts, newest first
+router.get('/attempts', async (req, res) => {
+  try {
+    const userId = req.userId;
+
+    const result = await pool.query(
+      `SELECT id, prompt_id, prompt_title, score, hire_readiness, can_proceed, created_at
+       FROM design_attempts
+       WHERE user_id = $1
+       ORDER BY created_at DESC
+       LIMIT 50`,
+      [userId]
+    );
+
+    res.json({ attempts: result.rows.map(formatAttemptSummary) });
+  } catch (error) {
+    console.error('Get design attempts error:', error);
+    res.status(500).json({ error: 'Failed to fetch design attempts' });
+  }
+});
+
+// Get one attempt with its diagram and evaluation
+router.get('/attempts/:id', async (req, res) => {
+  try {
+    const userId = req.userId;
+    const attemptId = parseInt(req.params.id);
+
+    const result = await pool.query(
+      'SELECT * FROM design_attempts WHERE id = $1 AND user_id = $2',
+      [attemptId, userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Design attempt not found' });
+    }
+
+    res.json({ attempt: formatAttempt(result.rows[0]) });
+  } catch (error) {
+    console.error('Get design attempt error:', error);
+    res.status(500).json({ error: 'Failed to fetch design attempt' });
+  }
+});
+
+// Delete an attempt
+router.delete('/attempts/:id', async (req, res) => {
+  try {
+    const userId = req.userId;
+    const attemptId = parseInt(req.params.id);
+
+    const result = await pool.query(
+      'DELETE FROM design_attempts WHERE id = $1 AND user_id = $2 RETURNING id',
+      [attemptId, userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Design attempt not found' });
+    }
+
+    res.json({ message: 'Design attempt deleted successfully' });
+  } catch (error) {
+    console.error('Delete design attempt error:', error);
+    res.status(500).json({ error: 'Failed to delete design attempt' });
+  }
+});
+
+export default router;
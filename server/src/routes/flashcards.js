@@ -0,0 +1,287 @@
+import express from 'express';
+import { pool } from '../db/connection.js';
+import { z } from 'zod';
+import { chatJSON, LLMParseError } from '../llm/index.js';
+import { GRADES, scheduleReview, previewIntervals } from '../learning/sm2.js';
+
+const router = express.Router();
+
+const generateFlashcardsSchema = z.object({
+  conceptId: z.number().int().positive(),
+  // Throw away the concept's existing cards and their review history
+  replace: z.boolean().optional().default(false),
+});
+
+const reviewSchema = z.object({
+  grade: z.enum(GRADES),
+});
+
+// Cloze cards mark hidden text as {{answer}}
+const CLOZE_PATTERN = /\{\{([^}]+)\}\}/g;
+
+const MAX_CARDS_PER_CONCEPT = 12;
+
+const CARD_SELECT = `SELECT f.*, c.title AS concept_title,
+    r.ease_factor, r.interval_days, r.repetitions, r.lapses, r.review_count, r.due_at, r.last_reviewed_at
+  FROM flashcards f
+  JOIN flashcard_reviews r ON r.card_id = f.id
+  JOIN concepts c ON c.id = f.concept_id`;
+
+const scheduleState = (row) => ({
+  easeFactor: row.ease_factor,
+  intervalDays: row.interval_days,
+  repetitions: row.repetitions,
+  lapses: row.lapses,
+});
+
+// Attach the interval each grade would schedule next
+const withPreviews = (card) => ({ ...card, nextIntervals: previewIntervals(card.schedule) });
+
+const formatCard = (row) => ({
+  id: row.id,
+  conceptId: row.concept_id,
+  conceptTitle: row.concept_title,
+  type: row.card_type,
+  front: row.front,
+  back: row.back,
+  schedule: {
+    ...scheduleState(row),
+    reviewCount: row.review_count,
+    dueAt: row.due_at,
+    lastReviewedAt: row.last_reviewed_at,
+  },
+  createdAt: row.created_at,
+});
+
+// Keep well-formed cards only; cloze cards need at least one {{blank}}
+const normalizeCards = (cards) => (Array.isArray(cards) ? cards : [])
+  .map((card) => {
+    if (card?.type === 'cloze' && typeof card.text === 'string') {
+      const answers = [...card.text.matchAll(CLOZE_PATTERN)].map((match) => match[1].trim());
+      return answers.length > 0 ? { type: 'cloze', front: card.text.trim(), back: answers.join(', ') } : null;
+    }
+    if (typeof card?.front === 'string' && typeof card?.back === 'string' && card.front.trim() && card.back.trim()) {
+      return { type: 'basic', front: card.front.trim(), back: card.back.trim() };
+    }
+    return null;
+  })
+  .filter(Boolean)
+  .slice(0, MAX_CARDS_PER_CONCEPT);
+
+const generateCards = async (concept) => {
+  const systemPrompt = `You write spaced-repetition flashcards for software engineers. Each card tests one fact or idea, is answerable in a few seconds, and does not depend on other cards.
+
+Return a JSON object with this structure:
+{
+  "cards": [
+    { "type": "basic", "front": "<question>", "back": "<short answer>" },
+    { "type": "cloze", "text": "<a sentence with the key term wrapped like {{this}}>" }
+  ]
+}
+
+Write 6-10 cards: question/answer cards for the problem it solves, how it works and the common mistakes, and cloze cards for the key points. Blank out the term that matters, never filler words.`;
+
+  const userPrompt = `Write flashcards for this concept:
+
+**Concept:** ${concept.title}
+**Category:** ${concept.category}
+**Description:** ${concept.description}
+**Key points:**
+${(concept.key_points || []).map((point) => `- ${point}`).join('\n') || '- (none)'}
+**Common junior mistakes:**
+${(concept.common_junior_mistakes || []).map((mistake) => `- ${mistake}`).join('\n') || '- (none)'}`;
+
+  const response = await chatJSON({
+    task: 'flashcards-generate',
+    messages: [
+      { role: 'system', content: systemPrompt },
+      { role: 'user', content: userPrompt },
+    ],
+    temperature: 0.5,
+    maxTokens: 2000,
+  });
+
+  return normalizeCards(response.cards);
+};
+
+// Get cards, optionally for one concept
+router.get('/', async (req, res) => {
+  try {
+    const userId = req.userId;
+    const conceptId = req.query.conceptId ? parseInt(req.query.conceptId) : null;
+
+    const result = await pool.query(
+      `${CARD_SELECT}
+       WHERE f.user_id = $1 AND ($2::int IS NULL OR f.concept_id = $2)
+       ORDER BY f.concept_id, f.id`,
+      [userId, conceptId]
+    );
+
+    res.json({ cards: result.rows.map(formatCard) });
+  } catch (error) {
+    console.error('Get flashcards error:', error);
+    res.status(500).json({ error: 'Failed to fetch flashcards' });
+  }
+});
+
+// Today's review queue: every card that is due, oldest first
+router.get('/due', async (req, res) => {
+  try {
+    const userId = req.userId;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+    const [cards, count] = await Promise.all([
+      pool.query(
+        `${CARD_SELECT}
+         WHERE f.user_id = $1 AND r.due_at <= NOW()
+         ORDER BY r.due_at, f.id
+         LIMIT $2`,
+        [userId, limit]
+      ),
+      pool.query(
+        'SELECT COUNT(*) AS due FROM flashcard_reviews WHERE user_id = $1 AND due_at <= NOW()',
+        [userId]
+      ),
+    ]);
+
+    res.json({
+      cards: cards.rows.map((row) => withPreviews(formatCard(row))),
+      dueCount: parseInt(count.rows[0].due),
+    });
+  } catch (error) {
+    console.error('Get due flashcards error:', error);
+    res.status(500).json({ error: 'Failed to fetch due flashcards' });
+  }
+});
+
+// Generate cards for a concept; new cards are due straight away
+router.post('/generate', async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const userId = req.userId;
+    const { conceptId, replace } = generateFlashcardsSchema.parse(req.body);
+
+    const conceptResult = await client.query(
+      'SELECT * FROM concepts WHERE id = $1 AND user_id = $2',
+      [conceptId, userId]
+    );
+    if (conceptResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Concept not found' });
+    }
+
+    const existing = await client.query(
+      'SELECT COUNT(*) AS count FROM flashcards WHERE concept_id = $1',
+      [conceptId]
+    );
+    if (parseInt(existing.rows[0].count) > 0 && !replace) {
+      return res.status(409).json({ error: 'This concept already has flashcards' });
+    }
+
+    const cards = await generateCards(conceptResult.rows[0]);
+    if (cards.length === 0) {
+      return res.status(500).json({ error: 'No usable flashcards were generated' });
+    }
+
+    await client.query('BEGIN');
+    await client.query('DELETE FROM flashcards WHERE concept_id = $1 AND user_id = $2', [conceptId, userId]);
+    const ids = [];
+    for (const card of cards) {
+      const inserted = await client.query(
+        `INSERT INTO flashcards (user_id, concept_id, card_type, front, back)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING id`,
+        [userId, conceptId, card.type, card.front, card.back]
+      );
+      ids.push(inserted.rows[0].id);
+      await client.query(
+        'INSERT INTO flashcard_reviews (card_id, user_id) VALUES ($1, $2)',
+        [inserted.rows[0].id, userId]
+      );
+    }
+    await client.query('COMMIT');
+
+    const result = await client.query(`${CARD_SELECT} WHERE f.id = ANY($1) ORDER BY f.id`, [ids]);
+    res.status(201).json({ cards: result.rows.map(formatCard) });
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    if (error.name === 'ZodError') {
+      return res.status(400).json({ error: 'Invalid input', details: error.errors });
+    }
+    if (error instanceof LLMParseError) {
+      console.error('Failed to parse AI response:', error.raw);
+      return res.status(500).json({ error: 'Failed to parse AI response' });
+    }
+
+    console.error('Generate flashcards error:', error);
+
+    if (error.message?.includes('OPENAI_API_KEY')) {
+      return res.status(503).json({
+        error: 'OpenAI API is not configured. Please set OPENAI_API_KEY in your environment variables.'
+      });
+    }
+
+    res.status(500).json({ error: 'Failed to generate flashcards' });
+  } finally {
+    client.release();
+  }
+});
+
+// Grade a card and schedule its next review
+router.post('/:id/review', async (req, res) => {
+  try {
+    const userId = req.userId;
+    const cardId = parseInt(req.params.id);
+    const { grade } = reviewSchema.parse(req.body);
+
+    const current = await pool.query(
+      'SELECT * FROM flashcard_reviews WHERE card_id = $1 AND user_id = $2',
+      [cardId, userId]
+    );
+    if (current.rows.length === 0) {
+      return res.status(404).json({ error: 'Flashcard not found' });
+    }
+
+    const next = scheduleReview(scheduleState(current.rows[0]), grade);
+    await pool.query(
+      `UPDATE flashcard_reviews
+       SET ease_factor = $1, interval_days = $2, repetitions = $3, lapses = $4,
+           due_at = $5, last_grade = $6, last_reviewed_at = CURRENT_TIMESTAMP,
+           review_count = review_count + 1
+       WHERE card_id = $7`,
+      [next.easeFactor, next.intervalDays, next.repetitions, next.lapses, next.dueAt, grade, cardId]
+    );
+
+    const card = await pool.query(`${CARD_SELECT} WHERE f.id = $1`, [cardId]);
+    res.json({ card: withPreviews(formatCard(card.rows[0])) });
+  } catch (error) {
+    if (error.name === 'ZodError') {
+      return res.status(400).json({ error: 'Invalid input', details: error.errors });
+    }
+    console.error('Review flashcard error:', error);
+    res.status(500).json({ error: 'Failed to save review' });
+  }
+});
+
+// Delete a card
+router.delete('/:id', async (req, res) => {
+  try {
+    const userId = req.userId;
+    const cardId = parseInt(req.params.id);
+
+    const result = await pool.query(
+      'DELETE FROM flashcards WHERE id = $1 AND user_id = $2 RETURNING id',
+      [cardId, userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Flashcard not found' });
+    }
+
+    res.json({ message: 'Flashcard deleted successfully' });
+  } catch (error) {
+    console.error('Delete flashcard error:', error);
+    res.status(500).json({ error: 'Failed to delete flashcard' });
+  }
+});
+
+export default router;
@@ -0,0 +1,312 @@
+import express from 'express';
+import { pool } from '../db/connection.js';
+import { z } from 'zod';
+import { chatJSON, LLMParseError } from '../llm/index.js';
+import { buildTermList, matchKeywords, mentionsTerm } from '../resumes/keywords.js';
+import { parseResume, modelOf, renderResume, resolveEdits } from '../resumes/structure.js';
+
+const router = express.Router();
+
+const jobDescriptionSchema = z.object({
+  title: z.string().trim().min(1).max(255),
+  company: z.string().trim().max(255).optional(),
+  content: z.string().trim().min(1).max(20000),
+});
+
+// A saved job description or a pasted one, against the given resume text, a saved resume
+// or (by default) the user's latest resume
+const analyzeSchema = z.object({
+  jobDescriptionId: z.number().int().positive().optional(),
+  jobDescription: z.string().trim().min(1).max(20000).optional(),
+  resumeId: z.number().int().positive().optional(),
+  resumeContent: z.string().optional(),
+}).refine((data) => data.jobDescriptionId || data.jobDescription, {
+  message: 'jobDescriptionId or jobDescription is required',
+});
+
+const MAX_TAILOR_EDITS = 15;
+
+const formatJobDescription = (row) => ({
+  id: row.id,
+  title: row.title,
+  company: row.company,
+  content: row.content,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at,
+});
+
+// Vocabulary plus the user's skills and project bullet keywords
+const loadTermList = async (userId) => {
+  const [skills, bullets] = await Promise.all([
+    pool.query('SELECT name, category, level FROM skills WHERE user_id = $1', [userId]),
+    pool.query(
+      `SELECT DISTINCT unnest(b.keywords) AS keyword, p.name AS project_name
+       FROM project_resume_bullets b
+       JOIN projects p ON p.id = b.project_id
+       WHERE b.user_id = $1`,
+      [userId]
+    ),
+  ]);
+  return buildTermList({
+    skills: skills.rows,
+    bulletKeywords: bullets.rows.map((row) => ({ keyword: row.keyword, projectName: row.project_name })),
+  });
+};
+
+// Resolve the request to the { jobDescription, resume } texts and the resume's model (parsed
+// against the saved one when the text has unsaved changes), or { error, status }
+const loadTexts = async (userId, data) => {
+  let jobDescription = data.jobDescription;
+  if (data.jobDescriptionId) {
+    const result = await pool.query(
+      'SELECT content FROM job_descriptions WHERE id = $1 AND user_id = $2',
+      [data.jobDescriptionId, userId]
+    );
+    if (result.rows.length === 0) return { status: 404, error: 'Job description not found' };
+    jobDescription = result.rows[0].content;
+  }
+
+  let row = null;
+  if (data.resumeId || data.resumeContent === undefined) {
+    const result = data.resumeId
+      ? await pool.query('SELECT content, structured FROM resumes WHERE id = $1 AND user_id = $2', [data.resumeId, userId])
+      : await pool.query('SELECT content, structured FROM resumes WHERE user_id = $1 ORDER BY updated_at DESC LIMIT 1', [userId]);
+    if (result.rows.length === 0) return { status: 404, error: 'Resume not found' };
+    row = result.rows[0];
+  }
+
+  const resume = data.resumeContent ?? row.content;
+  if (!resume?.trim()) return { status: 400, error: 'Resume content is required' };
+
+  let model;
+  if (!row) model = parseResume(resume);
+  else if (resume !== row.content) model = parseResume(resume, modelOf(row));
+  else model = modelOf(row);
+
+  return { jobDescription, resume, model };
+};
+
+// Get saved job descriptions
+router.get('/', async (req, res) => {
+  try {
+    const userId = req.userId;
+    const result = await pool.query(
+      'SELECT * FROM job_descriptions WHERE user_id = $1 ORDER BY updated_at DESC',
+      [userId]
+    );
+    res.json({ jobDescriptions: result.rows.map(formatJobDescription) });
+  } catch (error) {
+    console.error('Get job descriptions error:', error);
+    res.status(500).json({ error: 'Failed to fetch job descriptions' });
+  }
+});
+
+// Save a job description
+router.post('/', async (req, res) => {
+  try {
+    const userId = req.userId;
+    const data = jobDescriptionSchema.parse(req.body);
+    const result = await pool.query(
+      `INSERT INTO job_descriptions (user_id, title, company, content)
+       VALUES ($1, $2, $3, $4)
+       RETURNING *`,
+      [userId, data.title, data.company || null, data.content]
+    );
+    res.status(201).json({ jobDescription: formatJobDescription(result.rows[0]) });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ error: 'Invalid input', details: error.errors });
+    }
+    console.error('Create job description error:', error);
+    res.status(500).json({ error: 'Failed to save job description' });
+  }
+});
+
+// Update a job description
+router.put('/:id', async (req, res) => {
+  try {
+    const userId = req.userId;
+    const id = parseInt(req.params.id);
+    const data = jobDescriptionSchema.parse(req.body);
+    const result = await pool.query(
+      `UPDATE job_descriptions
+       SET title = $1, company = $2, content = $3, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $4 AND user_id = $5
+       RETURNING *`,
+      [data.title, data.company || null, data.content, id, userId]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Job description not found' });
+    }
+    res.json({ jobDescription: formatJobDescription(result.rows[0]) });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ error: 'Invalid input', details: error.errors });
+    }
+    console.error('Update job description error:', error);
+    res.status(500).json({ error: 'Failed to update job description' });
+  }
+});
+
+// Delete a job description
+router.delete('/:id', async (req, res) => {
+  try {
+    const userId = req.userId;
+    const id = parseInt(req.params.id);
+    const result = await pool.query(
+      'DELETE FROM job_descriptions WHERE id = $1 AND user_id = $2 RETURNING id',
+      [id, userId]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Job description not found' });
+    }
+    res.json({ message: 'Job description deleted successfully' });
+  } catch (error) {
+    console.error('Delete job description error:', error);
+    res.status(500).json({ error: 'Failed to delete job description' });
+  }
+});
+
+// Keyword coverage of the resume against a job description. Deterministic, no AI call.
+router.post('/match', async (req, res) => {
+  try {
+    const userId = req.userId;
+    const data = analyzeSchema.parse(req.body);
+    const texts = await loadTexts(userId, data);
+    if (texts.error) {
+      return res.status(texts.status).json({ error: texts.error });
+    }
+
+    const terms = await loadTermList(userId);
+    res.json({ analysis: matchKeywords(texts.jobDescription, texts.resume, terms, texts.model) });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ error: 'Invalid input', details: error.errors });
+    }
+    console.error('Match job description error:', error);
+    res.status(500).json({ error: 'Failed to match resume against job description' });
+  }
+});
+
+// Keyword coverage plus an AI pass: terms the extractor missed and edits (in the same format
+// as /api/resumes/recommendations, targeting bullet IDs) that tailor the resume to the posting
+router.post('/tailor', async (req, res) => {
+  try {
+    const userId = req.userId;
+    const data = analyzeSchema.parse(req.body);
+    const texts = await loadTexts(userId, data);
+    if (texts.error) {
+      return res.status(texts.status).json({ error: texts.error });
+    }
+
+    const terms = await loadTermList(userId);
+    const analysis = matchKeywords(texts.jobDescription, texts.resume, terms, texts.model);
+    const backedUp = analysis.missing.filter((term) => term.evidence.length > 0);
+    const unsupported = analysis.missing.filter((term) => term.evidence.length === 0);
+    const listTerms = (items, withEvidence) => (items.length > 0
+      ? items.map((term) => (withEvidence
+        ? `- ${term.term} (${term.evidence.map((item) => item.label).join('; ')})`
+        : `- ${term.term}`)).join('\n')
+      : '- (none)');
+
+    const systemPrompt = `You are an expert resume writer tailoring a technical resume to one job posting. Suggest specific edits that can be applied directly to the resume text.
+
+Rules:
+- Only work in terms the candidate can back up: the ones listed as backed up, or ones the resume already supports. Never invent experience, employers, metrics or skills.
+- Prefer rewording existing bullets to surface the posting's language over adding new lines.
+- Each editable line of the resume starts with its ID in square brackets, e.g. "[b3]". Every edit names the line it replaces by that ID, and no two edits may touch the same line.
+- Also list important skills or technologies in the posting that are not in the provided missing-term lists.
+
+Return a JSON object with this structure:
+{
+  "keywords": ["important posting term not already listed"],
+  "edits": [
+    {
+      "id": 1,
+      "bulletId": "b3",
+      "originalText": "current text of that line",
+      "suggestedText": "tailored replacement for the whole line",
+      "category": "Keyword Match" | "Action Verb" | "Quantification" | "Technical Depth" | "Clarity",
+      "reason": "Which part of the posting this speaks to",
+      "priority": "high" | "medium" | "low"
+    }
+  ],
+  "summary": "How well the resume fits the posting and what the edits change"
+}
+
+Provide at most ${MAX_TAILOR_EDITS} edits.`;
+
+    const userPrompt = `**Job description:**
+${texts.jobDescription}
+
+**Resume:**
+${renderResume(texts.model, { annotate: true })}
+
+**Missing terms you can back up:**
+${listTerms(backedUp, true)}
+
+**Missing terms with no evidence:**
+${listTerms(unsupported, false)}
+
+**Keyword coverage:** ${analysis.score ?? 'n/a'}%
+
+Return only valid JSON.`;
+
+    const tailored = await chatJSON({
+      task: 'resume-tailor',
+      messages: [
+        { role: 'system', content: systemPrompt },
+        { role: 'user', content: userPrompt },
+      ],
+      temperature: 0.5,
+      maxTokens: 3000,
+    });
+
+    // Edits that do not target a line of the resume could never be applied
+    const edits = resolveEdits(texts.model, tailored.edits)
+      .slice(0, MAX_TAILOR_EDITS)
+      .map((edit, index) => ({
+        id: edit.id || `tailor-${Date.now()}-${index}`,
+        bulletId: edit.bulletId,
+        originalText: edit.originalText,
+        suggestedText: edit.suggestedText,
+        category: edit.category || 'Keyword Match',
+        reason: edit.reason || '',
+        priority: edit.priority || 'medium',
+      }));
+
+    const known = new Set([...analysis.matched, ...analysis.missing].map((term) => term.term.toLowerCase()));
+    const suggestedTerms = [...new Set((Array.isArray(tailored.keywords) ? tailored.keywords : [])
+      .filter((term) => typeof term === 'string' && term.trim())
+      .map((term) => term.trim()))]
+      .filter((term) => !known.has(term.toLowerCase()))
+      .map((term) => ({ term, inResume: mentionsTerm(texts.resume, term) }));
+
+    res.json({
+      analysis,
+      suggestedTerms,
+      edits,
+      summary: tailored.summary || 'Tailoring suggestions for this job description',
+    });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ error: 'Invalid input', details: error.errors });
+    }
+    if (error instanceof LLMParseError) {
+      console.error('Failed to parse AI response:', error.raw);
+      return res.status(500).json({ error: 'Failed to parse AI response' });
+    }
+
+    console.error('Tailor resume error:', error);
+
+    if (error.message?.includes('OPENAI_API_KEY')) {
+      return res.status(503).json({
+        error: 'OpenAI API is not configured. Please set OPENAI_API_KEY in your environment variables.'
+      });
+    }
+
+    res.status(500).json({ error: 'Failed to tailor resume' });
+  }
+});
+
+export default router;
@@ -1,22 +1,91 @@
 import express from 'express';
-import OpenAI from 'openai';
 import { pool } from '../db/connection.js';
 import { z } from 'zod';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import multer from 'multer';
+import { chatJSON, LLMParseError } from '../llm/index.js';
+import { getTranscriber, transcribe } from '../transcription/index.js';
+import { computeDeliveryMetrics } from '../practice/delivery.js';
+import { normalizeAnalysis } from '../practice/analysis.js';
+import { BEHAVIORAL_COMPETENCIES, STAR_COMPONENTS, pickBehavioralQuestions } from '../practice/behavioral.js';
+import { listCodingProblems, findCodingProblem } from '../practice/coding.js';
+import { getUserPreferences, preferencesPrompt } from '../mentor/preferences.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
 
 const router = express.Router();
 
-// Get OpenAI client
-const getOpenAIClient = () => {
-  const apiKey = process.env.OPENAI_API_KEY;
-  if (!apiKey) {
-    throw new Error('OPENAI_API_KEY environment variable is not set.');
+// Voice answers are stored next to resume uploads (/tmp on Vercel, the only writable location)
+const getAudioDir = () => {
+  if (process.env.VERCEL) {
+    return '/tmp/uploads/practice-audio';
   }
-  return new OpenAI({ apiKey });
+  return path.join(__dirname, '../../uploads/practice-audio');
+};
+
+// Stored clips go with their recording rows; a file that is already gone is fine
+const removeAudioFiles = (filePaths) => {
+  filePaths.forEach((filePath) => fs.unlink(filePath, () => {}));
 };
 
-// Get model - fixed to gpt-4o-mini (configurable via env var if needed)
-const getModel = () => {
-  return process.env.OPENAI_MODEL || 'gpt-4o-mini';
+// What MediaRecorder produces across browsers, plus common uploads
+const AUDIO_EXTENSIONS = {
+  'audio/webm': '.webm',
+  'audio/ogg': '.ogg',
+  'audio/mp4': '.m4a',
+  'audio/x-m4a': '.m4a',
+  'audio/mpeg': '.mp3',
+  'audio/wav': '.wav',
+  'audio/x-wav': '.wav',
+};
+
+// MediaRecorder types can carry codec parameters, e.g. "audio/webm;codecs=opus"
+const baseMimeType = (mimeType) => (mimeType || '').split(';')[0].trim().toLowerCase();
+
+const audioUpload = multer({
+  storage: multer.diskStorage({
+    destination: (req, file, cb) => {
+      const uploadDir = getAudioDir();
+      if (!fs.existsSync(uploadDir)) {
+        try {
+          fs.mkdirSync(uploadDir, { recursive: true });
+        } catch (error) {
+          console.error('Failed to create audio upload directory:', error);
+          return cb(error);
+        }
+      }
+      cb(null, uploadDir);
+    },
+    filename: (req, file, cb) => {
+      const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+      // Transcription backends detect the format from the extension
+      cb(null, `answer-${req.userId}-${uniqueSuffix}${AUDIO_EXTENSIONS[baseMimeType(file.mimetype)]}`);
+    },
+  }),
+  limits: { fileSize: 25 * 1024 * 1024 }, // 25MB, the OpenAI transcription limit
+  fileFilter: (req, file, cb) => {
+    if (AUDIO_EXTENSIONS[baseMimeType(file.mimetype)]) {
+      cb(null, true);
+    } else {
+      cb(new Error('Invalid file type. Only WebM, Ogg, MP4/M4A, MP3 and WAV audio are allowed.'));
+    }
+  },
+});
+
+// Wrapper to handle multer errors
+const handleAudioUpload = (req, res, next) => {
+  audioUpload.single('audio')(req, res, (err) => {
+    if (err) {
+      if (err instanceof multer.MulterError && err.code === 'LIMIT_FILE_SIZE') {
+        return res.status(400).json({ error: 'Recording too large. Maximum size is 25MB.' });
+      }
+      return res.status(400).json({ error: err.message || 'File upload error' });
+    }
+    next();
+  });
 };
 
 // Schema validation
@@ -25,24 +94,271 @@ const analyzeResponseSchema = z.object({
   questionCategory: z.string(),
   userResponse: z.string(),
   projectName: z.string().optional(),
+  includeFollowUps: z.boolean().optional().default(false),
 });
 
-// Analyze interview response
-router.post('/analyze-response', async (req, res) => {
-  try {
-    const userId = req.userId;
-    const data = analyzeResponseSchema.parse(req.body);
-    
-    const { question, questionCategory, userResponse, projectName } = data;
+const QUESTION_CATEGORIES = [
+  'Architecture',
+  'Problem Solving',
+  'Technical Decisions',
+  'Security',
+  'Performance & Scalability',
+  'Testing',
+  'Reflection',
+];
 
-    if (!userResponse || userResponse.trim().length === 0) {
-      return res.status(400).json({ error: 'User response is required' });
+const QUESTION_DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+// technical: generated from the project; behavioral: drawn from the STAR question bank
+const PRACTICE_TRACKS = ['technical', 'behavioral'];
+
+const generateQuestionsSchema = z.object({
+  projectId: z.number().int().positive(),
+  track: z.enum(PRACTICE_TRACKS).optional().default('technical'),
+  count: z.number().int().min(1).max(15).optional().default(5),
+  difficulty: z.enum([...QUESTION_DIFFICULTIES, 'mixed']).optional().default('mixed'),
+  categories: z.array(z.string()).optional().default([]),
+}).superRefine((data, ctx) => {
+  const allowed = data.track === 'behavioral' ? BEHAVIORAL_COMPETENCIES : QUESTION_CATEGORIES;
+  data.categories.forEach((category, index) => {
+    if (!allowed.includes(category)) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        path: ['categories', index],
+        message: `Unknown ${data.track} category: ${category}`,
+      });
+    }
+  });
+});
+
+const startSessionSchema = z.object({
+  questionSetId: z.number().int().positive(),
+  // Timed mode: seconds allowed per question
+  timeLimitSeconds: z.number().int().min(30).max(900).optional(),
+});
+
+const submitAnswerSchema = z.object({
+  questionId: z.number().int().positive(),
+  userResponse: z.string().trim().min(1, 'User response is required'),
+  allowFollowUps: z.boolean().optional().default(true),
+  recordingId: z.number().int().positive().optional(),
+  // Browser speech recognition: time spent recording and when results arrived, in seconds
+  timing: z.object({
+    durationSeconds: z.number().nonnegative().max(3600).optional(),
+    speechTimestamps: z.array(z.number().nonnegative()).max(5000).optional(),
+  }).optional(),
+  // Timed sessions: how long the answer took and whether the clock ran out
+  timeUsedSeconds: z.number().nonnegative().max(3600).optional(),
+  timedOut: z.boolean().optional().default(false),
+});
+
+// Multipart fields arrive as strings
+const recordingSchema = z.object({
+  sessionId: z.coerce.number().int().positive().optional(),
+  questionId: z.coerce.number().int().positive().optional(),
+  language: z.string().min(2).max(5).optional(),
+});
+
+// Coding attempt: the code and what happened when the browser ran each test, in test order
+const codingAttemptSchema = z.object({
+  code: z.string().min(1).max(20000),
+  results: z.array(z.object({
+    passed: z.boolean(),
+    timedOut: z.boolean().optional().default(false),
+    error: z.string().max(1000).optional(),
+    actual: z.string().max(1000).optional(),
+    durationMs: z.number().nonnegative().optional(),
+  })).min(1),
+});
+
+// Below this depth score an answer gets probed with follow-ups
+const FOLLOW_UP_DEPTH_THRESHOLD = 60;
+const MAX_FOLLOW_UPS = 2;
+
+const formatQuestionSet = (row) => ({
+  id: row.id,
+  projectId: row.project_id,
+  projectName: row.project_name,
+  track: row.track,
+  difficulty: row.difficulty,
+  categories: row.categories || [],
+  questions: row.questions || [],
+  questionCount: (row.questions || []).length,
+  createdAt: row.created_at,
+});
+
+const formatSessionSummary = (row) => ({
+  id: row.id,
+  projectId: row.project_id,
+  projectName: row.project_name,
+  questionSetId: row.question_set_id,
+  track: row.track,
+  timeLimitSeconds: row.time_limit_seconds,
+  status: row.status,
+  score: row.score,
+  questionsAnswered: row.questions_answered,
+  questionCount: (row.questions || []).length,
+  createdAt: row.created_at,
+  finishedAt: row.finished_at,
+  date: new Date(row.created_at).toLocaleDateString(),
+});
+
+const formatAnswer = (row) => ({
+  id: row.id,
+  questionId: row.question_id,
+  userResponse: row.response,
+  score: row.score,
+  clarity: row.clarity,
+  depth: row.depth,
+  feedback: row.feedback,
+  redFlags: row.red_flags || [],
+  hireReadiness: row.hire_readiness,
+  strengths: row.strengths || [],
+  improvements: row.improvements || [],
+  acceptanceCriteria: row.acceptance_criteria || [],
+  canProceed: row.can_proceed,
+  recordingId: row.recording_id,
+  delivery: row.delivery,
+  timeUsedSeconds: row.time_used_seconds,
+  timedOut: row.timed_out,
+  pacingFeedback: row.pacing_feedback,
+  star: row.star_scores,
+  polishedStory: row.polished_story,
+  createdAt: row.created_at,
+});
+
+const formatRecording = (row) => ({
+  id: row.id,
+  sessionId: row.session_id,
+  questionId: row.question_id,
+  mimeType: row.mime_type,
+  sizeBytes: row.size_bytes,
+  duration: row.duration_seconds,
+  transcript: row.transcript,
+  segments: row.segments || [],
+  transcriber: row.transcriber,
+  createdAt: row.created_at,
+});
+
+// Coding attempt with its test results and, once reviewed, the AI review
+const formatCodingAttempt = (row) => ({
+  id: row.id,
+  problemId: row.problem_id,
+  code: row.code,
+  passed: row.passed,
+  total: row.total,
+  allPassed: row.all_passed,
+  results: row.results || [],
+  review: row.score === null ? null : {
+    score: row.score,
+    timeComplexity: row.time_complexity,
+    spaceComplexity: row.space_complexity,
+    complexityFeedback: row.complexity_feedback,
+    styleFeedback: row.style_feedback,
+    feedback: row.feedback,
+    strengths: row.strengths || [],
+    improvements: row.improvements || [],
+  },
+  createdAt: row.created_at,
+});
+
+// Per-problem attempt counts and pass rate (share of attempts that passed every test)
+const formatCodingStats = (row) => {
+  // pg returns COUNT as strings
+  const attempts = Number(row?.attempts || 0);
+  const solved = Number(row?.solved || 0);
+  return {
+    attempts,
+    solved,
+    passRate: attempts > 0 ? Math.round((100 * solved) / attempts) : null,
+    bestScore: row?.best_score ?? null,
+  };
+};
+
+const loadCodingStats = async (userId, problemId = null) => {
+  const result = await pool.query(
+    `SELECT problem_id,
+            COUNT(*) AS attempts,
+            COUNT(*) FILTER (WHERE all_passed) AS solved,
+            MAX(score) AS best_score
+     FROM coding_attempts
+     WHERE user_id = $1 AND ($2::text IS NULL OR problem_id = $2)
+     GROUP BY problem_id`,
+    [userId, problemId]
+  );
+  return new Map(result.rows.map((row) => [row.problem_id, formatCodingStats(row)]));
+};
+
+// Full session in the shape PracticeMode renders: each question carries its latest answer
+const loadSession = async (userId, sessionId) => {
+  const sessionResult = await pool.query(
+    'SELECT * FROM practice_sessions WHERE id = $1 AND user_id = $2',
+    [sessionId, userId]
+  );
+  if (sessionResult.rows.length === 0) {
+    return null;
+  }
+  const row = sessionResult.rows[0];
+
+  const answersResult = await pool.query(
+    'SELECT * FROM practice_answers WHERE session_id = $1 ORDER BY created_at, id',
+    [sessionId]
+  );
+
+  const questions = (row.questions || []).map((question) => {
+    const attempts = answersResult.rows.filter((answer) => answer.question_id === question.id);
+    if (attempts.length === 0) {
+      return { ...question, answered: false, attempts: 0 };
     }
+    const { id, questionId, createdAt, ...latest } = formatAnswer(attempts[attempts.length - 1]);
+    return { ...question, ...latest, answerId: id, answered: true, attempts: attempts.length };
+  });
+
+  return {
+    ...formatSessionSummary(row),
+    questions,
+    isActive: row.status === 'active',
+  };
+};
+
+// Recount answered questions and average the latest score of each
+const refreshSessionScore = async (sessionId) => {
+  await pool.query(
+    `UPDATE practice_sessions 
+     SET questions_answered = latest.answered,
+         score = latest.score,
+         updated_at = CURRENT_TIMESTAMP
+     FROM (
+       SELECT COUNT(*) AS answered, ROUND(AVG(score)) AS score
+       FROM (
+         SELECT DISTINCT ON (question_id) score
+         FROM practice_answers
+         WHERE session_id = $1
+         ORDER BY question_id, created_at DESC, id DESC
+       ) per_question
+     ) latest
+     WHERE id = $1`,
+    [sessionId]
+  );
+};
 
-    const openai = getOpenAIClient();
-    const model = getModel();
+// Timed answers tell the interviewer how long they took so it can comment on pacing
+const timingLine = (timing) => (timing
+  ? `**Time:** Used ${Math.round(timing.timeUsedSeconds)}s of a ${timing.timeLimitSeconds}s limit${timing.timedOut ? ' (time ran out and the answer was cut off)' : ''}\n`
+  : '');
 
-    const systemPrompt = `You are an expert technical interviewer evaluating a candidate's response to an interview question. Provide constructive, actionable feedback.
+const pacingInstruction = (timing) => (timing
+  ? `
+
+This was a timed answer. Add a "pacingFeedback" string to the JSON with one or two sentences on how well the candidate used the time: rushing, rambling, running out before the key points, or a well-paced answer. Judge the content itself as usual.`
+  : '');
+
+// Score one answer with the AI interviewer. Timed answers pass `timing` so the interviewer
+// can comment on pacing. Throws LLMParseError if the reply isn't valid JSON.
+const analyzeAnswer = async (userId, { question, questionCategory, userResponse, projectName, timing }) => {
+  const preferences = await getUserPreferences(userId);
+
+  const systemPrompt = `You are an expert technical interviewer evaluating a candidate's response to an interview question. Provide constructive, actionable feedback.
 
 Focus on:
 1. **Clarity** (0-100): How clear and well-structured was the answer?
@@ -70,14 +386,17 @@ Return a JSON object with this structure:
     }
   ],
   "canProceed": <true/false - whether response meets minimum standards to proceed>
-}`;
+}
 
-    const userPrompt = `Evaluate this interview response:
+${preferencesPrompt(preferences)}
+Write the feedback, strengths and improvements in that tone and at that depth. The scores, red flags and acceptance criteria must stay objective whatever the tone.`;
+
+  const userPrompt = `Evaluate this interview response:
 
 **Project:** ${projectName || 'Technical Project'}
 **Question Category:** ${questionCategory}
 **Question:** ${question}
-**Candidate Response:** ${userResponse}
+${timingLine(timing)}**Candidate Response:** ${userResponse}
 
 Provide detailed feedback with scores, red flags, and actionable improvements.
 
@@ -88,57 +407,297 @@ Also provide 3-5 acceptance criteria that the response must meet before proceedi
 - "Response is clear and well-structured" (met/not met based on clarity score)
 - "Candidate explains reasoning behind decisions" (met/not met based on whether reasoning was provided)
 
-Set canProceed to true only if at least 3 out of 5 criteria are met AND the score is above 60.`;
-
-    const completion = await openai.chat.completions.create({
-      model: model,
-      messages: [
-        { role: 'system', content: systemPrompt },
-        { role: 'user', content: userPrompt },
-      ],
-      temperature: 0.7,
-      max_tokens: 2000,
-      response_format: { type: 'json_object' },
-    });
+Set canProceed to true only if at least 3 out of 5 criteria are met AND the score is above 60.${pacingInstruction(timing)}`;
 
-    let analysis;
-    try {
-      analysis = JSON.parse(completion.choices[0].message.content);
-      
-      // Ensure acceptance criteria is an array and has proper structure
-      if (!analysis.acceptanceCriteria || !Array.isArray(analysis.acceptanceCriteria)) {
-        analysis.acceptanceCriteria = [];
-      }
-      
-      // Ensure canProceed is a boolean
-      if (analysis.canProceed === undefined) {
-        // Calculate canProceed based on score and criteria
-        const metCriteriaCount = analysis.acceptanceCriteria.filter(c => c.met === true).length;
-        analysis.canProceed = (analysis.score >= 60) && (metCriteriaCount >= 2);
-      }
-      
-      // Validate acceptance criteria structure
-      analysis.acceptanceCriteria = analysis.acceptanceCriteria.map(c => ({
-        criterion: c.criterion || c.criteria || 'Unknown criterion',
-        met: c.met === true,
-        reason: c.reason || c.explanation || (c.met ? 'Criterion met' : 'Criterion not met'),
-      }));
-    } catch (parseError) {
-      console.error('Failed to parse AI response:', completion.choices[0].message.content);
-      return res.status(500).json({ error: 'Failed to parse AI analysis' });
+  const analysis = await chatJSON({
+    task: 'practice-analysis',
+    messages: [
+      { role: 'system', content: systemPrompt },
+      { role: 'user', content: userPrompt },
+    ],
+    temperature: 0.7,
+    maxTokens: 2000,
+  });
+
+  return normalizeAnalysis(analysis);
+};
+
+// Score a behavioral answer on each part of STAR, and rewrite it as a polished story the
+// user can save. Same shape as analyzeAnswer plus `star` and `polishedStory`.
+const analyzeStarAnswer = async (userId, { question, questionCategory, userResponse, projectName, timing }) => {
+  const preferences = await getUserPreferences(userId);
+
+  const systemPrompt = `You are an experienced interviewer evaluating a candidate's answer to a behavioral question. Judge it with the STAR method and score each part separately:
+- **Situation**: Is the context specific (when, where, which team or project) and brief?
+- **Task**: Is it clear what the candidate personally was responsible for and what was at stake?
+- **Action**: Does it describe what the candidate did ("I", not just "we") and why they chose that?
+- **Result**: Is there a concrete outcome, ideally measured, and what they learned?
+
+Return a JSON object with this structure:
+{
+  "score": <0-100 overall>,
+  "clarity": <0-100, how easy the story is to follow>,
+  "depth": <0-100, how specific and personal the story is>,
+  "star": {
+    "situation": { "score": <0-100>, "feedback": "<one sentence>" },
+    "task": { "score": <0-100>, "feedback": "<one sentence>" },
+    "action": { "score": <0-100>, "feedback": "<one sentence>" },
+    "result": { "score": <0-100>, "feedback": "<one sentence>" }
+  },
+  "feedback": "<detailed feedback text>",
+  "redFlags": ["flag1", "flag2"],
+  "hireReadiness": "<hire-ready|getting-there|not-ready>",
+  "strengths": ["strength1", "strength2"],
+  "improvements": ["improvement1", "improvement2"],
+  "acceptanceCriteria": [
+    {
+      "criterion": "<specific requirement>",
+      "met": <true/false>,
+      "reason": "<why it was met or not>"
     }
+  ],
+  "canProceed": <true/false - whether response meets minimum standards to proceed>,
+  "polishedStory": {
+    "situation": "<1-2 sentences>",
+    "task": "<1-2 sentences>",
+    "action": "<2-4 sentences in the first person>",
+    "result": "<1-2 sentences>"
+  }
+}
 
-    // Save practice session to database (save each response as a session)
-    // Note: In a production app, you might want to save multiple responses per session
-    try {
-      await pool.query(
-        `INSERT INTO practice_sessions (user_id, score, questions_answered)
-         VALUES ($1, $2, $3)`,
-        [userId, analysis.score || 0, 1]
-      );
-    } catch (dbError) {
-      console.error('Error saving practice session:', dbError);
-      // Don't fail the request if DB save fails
+The polished story must only use facts from the candidate's answer. Where a part is missing, write a short bracketed placeholder such as "[add the measurable outcome]" instead of inventing details.
+
+${preferencesPrompt(preferences)}
+Write the feedback, strengths and improvements in that tone and at that depth. The scores, red flags and acceptance criteria must stay objective whatever the tone.`;
+
+  const userPrompt = `Evaluate this behavioral interview response:
+
+**Project:** ${projectName || 'Technical Project'}
+**Competency:** ${questionCategory}
+**Question:** ${question}
+${timingLine(timing)}**Candidate Response:** ${userResponse}
+
+Provide detailed feedback with scores, red flags, and actionable improvements.
+
+Use one acceptance criterion per STAR part (for example "Result is concrete and measurable"), plus at most one about the competency being asked about.
+
+Set canProceed to true only if Action and Result are both met AND the score is above 60.${pacingInstruction(timing)}`;
+
+  const analysis = normalizeAnalysis(await chatJSON({
+    task: 'practice-star-analysis',
+    messages: [
+      { role: 'system', content: systemPrompt },
+      { role: 'user', content: userPrompt },
+    ],
+    temperature: 0.7,
+    maxTokens: 2500,
+  }));
+
+  const star = analysis.star || {};
+  const story = analysis.polishedStory || {};
+  analysis.star = Object.fromEntries(STAR_COMPONENTS.map((part) => [part, {
+    score: Math.max(0, Math.min(100, Math.round(Number(star[part]?.score)) || 0)),
+    feedback: typeof star[part]?.feedback === 'string' ? star[part].feedback : '',
+  }]));
+  analysis.polishedStory = Object.fromEntries(STAR_COMPONENTS.map((part) => [
+    part,
+    typeof story[part] === 'string' ? story[part].trim() : '',
+  ]));
+
+  return analysis;
+};
+
+// Below this a STAR part counts as a weak spot
+const STAR_WEAK_THRESHOLD = 50;
+
+// What a real interviewer would probe: shallow depth, red flags, weak STAR parts and unmet criteria
+const findWeakSpots = (analysis) => [
+  ...(analysis.depth < FOLLOW_UP_DEPTH_THRESHOLD
+    ? [`${analysis.star ? 'Specificity' : 'Technical depth'} scored ${analysis.depth}/100`]
+    : []),
+  ...Object.entries(analysis.star || {})
+    .filter(([, part]) => part.score < STAR_WEAK_THRESHOLD)
+    .map(([name, part]) => `STAR ${name} scored ${part.score}/100`),
+  ...(analysis.redFlags || []).map((flag) => `Red flag: ${flag}`),
+  ...analysis.acceptanceCriteria.filter((c) => !c.met).map((c) => `Unmet criterion: ${c.criterion}`),
+];
+
+// Generate targeted follow-up questions for an answer's weak spots.
+// Returns [] when the answer has none; throws LLMParseError if the reply isn't valid JSON.
+const generateFollowUps = async ({ question, questionCategory, userResponse, projectName, analysis }) => {
+  const weakSpots = findWeakSpots(analysis);
+  if (weakSpots.length === 0) {
+    return [];
+  }
+  const count = Math.min(weakSpots.length, MAX_FOLLOW_UPS);
+
+  const systemPrompt = `You are a technical interviewer in a live mock interview. The candidate just gave an answer with weak spots. Ask short, pointed follow-up questions that probe exactly those weak spots, the way a real interviewer would push back. Each follow-up must make sense on its own when read aloud, and must not repeat the original question.
+
+Return a JSON object with this structure:
+{
+  "followUps": [
+    { "text": "<the follow-up question>", "targets": "<which weak spot it probes>" }
+  ]
+}`;
+
+  const userPrompt = `**Project:** ${projectName || 'Technical Project'}
+**Question Category:** ${questionCategory}
+**Original Question:** ${question}
+**Candidate Response:** ${userResponse}
+
+**Weak spots:**
+${weakSpots.map((spot) => `- ${spot}`).join('\n')}
+
+Write ${count} follow-up question${count === 1 ? '' : 's'}.`;
+
+  const generated = await chatJSON({
+    task: 'practice-follow-up',
+    messages: [
+      { role: 'system', content: systemPrompt },
+      { role: 'user', content: userPrompt },
+    ],
+    temperature: 0.7,
+    maxTokens: 500,
+  });
+
+  return (Array.isArray(generated.followUps) ? generated.followUps : [])
+    .filter((f) => f && typeof f.text === 'string' && f.text.trim())
+    .slice(0, count)
+    .map((f) => ({ text: f.text.trim(), targets: typeof f.targets === 'string' ? f.targets : '' }));
+};
+
+// Insert follow-ups right after the question they probe. The session row is locked and
+// re-read so answers submitted side by side neither reuse ids nor drop each other's
+// follow-ups. Returns the inserted questions, none if the question was probed meanwhile.
+const insertFollowUps = async (sessionId, question, generated) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await client.query(
+      'SELECT questions FROM practice_sessions WHERE id = $1 FOR UPDATE',
+      [sessionId]
+    );
+    const questions = [...(result.rows[0]?.questions || [])];
+    if (generated.length === 0 || questions.some((q) => q.parentId === question.id)) {
+      await client.query('ROLLBACK');
+      return [];
+    }
+
+    let nextId = Math.max(...questions.map((q) => q.id)) + 1;
+    const followUps = generated.map((followUp) => ({
+      id: nextId++,
+      text: followUp.text,
+      category: question.category,
+      difficulty: question.difficulty,
+      isFollowUp: true,
+      parentId: question.id,
+      targets: followUp.targets,
+    }));
+    const position = questions.findIndex((q) => q.id === question.id) + 1;
+    questions.splice(position, 0, ...followUps);
+    await client.query(
+      'UPDATE practice_sessions SET questions = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+      [JSON.stringify(questions), sessionId]
+    );
+    await client.query('COMMIT');
+    return followUps;
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// How the tests went, for the reviewer. Hidden tests fail without revealing their input.
+const describeTestResults = (problem, results) => results.map((result, index) => {
+  const test = problem.tests[index];
+  const name = test.hidden ? `Hidden test ${index + 1}` : `Test ${index + 1}`;
+  if (result.passed) return `- ${name}: passed`;
+  const outcome = result.timedOut ? 'timed out' : result.error ? `threw ${result.error}` : `returned ${result.actual ?? 'undefined'}`;
+  return test.hidden
+    ? `- ${name}: failed (${outcome})`
+    : `- ${name}: failed for input ${JSON.stringify(test.input)}, expected ${JSON.stringify(test.expected)} but ${outcome}`;
+}).join('\n');
+
+// Review a coding attempt for complexity and style. Throws LLMParseError if the reply isn't valid JSON.
+const reviewCode = async (userId, { problem, code, results }) => {
+  const preferences = await getUserPreferences(userId);
+
+  const systemPrompt = `You are a senior engineer reviewing a candidate's solution in a live coding interview. The tests have already been run, so do not re-check correctness by hand. Focus on:
+1. **Complexity**: The time and space complexity in Big-O, and whether a better bound is possible for this problem.
+2. **Style**: Naming, structure, readability, idiomatic JavaScript and handling of edge cases.
+
+Return a JSON object with this structure:
+{
+  "score": <0-100 overall, counting test results, complexity and style>,
+  "timeComplexity": "<Big-O, e.g. O(n log n)>",
+  "spaceComplexity": "<Big-O>",
+  "complexityFeedback": "<one to three sentences>",
+  "styleFeedback": "<one to three sentences>",
+  "feedback": "<overall feedback text>",
+  "strengths": ["strength1", "strength2"],
+  "improvements": ["improvement1", "improvement2"]
+}
+
+${preferencesPrompt(preferences)}
+Write the feedback, strengths and improvements in that tone and at that depth. The score and complexity must stay objective whatever the tone.`;
+
+  const passed = results.filter((r) => r.passed).length;
+  const userPrompt = `Review this solution:
+
+**Problem:** ${problem.title}: ${problem.statement}
+**Tests:** Passed ${passed} of ${results.length}
+${describeTestResults(problem, results)}
+
+**Code:**
+\`\`\`javascript
+${code}
+\`\`\`
+
+Give the complexity of the code as written, not of the ideal solution.`;
+
+  const review = await chatJSON({
+    task: 'practice-code-review',
+    messages: [
+      { role: 'system', content: systemPrompt },
+      { role: 'user', content: userPrompt },
+    ],
+    temperature: 0.5,
+    maxTokens: 1500,
+  });
+
+  return {
+    score: Math.max(0, Math.min(100, Math.round(Number(review.score)) || 0)),
+    timeComplexity: typeof review.timeComplexity === 'string' ? review.timeComplexity : null,
+    spaceComplexity: typeof review.spaceComplexity === 'string' ? review.spaceComplexity : null,
+    complexityFeedback: review.complexityFeedback || '',
+    styleFeedback: review.styleFeedback || '',
+    feedback: review.feedback || '',
+    strengths: Array.isArray(review.strengths) ? review.strengths : [],
+    improvements: Array.isArray(review.improvements) ? review.improvements : [],
+  };
+};
+
+// Analyze a single interview response without recording it
+router.post('/analyze-response', async (req, res) => {
+  try {
+    const userId = req.userId;
+    const data = analyzeResponseSchema.parse(req.body);
+
+    if (!data.userResponse || data.userResponse.trim().length === 0) {
+      return res.status(400).json({ error: 'User response is required' });
+    }
+
+    const analysis = await analyzeAnswer(userId, data);
+
+    if (data.includeFollowUps) {
+      try {
+        analysis.followUps = await generateFollowUps({ ...data, analysis });
+      } catch (followUpError) {
+        console.error('Generate follow-ups error:', followUpError.raw || followUpError);
+        analysis.followUps = [];
+      }
     }
 
     res.json(analysis);
@@ -146,6 +705,10 @@ Set canProceed to true only if at least 3 out of 5 criteria are met AND the scor
     if (error.name === 'ZodError') {
       return res.status(400).json({ error: 'Invalid input', details: error.errors });
     }
+    if (error instanceof LLMParseError) {
+      console.error('Failed to parse AI response:', error.raw);
+      return res.status(500).json({ error: 'Failed to parse AI analysis' });
+    }
     
     console.error('Analyze response error:', error);
     
@@ -161,6 +724,513 @@ Set canProceed to true only if at least 3 out of 5 criteria are met AND the scor
   }
 });
 
+// Generate questions tailored to one project. Throws LLMParseError if the reply isn't valid JSON.
+const generateProjectQuestions = async ({ project, count, difficulty, categories }) => {
+  const milestonesResult = await pool.query(
+    'SELECT title, completed FROM milestones WHERE project_id = $1 ORDER BY created_at',
+    [project.id]
+  );
+
+  const focusCategories = categories.length > 0 ? categories : QUESTION_CATEGORIES;
+
+  const systemPrompt = `You are an experienced technical interviewer preparing questions about a candidate's own project. Write questions that can only be answered by someone who built this specific project: refer to its features, tech stack and milestones rather than asking generic questions.
+
+Return a JSON object with this structure:
+{
+  "questions": [
+    {
+      "text": "<the question, as you would ask it out loud>",
+      "category": "<one of: ${focusCategories.join(', ')}>",
+      "difficulty": "<easy|medium|hard>"
+    }
+  ]
+}
+
+Difficulty guide:
+- easy: describe what was built and how it fits together
+- medium: explain a decision, a trade-off or how a problem was debugged
+- hard: defend the design under new constraints (scale, failure, security) or compare it with alternatives`;
+
+  const milestones = milestonesResult.rows.length > 0
+    ? milestonesResult.rows.map((m) => `[${m.completed ? 'done' : 'todo'}] ${m.title}`).join('; ')
+    : 'None';
+
+  const userPrompt = `Project:
+- Name: ${project.name}
+- Description: ${project.description || 'No description'}
+- Tech Stack: ${(project.tech_stack || []).join(', ') || 'Not specified'}
+- Milestones: ${milestones}
+
+Question count: ${count}
+Difficulty: ${difficulty === 'mixed' ? 'mixed (spread questions across easy, medium and hard)' : difficulty}
+Categories: ${focusCategories.join(', ')}
+
+Write exactly ${count} questions, spread across the categories.`;
+
+  const generated = await chatJSON({
+    task: 'practice-questions',
+    messages: [
+      { role: 'system', content: systemPrompt },
+      { role: 'user', content: userPrompt },
+    ],
+    temperature: 0.8,
+    maxTokens: 1500,
+  });
+
+  // Keep well-formed questions only and pin category/difficulty to what was asked for
+  return (Array.isArray(generated.questions) ? generated.questions : [])
+    .filter((q) => q && typeof q.text === 'string' && q.text.trim())
+    .slice(0, count)
+    .map((q, index) => ({
+      id: index + 1,
+      text: q.text.trim(),
+      category: focusCategories.includes(q.category) ? q.category : focusCategories[index % focusCategories.length],
+      difficulty: difficulty !== 'mixed'
+        ? difficulty
+        : QUESTION_DIFFICULTIES.includes(q.difficulty) ? q.difficulty : 'medium',
+    }));
+};
+
+// Generate a question set for one of the user's projects
+router.post('/question-sets', async (req, res) => {
+  try {
+    const userId = req.userId;
+    const { projectId, track, count, difficulty, categories } = generateQuestionsSchema.parse(req.body);
+
+    const projectResult = await pool.query(
+      'SELECT * FROM projects WHERE id = $1 AND user_id = $2',
+      [projectId, userId]
+    );
+    if (projectResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+    const project = projectResult.rows[0];
+
+    let questions;
+    if (track === 'behavioral') {
+      // Behavioral questions come from the bank; the project is context for the answers
+      questions = pickBehavioralQuestions({ count, difficulty, categories });
+    } else {
+      try {
+        questions = await generateProjectQuestions({ project, count, difficulty, categories });
+      } catch (parseError) {
+        if (!(parseError instanceof LLMParseError)) throw parseError;
+        console.error('Failed to parse AI response:', parseError.raw);
+        return res.status(500).json({ error: 'Failed to parse generated questions' });
+      }
+    }
+
+    if (questions.length === 0) {
+      return res.status(500).json({ error: 'Failed to generate questions' });
+    }
+
+    const result = await pool.query(
+      `INSERT INTO practice_question_sets (user_id, project_id, project_name, track, difficulty, categories, questions)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING *`,
+      [userId, projectId, project.name, track, difficulty, categories, JSON.stringify(questions)]
+    );
+
+    res.status(201).json({ questionSet: formatQuestionSet(result.rows[0]) });
+  } catch (error) {
+    if (error.name === 'ZodError') {
+      return res.status(400).json({ error: 'Invalid input', details: error.errors });
+    }
+
+    console.error('Generate question set error:', error);
+
+    if (error.message?.includes('OPENAI_API_KEY')) {
+      return res.status(503).json({ 
+        error: 'OpenAI API is not configured. Please set OPENAI_API_KEY in your environment variables.' 
+      });
+    }
+
+    res.status(500).json({ error: 'Failed to generate questions' });
+  }
+});
+
+// List saved question sets, optionally for one project
+router.get('/question-sets', async (req, res) => {
+  try {
+    const userId = req.userId;
+    const projectId = req.query.projectId ? parseInt(req.query.projectId) : null;
+
+    const result = await pool.query(
+      `SELECT * FROM practice_question_sets 
+       WHERE user_id = $1 AND ($2::int IS NULL OR project_id = $2)
+       ORDER BY created_at DESC 
+       LIMIT 20`,
+      [userId, projectId]
+    );
+
+    res.json({ questionSets: result.rows.map(formatQuestionSet) });
+  } catch (error) {
+    console.error('Get question sets error:', error);
+    res.status(500).json({ error: 'Failed to fetch question sets' });
+  }
+});
+
+// Get a saved question set to replay it
+router.get('/question-sets/:id', async (req, res) => {
+  try {
+    const userId = req.userId;
+    const setId = parseInt(req.params.id);
+
+    const result = await pool.query(
+      'SELECT * FROM practice_question_sets WHERE id = $1 AND user_id = $2',
+      [setId, userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Question set not found' });
+    }
+
+    res.json({ questionSet: formatQuestionSet(result.rows[0]) });
+  } catch (error) {
+    console.error('Get question set error:', error);
+    res.status(500).json({ error: 'Failed to fetch question set' });
+  }
+});
+
+// Start a session from a saved question set
+router.post('/sessions', async (req, res) => {
+  try {
+    const userId = req.userId;
+    const { questionSetId, timeLimitSeconds } = startSessionSchema.parse(req.body);
+
+    const setResult = await pool.query(
+      'SELECT * FROM practice_question_sets WHERE id = $1 AND user_id = $2',
+      [questionSetId, userId]
+    );
+    if (setResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Question set not found' });
+    }
+    const questionSet = setResult.rows[0];
+
+    const result = await pool.query(
+      `INSERT INTO practice_sessions (user_id, project_id, question_set_id, project_name, track, questions, status, time_limit_seconds)
+       VALUES ($1, $2, $3, $4, $5, $6, 'active', $7)
+       RETURNING id`,
+      [
+        userId,
+        questionSet.project_id,
+        questionSet.id,
+        questionSet.project_name,
+        questionSet.track,
+        JSON.stringify(questionSet.questions),
+        timeLimitSeconds || null,
+      ]
+    );
+
+    const session = await loadSession(userId, result.rows[0].id);
+    res.status(201).json({ session });
+  } catch (error) {
+    if (error.name === 'ZodError') {
+      return res.status(400).json({ error: 'Invalid input', details: error.errors });
+    }
+    console.error('Start practice session error:', error);
+    res.status(500).json({ error: 'Failed to start practice session' });
+  }
+});
+
+// Analyze and record an answer to one of the session's questions
+router.post('/sessions/:id/answers', async (req, res) => {
+  try {
+    const userId = req.userId;
+    const sessionId = parseInt(req.params.id);
+    const {
+      questionId,
+      userResponse,
+      allowFollowUps,
+      recordingId,
+      timing,
+      timeUsedSeconds,
+      timedOut,
+    } = submitAnswerSchema.parse(req.body);
+
+    const sessionResult = await pool.query(
+      'SELECT * FROM practice_sessions WHERE id = $1 AND user_id = $2',
+      [sessionId, userId]
+    );
+    if (sessionResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Practice session not found' });
+    }
+    const session = sessionResult.rows[0];
+    if (session.status !== 'active') {
+      return res.status(409).json({ error: 'Practice session is already finished' });
+    }
+
+    const question = (session.questions || []).find((q) => q.id === questionId);
+    if (!question) {
+      return res.status(404).json({ error: 'Question not found in this session' });
+    }
+
+    // A recording's own duration and segments beat browser timings
+    let delivery = computeDeliveryMetrics({ transcript: userResponse, ...timing });
+    if (recordingId) {
+      const recordingResult = await pool.query(
+        'SELECT duration_seconds, segments FROM practice_recordings WHERE id = $1 AND user_id = $2',
+        [recordingId, userId]
+      );
+      if (recordingResult.rows.length === 0) {
+        return res.status(404).json({ error: 'Recording not found' });
+      }
+      const recording = recordingResult.rows[0];
+      delivery = computeDeliveryMetrics({
+        transcript: userResponse,
+        durationSeconds: recording.duration_seconds,
+        segments: recording.segments,
+      });
+    }
+
+    const analyze = session.track === 'behavioral' ? analyzeStarAnswer : analyzeAnswer;
+    const analysis = await analyze(userId, {
+      question: question.text,
+      questionCategory: question.category,
+      userResponse,
+      projectName: session.project_name,
+      timing: session.time_limit_seconds && timeUsedSeconds !== undefined
+        ? { timeUsedSeconds, timeLimitSeconds: session.time_limit_seconds, timedOut }
+        : undefined,
+    });
+
+    const result = await pool.query(
+      `INSERT INTO practice_answers (
+         session_id, user_id, question_id, question, category, difficulty, response,
+         score, clarity, depth, feedback, red_flags, hire_readiness,
+         strengths, improvements, acceptance_criteria, can_proceed, recording_id, delivery,
+         time_used_seconds, timed_out, pacing_feedback, star_scores, polished_story
+       )
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, $23, $24)
+       RETURNING *`,
+      [
+        sessionId,
+        userId,
+        question.id,
+        question.text,
+        question.category,
+        question.difficulty || null,
+        userResponse,
+        Math.round(analysis.score) || 0,
+        Math.round(analysis.clarity) || 0,
+        Math.round(analysis.depth) || 0,
+        analysis.feedback || '',
+        JSON.stringify(analysis.redFlags || []),
+        analysis.hireReadiness || 'getting-there',
+        JSON.stringify(analysis.strengths || []),
+        JSON.stringify(analysis.improvements || []),
+        JSON.stringify(analysis.acceptanceCriteria),
+        analysis.canProceed === true,
+        recordingId || null,
+        JSON.stringify(delivery),
+        timeUsedSeconds !== undefined ? Math.round(timeUsedSeconds) : null,
+        timedOut,
+        analysis.pacingFeedback || null,
+        analysis.star ? JSON.stringify(analysis.star) : null,
+        analysis.polishedStory ? JSON.stringify(analysis.polishedStory) : null,
+      ]
+    );
+
+    await refreshSessionScore(sessionId);
+
+    // Probe weak spots once per question; follow-ups don't get follow-ups of their own
+    let followUps = [];
+    const alreadyProbed = session.questions.some((q) => q.parentId === question.id);
+    if (allowFollowUps && !question.isFollowUp && !alreadyProbed) {
+      try {
+        const generated = await generateFollowUps({
+          question: question.text,
+          questionCategory: question.category,
+          userResponse,
+          projectName: session.project_name,
+          analysis,
+        });
+
+        followUps = await insertFollowUps(sessionId, question, generated);
+      } catch (followUpError) {
+        // The answer is already saved; carry on without follow-ups
+        console.error('Generate follow-ups error:', followUpError.raw || followUpError);
+        followUps = [];
+      }
+    }
+
+    res.status(201).json({ answer: formatAnswer(result.rows[0]), followUps });
+  } catch (error) {
+    if (error.name === 'ZodError') {
+      return res.status(400).json({ error: 'Invalid input', details: error.errors });
+    }
+    if (error instanceof LLMParseError) {
+      console.error('Failed to parse AI response:', error.raw);
+      return res.status(500).json({ error: 'Failed to parse AI analysis' });
+    }
+
+    console.error('Submit practice answer error:', error);
+
+    if (error.message?.includes('OPENAI_API_KEY')) {
+      return res.status(503).json({ 
+        error: 'OpenAI API is not configured. Please set OPENAI_API_KEY in your environment variables.' 
+      });
+    }
+
+    res.status(500).json({ error: 'Failed to analyze response' });
+  }
+});
+
+// Finish a session; finishing twice is a no-op
+router.post('/sessions/:id/finish', async (req, res) => {
+  try {
+    const userId = req.userId;
+    const sessionId = parseInt(req.params.id);
+
+    const result = await pool.query(
+      `UPDATE practice_sessions 
+       SET status = 'completed',
+           finished_at = COALESCE(finished_at, CURRENT_TIMESTAMP),
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND user_id = $2
+       RETURNING id`,
+      [sessionId, userId]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Practice session not found' });
+    }
+
+    const session = await loadSession(userId, sessionId);
+    res.json({ session });
+  } catch (error) {
+    console.error('Finish practice session error:', error);
+    res.status(500).json({ error: 'Failed to finish practice session' });
+  }
+});
+
+// Upload a recorded answer and transcribe it. The transcript is returned for the user to
+// review, then submitted as the answer with its recordingId.
+router.post('/recordings', handleAudioUpload, async (req, res) => {
+  const removeUpload = () => {
+    if (req.file) {
+      fs.unlink(req.file.path, () => {});
+    }
+  };
+
+  try {
+    const userId = req.userId;
+
+    if (!req.file) {
+      return res.status(400).json({ error: 'No audio uploaded.' });
+    }
+
+    const { sessionId, questionId, language } = recordingSchema.parse(req.body);
+
+    if (sessionId) {
+      const sessionResult = await pool.query(
+        'SELECT id FROM practice_sessions WHERE id = $1 AND user_id = $2',
+        [sessionId, userId]
+      );
+      if (sessionResult.rows.length === 0) {
+        removeUpload();
+        return res.status(404).json({ error: 'Practice session not found' });
+      }
+    }
+
+    const transcription = await transcribe({
+      filePath: req.file.path,
+      mimeType: baseMimeType(req.file.mimetype),
+      language,
+    });
+
+    const result = await pool.query(
+      `INSERT INTO practice_recordings (
+         user_id, session_id, question_id, file_path, mime_type, size_bytes,
+         duration_seconds, transcript, segments, transcriber
+       )
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+       RETURNING *`,
+      [
+        userId,
+        sessionId || null,
+        questionId || null,
+        req.file.path,
+        baseMimeType(req.file.mimetype),
+        req.file.size,
+        transcription.duration,
+        transcription.text,
+        JSON.stringify(transcription.segments),
+        getTranscriber().name,
+      ]
+    );
+
+    res.status(201).json({ recording: formatRecording(result.rows[0]) });
+  } catch (error) {
+    removeUpload();
+
+    if (error.name === 'ZodError') {
+      return res.status(400).json({ error: 'Invalid input', details: error.errors });
+    }
+
+    console.error('Transcribe recording error:', error);
+
+    if (error.message?.includes('OPENAI_API_KEY')) {
+      return res.status(503).json({ 
+        error: 'OpenAI API is not configured. Please set OPENAI_API_KEY in your environment variables.' 
+      });
+    }
+
+    res.status(500).json({ error: 'Failed to transcribe recording' });
+  }
+});
+
+// Stream a stored recording back for playback
+router.get('/recordings/:id/audio', async (req, res) => {
+  try {
+    const userId = req.userId;
+
+    const result = await pool.query(
+      'SELECT file_path, mime_type FROM practice_recordings WHERE id = $1 AND user_id = $2',
+      [parseInt(req.params.id), userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Recording not found' });
+    }
+
+    res.type(result.rows[0].mime_type || 'application/octet-stream');
+    res.sendFile(result.rows[0].file_path, (sendError) => {
+      if (!sendError) return;
+      // A missing clip is a 404; anything after the headers went out just ends the response
+      if (res.headersSent) {
+        console.error('Send recording audio error:', sendError);
+        return;
+      }
+      res.status(404).json({ error: 'Recording not found' });
+    });
+  } catch (error) {
+    console.error('Get recording audio error:', error);
+    res.status(500).json({ error: 'Failed to fetch recording' });
+  }
+});
+
+// Delete a recording and its audio. Answers submitted with it keep their transcript.
+router.delete('/recordings/:id', async (req, res) => {
+  try {
+    const userId = req.userId;
+
+    const result = await pool.query(
+      'DELETE FROM practice_recordings WHERE id = $1 AND user_id = $2 RETURNING file_path',
+      [parseInt(req.params.id), userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Recording not found' });
+    }
+
+    removeAudioFiles(result.rows.map((row) => row.file_path));
+    res.json({ message: 'Recording deleted successfully' });
+  } catch (error) {
+    console.error('Delete recording error:', error);
+    res.status(500).json({ error: 'Failed to delete recording' });
+  }
+});
+
 // Get practice session history
 router.get('/sessions', async (req, res) => {
   try {
@@ -174,18 +1244,227 @@ router.get('/sessions', async (req, res) => {
       [userId]
     );
 
-    const sessions = result.rows.map(row => ({
-      id: row.id,
-      score: row.score,
-      questionsAnswered: row.questions_answered,
-      createdAt: row.created_at,
+    res.json({ sessions: result.rows.map(formatSessionSummary) });
+  } catch (error) {
+    console.error('Get practice sessions error:', error);
+    res.status(500).json({ error: 'Failed to fetch practice sessions' });
+  }
+});
+
+// Average delivery per session, oldest first, so the user can see their speaking trend
+router.get('/delivery-trends', async (req, res) => {
+  try {
+    const userId = req.userId;
+
+    const result = await pool.query(
+      `SELECT * FROM (
+         SELECT s.id, s.project_name, s.created_at,
+                COUNT(*) AS answers,
+                ROUND(AVG((a.delivery->>'wordsPerMinute')::numeric)) AS words_per_minute,
+                ROUND(AVG((a.delivery->>'fillersPer100Words')::numeric), 1) AS fillers_per_100_words,
+                ROUND(AVG((a.delivery->'longPauses'->>'count')::numeric), 1) AS long_pauses,
+                ROUND(100.0 * COUNT(*) FILTER (WHERE a.delivery->'length'->>'status' = 'within') / COUNT(*)) AS within_target
+         FROM practice_answers a
+         JOIN practice_sessions s ON s.id = a.session_id
+         WHERE a.user_id = $1 AND a.delivery IS NOT NULL
+         GROUP BY s.id
+         ORDER BY s.created_at DESC
+         LIMIT 10
+       ) recent
+       ORDER BY created_at`,
+      [userId]
+    );
+
+    // pg returns NUMERIC as strings
+    const toNumber = (value) => (value === null ? null : Number(value));
+    const trends = result.rows.map((row) => ({
+      sessionId: row.id,
+      projectName: row.project_name,
       date: new Date(row.created_at).toLocaleDateString(),
+      answers: Number(row.answers),
+      wordsPerMinute: toNumber(row.words_per_minute),
+      fillersPer100Words: toNumber(row.fillers_per_100_words),
+      longPauses: toNumber(row.long_pauses),
+      withinTargetPercent: toNumber(row.within_target),
     }));
 
-    res.json({ sessions });
+    res.json({ trends });
   } catch (error) {
-    console.error('Get practice sessions error:', error);
-    res.status(500).json({ error: 'Failed to fetch practice sessions' });
+    console.error('Get delivery trends error:', error);
+    res.status(500).json({ error: 'Failed to fetch delivery trends' });
+  }
+});
+
+// Get one session with every question's latest answer, for review
+router.get('/sessions/:id', async (req, res) => {
+  try {
+    const userId = req.userId;
+    const session = await loadSession(userId, parseInt(req.params.id));
+
+    if (!session) {
+      return res.status(404).json({ error: 'Practice session not found' });
+    }
+
+    res.json({ session });
+  } catch (error) {
+    console.error('Get practice session error:', error);
+    res.status(500).json({ error: 'Failed to fetch practice session' });
+  }
+});
+
+// Delete a practice session with its answers, recordings and their audio
+router.delete('/sessions/:id', async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const userId = req.userId;
+    const sessionId = parseInt(req.params.id);
+
+    await client.query('BEGIN');
+    // Recordings would cascade with the session; delete them first to learn their files
+    const recordings = await client.query(
+      'DELETE FROM practice_recordings WHERE session_id = $1 AND user_id = $2 RETURNING file_path',
+      [sessionId, userId]
+    );
+    const result = await client.query(
+      'DELETE FROM practice_sessions WHERE id = $1 AND user_id = $2 RETURNING id',
+      [sessionId, userId]
+    );
+
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Practice session not found' });
+    }
+    await client.query('COMMIT');
+
+    removeAudioFiles(recordings.rows.map((row) => row.file_path));
+    res.json({ message: 'Practice session deleted successfully' });
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    console.error('Delete practice session error:', error);
+    res.status(500).json({ error: 'Failed to delete practice session' });
+  } finally {
+    client.release();
+  }
+});
+
+// List coding problems with the user's attempts and pass rate for each
+router.get('/coding-problems', async (req, res) => {
+  try {
+    const userId = req.userId;
+    const stats = await loadCodingStats(userId);
+
+    const problems = listCodingProblems().map((problem) => ({
+      id: problem.id,
+      title: problem.title,
+      difficulty: problem.difficulty,
+      topic: problem.topic,
+      tests: problem.tests.length,
+      stats: stats.get(problem.id) || formatCodingStats(null),
+    }));
+
+    res.json({ problems });
+  } catch (error) {
+    console.error('Get coding problems error:', error);
+    res.status(500).json({ error: 'Failed to fetch coding problems' });
+  }
+});
+
+// Get one problem with its starter code and every test the browser needs to run
+router.get('/coding-problems/:id', async (req, res) => {
+  const problem = findCodingProblem(req.params.id);
+  if (!problem) {
+    return res.status(404).json({ error: 'Coding problem not found' });
+  }
+
+  res.json({
+    problem: {
+      ...problem,
+      tests: problem.tests.map((test) => ({ ...test, hidden: test.hidden === true })),
+    },
+  });
+});
+
+// Store an attempt with its test results and get an AI review of the code.
+// The attempt is kept even if the review fails, so pass rates stay accurate.
+router.post('/coding-problems/:id/attempts', async (req, res) => {
+  try {
+    const userId = req.userId;
+    const data = codingAttemptSchema.parse(req.body);
+
+    const problem = findCodingProblem(req.params.id);
+    if (!problem) {
+      return res.status(404).json({ error: 'Coding problem not found' });
+    }
+    if (data.results.length !== problem.tests.length) {
+      return res.status(400).json({ error: `Expected results for all ${problem.tests.length} tests` });
+    }
+
+    let review = null;
+    try {
+      review = await reviewCode(userId, { problem, ...data });
+    } catch (reviewError) {
+      console.error('Review code error:', reviewError.raw || reviewError);
+    }
+
+    const passed = data.results.filter((r) => r.passed).length;
+    const result = await pool.query(
+      `INSERT INTO coding_attempts (
+        user_id, problem_id, code, passed, total, all_passed, results,
+        score, time_complexity, space_complexity, complexity_feedback, style_feedback,
+        feedback, strengths, improvements
+      )
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+       RETURNING *`,
+      [
+        userId,
+        problem.id,
+        data.code,
+        passed,
+        problem.tests.length,
+        passed === problem.tests.length,
+        JSON.stringify(data.results),
+        review?.score ?? null,
+        review?.timeComplexity ?? null,
+        review?.spaceComplexity ?? null,
+        review?.complexityFeedback ?? null,
+        review?.styleFeedback ?? null,
+        review?.feedback ?? null,
+        JSON.stringify(review?.strengths || []),
+        JSON.stringify(review?.improvements || []),
+      ]
+    );
+
+    const stats = await loadCodingStats(userId, problem.id);
+    res.status(201).json({
+      attempt: formatCodingAttempt(result.rows[0]),
+      stats: stats.get(problem.id),
+    });
+  } catch (error) {
+    if (error.name === 'ZodError') {
+      return res.status(400).json({ error: 'Invalid input', details: error.errors });
+    }
+    console.error('Submit coding attempt error:', error);
+    res.status(500).json({ error: 'Failed to save coding attempt' });
+  }
+});
+
+// Past attempts at one problem, newest first
+router.get('/coding-problems/:id/attempts', async (req, res) => {
+  try {
+    const userId = req.userId;
+
+    const result = await pool.query(
+      `SELECT * FROM coding_attempts
+       WHERE user_id = $1 AND problem_id = $2
+       ORDER BY created_at DESC
+       LIMIT 20`,
+      [userId, req.params.id]
+    );
+
+    res.json({ attempts: result.rows.map(formatCodingAttempt) });
+  } catch (error) {
+    console.error('Get coding attempts error:', error);
+    res.status(500).json({ error: 'Failed to fetch coding attempts' });
   }
 });
 
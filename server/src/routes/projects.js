@@ -1,6 +1,7 @@
 import express from 'express';
 import { pool } from '../db/connection.js';
 import { z } from 'zod';
+import { chatJSON, LLMParseError } from '../llm/index.js';
 
 const router = express.Router();
 
@@ -59,7 +60,9 @@ router.get('/:id', async (req, res) => {
     const projectId = parseInt(req.params.id);
 
     const projectResult = await pool.query(
-      'SELECT * FROM projects WHERE id = $1 AND user_id = $2',
+      `SELECT id, name, description, tech_stack, progress, status, created_at, updated_at
+       FROM projects
+       WHERE id = $1 AND user_id = $2`,
       [projectId, userId]
     );
 
@@ -218,7 +221,9 @@ router.post('/:id/milestones', async (req, res) => {
     }
 
     const result = await pool.query(
-      'INSERT INTO milestones (project_id, title, completed) VALUES ($1, $2, $3) RETURNING *',
+      `INSERT INTO milestones (project_id, title, completed)
+       VALUES ($1, $2, $3)
+       RETURNING id, project_id, title, completed, created_at`,
       [projectId, data.title, data.completed || false]
     );
 
@@ -251,7 +256,9 @@ router.put('/:id/milestones/:milestoneId', async (req, res) => {
     }
 
     const result = await pool.query(
-      'UPDATE milestones SET completed = $1 WHERE id = $2 AND project_id = $3 RETURNING *',
+      `UPDATE milestones SET completed = $1
+       WHERE id = $2 AND project_id = $3
+       RETURNING id, project_id, title, completed, created_at`,
       [completed, milestoneId, projectId]
     );
 
@@ -302,15 +309,6 @@ router.get('/:id/recommendations', async (req, res) => {
 
     const userSkills = skillsResult.rows;
     
-    // Import OpenAI
-    const OpenAI = (await import('openai')).default;
-    const openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY,
-    });
-
-    // Use fixed model - gpt-4o-mini (configurable via env var if needed)
-    const model = process.env.OPENAI_MODEL || 'gpt-4o-mini';
-
     const projectTechStack = project.tech_stack || [];
     const completionRate = project.milestone_count > 0 
       ? (project.completed_milestones / project.milestone_count) * 100 
@@ -350,24 +348,22 @@ Format your response as a JSON object with these keys:
 
 Be specific, actionable, and focus on what would make this project demonstrate senior-level thinking.`;
 
-    const completion = await openai.chat.completions.create({
-      model: model,
-      messages: [
-        {
-          role: 'system',
-          content: 'You are an expert engineering mentor. Provide structured, actionable advice in JSON format.',
-        },
-        { role: 'user', content: prompt },
-      ],
-      temperature: 0.7,
-      max_tokens: 1500,
-      response_format: { type: 'json_object' },
-    });
-
     let recommendations;
     try {
-      recommendations = JSON.parse(completion.choices[0].message.content);
+      recommendations = await chatJSON({
+        task: 'project-recommendations',
+        messages: [
+          {
+            role: 'system',
+            content: 'You are an expert engineering mentor. Provide structured, actionable advice in JSON format.',
+          },
+          { role: 'user', content: prompt },
+        ],
+        temperature: 0.7,
+        maxTokens: 1500,
+      });
     } catch (parseError) {
+      if (!(parseError instanceof LLMParseError)) throw parseError;
       // Fallback if JSON parsing fails
       recommendations = {
         technicalImprovements: ['Review the project structure and add proper error handling'],
@@ -0,0 +1,369 @@
+import express from 'express';
+import { pool } from '../db/connection.js';
+import { z } from 'zod';
+import { chatJSON, LLMParseError } from '../llm/index.js';
+import { getUserPreferences, preferencesPrompt } from '../mentor/preferences.js';
+import { applyQuizScore, PASS_SCORE } from '../learning/skills.js';
+
+const router = express.Router();
+
+const generateQuizSchema = z.object({
+  conceptId: z.number().int().positive(),
+});
+
+const submitQuizSchema = z.object({
+  answers: z.array(z.object({
+    questionId: z.string().min(1),
+    choiceIndex: z.number().int().min(0).optional(),
+    text: z.string().max(2000).optional(),
+  })),
+});
+
+const MIN_MCQ = 2;
+const MAX_QUESTIONS = 8;
+
+// Questions as the quiz taker sees them: no answer key
+const publicQuestion = (question) => (question.type === 'mcq'
+  ? { id: question.id, type: 'mcq', prompt: question.prompt, choices: question.choices }
+  : { id: question.id, type: 'short', prompt: question.prompt });
+
+const formatQuiz = (row) => ({
+  id: row.id,
+  conceptId: row.concept_id,
+  questions: row.questions.map(publicQuestion),
+  attemptCount: parseInt(row.attempt_count) || 0,
+  bestScore: row.best_score ?? null,
+  createdAt: row.created_at,
+});
+
+const formatAttempt = (row) => ({
+  id: row.id,
+  quizId: row.quiz_id,
+  score: row.score,
+  results: row.results,
+  skill: row.skill_name
+    ? { id: row.skill_id, name: row.skill_name, previousLevel: row.skill_previous_level, level: row.skill_level }
+    : null,
+  createdAt: row.created_at,
+});
+
+// Keep well-formed questions only and give them stable IDs
+const normalizeQuestions = (questions) => (Array.isArray(questions) ? questions : [])
+  .filter((question) => typeof question?.prompt === 'string' && question.prompt.trim())
+  .map((question) => {
+    if (question.type === 'mcq') {
+      const choices = Array.isArray(question.choices) ? question.choices.filter((c) => typeof c === 'string' && c.trim()) : [];
+      const correctIndex = Number(question.correctIndex);
+      if (choices.length < 2 || !Number.isInteger(correctIndex) || correctIndex < 0 || correctIndex >= choices.length) {
+        return null;
+      }
+      return { type: 'mcq', prompt: question.prompt.trim(), choices, correctIndex, explanation: question.explanation || '' };
+    }
+    if (question.type === 'short' && typeof question.referenceAnswer === 'string' && question.referenceAnswer.trim()) {
+      return { type: 'short', prompt: question.prompt.trim(), referenceAnswer: question.referenceAnswer.trim() };
+    }
+    return null;
+  })
+  .filter(Boolean)
+  .slice(0, MAX_QUESTIONS)
+  .map((question, index) => ({ id: `q${index + 1}`, ...question }));
+
+const conceptSummary = (concept) => `**Concept:** ${concept.title}
+**Category:** ${concept.category}
+**Description:** ${concept.description}
+**Problem it solves:** ${concept.problem_it_solves}
+**How it works:** ${concept.how_it_works}
+**Key points:**
+${(concept.key_points || []).map((point) => `- ${point}`).join('\n') || '- (none)'}
+**Common junior mistakes:**
+${(concept.common_junior_mistakes || []).map((mistake) => `- ${mistake}`).join('\n') || '- (none)'}`;
+
+const generateQuestions = async (concept) => {
+  const systemPrompt = `You write short quizzes that check whether a software engineer understood a concept they just read about. Test understanding and judgment, not trivia or exact wording.
+
+Return a JSON object with this structure:
+{
+  "questions": [
+    { "type": "mcq", "prompt": "<question>", "choices": ["<choice>", "<choice>", "<choice>", "<choice>"], "correctIndex": <0-based index of the right choice>, "explanation": "<why it is right>" },
+    { "type": "short", "prompt": "<question answered in 1-3 sentences>", "referenceAnswer": "<what a good answer says>" }
+  ]
+}
+
+Write 4 multiple-choice questions with exactly one correct choice and plausible wrong choices (the common mistakes make good ones), then 2 short-answer questions about when to use the concept and why.`;
+
+  const response = await chatJSON({
+    task: 'quiz-generate',
+    messages: [
+      { role: 'system', content: systemPrompt },
+      { role: 'user', content: `Write a quiz for this concept:\n\n${conceptSummary(concept)}` },
+    ],
+    temperature: 0.6,
+    maxTokens: 2500,
+  });
+
+  return normalizeQuestions(response.questions);
+};
+
+// Short answers are graded against the reference answer; returns { [questionId]: { score, feedback } }
+const gradeShortAnswers = async (userId, concept, items) => {
+  if (items.length === 0) return {};
+
+  const preferences = await getUserPreferences(userId);
+
+  const systemPrompt = `You grade short answers to a quiz about a software engineering concept. Compare each answer with the reference answer: give credit for the same ideas in different words, partial credit for incomplete answers, and 0 for blank or wrong answers.
+
+Return a JSON object with this structure:
+{
+  "grades": [
+    { "questionId": "<id>", "score": <0-100>, "feedback": "<one or two sentences on what was right or missing>" }
+  ]
+}
+
+${preferencesPrompt(preferences)}
+Write the feedback in that tone and at that depth. The scores must stay objective whatever the tone.`;
+
+  const userPrompt = `**Concept:** ${concept.title}
+
+${items.map(({ question, answer }) => `**Question ${question.id}:** ${question.prompt}
+**Reference answer:** ${question.referenceAnswer}
+**Answer:** ${answer.replace(/\s+/g, ' ')}`).join('\n\n')}`;
+
+  const response = await chatJSON({
+    task: 'quiz-grade',
+    messages: [
+      { role: 'system', content: systemPrompt },
+      { role: 'user', content: userPrompt },
+    ],
+    temperature: 0.3,
+    maxTokens: 1500,
+  });
+
+  const grades = Array.isArray(response.grades) ? response.grades : [];
+  return Object.fromEntries(grades.map((grade) => [grade.questionId, {
+    score: Math.max(0, Math.min(100, Math.round(Number(grade.score)) || 0)),
+    feedback: typeof grade.feedback === 'string' ? grade.feedback : '',
+  }]));
+};
+
+// Multiple choice is graded here; short answers go to the model
+const gradeQuiz = async (userId, concept, questions, answers) => {
+  const answerFor = Object.fromEntries(answers.map((answer) => [answer.questionId, answer]));
+
+  // Blank short answers score 0 without a model call
+  const shortItems = questions
+    .filter((question) => question.type === 'short')
+    .map((question) => ({ question, answer: answerFor[question.id]?.text?.trim() || '' }))
+    .filter(({ answer }) => answer);
+  const shortGrades = await gradeShortAnswers(userId, concept, shortItems);
+
+  const results = questions.map((question) => {
+    const answer = answerFor[question.id];
+    if (question.type === 'mcq') {
+      const choiceIndex = answer?.choiceIndex ?? null;
+      return {
+        questionId: question.id,
+        type: 'mcq',
+        prompt: question.prompt,
+        choices: question.choices,
+        choiceIndex,
+        correctIndex: question.correctIndex,
+        correct: choiceIndex === question.correctIndex,
+        score: choiceIndex === question.correctIndex ? 100 : 0,
+        explanation: question.explanation,
+      };
+    }
+    const text = answer?.text?.trim() || '';
+    const grade = shortGrades[question.id] || { score: 0, feedback: text ? '' : 'No answer given.' };
+    return {
+      questionId: question.id,
+      type: 'short',
+      prompt: question.prompt,
+      answer: text,
+      referenceAnswer: question.referenceAnswer,
+      correct: grade.score >= PASS_SCORE,
+      score: grade.score,
+      feedback: grade.feedback,
+    };
+  });
+
+  const score = Math.round(results.reduce((sum, result) => sum + result.score, 0) / results.length);
+  return { score, results };
+};
+
+// List quizzes for a concept, newest first, with attempt counts and best scores
+router.get('/', async (req, res) => {
+  try {
+    const userId = req.userId;
+    const conceptId = parseInt(req.query.conceptId);
+    if (!conceptId) {
+      return res.status(400).json({ error: 'conceptId is required' });
+    }
+
+    const result = await pool.query(
+      `SELECT q.*, COUNT(a.id) AS attempt_count, MAX(a.score) AS best_score
+       FROM concept_quizzes q
+       LEFT JOIN quiz_attempts a ON a.quiz_id = q.id
+       WHERE q.user_id = $1 AND q.concept_id = $2
+       GROUP BY q.id
+       ORDER BY q.created_at DESC, q.id DESC`,
+      [userId, conceptId]
+    );
+
+    res.json({ quizzes: result.rows.map(formatQuiz) });
+  } catch (error) {
+    console.error('Get quizzes error:', error);
+    res.status(500).json({ error: 'Failed to fetch quizzes' });
+  }
+});
+
+// Generate a quiz for a concept
+router.post('/generate', async (req, res) => {
+  try {
+    const userId = req.userId;
+    const { conceptId } = generateQuizSchema.parse(req.body);
+
+    const conceptResult = await pool.query(
+      'SELECT * FROM concepts WHERE id = $1 AND user_id = $2',
+      [conceptId, userId]
+    );
+    if (conceptResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Concept not found' });
+    }
+
+    const questions = await generateQuestions(conceptResult.rows[0]);
+    if (questions.filter((question) => question.type === 'mcq').length < MIN_MCQ) {
+      return res.status(500).json({ error: 'The generated quiz was incomplete, please try again' });
+    }
+
+    const result = await pool.query(
+      `INSERT INTO concept_quizzes (user_id, concept_id, questions)
+       VALUES ($1, $2, $3)
+       RETURNING *`,
+      [userId, conceptId, JSON.stringify(questions)]
+    );
+
+    res.status(201).json({ quiz: formatQuiz(result.rows[0]) });
+  } catch (error) {
+    if (error.name === 'ZodError') {
+      return res.status(400).json({ error: 'Invalid input', details: error.errors });
+    }
+    if (error instanceof LLMParseError) {
+      console.error('Failed to parse AI response:', error.raw);
+      return res.status(500).json({ error: 'Failed to parse AI response' });
+    }
+
+    console.error('Generate quiz error:', error);
+
+    if (error.message?.includes('OPENAI_API_KEY')) {
+      return res.status(503).json({
+        error: 'OpenAI API is not configured. Please set OPENAI_API_KEY in your environment variables.'
+      });
+    }
+
+    res.status(500).json({ error: 'Failed to generate quiz' });
+  }
+});
+
+// Get a quiz and its past attempts
+router.get('/:id', async (req, res) => {
+  try {
+    const userId = req.userId;
+    const quizId = parseInt(req.params.id);
+
+    const quiz = await pool.query(
+      'SELECT * FROM concept_quizzes WHERE id = $1 AND user_id = $2',
+      [quizId, userId]
+    );
+    if (quiz.rows.length === 0) {
+      return res.status(404).json({ error: 'Quiz not found' });
+    }
+
+    const attempts = await pool.query(
+      'SELECT * FROM quiz_attempts WHERE quiz_id = $1 ORDER BY created_at DESC, id DESC',
+      [quizId]
+    );
+
+    res.json({ quiz: formatQuiz(quiz.rows[0]), attempts: attempts.rows.map(formatAttempt) });
+  } catch (error) {
+    console.error('Get quiz error:', error);
+    res.status(500).json({ error: 'Failed to fetch quiz' });
+  }
+});
+
+// Grade an attempt, store it and move the matching skill toward the score. Only the first
+// attempt at a quiz counts toward the skill, since its results reveal the answer key.
+router.post('/:id/attempts', async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const userId = req.userId;
+    const quizId = parseInt(req.params.id);
+    const { answers } = submitQuizSchema.parse(req.body);
+
+    const quizResult = await client.query(
+      `SELECT q.questions, c.*
+       FROM concept_quizzes q
+       JOIN concepts c ON c.id = q.concept_id
+       WHERE q.id = $1 AND q.user_id = $2`,
+      [quizId, userId]
+    );
+    if (quizResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Quiz not found' });
+    }
+    const { questions, ...concept } = quizResult.rows[0];
+
+    const { score, results } = await gradeQuiz(userId, concept, questions, answers);
+
+    await client.query('BEGIN');
+    // Lock the quiz so two concurrent first attempts can't both move the skill
+    await client.query('SELECT id FROM concept_quizzes WHERE id = $1 FOR UPDATE', [quizId]);
+    const previous = await client.query('SELECT 1 FROM quiz_attempts WHERE quiz_id = $1 LIMIT 1', [quizId]);
+    const retake = previous.rows.length > 0;
+    const skill = retake ? null : await applyQuizScore(client, userId, concept, score);
+    const inserted = await client.query(
+      `INSERT INTO quiz_attempts (
+        user_id, quiz_id, concept_id, answers, results, score,
+        skill_id, skill_name, skill_previous_level, skill_level
+      )
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+       RETURNING *`,
+      [
+        userId,
+        quizId,
+        concept.id,
+        JSON.stringify(answers),
+        JSON.stringify(results),
+        score,
+        skill?.id ?? null,
+        skill?.name ?? null,
+        skill?.previousLevel ?? null,
+        skill?.level ?? null,
+      ]
+    );
+    await client.query('COMMIT');
+
+    res.status(201).json({ attempt: { ...formatAttempt(inserted.rows[0]), retake } });
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    if (error.name === 'ZodError') {
+      return res.status(400).json({ error: 'Invalid input', details: error.errors });
+    }
+    if (error instanceof LLMParseError) {
+      console.error('Failed to parse AI response:', error.raw);
+      return res.status(500).json({ error: 'Failed to parse AI response' });
+    }
+
+    console.error('Grade quiz error:', error);
+
+    if (error.message?.includes('OPENAI_API_KEY')) {
+      return res.status(503).json({
+        error: 'OpenAI API is not configured. Please set OPENAI_API_KEY in your environment variables.'
+      });
+    }
+
+    res.status(500).json({ error: 'Failed to grade quiz' });
+  } finally {
+    client.release();
+  }
+});
+
+export default router;
@@ -1,5 +1,4 @@
 import express from 'express';
-import OpenAI from 'openai';
 import { pool } from '../db/connection.js';
 import { z } from 'zod';
 import fs from 'fs';
@@ -8,6 +7,27 @@ import { fileURLToPath } from 'url';
 import { createRequire } from 'module';
 import multer from 'multer';
 import mammoth from 'mammoth';
+import { chat, chatJSON, LLMParseError } from '../llm/index.js';
+import { diffTexts } from '../resumes/diff.js';
+import { recordVersion, saveResumeContent, formatVersion } from '../resumes/versions.js';
+import { lintResume } from '../resumes/atsLint.js';
+import {
+  parseResume,
+  modelOf,
+  renderResume,
+  assignMissingIds,
+  editTargets,
+  applyEdits,
+  resolveEdits,
+} from '../resumes/structure.js';
+import {
+  TEMPLATES,
+  DEFAULT_TEMPLATE,
+  RENDER_FORMATS,
+  listTemplates,
+  renderHtml,
+  renderResumeFile,
+} from '../resumes/render/index.js';
 
 // pdf-parse is a CommonJS module, use createRequire for ESM compatibility
 const require = createRequire(import.meta.url);
@@ -88,23 +108,125 @@ const handleUpload = (req, res, next) => {
   });
 };
 
-// Get OpenAI client
-const getOpenAIClient = () => {
-  const apiKey = process.env.OPENAI_API_KEY;
-  if (!apiKey) {
-    throw new Error('OPENAI_API_KEY environment variable is not set.');
-  }
-  return new OpenAI({ apiKey });
-};
-
-// Get model - fixed to gpt-4o-mini (configurable via env var if needed)
-const getModel = () => {
-  return process.env.OPENAI_MODEL || 'gpt-4o-mini';
-};
-
 // Schema validation
 const resumeContentSchema = z.object({
   content: z.string(),
+  // ai-edit saves list the recommendations that were applied
+  source: z.enum(['manual', 'ai-edit']).default('manual'),
+  appliedEdits: z.array(z.object({
+    originalText: z.string(),
+    suggestedText: z.string(),
+    category: z.string().optional(),
+    reason: z.string().optional(),
+  })).max(50).default([]),
+});
+
+// Per-section edits of the structured model. Entries and bullets without an id are new.
+const idSchema = z.string().max(20).optional();
+const bulletsSchema = z.array(z.object({
+  id: idSchema,
+  text: z.string().trim().min(1).max(1000),
+})).max(40).default([]);
+const fieldSchema = (max = 255) => z.string().trim().max(max).default('');
+const datesShape = { startDate: fieldSchema(40), endDate: fieldSchema(40) };
+
+const sectionSchemas = {
+  contact: z.object({
+    name: fieldSchema(),
+    headline: fieldSchema(),
+    email: fieldSchema(),
+    phone: fieldSchema(50),
+    location: fieldSchema(),
+    links: z.array(z.string().trim().min(1).max(255)).max(10).default([]),
+  }),
+  summary: z.string().trim().max(3000),
+  experience: z.array(z.object({
+    id: idSchema,
+    title: fieldSchema(),
+    company: fieldSchema(),
+    location: fieldSchema(),
+    ...datesShape,
+    bullets: bulletsSchema,
+  })).max(30),
+  education: z.array(z.object({
+    id: idSchema,
+    degree: fieldSchema(),
+    institution: fieldSchema(),
+    location: fieldSchema(),
+    ...datesShape,
+    bullets: bulletsSchema,
+  })).max(20),
+  projects: z.array(z.object({
+    id: idSchema,
+    name: z.string().trim().min(1).max(255),
+    description: fieldSchema(500),
+    ...datesShape,
+    bullets: bulletsSchema,
+  })).max(30),
+  skills: z.array(z.object({
+    id: idSchema,
+    category: fieldSchema(100),
+    items: z.array(z.string().trim().min(1).max(100)).min(1).max(80),
+  })).max(30),
+  other: z.array(z.object({
+    id: idSchema,
+    heading: z.string().trim().min(1).max(100),
+    bullets: bulletsSchema,
+  })).max(20),
+};
+
+// AI edits to apply by target ID. content is the editor's text when it has unsaved changes.
+const applyEditsSchema = z.object({
+  edits: z.array(z.object({
+    bulletId: z.string().min(1).max(20),
+    suggestedText: z.string().trim().min(1).max(3000),
+    originalText: z.string().optional(),
+    category: z.string().optional(),
+    reason: z.string().optional(),
+  })).min(1).max(50),
+  content: z.string().optional(),
+});
+
+const diffQuerySchema = z.object({
+  from: z.coerce.number().int().positive(),
+  // Defaults to the current version
+  to: z.coerce.number().int().positive().optional(),
+  mode: z.enum(['line', 'word']).default('line'),
+});
+
+const atsCheckSchema = z.object({
+  resumeId: z.number().int().positive().optional(),
+  content: z.string().max(100000).optional(),
+}).refine((data) => data.resumeId || data.content !== undefined, {
+  message: 'resumeId or content is required',
+});
+
+const templateSchema = z.enum(Object.keys(TEMPLATES)).default(DEFAULT_TEMPLATE);
+
+const downloadQuerySchema = z.object({
+  // Omitted to download the originally uploaded file
+  format: z.enum(RENDER_FORMATS).optional(),
+  template: templateSchema,
+});
+
+const previewSchema = z.object({
+  template: templateSchema,
+  // Unsaved editor text, previewed in place of the saved resume
+  content: z.string().max(100000).optional(),
+});
+
+const formatResume = (row) => ({
+  id: row.id,
+  fileName: row.file_name,
+  filePath: row.file_path,
+  fileType: row.file_type,
+  fileSize: row.file_size,
+  content: row.content,
+  structured: modelOf(row),
+  aiFeedback: row.ai_feedback,
+  version: row.version,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at,
 });
 
 // Generate AI-enhanced bullets for all projects
@@ -148,9 +270,6 @@ router.post('/generate-project-bullets', async (req, res) => {
     }
 
     // Generate bullets using AI
-    const openai = getOpenAIClient();
-    const model = getModel();
-
     const systemPrompt = `You are an expert resume writer specializing in technical roles. Generate 3-5 compelling resume bullet points for a project. Each bullet should:
 1. Start with a strong action verb (Architected, Implemented, Optimized, etc.)
 2. Include specific technologies and tools
@@ -177,28 +296,24 @@ Progress: ${project.progress}%
 
 Generate 3-5 compelling resume bullets that highlight technical achievements, impact, and skills.`;
 
-    const completion = await openai.chat.completions.create({
-      model: model,
-      messages: [
-        { role: 'system', content: systemPrompt },
-        { role: 'user', content: userPrompt },
-      ],
-      temperature: 0.7,
-      max_tokens: 2000,
-      response_format: { type: 'json_object' },
-    });
-
-    const aiResponse = completion.choices[0].message.content;
     let bulletsData;
-    
     try {
-      const parsed = JSON.parse(aiResponse);
+      const parsed = await chatJSON({
+        task: 'resume-project-bullets',
+        messages: [
+          { role: 'system', content: systemPrompt },
+          { role: 'user', content: userPrompt },
+        ],
+        temperature: 0.7,
+        maxTokens: 2000,
+      });
       bulletsData = parsed.bullets || parsed.bulletPoints || parsed;
       if (!Array.isArray(bulletsData)) {
         bulletsData = [bulletsData];
       }
     } catch (parseError) {
-      console.error('Failed to parse AI response:', aiResponse);
+      if (!(parseError instanceof LLMParseError)) throw parseError;
+      console.error('Failed to parse AI response:', parseError.raw);
       return res.status(500).json({ error: 'Failed to parse AI response' });
     }
 
@@ -296,6 +411,7 @@ router.post('/upload', handleUpload, async (req, res) => {
 
     // Extract text content from uploaded file
     let fileContent = '';
+    let extractedText = '';
     try {
       const fileBuffer = fs.readFileSync(req.file.path);
       
@@ -390,6 +506,7 @@ router.post('/upload', handleUpload, async (req, res) => {
       
       // Ensure fileContent is always a string before calling trim
       fileContent = String(fileContent || '');
+      extractedText = fileContent;
       
       // Ensure we have some content
       if (!fileContent || fileContent.trim().length === 0) {
@@ -400,39 +517,89 @@ router.post('/upload', handleUpload, async (req, res) => {
       fileContent = `[File uploaded: ${req.file.originalname}. Error extracting text: ${readError.message}]`;
     }
 
-    // Save resume record
-    const result = await pool.query(
-      `INSERT INTO resumes (
-        user_id, file_name, file_path, file_type, file_size, content
-      ) VALUES ($1, $2, $3, $4, $5, $6)
-      RETURNING *`,
-      [
-        userId,
-        req.file.originalname,
-        req.file.path,
-        req.file.mimetype,
-        req.file.size,
-        fileContent,
-      ]
-    );
+    // Save resume record and its first version
+    const client = await pool.connect();
+    let row;
+    try {
+      await client.query('BEGIN');
+      const result = await client.query(
+        `INSERT INTO resumes (
+          user_id, file_name, file_path, file_type, file_size, content, structured
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+        RETURNING *`,
+        [
+          userId,
+          req.file.originalname,
+          req.file.path,
+          req.file.mimetype,
+          req.file.size,
+          fileContent,
+          JSON.stringify(parseResume(extractedText)),
+        ]
+      );
+      row = result.rows[0];
+      await recordVersion(client, row, { source: 'upload' });
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw error;
+    } finally {
+      client.release();
+    }
 
     const resume = {
-      id: result.rows[0].id,
-      fileName: result.rows[0].file_name,
-      filePath: result.rows[0].file_path,
-      fileType: result.rows[0].file_type,
-      fileSize: result.rows[0].file_size,
-      content: result.rows[0].content,
-      createdAt: result.rows[0].created_at,
+      id: row.id,
+      fileName: row.file_name,
+      filePath: row.file_path,
+      fileType: row.file_type,
+      fileSize: row.file_size,
+      content: row.content,
+      structured: row.structured,
+      version: row.version,
+      createdAt: row.created_at,
     };
 
-    res.json({ resume });
+    // Lint what was actually extracted, not the placeholder saved when extraction fails
+    res.json({ resume, atsReport: lintResume(extractedText) });
   } catch (error) {
     console.error('Upload resume error:', error);
     res.status(500).json({ error: error.message || 'Failed to upload resume' });
   }
 });
 
+// Offline ATS-compatibility check of the given text, or of a saved resume's content
+router.post('/ats-check', async (req, res) => {
+  try {
+    const userId = req.userId;
+    const data = atsCheckSchema.parse(req.body);
+
+    let content = data.content;
+    if (content === undefined) {
+      const result = await pool.query(
+        'SELECT content FROM resumes WHERE id = $1 AND user_id = $2',
+        [data.resumeId, userId]
+      );
+      if (result.rows.length === 0) {
+        return res.status(404).json({ error: 'Resume not found' });
+      }
+      content = result.rows[0].content;
+    }
+
+    res.json({ report: lintResume(content) });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ error: 'Invalid input', details: error.errors });
+    }
+    console.error('ATS check error:', error);
+    res.status(500).json({ error: 'Failed to check resume' });
+  }
+});
+
+// Templates the resume can be rendered with
+router.get('/templates', (req, res) => {
+  res.json({ templates: listTemplates() });
+});
+
 // Get AI feedback on resume
 router.post('/feedback', async (req, res) => {
   try {
@@ -459,9 +626,6 @@ router.post('/feedback', async (req, res) => {
       return res.status(400).json({ error: 'Resume content is required' });
     }
 
-    const openai = getOpenAIClient();
-    const model = getModel();
-
     const systemPrompt = `You are an expert resume reviewer for technical roles. Provide constructive feedback on a resume. Focus on:
 1. Technical content and achievements
 2. Quantifiable metrics and impact
@@ -474,18 +638,16 @@ Provide feedback in a structured, actionable format.`;
 
     const userPrompt = `Review this resume and provide detailed feedback:\n\n${resumeContent}`;
 
-    const completion = await openai.chat.completions.create({
-      model: model,
+    const feedback = await chat({
+      task: 'resume-feedback',
       messages: [
         { role: 'system', content: systemPrompt },
         { role: 'user', content: userPrompt },
       ],
       temperature: 0.7,
-      max_tokens: 2000,
+      maxTokens: 2000,
     });
 
-    const feedback = completion.choices[0].message.content;
-
     // Save feedback to database if resumeId provided
     if (resumeId) {
       await pool.query(
@@ -516,12 +678,12 @@ router.post('/recommendations', async (req, res) => {
     const userId = req.userId;
     const { resumeId, content } = req.body;
 
-    let resumeContent = content;
-    
-    // If resumeId provided, get content from database
-    if (resumeId && !content) {
+    // Edits target IDs in the resume's model. Unsaved text is parsed against the stored
+    // model, the same way POST /:id/edits will parse it when the edits are applied.
+    let model;
+    if (resumeId) {
       const resumeResult = await pool.query(
-        'SELECT content FROM resumes WHERE id = $1 AND user_id = $2',
+        'SELECT content, structured FROM resumes WHERE id = $1 AND user_id = $2',
         [resumeId, userId]
       );
       
@@ -529,21 +691,26 @@ router.post('/recommendations', async (req, res) => {
         return res.status(404).json({ error: 'Resume not found' });
       }
       
-      resumeContent = resumeResult.rows[0].content;
+      const row = resumeResult.rows[0];
+      model = content && content !== row.content ? parseResume(content, modelOf(row)) : modelOf(row);
+    } else if (content) {
+      model = parseResume(content);
     }
 
-    if (!resumeContent) {
+    if (!model) {
       return res.status(400).json({ error: 'Resume content is required' });
     }
-
-    const openai = getOpenAIClient();
-    const model = getModel();
+    if (editTargets(model).size === 0) {
+      return res.status(400).json({ error: 'No bullets, summary or skills found in the resume to edit' });
+    }
 
     const systemPrompt = `You are an expert resume reviewer for technical roles. Analyze the resume and provide specific, actionable edits that can be applied directly.
 
+Each editable line of the resume starts with its ID in square brackets, e.g. "[b3]". Only those lines can be edited.
+
 For each edit, identify:
-1. The exact original text that should be changed
-2. The suggested replacement text
+1. The ID of the line to change (bulletId), and its text without the ID
+2. The suggested replacement text for the whole line
 3. The reason/category (e.g., "Action Verb", "Quantification", "ATS Optimization", "Technical Depth", "Clarity")
 4. A brief explanation of why this change improves the resume
 
@@ -552,8 +719,9 @@ Return a JSON object with this structure:
   "edits": [
     {
       "id": 1,
-      "originalText": "exact text from resume to replace",
-      "suggestedText": "improved replacement text",
+      "bulletId": "b3",
+      "originalText": "current text of that line",
+      "suggestedText": "improved replacement for the whole line",
       "category": "Action Verb" | "Quantification" | "ATS Optimization" | "Technical Depth" | "Clarity" | "Structure",
       "reason": "Brief explanation of why this change helps",
       "priority": "high" | "medium" | "low"
@@ -570,38 +738,32 @@ Focus on:
 - Missing keywords relevant to the role
 - Formatting and structure improvements
 
-Provide 5-15 specific edits that can be directly applied.`;
+Provide 5-15 specific edits that can be directly applied, at most one per line.`;
 
-    const userPrompt = `Analyze this resume and provide specific edits:\n\n${resumeContent}\n\nReturn only valid JSON with the edits array.`;
-
-    const completion = await openai.chat.completions.create({
-      model: model,
-      messages: [
-        { role: 'system', content: systemPrompt },
-        { role: 'user', content: userPrompt },
-      ],
-      temperature: 0.7,
-      max_tokens: 3000,
-      response_format: { type: 'json_object' },
-    });
+    const userPrompt = `Analyze this resume and provide specific edits:\n\n${renderResume(model, { annotate: true })}\n\nReturn only valid JSON with the edits array.`;
 
     let recommendations;
     try {
-      recommendations = JSON.parse(completion.choices[0].message.content);
+      recommendations = await chatJSON({
+        task: 'resume-recommendations',
+        messages: [
+          { role: 'system', content: systemPrompt },
+          { role: 'user', content: userPrompt },
+        ],
+        temperature: 0.7,
+        maxTokens: 3000,
+      });
     } catch (parseError) {
-      console.error('Failed to parse AI response:', completion.choices[0].message.content);
+      if (!(parseError instanceof LLMParseError)) throw parseError;
+      console.error('Failed to parse AI response:', parseError.raw);
       return res.status(500).json({ error: 'Failed to parse AI recommendations' });
     }
 
-    // Ensure edits array exists and has proper structure
-    if (!recommendations.edits || !Array.isArray(recommendations.edits)) {
-      recommendations.edits = [];
-    }
-
-    // Add unique IDs if missing
-    recommendations.edits = recommendations.edits.map((edit, index) => ({
+    // Keep edits that target a line of the model, with the line's current text as originalText
+    recommendations.edits = resolveEdits(model, recommendations.edits).map((edit, index) => ({
       id: edit.id || `edit-${Date.now()}-${index}`,
-      originalText: edit.originalText || '',
+      bulletId: edit.bulletId,
+      originalText: edit.originalText,
       suggestedText: edit.suggestedText || '',
       category: edit.category || 'General',
       reason: edit.reason || '',
@@ -644,76 +806,307 @@ router.get('/', async (req, res) => {
       return res.json({ resume: null });
     }
 
-    const row = result.rows[0];
-    const resume = {
-      id: row.id,
-      fileName: row.file_name,
-      filePath: row.file_path,
-      fileType: row.file_type,
-      fileSize: row.file_size,
-      content: row.content,
-      aiFeedback: row.ai_feedback,
-      version: row.version,
-      createdAt: row.created_at,
-      updatedAt: row.updated_at,
-    };
-
-    res.json({ resume });
+    res.json({ resume: formatResume(result.rows[0]) });
   } catch (error) {
     console.error('Get resume error:', error);
     res.status(500).json({ error: 'Failed to fetch resume' });
   }
 });
 
-// Update resume content
+// Update resume content - every save becomes a new version
 router.put('/:id', async (req, res) => {
+  const client = await pool.connect();
   try {
     const userId = req.userId;
     const resumeId = parseInt(req.params.id);
     const data = resumeContentSchema.parse(req.body);
 
+    await client.query('BEGIN');
+    const row = await saveResumeContent(client, userId, resumeId, data.content, {
+      source: data.source,
+      appliedEdits: data.appliedEdits,
+    });
+    if (!row) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Resume not found' });
+    }
+    await client.query('COMMIT');
+
+    res.json({ resume: formatResume(row) });
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    if (error.name === 'ZodError') {
+      return res.status(400).json({ error: 'Invalid input', details: error.errors });
+    }
+    
+    console.error('Update resume error:', error);
+    res.status(500).json({ error: 'Failed to update resume' });
+  } finally {
+    client.release();
+  }
+});
+
+// List a resume's versions, newest first (without their content)
+router.get('/:id/versions', async (req, res) => {
+  try {
+    const userId = req.userId;
+    const resumeId = parseInt(req.params.id);
+
     const result = await pool.query(
-      `UPDATE resumes 
-       SET content = $1, updated_at = CURRENT_TIMESTAMP, version = version + 1
-       WHERE id = $2 AND user_id = $3
-       RETURNING *`,
-      [data.content, resumeId, userId]
+      `SELECT * FROM resume_versions
+       WHERE resume_id = $1 AND user_id = $2
+       ORDER BY version DESC`,
+      [resumeId, userId]
     );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Resume not found' });
+    }
+
+    res.json({ versions: result.rows.map((row) => formatVersion(row)) });
+  } catch (error) {
+    console.error('Get resume versions error:', error);
+    res.status(500).json({ error: 'Failed to fetch resume versions' });
+  }
+});
 
+// Get one version with its content
+router.get('/:id/versions/:version', async (req, res) => {
+  try {
+    const userId = req.userId;
+    const resumeId = parseInt(req.params.id);
+    const version = parseInt(req.params.version);
+
+    const result = await pool.query(
+      'SELECT * FROM resume_versions WHERE resume_id = $1 AND version = $2 AND user_id = $3',
+      [resumeId, version, userId]
+    );
     if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Version not found' });
+    }
+
+    res.json({ version: formatVersion(result.rows[0], { includeContent: true }) });
+  } catch (error) {
+    console.error('Get resume version error:', error);
+    res.status(500).json({ error: 'Failed to fetch resume version' });
+  }
+});
+
+// Line or word diff between two versions (?from=2&to=5&mode=word)
+router.get('/:id/diff', async (req, res) => {
+  try {
+    const userId = req.userId;
+    const resumeId = parseInt(req.params.id);
+    const { from, to, mode } = diffQuerySchema.parse(req.query);
+
+    const resumeResult = await pool.query(
+      'SELECT version FROM resumes WHERE id = $1 AND user_id = $2',
+      [resumeId, userId]
+    );
+    if (resumeResult.rows.length === 0) {
       return res.status(404).json({ error: 'Resume not found' });
     }
+    const toVersion = to ?? resumeResult.rows[0].version;
 
-    const row = result.rows[0];
-    const resume = {
-      id: row.id,
-      fileName: row.file_name,
-      filePath: row.file_path,
-      fileType: row.file_type,
-      fileSize: row.file_size,
-      content: row.content,
-      aiFeedback: row.ai_feedback,
-      version: row.version,
-      createdAt: row.created_at,
-      updatedAt: row.updated_at,
-    };
+    const result = await pool.query(
+      'SELECT version, content FROM resume_versions WHERE resume_id = $1 AND version = ANY($2)',
+      [resumeId, [from, toVersion]]
+    );
+    const contents = new Map(result.rows.map((row) => [row.version, row.content]));
+    if (!contents.has(from) || !contents.has(toVersion)) {
+      return res.status(404).json({ error: 'Version not found' });
+    }
 
-    res.json({ resume });
+    const { changes, stats } = diffTexts(contents.get(from), contents.get(toVersion), mode);
+    res.json({ from, to: toVersion, mode, changes, stats });
   } catch (error) {
     if (error.name === 'ZodError') {
       return res.status(400).json({ error: 'Invalid input', details: error.errors });
     }
-    
-    console.error('Update resume error:', error);
-    res.status(500).json({ error: 'Failed to update resume' });
+    console.error('Diff resume versions error:', error);
+    res.status(500).json({ error: 'Failed to compare resume versions' });
+  }
+});
+
+// Restore an old version. History is never rewritten: its content is saved as a new version.
+router.post('/:id/versions/:version/restore', async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const userId = req.userId;
+    const resumeId = parseInt(req.params.id);
+    const version = parseInt(req.params.version);
+
+    await client.query('BEGIN');
+    const versionResult = await client.query(
+      'SELECT content FROM resume_versions WHERE resume_id = $1 AND version = $2 AND user_id = $3',
+      [resumeId, version, userId]
+    );
+    if (versionResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Version not found' });
+    }
+
+    const row = await saveResumeContent(client, userId, resumeId, versionResult.rows[0].content, {
+      source: 'restore',
+      restoredFromVersion: version,
+    });
+    await client.query('COMMIT');
+
+    res.json({ resume: formatResume(row) });
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    console.error('Restore resume version error:', error);
+    res.status(500).json({ error: 'Failed to restore resume version' });
+  } finally {
+    client.release();
+  }
+});
+
+// Replace one section of the structured model; the text content is re-rendered from it
+router.put('/:id/sections/:section', async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const userId = req.userId;
+    const resumeId = parseInt(req.params.id);
+    const { section } = req.params;
+    // hasOwn, so names like "constructor" don't find inherited properties
+    if (!Object.hasOwn(sectionSchemas, section)) {
+      return res.status(400).json({ error: `Unknown section: ${section}` });
+    }
+    const value = sectionSchemas[section].parse(req.body.value);
+
+    await client.query('BEGIN');
+    const current = await client.query(
+      'SELECT content, structured FROM resumes WHERE id = $1 AND user_id = $2 FOR UPDATE',
+      [resumeId, userId]
+    );
+    if (current.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Resume not found' });
+    }
+
+    const previous = modelOf(current.rows[0]);
+    const model = { ...structuredClone(previous), [section]: value };
+    // A summary added here goes first, any other new section last
+    if (section === 'summary' && !model.order.includes(section)) model.order.unshift(section);
+    else if (section !== 'contact' && !model.order.includes(section)) model.order.push(section);
+    assignMissingIds(model, previous);
+
+    const row = await saveResumeContent(client, userId, resumeId, renderResume(model), {
+      source: 'manual',
+      structured: model,
+    });
+    await client.query('COMMIT');
+
+    res.json({ resume: formatResume(row) });
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ error: 'Invalid input', details: error.errors });
+    }
+    console.error('Update resume section error:', error);
+    res.status(500).json({ error: 'Failed to update resume section' });
+  } finally {
+    client.release();
   }
 });
 
-// Download resume
+// Apply approved AI edits by bullet ID and save the result as an ai-edit version
+router.post('/:id/edits', async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const userId = req.userId;
+    const resumeId = parseInt(req.params.id);
+    const data = applyEditsSchema.parse(req.body);
+
+    await client.query('BEGIN');
+    const current = await client.query(
+      'SELECT content, structured FROM resumes WHERE id = $1 AND user_id = $2 FOR UPDATE',
+      [resumeId, userId]
+    );
+    if (current.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Resume not found' });
+    }
+
+    const row = current.rows[0];
+    const base = data.content !== undefined && data.content !== row.content
+      ? parseResume(data.content, modelOf(row))
+      : modelOf(row);
+    const { model, applied, skipped } = applyEdits(base, data.edits);
+    if (applied.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: 'None of the edits match the current resume. Get new recommendations and try again.' });
+    }
+
+    const targets = editTargets(base);
+    const updated = await saveResumeContent(client, userId, resumeId, renderResume(model), {
+      source: 'ai-edit',
+      structured: model,
+      // Recorded with the new version so the history shows what the AI changed
+      appliedEdits: applied.map((edit) => ({
+        bulletId: edit.bulletId,
+        originalText: targets.get(edit.bulletId),
+        suggestedText: edit.suggestedText,
+        category: edit.category,
+        reason: edit.reason,
+      })),
+    });
+    await client.query('COMMIT');
+
+    res.json({
+      resume: formatResume(updated),
+      applied: applied.length,
+      skipped: skipped.map((edit) => edit.bulletId),
+    });
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ error: 'Invalid input', details: error.errors });
+    }
+    console.error('Apply resume edits error:', error);
+    res.status(500).json({ error: 'Failed to apply resume edits' });
+  } finally {
+    client.release();
+  }
+});
+
+// HTML preview of the resume rendered with a template
+router.post('/:id/preview', async (req, res) => {
+  try {
+    const userId = req.userId;
+    const resumeId = parseInt(req.params.id);
+    const data = previewSchema.parse(req.body);
+
+    const result = await pool.query(
+      'SELECT content, structured FROM resumes WHERE id = $1 AND user_id = $2',
+      [resumeId, userId]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Resume not found' });
+    }
+
+    const row = result.rows[0];
+    const model = data.content !== undefined && data.content !== row.content
+      ? parseResume(data.content, modelOf(row))
+      : modelOf(row);
+
+    res.json({ html: renderHtml(model, TEMPLATES[data.template]) });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ error: 'Invalid input', details: error.errors });
+    }
+    console.error('Preview resume error:', error);
+    res.status(500).json({ error: 'Failed to preview resume' });
+  }
+});
+
+// Download resume: the uploaded file, or the current content rendered with a template
+// (?format=pdf|docx&template=classic)
 router.get('/:id/download', async (req, res) => {
   try {
     const userId = req.userId;
     const resumeId = parseInt(req.params.id);
+    const { format, template } = downloadQuerySchema.parse(req.query);
 
     const result = await pool.query(
       'SELECT * FROM resumes WHERE id = $1 AND user_id = $2',
@@ -726,6 +1119,13 @@ router.get('/:id/download', async (req, res) => {
 
     const resume = result.rows[0];
 
+    if (format) {
+      const { buffer, contentType, fileName } = await renderResumeFile(modelOf(resume), { format, template });
+      res.attachment(fileName);
+      res.setHeader('Content-Type', contentType);
+      return res.send(buffer);
+    }
+
     // If file exists, serve it
     if (resume.file_path && fs.existsSync(resume.file_path)) {
       return res.download(resume.file_path, resume.file_name || 'resume.pdf');
@@ -737,6 +1137,9 @@ router.get('/:id/download', async (req, res) => {
     res.setHeader('Content-Disposition', `attachment; filename="${resume.file_name || 'resume.txt'}"`);
     res.send(content);
   } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ error: 'Invalid input', details: error.errors });
+    }
     console.error('Download resume error:', error);
     res.status(500).json({ error: 'Failed to download resume' });
   }
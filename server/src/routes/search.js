@@ -0,0 +1,49 @@
+import express from 'express';
+import { pool } from '../db/connection.js';
+import { z } from 'zod';
+import { fullTextSearch, SEARCH_TYPES } from '../search/fullText.js';
+import { semanticSearch } from '../search/semantic.js';
+
+const router = express.Router();
+
+const searchQuerySchema = z.object({
+  q: z.string().trim().min(1).max(200),
+  mode: z.enum(['text', 'semantic']).default('text'),
+  // Comma-separated subset of SEARCH_TYPES
+  types: z.string().optional(),
+  limit: z.coerce.number().int().min(1).max(50).default(20),
+});
+
+// Search concepts, mentor messages, projects and milestones.
+// mode=text matches keywords (the last word as a prefix), mode=semantic matches meaning.
+router.get('/', async (req, res) => {
+  try {
+    const userId = req.userId;
+    const { q, mode, types, limit } = searchQuerySchema.parse(req.query);
+
+    const selectedTypes = types
+      ? types.split(',').map((type) => type.trim()).filter((type) => SEARCH_TYPES.includes(type))
+      : SEARCH_TYPES;
+    if (selectedTypes.length === 0) {
+      return res.status(400).json({ error: `types must include one of: ${SEARCH_TYPES.join(', ')}` });
+    }
+
+    const search = mode === 'semantic' ? semanticSearch : fullTextSearch;
+    const results = await search(pool, userId, q, { types: selectedTypes, limit });
+
+    res.json({ query: q, mode, results });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ error: 'Invalid input', details: error.errors });
+    }
+    console.error('Search error:', error);
+    if (error.message?.includes('OPENAI_API_KEY')) {
+      return res.status(503).json({
+        error: 'OpenAI API is not configured. Please set OPENAI_API_KEY in your environment variables, or use keyword search.'
+      });
+    }
+    res.status(500).json({ error: 'Search failed' });
+  }
+});
+
+export default router;
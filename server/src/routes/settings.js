@@ -0,0 +1,82 @@
+import express from 'express';
+import { pool } from '../db/connection.js';
+import { z } from 'zod';
+import {
+  MENTOR_STYLES,
+  EXPLANATION_DEPTHS,
+  FOCUS_AREAS,
+  DEFAULT_PREFERENCES,
+  formatPreferences,
+  getUserPreferences,
+} from '../mentor/preferences.js';
+
+const router = express.Router();
+
+const toggles = (keys) =>
+  z.object(Object.fromEntries(keys.map((key) => [key, z.boolean().optional()]))).strict();
+
+const settingsSchema = z.object({
+  mentorStyle: z.enum(Object.keys(MENTOR_STYLES)).optional(),
+  explanationDepth: z.enum(Object.keys(EXPLANATION_DEPTHS)).optional(),
+  focusAreas: toggles(Object.keys(FOCUS_AREAS)).optional(),
+  notifications: toggles(Object.keys(DEFAULT_PREFERENCES.notifications)).optional(),
+});
+
+// Get the user's preferences (defaults until they save)
+router.get('/', async (req, res) => {
+  try {
+    const userId = req.userId;
+    const settings = await getUserPreferences(userId);
+
+    res.json({ settings });
+  } catch (error) {
+    console.error('Get settings error:', error);
+    res.status(500).json({ error: 'Failed to fetch settings' });
+  }
+});
+
+// Update the user's preferences; omitted fields keep their current value
+router.put('/', async (req, res) => {
+  try {
+    const userId = req.userId;
+    const data = settingsSchema.parse(req.body);
+
+    const current = await getUserPreferences(userId);
+    const next = {
+      mentorStyle: data.mentorStyle ?? current.mentorStyle,
+      explanationDepth: data.explanationDepth ?? current.explanationDepth,
+      focusAreas: { ...current.focusAreas, ...data.focusAreas },
+      notifications: { ...current.notifications, ...data.notifications },
+    };
+
+    const result = await pool.query(
+      `INSERT INTO user_preferences (user_id, mentor_style, explanation_depth, focus_areas, notifications)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (user_id)
+       DO UPDATE SET
+         mentor_style = EXCLUDED.mentor_style,
+         explanation_depth = EXCLUDED.explanation_depth,
+         focus_areas = EXCLUDED.focus_areas,
+         notifications = EXCLUDED.notifications,
+         updated_at = CURRENT_TIMESTAMP
+       RETURNING *`,
+      [
+        userId,
+        next.mentorStyle,
+        next.explanationDepth,
+        JSON.stringify(next.focusAreas),
+        JSON.stringify(next.notifications),
+      ]
+    );
+
+    res.json({ settings: formatPreferences(result.rows[0]) });
+  } catch (error) {
+    if (error.name === 'ZodError') {
+      return res.status(400).json({ error: 'Invalid input', details: error.errors });
+    }
+    console.error('Update settings error:', error);
+    res.status(500).json({ error: 'Failed to update settings' });
+  }
+});
+
+export default router;
@@ -0,0 +1,191 @@
+import express from 'express';
+import { pool } from '../db/connection.js';
+import { z } from 'zod';
+
+const router = express.Router();
+
+const storySchema = z.object({
+  title: z.string().trim().min(1).max(255),
+  projectId: z.number().int().positive().nullable().optional(),
+  competency: z.string().max(100).optional(),
+  situation: z.string().trim().min(1),
+  task: z.string().trim().min(1),
+  action: z.string().trim().min(1),
+  result: z.string().trim().min(1),
+  // The practice answer the story was polished from
+  sourceAnswerId: z.number().int().positive().optional(),
+});
+
+const updateStorySchema = storySchema.omit({ sourceAnswerId: true }).partial();
+
+const formatStory = (row) => ({
+  id: row.id,
+  projectId: row.project_id,
+  projectName: row.project_name,
+  sourceAnswerId: row.source_answer_id,
+  title: row.title,
+  competency: row.competency,
+  situation: row.situation,
+  task: row.task,
+  action: row.action,
+  result: row.result,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at,
+});
+
+const STORY_SELECT = `SELECT s.*, p.name AS project_name
+  FROM star_stories s
+  LEFT JOIN projects p ON p.id = s.project_id`;
+
+const projectBelongsToUser = async (projectId, userId) => {
+  const result = await pool.query(
+    'SELECT id FROM projects WHERE id = $1 AND user_id = $2',
+    [projectId, userId]
+  );
+  return result.rows.length > 0;
+};
+
+// Get saved STAR stories, optionally for one project
+router.get('/', async (req, res) => {
+  try {
+    const userId = req.userId;
+    const projectId = req.query.projectId ? parseInt(req.query.projectId) : null;
+
+    const result = await pool.query(
+      `${STORY_SELECT}
+       WHERE s.user_id = $1 AND ($2::int IS NULL OR s.project_id = $2)
+       ORDER BY s.updated_at DESC`,
+      [userId, projectId]
+    );
+
+    res.json({ stories: result.rows.map(formatStory) });
+  } catch (error) {
+    console.error('Get stories error:', error);
+    res.status(500).json({ error: 'Failed to fetch stories' });
+  }
+});
+
+// Save a STAR story
+router.post('/', async (req, res) => {
+  try {
+    const userId = req.userId;
+    const data = storySchema.parse(req.body);
+
+    if (data.projectId && !(await projectBelongsToUser(data.projectId, userId))) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    if (data.sourceAnswerId) {
+      const answerResult = await pool.query(
+        'SELECT id FROM practice_answers WHERE id = $1 AND user_id = $2',
+        [data.sourceAnswerId, userId]
+      );
+      if (answerResult.rows.length === 0) {
+        return res.status(404).json({ error: 'Practice answer not found' });
+      }
+    }
+
+    const result = await pool.query(
+      `INSERT INTO star_stories (user_id, project_id, source_answer_id, title, competency, situation, task, action, result)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+       RETURNING id`,
+      [
+        userId,
+        data.projectId || null,
+        data.sourceAnswerId || null,
+        data.title,
+        data.competency || null,
+        data.situation,
+        data.task,
+        data.action,
+        data.result,
+      ]
+    );
+
+    const story = await pool.query(`${STORY_SELECT} WHERE s.id = $1`, [result.rows[0].id]);
+    res.status(201).json({ story: formatStory(story.rows[0]) });
+  } catch (error) {
+    if (error.name === 'ZodError') {
+      return res.status(400).json({ error: 'Invalid input', details: error.errors });
+    }
+    console.error('Create story error:', error);
+    res.status(500).json({ error: 'Failed to save story' });
+  }
+});
+
+// Update a story; omitted fields keep their current value
+router.put('/:id', async (req, res) => {
+  try {
+    const userId = req.userId;
+    const storyId = parseInt(req.params.id);
+    const data = updateStorySchema.parse(req.body);
+
+    if (data.projectId && !(await projectBelongsToUser(data.projectId, userId))) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    const result = await pool.query(
+      `UPDATE star_stories
+       SET title = COALESCE($1, title),
+           project_id = CASE WHEN $2::boolean THEN $3 ELSE project_id END,
+           competency = COALESCE($4, competency),
+           situation = COALESCE($5, situation),
+           task = COALESCE($6, task),
+           action = COALESCE($7, action),
+           result = COALESCE($8, result),
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $9 AND user_id = $10
+       RETURNING id`,
+      [
+        data.title,
+        // projectId: null unlinks the story, undefined leaves it alone
+        data.projectId !== undefined,
+        data.projectId ?? null,
+        data.competency,
+        data.situation,
+        data.task,
+        data.action,
+        data.result,
+        storyId,
+        userId,
+      ]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Story not found' });
+    }
+
+    const story = await pool.query(`${STORY_SELECT} WHERE s.id = $1`, [storyId]);
+    res.json({ story: formatStory(story.rows[0]) });
+  } catch (error) {
+    if (error.name === 'ZodError') {
+      return res.status(400).json({ error: 'Invalid input', details: error.errors });
+    }
+    console.error('Update story error:', error);
+    res.status(500).json({ error: 'Failed to update story' });
+  }
+});
+
+// Delete a story
+router.delete('/:id', async (req, res) => {
+  try {
+    const userId = req.userId;
+    const storyId = parseInt(req.params.id);
+
+    const result = await pool.query(
+      'DELETE FROM star_stories WHERE id = $1 AND user_id = $2 RETURNING id',
+      [storyId, userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Story not found' });
+    }
+
+    res.json({ message: 'Story deleted successfully' });
+  } catch (error) {
+    console.error('Delete story error:', error);
+    res.status(500).json({ error: 'Failed to delete story' });
+  }
+});
+
+export default router;
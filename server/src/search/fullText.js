@@ -0,0 +1,89 @@
+// Keyword search over the generated search_vector columns (see schema.sql). Results from
+// concepts, mentor messages, projects and milestones are ranked together with ts_rank and
+// come back with a highlighted snippet.
+
+export const SEARCH_TYPES = ['concept', 'message', 'project', 'milestone'];
+
+// ts_headline wraps matches in these private-use characters, which never appear in user
+// text, so the snippet can be split into plain segments instead of trusting HTML
+const MATCH_START = '\uE000';
+const MATCH_END = '\uE001';
+const HEADLINE_OPTIONS = `StartSel=${MATCH_START}, StopSel=${MATCH_END}, MaxWords=30, MinWords=12, ShortWord=2, MaxFragments=2, FragmentDelimiter=" … "`;
+
+const MAX_TERMS = 8;
+
+// "vector data" -> "vector & data:*": every word must match and the last one may be a
+// prefix, so results show up while the user is still typing
+export const buildTsQuery = (text) => {
+  const terms = (text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || []).slice(0, MAX_TERMS);
+  if (terms.length === 0) return null;
+  return terms.map((term, i) => (i === terms.length - 1 ? `${term}:*` : term)).join(' & ');
+};
+
+// "a [b] c" (with the markers as brackets) -> [{ text: 'a ', highlight: false }, { text: 'b', highlight: true }, ...]
+export const headlineSegments = (headline) => {
+  const segments = [];
+  (headline || '').split(MATCH_START).forEach((part, i) => {
+    const [matched, rest] = i === 0 ? [null, part] : part.split(MATCH_END);
+    if (matched) segments.push({ text: matched, highlight: true });
+    if (rest) segments.push({ text: rest, highlight: false });
+  });
+  return segments;
+};
+
+// Each branch yields the same columns; ts_headline is the expensive part, so it only runs
+// on the rows that survive the LIMIT
+const SEARCH_SQL = `
+  WITH q AS (SELECT to_tsquery('english', $2) AS query),
+  matches AS (
+    SELECT 'concept' AS type, c.id, c.title, c.category AS context, NULL::int AS parent_id,
+      CONCAT_WS(' ', c.description, c.problem_it_solves, c.how_it_works) AS body,
+      ts_rank(c.search_vector, q.query) AS rank, c.updated_at AS updated_at
+    FROM concepts c, q
+    WHERE 'concept' = ANY($3) AND c.user_id = $1 AND c.search_vector @@ q.query
+
+    UNION ALL
+    SELECT 'message', m.id, conv.title, m.role, m.conversation_id,
+      m.content, ts_rank(m.search_vector, q.query), m.created_at
+    FROM ai_messages m
+    JOIN ai_conversations conv ON conv.id = m.conversation_id, q
+    WHERE 'message' = ANY($3) AND m.user_id = $1 AND m.search_vector @@ q.query
+
+    UNION ALL
+    SELECT 'project', p.id, p.name, p.status, NULL,
+      CONCAT_WS(' ', p.description, array_to_string(p.tech_stack, ', ')),
+      ts_rank(p.search_vector, q.query), p.updated_at
+    FROM projects p, q
+    WHERE 'project' = ANY($3) AND p.user_id = $1 AND p.search_vector @@ q.query
+
+    UNION ALL
+    SELECT 'milestone', ms.id, ms.title, p.name, p.id,
+      ms.title, ts_rank(ms.search_vector, q.query), ms.created_at
+    FROM milestones ms
+    JOIN projects p ON p.id = ms.project_id, q
+    WHERE 'milestone' = ANY($3) AND p.user_id = $1 AND ms.search_vector @@ q.query
+
+    ORDER BY rank DESC, updated_at DESC
+    LIMIT $4
+  )
+  SELECT matches.*, ts_headline('english', COALESCE(NULLIF(body, ''), title), q.query, $5) AS headline
+  FROM matches, q
+  ORDER BY rank DESC, updated_at DESC
+`;
+
+// Returns [{ type, id, title, context, parentId, snippet, score }], best match first
+export const fullTextSearch = async (db, userId, text, { types = SEARCH_TYPES, limit = 20 } = {}) => {
+  const tsQuery = buildTsQuery(text);
+  if (!tsQuery) return [];
+
+  const result = await db.query(SEARCH_SQL, [userId, tsQuery, types, limit, HEADLINE_OPTIONS]);
+  return result.rows.map((row) => ({
+    type: row.type,
+    id: row.id,
+    title: row.title,
+    context: row.context,
+    parentId: row.parent_id,
+    snippet: headlineSegments(row.headline),
+    score: Number(row.rank),
+  }));
+};
@@ -0,0 +1,230 @@
+import { createHash } from 'crypto';
+import { getEmbedder } from '../embeddings/index.js';
+import { SEARCH_TYPES } from './fullText.js';
+
+// Meaning-based search: every searchable row is embedded once (cached in search_embeddings,
+// re-embedded when its text changes) and ranked by cosine similarity to the query.
+
+// Below this the match is mostly noise
+const MIN_SIMILARITY = 0.2;
+
+// Only the most recent mentor messages are embedded, so a long chat history stays cheap
+const MAX_MESSAGES = 500;
+
+// Embedding models have input limits, and the start of a text carries most of its meaning
+const MAX_EMBED_CHARS = 2000;
+
+const SNIPPET_CHARS = 200;
+
+const docKey = (type, id) => `${type}:${id}`;
+
+const hashText = (text) => createHash('sha256').update(text).digest('hex');
+
+const joinText = (...parts) => parts.flat().filter(Boolean).join('\n');
+
+// The same fields the full-text vectors cover, as [{ type, id, title, context, parentId, body, text }]
+const loadDocuments = async (db, userId, types) => {
+  const docs = [];
+
+  if (types.includes('concept')) {
+    const result = await db.query(
+      `SELECT id, title, category, description, problem_it_solves, how_it_works, key_points,
+        common_junior_mistakes, senior_engineer_perspective
+       FROM concepts WHERE user_id = $1`,
+      [userId]
+    );
+    result.rows.forEach((c) => docs.push({
+      type: 'concept',
+      id: c.id,
+      title: c.title,
+      context: c.category,
+      parentId: null,
+      body: joinText(c.description, c.problem_it_solves, c.how_it_works),
+      text: joinText(c.title, c.category, c.description, c.problem_it_solves, c.how_it_works,
+        c.key_points, c.common_junior_mistakes, c.senior_engineer_perspective),
+    }));
+  }
+
+  if (types.includes('message')) {
+    const result = await db.query(
+      `SELECT m.id, m.role, m.content, m.conversation_id, conv.title
+       FROM ai_messages m
+       JOIN ai_conversations conv ON conv.id = m.conversation_id
+       WHERE m.user_id = $1
+       ORDER BY m.created_at DESC
+       LIMIT $2`,
+      [userId, MAX_MESSAGES]
+    );
+    result.rows.forEach((m) => docs.push({
+      type: 'message',
+      id: m.id,
+      title: m.title,
+      context: m.role,
+      parentId: m.conversation_id,
+      body: m.content,
+      text: m.content,
+    }));
+  }
+
+  if (types.includes('project') || types.includes('milestone')) {
+    const result = await db.query(
+      `SELECT p.id, p.name, p.description, p.tech_stack, p.status,
+        COALESCE(json_agg(json_build_object('id', ms.id, 'title', ms.title))
+          FILTER (WHERE ms.id IS NOT NULL), '[]') AS milestones
+       FROM projects p
+       LEFT JOIN milestones ms ON ms.project_id = p.id
+       WHERE p.user_id = $1
+       GROUP BY p.id`,
+      [userId]
+    );
+    result.rows.forEach((p) => {
+      if (types.includes('project')) {
+        docs.push({
+          type: 'project',
+          id: p.id,
+          title: p.name,
+          context: p.status,
+          parentId: null,
+          body: joinText(p.description, (p.tech_stack || []).join(', ')),
+          text: joinText(p.name, p.description, p.tech_stack),
+        });
+      }
+      if (types.includes('milestone')) {
+        p.milestones.forEach((ms) => docs.push({
+          type: 'milestone',
+          id: ms.id,
+          title: ms.title,
+          context: p.name,
+          parentId: p.id,
+          body: ms.title,
+          // The project name gives a bare milestone title something to mean
+          text: joinText(ms.title, p.name),
+        }));
+      }
+    });
+  }
+
+  return docs.map((doc) => ({ ...doc, text: doc.text.slice(0, MAX_EMBED_CHARS) }));
+};
+
+// Vectors for every doc, embedding only the ones that are new or changed since last time.
+// Cached vectors of deleted rows are dropped along the way.
+const syncEmbeddings = async (db, userId, types, docs, embedder) => {
+  const model = `${embedder.name}:${embedder.model}`;
+  const cached = await db.query(
+    `SELECT source_type, source_id, content_hash, embedding
+     FROM search_embeddings WHERE user_id = $1 AND model = $2`,
+    [userId, model]
+  );
+  const cache = new Map(cached.rows.map((row) => [docKey(row.source_type, row.source_id), row]));
+
+  const vectors = new Map();
+  const stale = [];
+  docs.forEach((doc) => {
+    const key = docKey(doc.type, doc.id);
+    const hash = hashText(doc.text);
+    const row = cache.get(key);
+    if (row && row.content_hash === hash) {
+      vectors.set(key, row.embedding);
+    } else {
+      stale.push({ doc, hash });
+    }
+    cache.delete(key);
+  });
+
+  if (stale.length > 0) {
+    const embeddings = await embedder.embed(stale.map(({ doc }) => doc.text));
+    for (const [i, { doc, hash }] of stale.entries()) {
+      vectors.set(docKey(doc.type, doc.id), embeddings[i]);
+      await db.query(
+        `INSERT INTO search_embeddings (user_id, source_type, source_id, model, content_hash, embedding)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         ON CONFLICT (source_type, source_id, model)
+         DO UPDATE SET content_hash = EXCLUDED.content_hash, embedding = EXCLUDED.embedding, updated_at = CURRENT_TIMESTAMP`,
+        [userId, doc.type, doc.id, model, hash, embeddings[i]]
+      );
+    }
+  }
+
+  // Whatever is left in the cache belongs to rows that were deleted. Messages are the
+  // exception: older ones have only dropped out of the MAX_MESSAGES window.
+  const orphans = [...cache.values()]
+    .filter((row) => types.includes(row.source_type) && row.source_type !== 'message');
+  for (const row of orphans) {
+    await db.query(
+      'DELETE FROM search_embeddings WHERE source_type = $1 AND source_id = $2 AND model = $3',
+      [row.source_type, row.source_id, model]
+    );
+  }
+
+  return vectors;
+};
+
+const cosine = (a, b) => {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < Math.min(a.length, b.length); i += 1) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Semantic matches need not share any words with the query, but when they do, show the
+// passage around the first shared word and highlight the shared words like full-text does
+const excerptSegments = (body, query) => {
+  const text = (body || '').replace(/\s+/g, ' ').trim();
+  const words = (query.toLowerCase().match(/[\p{L}\p{N}]+/gu) || []).filter((word) => word.length > 2);
+  const pattern = words.length > 0
+    ? new RegExp(`\\b(${words.map(escapeRegExp).join('|')})`, 'gi')
+    : null;
+
+  let start = 0;
+  const first = pattern ? text.search(pattern) : -1;
+  if (first > SNIPPET_CHARS / 2) start = text.lastIndexOf(' ', first - SNIPPET_CHARS / 4) + 1;
+  let excerpt = text.slice(start, start + SNIPPET_CHARS);
+  if (start + SNIPPET_CHARS < text.length) excerpt = `${excerpt.slice(0, excerpt.lastIndexOf(' '))} …`;
+  if (start > 0) excerpt = `… ${excerpt}`;
+
+  if (!pattern) return [{ text: excerpt, highlight: false }];
+  const segments = [];
+  let last = 0;
+  for (const match of excerpt.matchAll(pattern)) {
+    // Extend to the end of the word so "cach" highlights all of "caching"
+    const end = match.index + excerpt.slice(match.index).match(/^[\p{L}\p{N}]+/u)[0].length;
+    if (match.index > last) segments.push({ text: excerpt.slice(last, match.index), highlight: false });
+    segments.push({ text: excerpt.slice(match.index, end), highlight: true });
+    last = end;
+  }
+  if (last < excerpt.length) segments.push({ text: excerpt.slice(last), highlight: false });
+  return segments;
+};
+
+// Same result shape as fullTextSearch; score is the cosine similarity
+export const semanticSearch = async (db, userId, text, { types = SEARCH_TYPES, limit = 20 } = {}) => {
+  const embedder = getEmbedder();
+  const docs = await loadDocuments(db, userId, types);
+  if (docs.length === 0) return [];
+
+  const vectors = await syncEmbeddings(db, userId, types, docs, embedder);
+  const [queryVector] = await embedder.embed([text]);
+
+  return docs
+    .map((doc) => ({ doc, score: cosine(queryVector, vectors.get(docKey(doc.type, doc.id))) }))
+    .filter(({ score }) => score >= MIN_SIMILARITY)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(({ doc, score }) => ({
+      type: doc.type,
+      id: doc.id,
+      title: doc.title,
+      context: doc.context,
+      parentId: doc.parentId,
+      snippet: excerptSegments(doc.body, text),
+      score,
+    }));
+};
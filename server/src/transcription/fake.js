@@ -0,0 +1,52 @@
+import { createHash } from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+const DEFAULT_TRANSCRIPT = 'I designed the service around a REST API backed by Postgres because the data is relational. ' +
+  'The main trade-off was consistency versus write throughput, so I added a Redis cache for hot reads. ' +
+  'If I had more time I would add load tests to find where it breaks under scale.';
+
+// Roughly what a browser's Opus encoder produces for speech (32 kbps)
+const BYTES_PER_SECOND = 4000;
+
+// Recorded transcripts in TRANSCRIPTION_FIXTURES_DIR win over the built-in one:
+// <sha256 of the audio>.txt for a specific clip, default.txt for every clip
+const readRecordedTranscript = (digest) => {
+  const dir = process.env.TRANSCRIPTION_FIXTURES_DIR;
+  if (!dir) return null;
+
+  for (const name of [`${digest}.txt`, 'default.txt']) {
+    const filePath = path.resolve(dir, name);
+    if (fs.existsSync(filePath)) {
+      return fs.readFileSync(filePath, 'utf8').trim();
+    }
+  }
+  return null;
+};
+
+// Deterministic stand-in for a speech-to-text model: the same clip always gets the same
+// transcript, with no network access and no API key. Segments are spread evenly over
+// a duration estimated from the file size.
+export const createFakeTranscriber = () => ({
+  name: 'fake',
+  model: 'fake-whisper',
+  async transcribe({ filePath }) {
+    const audio = fs.readFileSync(filePath);
+    const digest = createHash('sha256').update(audio).digest('hex');
+    const text = readRecordedTranscript(digest) ?? DEFAULT_TRANSCRIPT;
+
+    const duration = Math.max(1, Math.round((audio.length / BYTES_PER_SECOND) * 10) / 10);
+    const sentences = text.split(/(?<=[.!?])\s+/).filter(Boolean);
+    const totalWords = sentences.reduce((sum, s) => sum + s.split(/\s+/).length, 0) || 1;
+
+    let start = 0;
+    const segments = sentences.map((sentence) => {
+      const end = Math.round((start + (sentence.split(/\s+/).length / totalWords) * duration) * 100) / 100;
+      const segment = { start, end, text: sentence };
+      start = end;
+      return segment;
+    });
+
+    return { text, duration, segments };
+  },
+});
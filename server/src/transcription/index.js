@@ -0,0 +1,15 @@
+import { createOpenAITranscriber, createLocalWhisperTranscriber } from './whisper.js';
+import { createFakeTranscriber } from './fake.js';
+import { createProviderRegistry } from '../providers/registry.js';
+
+// Get the active transcriber, selected with TRANSCRIPTION_PROVIDER (openai by default)
+export const getTranscriber = createProviderRegistry('TRANSCRIPTION_PROVIDER', {
+  openai: createOpenAITranscriber,
+  whisper: createLocalWhisperTranscriber,
+  fake: createFakeTranscriber,
+});
+
+// Transcribe an audio file on disk.
+// Options: filePath, mimeType, language (ISO-639-1, optional)
+// Resolves to { text, duration (seconds or null), segments: [{ start, end, text }] }
+export const transcribe = (options) => getTranscriber().transcribe(options);
@@ -0,0 +1,49 @@
+import fs from 'fs';
+import { getOpenAIClient, localClientGetter } from '../providers/clients.js';
+
+// Faster-whisper-server, whisper.cpp's server and LocalAI all serve the OpenAI transcription API under /v1
+const DEFAULT_BASE_URL = 'http://localhost:8000/v1';
+const DEFAULT_MODEL = 'whisper-1';
+
+// Build a transcriber on top of any endpoint that speaks the OpenAI /audio/transcriptions API.
+// getClient is called per request (see providers/clients.js).
+export const createWhisperCompatibleTranscriber = ({ name, model, getClient }) => ({
+  name,
+  model,
+  async transcribe({ filePath, language }) {
+    // verbose_json adds the duration and timed segments on top of the text
+    const result = await getClient().audio.transcriptions.create({
+      file: fs.createReadStream(filePath),
+      model,
+      response_format: 'verbose_json',
+      ...(language && { language }),
+    });
+
+    return {
+      text: (result.text || '').trim(),
+      duration: typeof result.duration === 'number' ? result.duration : null,
+      segments: (result.segments || []).map((segment) => ({
+        start: segment.start,
+        end: segment.end,
+        text: segment.text.trim(),
+      })),
+    };
+  },
+});
+
+export const createOpenAITranscriber = () =>
+  createWhisperCompatibleTranscriber({
+    name: 'openai',
+    model: process.env.OPENAI_TRANSCRIPTION_MODEL || DEFAULT_MODEL,
+    getClient: getOpenAIClient,
+  });
+
+export const createLocalWhisperTranscriber = () =>
+  createWhisperCompatibleTranscriber({
+    name: 'whisper',
+    model: process.env.WHISPER_MODEL || DEFAULT_MODEL,
+    getClient: localClientGetter({
+      baseURL: process.env.WHISPER_BASE_URL || DEFAULT_BASE_URL,
+      apiKey: process.env.WHISPER_API_KEY,
+    }),
+  });
@@ -94,6 +94,9 @@ api.interceptors.response.use(
 // Longer timeout for auth - Vercel cold start + Neon wake can take 25–35s on first request
 const AUTH_TIMEOUT_MS = import.meta.env.PROD ? 40000 : 20000; // 40s production, 20s dev
 
+// Transcribing a few minutes of audio takes well over the default timeout
+const TRANSCRIPTION_TIMEOUT_MS = 120000;
+
 // Auth API
 export const authAPI = {
   register: async (email, password, name, rememberMe = false) => {
@@ -180,10 +183,88 @@ export const skillsAPI = {
   delete: (id) => api.delete(`/skills/${id}`).then((res) => res.data),
 };
 
+// Read a Server-Sent Events response body, calling onEvent(event, data) for each event.
+// axios can't expose a response body progressively in the browser, so streaming uses fetch.
+const readEventStream = async (response, onEvent) => {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const rawEvent = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+
+      let event = 'message';
+      let data = '';
+      rawEvent.split('\n').forEach((line) => {
+        if (line.startsWith('event:')) event = line.slice(6).trim();
+        if (line.startsWith('data:')) data += line.slice(5).trim();
+      });
+      onEvent(event, data ? JSON.parse(data) : null);
+    }
+  }
+};
+
 // AI Chat API
 export const aiAPI = {
-  getMessages: (limit = 50) => api.get(`/ai/messages?limit=${limit}`).then((res) => res.data.messages),
-  sendMessage: (message) => api.post('/ai/chat', { message }).then((res) => res.data),
+  getConversations: (includeArchived = false) =>
+    api.get(`/ai/conversations?includeArchived=${includeArchived}`).then((res) => res.data.conversations),
+  createConversation: (title) =>
+    api.post('/ai/conversations', title ? { title } : {}).then((res) => res.data.conversation),
+  updateConversation: (id, data) =>
+    api.put(`/ai/conversations/${id}`, data).then((res) => res.data.conversation),
+  deleteConversation: (id) => api.delete(`/ai/conversations/${id}`).then((res) => res.data),
+  getConversationMemory: (id) =>
+    api.get(`/ai/conversations/${id}/memory`).then((res) => res.data.memory),
+  updateConversationMemory: (id, summary) =>
+    api.put(`/ai/conversations/${id}/memory`, { summary }).then((res) => res.data.memory),
+  forkConversation: (id, messageId) =>
+    api.post(`/ai/conversations/${id}/fork`, messageId ? { messageId } : {}).then((res) => res.data.conversation),
+  getMessages: (conversationId, limit = 50) =>
+    api.get('/ai/messages', { params: { conversationId, limit } }).then((res) => res.data.messages),
+  sendMessage: (message, conversationId, useWorkspace = false) =>
+    api.post('/ai/chat', { message, conversationId, useWorkspace }).then((res) => res.data),
+  // Stream the mentor reply token by token. Resolves with the saved message once the
+  // stream ends; abort `signal` to stop generation (the partial reply is kept server-side).
+  streamMessage: async (message, { conversationId, useWorkspace = false, onToken, signal } = {}) => {
+    const token = localStorage.getItem('token');
+    const response = await fetch(`${API_URL}/ai/chat/stream`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token && { Authorization: `Bearer ${token}` }),
+      },
+      body: JSON.stringify({ message, conversationId, useWorkspace }),
+      signal,
+    });
+
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      // Match the axios error shape so callers can read error.response.data.error
+      const error = new Error(data.error || 'Failed to send message. Please try again.');
+      error.response = { status: response.status, data };
+      throw error;
+    }
+
+    let savedMessage = null;
+    let streamError = null;
+    await readEventStream(response, (event, data) => {
+      if (event === 'token') onToken?.(data.token);
+      if (event === 'done') savedMessage = data.message;
+      if (event === 'error') streamError = data.error;
+    });
+
+    if (streamError) {
+      throw new Error(streamError);
+    }
+    return savedMessage;
+  },
   getModel: () => api.get('/ai/model').then((res) => res.data),
 };
 
@@ -205,6 +286,45 @@ export const conceptsAPI = {
   create: (data) => api.post('/concepts', data).then((res) => res.data.concept),
   update: (id, data) => api.put(`/concepts/${id}`, data).then((res) => res.data.concept),
   delete: (id) => api.delete(`/concepts/${id}`).then((res) => res.data),
+  getGraph: () => api.get('/concepts/graph').then((res) => res.data),
+  markViewed: (id) => api.post(`/concepts/${id}/view`).then((res) => res.data),
+};
+
+// Flashcards API (spaced repetition)
+export const flashcardsAPI = {
+  getAll: (conceptId) =>
+    api.get('/flashcards', { params: { conceptId } }).then((res) => res.data.cards),
+  getDue: (limit) => api.get('/flashcards/due', { params: { limit } }).then((res) => res.data),
+  generate: (conceptId, { replace = false } = {}) =>
+    api.post('/flashcards/generate', { conceptId, replace }).then((res) => res.data.cards),
+  review: (id, grade) => api.post(`/flashcards/${id}/review`, { grade }).then((res) => res.data.card),
+  delete: (id) => api.delete(`/flashcards/${id}`).then((res) => res.data),
+};
+
+// Concept Quizzes API
+export const quizzesAPI = {
+  getAll: (conceptId) => api.get('/quizzes', { params: { conceptId } }).then((res) => res.data.quizzes),
+  getOne: (id) => api.get(`/quizzes/${id}`).then((res) => res.data),
+  generate: (conceptId) => api.post('/quizzes/generate', { conceptId }).then((res) => res.data.quiz),
+  submit: (id, answers) => api.post(`/quizzes/${id}/attempts`, { answers }).then((res) => res.data.attempt),
+};
+
+// Search API
+export const searchAPI = {
+  // mode is 'text' (keywords) or 'semantic' (meaning); types narrows to concept, message, project, milestone
+  search: (q, { mode = 'text', types, limit } = {}) =>
+    api.get('/search', { params: { q, mode, types: types?.join(','), limit } }).then((res) => res.data.results),
+};
+
+// Job Descriptions API
+export const jobDescriptionsAPI = {
+  getAll: () => api.get('/job-descriptions').then((res) => res.data.jobDescriptions),
+  create: (data) => api.post('/job-descriptions', data).then((res) => res.data.jobDescription),
+  update: (id, data) => api.put(`/job-descriptions/${id}`, data).then((res) => res.data.jobDescription),
+  delete: (id) => api.delete(`/job-descriptions/${id}`).then((res) => res.data),
+  // body is { jobDescriptionId } or { jobDescription }, plus resumeId and/or resumeContent
+  match: (body) => api.post('/job-descriptions/match', body).then((res) => res.data.analysis),
+  tailor: (body) => api.post('/job-descriptions/tailor', body).then((res) => res.data),
 };
 
 // Resumes API
@@ -214,14 +334,39 @@ export const resumesAPI = {
     const formData = new FormData();
     formData.append('resume', file);
     // Don't set Content-Type header - let browser set it with boundary automatically
-    return api.post('/resumes/upload', formData).then((res) => res.data.resume);
+    // Resolves to { resume, atsReport }, the ATS check of the extracted text
+    return api.post('/resumes/upload', formData).then((res) => res.data);
   },
+  // Offline ATS-compatibility lint of content, or of the saved resume if content is omitted
+  atsCheck: (resumeId, content) =>
+    api.post('/resumes/ats-check', { resumeId, content }).then((res) => res.data.report),
   getFeedback: (resumeId, content) => 
     api.post('/resumes/feedback', { resumeId, content }).then((res) => res.data.feedback),
   getRecommendations: (resumeId, content) =>
     api.post('/resumes/recommendations', { resumeId, content }).then((res) => res.data),
   update: (id, data) => api.put(`/resumes/${id}`, data).then((res) => res.data.resume),
-  download: (id) => api.get(`/resumes/${id}/download`, { responseType: 'blob' }),
+  // section is contact, summary, experience, education, projects, skills or other
+  updateSection: (id, section, value) =>
+    api.put(`/resumes/${id}/sections/${section}`, { value }).then((res) => res.data.resume),
+  // Applies { bulletId, suggestedText } edits; content carries unsaved editor text. Resolves
+  // to { resume, applied, skipped }
+  applyEdits: (id, edits, content) =>
+    api.post(`/resumes/${id}/edits`, { edits, content }).then((res) => res.data),
+  getVersions: (id) => api.get(`/resumes/${id}/versions`).then((res) => res.data.versions),
+  getVersion: (id, version) => api.get(`/resumes/${id}/versions/${version}`).then((res) => res.data.version),
+  // to defaults to the current version; mode is 'line' or 'word'
+  diff: (id, from, to, mode = 'line') =>
+    api.get(`/resumes/${id}/diff`, { params: { from, to, mode } }).then((res) => res.data),
+  restoreVersion: (id, version) =>
+    api.post(`/resumes/${id}/versions/${version}/restore`).then((res) => res.data.resume),
+  getTemplates: () => api.get('/resumes/templates').then((res) => res.data.templates),
+  // HTML page of the resume in a template; content previews unsaved editor text
+  preview: (id, template, content) =>
+    api.post(`/resumes/${id}/preview`, { template, content }).then((res) => res.data.html),
+  // Without a format this is the uploaded file; format 'pdf' or 'docx' renders the saved
+  // content with the template
+  download: (id, format, template) =>
+    api.get(`/resumes/${id}/download`, { params: { format, template }, responseType: 'blob' }),
   generateProjectBullets: (projectId) => 
     api.post('/resumes/generate-project-bullets', { projectId }).then((res) => res.data.bullets),
   getProjectBullets: () => 
@@ -234,6 +379,77 @@ export const practiceAPI = {
     api.post('/practice/analyze-response', data).then((res) => res.data),
   getSessions: () => 
     api.get('/practice/sessions').then((res) => res.data.sessions),
+  getSession: (id) =>
+    api.get(`/practice/sessions/${id}`).then((res) => res.data.session),
+  startSession: (questionSetId, { timeLimitSeconds } = {}) =>
+    api.post('/practice/sessions', { questionSetId, timeLimitSeconds }).then((res) => res.data.session),
+  submitAnswer: (sessionId, { questionId, userResponse, allowFollowUps, recordingId, timing, timeUsedSeconds, timedOut }) =>
+    api.post(`/practice/sessions/${sessionId}/answers`, {
+      questionId,
+      userResponse,
+      allowFollowUps,
+      recordingId,
+      timing,
+      timeUsedSeconds,
+      timedOut,
+    }).then((res) => res.data),
+  getDeliveryTrends: () =>
+    api.get('/practice/delivery-trends').then((res) => res.data.trends),
+  uploadRecording: (audio, { sessionId, questionId } = {}) => {
+    const formData = new FormData();
+    const extension = audio.type.includes('ogg') ? 'ogg' : audio.type.includes('mp4') ? 'm4a' : 'webm';
+    formData.append('audio', audio, `answer.${extension}`);
+    if (sessionId) formData.append('sessionId', sessionId);
+    if (questionId) formData.append('questionId', questionId);
+    // Don't set Content-Type header - let browser set it with boundary automatically
+    return api.post('/practice/recordings', formData, { timeout: TRANSCRIPTION_TIMEOUT_MS }).then((res) => res.data.recording);
+  },
+  getRecordingAudio: (id) =>
+    api.get(`/practice/recordings/${id}/audio`, { responseType: 'blob' }).then((res) => res.data),
+  deleteRecording: (id) =>
+    api.delete(`/practice/recordings/${id}`).then((res) => res.data),
+  deleteSession: (id) =>
+    api.delete(`/practice/sessions/${id}`).then((res) => res.data),
+  finishSession: (sessionId) =>
+    api.post(`/practice/sessions/${sessionId}/finish`).then((res) => res.data.session),
+  generateQuestionSet: ({ projectId, track, count, difficulty, categories }) =>
+    api.post('/practice/question-sets', { projectId, track, count, difficulty, categories }).then((res) => res.data.questionSet),
+  getQuestionSets: (projectId) =>
+    api.get('/practice/question-sets', { params: projectId ? { projectId } : {} }).then((res) => res.data.questionSets),
+  getQuestionSet: (id) =>
+    api.get(`/practice/question-sets/${id}`).then((res) => res.data.questionSet),
+  getCodingProblems: () =>
+    api.get('/practice/coding-problems').then((res) => res.data.problems),
+  getCodingProblem: (id) =>
+    api.get(`/practice/coding-problems/${id}`).then((res) => res.data.problem),
+  submitCodingAttempt: (problemId, { code, results }) =>
+    api.post(`/practice/coding-problems/${problemId}/attempts`, { code, results }).then((res) => res.data),
+  getCodingAttempts: (problemId) =>
+    api.get(`/practice/coding-problems/${problemId}/attempts`).then((res) => res.data.attempts),
+};
+
+// STAR Stories API (behavioral interview answers)
+export const storiesAPI = {
+  getAll: (projectId) =>
+    api.get('/stories', { params: projectId ? { projectId } : {} }).then((res) => res.data.stories),
+  create: (data) => api.post('/stories', data).then((res) => res.data.story),
+  update: (id, data) => api.put(`/stories/${id}`, data).then((res) => res.data.story),
+  delete: (id) => api.delete(`/stories/${id}`).then((res) => res.data),
+};
+
+// System Design API (whiteboard interviews)
+export const designAPI = {
+  getPrompts: () => api.get('/design/prompts').then((res) => res.data),
+  evaluate: (data) => api.post('/design/attempts', data).then((res) => res.data.attempt),
+  getAttempts: () => api.get('/design/attempts').then((res) => res.data.attempts),
+  getAttempt: (id) => api.get(`/design/attempts/${id}`).then((res) => res.data.attempt),
+  delete: (id) => api.delete(`/design/attempts/${id}`).then((res) => res.data),
+};
+
+// Settings API
+export const settingsAPI = {
+  get: () => api.get('/settings').then((res) => res.data.settings),
+  update: (data) => api.put('/settings', data).then((res) => res.data.settings),
 };
 
 export default api;
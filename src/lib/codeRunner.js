@@ -0,0 +1,82 @@
+// Run practice code against test cases in a Web Worker. Each test gets its own time
+// limit: if one runs over, the worker is terminated, the test is marked as timed out
+// and a fresh worker carries on with the remaining tests.
+
+export const TEST_TIME_LIMIT_MS = 2000;
+
+// Keep reported values short enough to show and to send with an attempt
+const MAX_VALUE_LENGTH = 500;
+
+const truncate = (text) => (text && text.length > MAX_VALUE_LENGTH ? `${text.slice(0, MAX_VALUE_LENGTH)}…` : text);
+
+const createWorker = () => new Worker(new URL('./codeRunner.worker.js', import.meta.url));
+
+// Resolves to { compileError, results }, with one result per test in test order:
+// { passed, timedOut, actual, error, durationMs, logs }
+export const runTests = ({ code, functionName, tests, timeLimitMs = TEST_TIME_LIMIT_MS }) =>
+  new Promise((resolve) => {
+    const results = tests.map(() => null);
+    let worker = null;
+    let timer = null;
+
+    const finish = (compileError = null) => {
+      clearTimeout(timer);
+      worker?.terminate();
+      resolve({ compileError, results });
+    };
+
+    const runFrom = (startIndex) => {
+      if (startIndex >= tests.length) {
+        finish();
+        return;
+      }
+
+      worker = createWorker();
+      // Covers loading the code, before the first test starts
+      timer = setTimeout(() => finish(`Your code did not finish loading within ${timeLimitMs / 1000}s`), timeLimitMs);
+
+      worker.onmessage = ({ data }) => {
+        if (data.type === 'compile-error') {
+          finish(truncate(data.error));
+        } else if (data.type === 'start') {
+          clearTimeout(timer);
+          timer = setTimeout(() => {
+            worker.terminate();
+            results[data.index] = {
+              passed: false,
+              timedOut: true,
+              error: `Timed out after ${timeLimitMs / 1000}s`,
+              durationMs: timeLimitMs,
+              logs: [],
+            };
+            runFrom(data.index + 1);
+          }, timeLimitMs);
+        } else if (data.type === 'result') {
+          clearTimeout(timer);
+          results[data.index] = {
+            passed: data.passed,
+            timedOut: false,
+            actual: truncate(data.actual),
+            error: truncate(data.error),
+            durationMs: data.durationMs,
+            logs: data.logs,
+          };
+        } else if (data.type === 'done') {
+          finish();
+        }
+      };
+      worker.onerror = (event) => {
+        event.preventDefault();
+        finish(truncate(event.message) || 'Your code crashed the sandbox');
+      };
+
+      worker.postMessage({
+        code,
+        functionName,
+        tests: tests.slice(startIndex).map(({ input, expected }) => ({ input, expected })),
+        startIndex,
+      });
+    };
+
+    runFrom(0);
+  });
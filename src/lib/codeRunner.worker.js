@@ -0,0 +1,89 @@
+// Runs untrusted practice code off the main thread. The page sends the code, the
+// function to call and the tests; the worker reports each test as it finishes so the
+// page can stop it (and start a fresh worker) if one test runs past its time limit.
+
+// No network access from user code
+for (const name of ['fetch', 'XMLHttpRequest', 'WebSocket', 'EventSource', 'importScripts']) {
+  self[name] = undefined;
+}
+
+const MAX_LOG_LINES = 20;
+
+const describe = (value) => {
+  if (value === undefined) return 'undefined';
+  try {
+    return JSON.stringify(value);
+  } catch {
+    return String(value);
+  }
+};
+
+// Structural equality; numbers match within a small tolerance so floating-point answers pass
+const deepEqual = (a, b) => {
+  if (typeof a === 'number' && typeof b === 'number') {
+    return Number.isNaN(a) ? Number.isNaN(b) : Math.abs(a - b) < 1e-6;
+  }
+  if (Array.isArray(a) || Array.isArray(b)) {
+    return Array.isArray(a) && Array.isArray(b) && a.length === b.length && a.every((item, i) => deepEqual(item, b[i]));
+  }
+  if (a && b && typeof a === 'object' && typeof b === 'object') {
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every((key) => deepEqual(a[key], b[key]));
+  }
+  return a === b;
+};
+
+self.onmessage = ({ data }) => {
+  const { code, functionName, tests, startIndex } = data;
+  const logs = [];
+  self.console = {
+    ...console,
+    log: (...args) => {
+      if (logs.length < MAX_LOG_LINES) logs.push(args.map((arg) => (typeof arg === 'string' ? arg : describe(arg))).join(' '));
+    },
+  };
+
+  let solution;
+  try {
+    // Parse the code on its own first so syntax errors describe the user's code
+    new Function(code);
+    solution = new Function(`${code}\nreturn typeof ${functionName} === 'function' ? ${functionName} : undefined;`)();
+  } catch (error) {
+    self.postMessage({ type: 'compile-error', error: `${error.name}: ${error.message}` });
+    return;
+  }
+  if (!solution) {
+    self.postMessage({ type: 'compile-error', error: `Define a function named ${functionName}` });
+    return;
+  }
+
+  tests.forEach((test, offset) => {
+    const index = startIndex + offset;
+    logs.length = 0;
+    self.postMessage({ type: 'start', index });
+    const started = performance.now();
+    try {
+      // Copy the input so one test can't mutate the next one's data
+      const actual = solution(...structuredClone(test.input));
+      self.postMessage({
+        type: 'result',
+        index,
+        passed: deepEqual(actual, test.expected),
+        actual: describe(actual),
+        durationMs: Math.round(performance.now() - started),
+        logs: [...logs],
+      });
+    } catch (error) {
+      self.postMessage({
+        type: 'result',
+        index,
+        passed: false,
+        error: `${error?.name || 'Error'}: ${error?.message ?? error}`,
+        durationMs: Math.round(performance.now() - started),
+        logs: [...logs],
+      });
+    }
+  });
+
+  self.postMessage({ type: 'done' });
+};
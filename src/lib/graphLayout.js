@@ -0,0 +1,77 @@
+// Force-directed layout (Fruchterman-Reingold) for the concept graph. Nodes start on a
+// circle in a fixed order, so the same graph always gets the same picture.
+
+const ITERATIONS = 300;
+
+// Returns a Map of node id -> { x, y } inside a width x height box, `padding` from each edge
+export const layoutGraph = (nodes, edges, { width = 800, height = 560, padding = 60 } = {}) => {
+  const positions = new Map();
+  if (nodes.length === 0) return positions;
+  if (nodes.length === 1) return positions.set(nodes[0].id, { x: width / 2, y: height / 2 });
+
+  const innerWidth = width - padding * 2;
+  const innerHeight = height - padding * 2;
+  const ideal = Math.sqrt((innerWidth * innerHeight) / nodes.length) * 0.9;
+
+  nodes.forEach((node, index) => {
+    const angle = (2 * Math.PI * index) / nodes.length;
+    positions.set(node.id, {
+      x: width / 2 + (innerWidth / 3) * Math.cos(angle),
+      y: height / 2 + (innerHeight / 3) * Math.sin(angle),
+    });
+  });
+
+  let temperature = innerWidth / 8;
+  for (let step = 0; step < ITERATIONS; step += 1) {
+    const moves = new Map(nodes.map((node) => [node.id, { x: 0, y: 0 }]));
+
+    // Every pair repels
+    nodes.forEach((a, i) => {
+      nodes.slice(i + 1).forEach((b) => {
+        const pa = positions.get(a.id);
+        const pb = positions.get(b.id);
+        const dx = pa.x - pb.x || 0.01;
+        const dy = pa.y - pb.y || 0.01;
+        const distance = Math.sqrt(dx * dx + dy * dy);
+        const force = (ideal * ideal) / distance;
+        moves.get(a.id).x += (dx / distance) * force;
+        moves.get(a.id).y += (dy / distance) * force;
+        moves.get(b.id).x -= (dx / distance) * force;
+        moves.get(b.id).y -= (dy / distance) * force;
+      });
+    });
+
+    // Linked nodes attract
+    edges.forEach(({ source, target }) => {
+      const ps = positions.get(source);
+      const pt = positions.get(target);
+      const dx = ps.x - pt.x;
+      const dy = ps.y - pt.y;
+      const distance = Math.sqrt(dx * dx + dy * dy) || 0.01;
+      const force = (distance * distance) / ideal;
+      moves.get(source).x -= (dx / distance) * force;
+      moves.get(source).y -= (dy / distance) * force;
+      moves.get(target).x += (dx / distance) * force;
+      moves.get(target).y += (dy / distance) * force;
+    });
+
+    // Weak pull to the centre keeps disconnected nodes from drifting to the edges
+    nodes.forEach((node) => {
+      const p = positions.get(node.id);
+      moves.get(node.id).x += (width / 2 - p.x) * 0.05;
+      moves.get(node.id).y += (height / 2 - p.y) * 0.05;
+    });
+
+    nodes.forEach((node) => {
+      const move = moves.get(node.id);
+      const length = Math.sqrt(move.x * move.x + move.y * move.y) || 1;
+      const p = positions.get(node.id);
+      p.x = Math.min(width - padding, Math.max(padding, p.x + (move.x / length) * Math.min(length, temperature)));
+      p.y = Math.min(height - padding, Math.max(padding, p.y + (move.y / length) * Math.min(length, temperature)));
+    });
+
+    temperature *= 0.98;
+  }
+
+  return positions;
+};